@@ -1,4 +1,5 @@
 import { ConstraintViolation } from "./errorTypes.js";
+import { hasMessage, t } from "./i18n.js";
 
 /**
  * Predefined class for creating enumerations as special JS objects.
@@ -12,8 +13,10 @@ import { ConstraintViolation } from "./errorTypes.js";
  * @author Christian Prinz
  * @constructor
  * @param {string[] | {[key: string]: string}} enumArg  The labels of the new enumeration literals.
+ * @param {string} [messageKey] [optional] the prefix of the keys of the
+ * translated labels, e.g. `"movieCategory"` for `"movieCategory.Biography"`
  */
-export function Enumeration(enumArg) {
+export function Enumeration(enumArg, messageKey) {
   if (Array.isArray(enumArg)) {
     // a simple enum defined by a list of labels
     if (!enumArg.every((l) => typeof l === "string")) {
@@ -42,6 +45,7 @@ export function Enumeration(enumArg) {
       `Invalid Enumeration constructor argument: ${enumArg}`
     );
   }
+  this.messageKey = messageKey;
   this.MAX = this.enumLitNames.length;
   // generate the enumeration literals by capitalizing/normalizing the names
   for (let i = 1; i <= this.enumLitNames.length; i++) {
@@ -67,3 +71,89 @@ export function Enumeration(enumArg) {
 Enumeration.prototype.stringify = function (a) {
   return a.map((enumInt) => this.enumLitNames[enumInt - 1]).join(", ");
 };
+
+/**
+ * Parse a list of enumeration literal names as it is serialized by
+ * `stringify()` (the inverse of `stringify()`)
+ * @param {string} s the names separated by commas, e.g. `"Director, Actor"`
+ * @returns {number[]} the list of indexes
+ * @throws {ConstraintViolation} if a name is not the name of a literal
+ */
+Enumeration.prototype.parse = function (s) {
+  if (s.trim() === "") return [];
+  return s.split(",").map((name) => {
+    const enumInt = this.fromName(name.trim());
+    if (enumInt === undefined) {
+      throw new ConstraintViolation(
+        `"${name.trim()}" is not an enumeration literal name!`
+      );
+    }
+    return enumInt;
+  });
+};
+
+/**
+ * Serialize an enumeration literal/index as its name, which doesn't change
+ * when literals are added to the enumeration
+ * @param {number} enumInt the index
+ * @returns {string | undefined} the name, e.g. `"Biography"`, or `undefined`
+ * if the index is out of range
+ */
+Enumeration.prototype.toName = function (enumInt) {
+  return this.enumLitNames[enumInt - 1];
+};
+
+/**
+ * Look up an enumeration literal by its name (the inverse of `toName()`)
+ * @param {string} name the name, e.g. `"Biography"`
+ * @returns {number | undefined} the index, or `undefined` if there is no
+ * literal with this name
+ */
+Enumeration.prototype.fromName = function (name) {
+  const index = this.enumLitNames.indexOf(name);
+  return index < 0 ? undefined : index + 1;
+};
+
+/**
+ * Look up an enumeration literal of a code list by its code
+ * @param {string} code a key of the code list map
+ * @returns {number | undefined} the index, or `undefined` if there is no
+ * literal with this code
+ * @throws {TypeError} if the enumeration is not a code list
+ */
+Enumeration.prototype.getByCode = function (code) {
+  if (!this.codeList) {
+    throw new TypeError("The enumeration is not a code list!");
+  }
+  return this.fromName(code);
+};
+
+/**
+ * Read a persisted enumeration value: its name, or its index as it was
+ * persisted by former versions
+ * @param {number | string} value the name or the index (also as a string)
+ * @returns {number | undefined} the index, or `undefined` if the value is
+ * neither a name nor an index in range
+ */
+Enumeration.prototype.toIndex = function (value) {
+  const enumInt = typeof value === "string" ? this.fromName(value) : undefined;
+  if (enumInt !== undefined) return enumInt;
+  const index = typeof value === "string" ? Number(value.trim()) : value;
+  return Number.isInteger(index) && index >= 1 && index <= this.MAX
+    ? index
+    : undefined;
+};
+
+/**
+ * The labels in the chosen locale (see `i18n.js`). A label without a
+ * translation is kept.
+ * @type {string[]}
+ */
+Object.defineProperty(Enumeration.prototype, "localizedLabels", {
+  get() {
+    return this.enumLitNames.map((name, i) => {
+      const key = `${this.messageKey}.${name}`;
+      return this.messageKey && hasMessage(key) ? t(key) : this.labels[i];
+    });
+  },
+});
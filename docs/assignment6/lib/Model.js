@@ -0,0 +1,1023 @@
+/**
+ * @fileOverview A base class for model classes that declare their properties
+ * instead of hand-coding a getter, a setter and a check function for each of
+ * them.
+ * @author Christian Prinz
+ */
+import { Enumeration } from "./Enumeration.js";
+import {
+  AggregateConstraintViolation,
+  ConstraintViolation,
+  FrozenValueConstraintViolation,
+  IntervalConstraintViolation,
+  MandatoryValueConstraintViolation,
+  NoConstraintViolation,
+  RangeConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+  StringLengthConstraintViolation,
+  UniquenessConstraintViolation,
+} from "./errorTypes.js";
+import { hasMessage, t } from "./i18n.js";
+import {
+  getRawDate,
+  isDateOrDateString,
+  isIntegerOrIntegerString,
+  parseDate,
+  parseStringInteger,
+} from "./util.js";
+
+/**
+ * The declaration of a property of a model class.
+ * @typedef {object} PropertyDeclaration
+ * @prop {"String" | "Integer" | "Date" | Enumeration} [type] the range of an
+ * attribute (an `Enumeration` for the enumeration codes)
+ * @prop {string} [reference] the name of the model class the property
+ * references (instead of a `type`). It is set by an instance or its id.
+ * @prop {number | string} [min] [optional] the minimum of an integer, the
+ * earliest date or the minimum length of a string
+ * @prop {number} [max] [optional] the maximum of an integer or the maximum
+ * length of a string
+ * @prop {boolean} [optional] [optional] `true` if the property may be unset
+ * @prop {boolean} [id] [optional] `true` for the standard identifier
+ * @prop {boolean} [frozen] [optional] `true` if a value must not be changed
+ * once it is set
+ * @prop {boolean} [multiValued] [optional] `true` for a map of references by
+ * their id. It is maintained by `add<Property>()` and `remove<Property>()`
+ * as well as `add<Singular>()` and `remove<Singular>()`. With an
+ * `Enumeration` type, it is a set of enumeration codes (an ascending array)
+ * that is set as a whole instead.
+ * @prop {string} [singular] the name of a single value of a multi-valued
+ * property, e.g. `"actor"`
+ * @prop {string} [inverse] [optional] the inverse reference maintained by
+ * the referenced instances, e.g. `"DirectedMovie"` for the
+ * `addDirectedMovie()` and `removeDirectedMovie()` of a director
+ * @prop {{property: string, value: number}} [dependsOn] [optional] the
+ * property only applies (and is required then) if the other property has
+ * the value (or, for a set of codes, contains it), e.g. the subject of a
+ * biography
+ */
+
+/**
+ * A check function generated for a property (see `Model.setup()`).
+ * @typedef {(value: any, dependency?: any) => ConstraintViolation}
+ * PropertyCheck
+ */
+
+/**
+ * @param {string} name
+ * @returns {string} the name starting with a capital letter
+ */
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} `true` if the value counts as not provided (an empty set
+ * of enumeration codes as well)
+ */
+function isEmpty(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * @param {PropertyDeclaration} decl
+ * @returns {decl is PropertyDeclaration & {type: Enumeration}} `true` if the
+ * property is a set of enumeration codes
+ */
+function isEnumerationSet(decl) {
+  return Boolean(decl.multiValued) && decl.type instanceof Enumeration;
+}
+
+/**
+ * The base class of the model classes. A subclass declares its properties in
+ * `static properties` and is set up by `Model.setup()`, which generates
+ * - the getter and the setter of each property
+ * - the static `check<Property>()` functions (`check<Id>AsId()` and
+ * `check<Id>AsIdRef()` for the standard identifier)
+ * - the adders and removers of multi-valued references
+ *
+ * Members the subclass defines itself are not generated, so they can refine
+ * the generated ones. For the type check, the subclass declares the generated
+ * members after the class, e.g. `Person.prototype.name;` with a JSDoc type.
+ * A record is checked as a whole by `validate()`. The instances are
+ * serialized by `toJSON()`, created from their records by `deserialize()`
+ * and described by `toString()`.
+ * @example
+ * class Person extends Model {
+ *   static properties = {
+ *     personId: { type: "Integer", id: true, min: 0 },
+ *     name: { type: "String", min: 1, max: 120 },
+ *   };
+ *   static get storage() {
+ *     return PersonStorage;
+ *   }
+ *   constructor(slots) {
+ *     super();
+ *     if (arguments.length > 0) this.initialize(slots);
+ *   }
+ * }
+ * Model.setup(Person);
+ */
+export class Model {
+  /** the declared properties by their name (overridden by the subclasses)
+   * @type {{[property: string]: PropertyDeclaration}}
+   */
+  static properties = {};
+
+  /** the combinations of properties whose values must be unique among the
+   * stored instances (overridden by the subclasses), e.g. the season and the
+   * number of the episodes of a TV series. A combination with an unset
+   * value is not checked.
+   * @type {string[][]}
+   */
+  static uniqueKeys = [];
+
+  /** the model classes that were set up by their name, for resolving the
+   * `reference`s
+   * @private
+   * @type {{[name: string]: typeof Model}}
+   */
+  static _classes = {};
+
+  /** the functions invoked with an instance before its slots change
+   * @private
+   * @type {((instance: Model) => void)[]}
+   */
+  static _changeListeners = [];
+
+  /**
+   * the storage holding the instances (overridden by the subclasses). It is a
+   * getter, since the storage module imports the model class.
+   * @returns {{instances: {[key: string]: Model}, contains: (id: number | string) => boolean}}
+   */
+  static get storage() {
+    return undefined;
+  }
+
+  /** @returns {string} the name of the entity used in messages, e.g. `movie` */
+  static get entityName() {
+    return this.name.charAt(0).toLowerCase() + this.name.slice(1);
+  }
+
+  /** @returns {string} the name of the standard identifier, e.g. `movieId` */
+  static get idProperty() {
+    return Object.keys(this.properties).find((p) => this.properties[p].id);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {typeof Model} the model class with the name
+   */
+  static classNamed(name) {
+    return Model._classes[name];
+  }
+
+  /**
+   * @returns {string} the name of the entity in the chosen locale (the
+   * `entity.<Class>` message, e.g. `Film`), the `entityName` by default
+   */
+  static get entityLabel() {
+    const key = `entity.${this.name}`;
+    return hasMessage(key) ? t(key) : this.entityName;
+  }
+
+  /**
+   * @param {string} property
+   * @returns {string} the name of the property in the chosen locale (the
+   * `property.<property>` message, e.g. `Titel`), the property by default
+   */
+  static propertyLabel(property) {
+    const key = `property.${property}`;
+    return hasMessage(key) ? t(key) : property;
+  }
+
+  /**
+   * @private
+   * @param {string} key the key of the message of a violation
+   * @param {string} property the property the violation concerns
+   * @param {{[name: string]: any}} [params] [optional] the further
+   * parameters of the message
+   * @returns {string} the message in the chosen locale
+   */
+  static _message(key, property, params = {}) {
+    return t(key, {
+      entity: this.entityLabel,
+      property: this.propertyLabel(property),
+      ...params,
+    });
+  }
+
+  /**
+   * @private
+   * creates a violation of a constraint of a property
+   * @param {typeof ConstraintViolation} Violation the class of the violation
+   * @param {string} key the key of its message
+   * @param {string} property
+   * @param {any} value the offending value
+   * @param {{[name: string]: any}} [params] [optional] the parameters of the
+   * constraint (passed to the message as well)
+   * @param {{[name: string]: any}} [messageParams] [optional] further
+   * parameters of the message
+   * @returns {ConstraintViolation}
+   */
+  static _violation(
+    Violation,
+    key,
+    property,
+    value,
+    params = {},
+    messageParams = {}
+  ) {
+    return new Violation(
+      this._message(key, property, { value, ...params, ...messageParams }),
+      { entity: this.name, property, value, params }
+    );
+  }
+
+  /**
+   * CONSTRUCTOR
+   * @param {{[property: string]: any}} [slots] [optional] the creation slots.
+   * They are set by the subclass with `initialize()`, since its fields are
+   * only initialized after this constructor.
+   */
+  constructor(slots) {}
+
+  // *** setup ****************************************************************
+
+  /**
+   * generates the members of a model class from its declared properties and
+   * registers it as a target of references
+   * @param {typeof Model} cls
+   */
+  static setup(cls) {
+    Model._classes[cls.name] = cls;
+    /**
+     * @param {object} target the class or its prototype
+     * @param {string} name
+     * @param {PropertyDescriptor} descriptor
+     */
+    const define = (target, name, descriptor) => {
+      if (Object.prototype.hasOwnProperty.call(target, name)) return;
+      Object.defineProperty(target, name, {
+        configurable: true,
+        ...descriptor,
+      });
+    };
+
+    for (const [property, decl] of Object.entries(cls.properties)) {
+      const Property = capitalize(property);
+      const slot = `_${property}`;
+      define(cls.prototype, property, {
+        /** @this {Model} */
+        get() {
+          return this[slot];
+        },
+        /** @this {Model} */
+        set(value) {
+          this._setProperty(property, value);
+        },
+      });
+      if (decl.id) {
+        define(cls, `check${Property}`, {
+          value: (value) => cls._checkValue(property, value),
+        });
+        define(cls, `check${Property}AsId`, {
+          value: (value) => cls._checkId(value),
+        });
+        define(cls, `check${Property}AsIdRef`, {
+          value: (value) => cls._checkIdRef(value),
+        });
+      } else if (decl.multiValued && !isEnumerationSet(decl)) {
+        const Singular = capitalize(decl.singular);
+        define(cls, `check${Singular}`, {
+          value: (value) => cls._checkValue(property, value),
+        });
+        define(cls.prototype, `add${Property}`, {
+          value(values) {
+            for (const value of Model._valuesOf(values)) {
+              this[`add${Singular}`](value);
+            }
+          },
+        });
+        define(cls.prototype, `remove${Property}`, {
+          value(values) {
+            for (const value of Model._valuesOf(values)) {
+              this[`remove${Singular}`](value);
+            }
+          },
+        });
+        define(cls.prototype, `add${Singular}`, {
+          /** @this {Model} */
+          value(value) {
+            this._addValue(property, value);
+          },
+        });
+        define(cls.prototype, `remove${Singular}`, {
+          /** @this {Model} */
+          value(value) {
+            this._removeValue(property, value);
+          },
+        });
+      } else {
+        define(cls, `check${Property}`, {
+          value: (value, dependency) =>
+            cls._checkValue(property, value, dependency),
+        });
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {any[] | {[key: string]: any} | undefined} values an array of
+   * values or a map of them
+   * @returns {any[]}
+   */
+  static _valuesOf(values) {
+    if (!values) return [];
+    return Array.isArray(values) ? values : Object.values(values);
+  }
+
+  // *** validation ***********************************************************
+
+  /**
+   * @private
+   * checks a value of a property
+   * @param {string} property
+   * @param {any} value a single value of a multi-valued reference
+   * @param {any} [dependency] the value of the property `dependsOn` refers to
+   * @returns {ConstraintViolation}
+   */
+  static _checkValue(property, value, dependency) {
+    const decl = this.properties[property];
+    /**
+     * @param {typeof ConstraintViolation} Violation
+     * @param {string} key the key of the message
+     * @param {{[name: string]: any}} [params] the parameters of the constraint
+     * @param {{[name: string]: any}} [messageParams] further parameters of
+     * the message
+     */
+    const violation = (Violation, key, params, messageParams) =>
+      this._violation(Violation, key, property, value, params, messageParams);
+    if (decl.dependsOn) {
+      const type = /** @type {Enumeration} */ (
+        this.properties[decl.dependsOn.property].type
+      );
+      const applies = (Array.isArray(dependency) ? dependency : [dependency])
+        .filter((code) => !isEmpty(code))
+        .some((code) => type.toIndex(code) === decl.dependsOn.value);
+      const params = { dependsOn: decl.dependsOn, dependency };
+      const messageParams = {
+        label: type.localizedLabels[decl.dependsOn.value - 1],
+        dependency: this.propertyLabel(decl.dependsOn.property),
+      };
+      if (applies && isEmpty(value)) {
+        return violation(
+          MandatoryValueConstraintViolation,
+          "violation.dependentRequired",
+          params,
+          messageParams
+        );
+      } else if (!applies && !isEmpty(value)) {
+        return violation(
+          ConstraintViolation,
+          "violation.dependentForbidden",
+          params,
+          messageParams
+        );
+      }
+    }
+    if (isEmpty(value)) {
+      return decl.optional || decl.dependsOn || decl.multiValued
+        ? new NoConstraintViolation()
+        : violation(MandatoryValueConstraintViolation, "violation.required");
+    }
+    if (isEnumerationSet(decl) && Array.isArray(value)) {
+      // the first invalid code of the set
+      return (
+        value
+          .map((code) => this._checkValue(property, code))
+          .find((v) => !(v instanceof NoConstraintViolation)) ??
+        new NoConstraintViolation()
+      );
+    }
+    if (decl.reference) {
+      const target = Model.classNamed(decl.reference);
+      const id = typeof value === "object" ? value[target.idProperty] : value;
+      const validationResult = target._checkIdRef(id);
+      if (validationResult instanceof NoConstraintViolation) {
+        return validationResult;
+      }
+      // the violation concerns the referencing property
+      return new /** @type {typeof ConstraintViolation} */ (
+        validationResult.constructor
+      )(validationResult.message, {
+        entity: this.name,
+        property,
+        value,
+        params: { ...validationResult.params, reference: decl.reference, id },
+      });
+    }
+    const { type, min, max } = decl;
+    if (type === "String") {
+      if (typeof value !== "string") {
+        return violation(
+          RangeConstraintViolation,
+          "violation.notAString",
+          {
+            type: "string",
+          },
+          { type: typeof value }
+        );
+      }
+      const length = value.trim().length;
+      if (
+        length < /** @type {number} */ (min ?? 0) ||
+        length > (max ?? Infinity)
+      ) {
+        return max === undefined
+          ? violation(
+              StringLengthConstraintViolation,
+              "violation.minLength",
+              { min },
+              { length }
+            )
+          : violation(
+              StringLengthConstraintViolation,
+              "violation.length",
+              { min: min ?? 0, max },
+              { length }
+            );
+      }
+    } else if (type === "Integer") {
+      if (!isIntegerOrIntegerString(value)) {
+        return violation(
+          RangeConstraintViolation,
+          "violation.notAnInteger",
+          {
+            type: "Integer",
+          },
+          { type: typeof value }
+        );
+      }
+      const number = parseStringInteger(value);
+      if (
+        number < /** @type {number} */ (min ?? -Infinity) ||
+        number > (max ?? Infinity)
+      ) {
+        return max === undefined
+          ? violation(IntervalConstraintViolation, "violation.min", { min })
+          : violation(IntervalConstraintViolation, "violation.interval", {
+              min,
+              max,
+            });
+      }
+    } else if (type === "Date") {
+      if (!isDateOrDateString(value)) {
+        return violation(
+          RangeConstraintViolation,
+          "violation.notADate",
+          {
+            type: "Date",
+          },
+          { type: typeof value }
+        );
+      }
+      if (min !== undefined && parseDate(value) < new Date(min)) {
+        return violation(
+          IntervalConstraintViolation,
+          "violation.dateMin",
+          { min },
+          { value: getRawDate(parseDate(value)) }
+        );
+      }
+    } else if (type instanceof Enumeration) {
+      // the name of a literal, as it is persisted
+      if (typeof value === "string" && type.fromName(value) !== undefined) {
+        return new NoConstraintViolation();
+      }
+      if (!isIntegerOrIntegerString(value)) {
+        return violation(
+          RangeConstraintViolation,
+          "violation.notACode",
+          {
+            type: "Integer",
+          },
+          { type: typeof value }
+        );
+      }
+      const code = parseStringInteger(value);
+      if (code < 1 || code > type.MAX) {
+        return violation(
+          IntervalConstraintViolation,
+          "violation.notInEnumeration",
+          { min: 1, max: type.MAX }
+        );
+      }
+    }
+    return new NoConstraintViolation();
+  }
+
+  /**
+   * checks all properties of a record at once, including the rules between
+   * them (e.g. the subject of a biography), instead of stopping at the first
+   * violated constraint like the constructor and the setters
+   * @param {{[property: string]: any}} slots the record of a new instance,
+   * or the update slots of an existing one (with `<property>ToAdd` for the
+   * multi-valued references)
+   * @param {Model} [instance] [optional] the instance that is updated. Its id
+   * must exist then instead of being unique.
+   * @returns {{[property: string]: ConstraintViolation}} the violations by
+   * the property they concern. Empty if the slots are valid.
+   * @example
+   * Movie.validate({ movieId: 1, title: "", director: 99 });
+   * // { movieId: UniquenessConstraintViolation, title: StringLengthConstraintViolation,
+   * //   releaseDate: MandatoryValueConstraintViolation, director: ReferentialIntegrityConstraintViolation }
+   */
+  static validate(slots, instance) {
+    /** @type {{[property: string]: ConstraintViolation}} */
+    const violations = {};
+    for (const [property, decl] of Object.entries(this.properties)) {
+      const Property = capitalize(property);
+      const value = slots[property];
+      /** @type {ConstraintViolation} */
+      let validationResult = new NoConstraintViolation();
+      if (decl.id) {
+        validationResult = instance
+          ? this[`check${Property}AsIdRef`](value)
+          : this[`check${Property}AsId`](value);
+      } else if (decl.multiValued && !isEnumerationSet(decl)) {
+        const values = instance ? slots[`${property}ToAdd`] : value;
+        const check = this[`check${capitalize(decl.singular)}`];
+        validationResult =
+          Model._valuesOf(values)
+            .map((v) => check(v))
+            .find((v) => !(v instanceof NoConstraintViolation)) ??
+          validationResult;
+      } else if (
+        decl.frozen &&
+        !isEmpty(instance?.[`_${property}`]) &&
+        !instance.hasValue(property, value)
+      ) {
+        validationResult = this._violation(
+          FrozenValueConstraintViolation,
+          "violation.frozen",
+          property,
+          value,
+          { frozenValue: instance[`_${property}`] },
+          { value: instance[`_${property}`], newValue: value }
+        );
+      } else {
+        const dependency = decl.dependsOn && slots[decl.dependsOn.property];
+        validationResult = this[`check${Property}`](value, dependency);
+      }
+      if (!(validationResult instanceof NoConstraintViolation)) {
+        violations[property] = validationResult;
+      }
+    }
+    // the constraints between the properties, e.g. the `uniqueKeys`
+    const recordViolations = this.checkRecord(slots, instance);
+    for (const [property, violation] of Object.entries(recordViolations)) {
+      violations[property] ??= violation;
+    }
+    return violations;
+  }
+
+  /**
+   * checks the constraints between the properties of a record, which the
+   * setter of a single property can't check: the `uniqueKeys` by default. A
+   * subclass adds its own rules by overriding it.
+   * @param {{[property: string]: any}} slots the record, or an instance
+   * @param {Model} [instance] [optional] the instance that is updated (it
+   * doesn't conflict with itself)
+   * @returns {{[property: string]: ConstraintViolation}} the violations by
+   * the property they are reported for. Empty if the record is valid.
+   */
+  static checkRecord(slots, instance) {
+    /** @type {{[property: string]: ConstraintViolation}} */
+    const violations = {};
+    for (const key of this.uniqueKeys) {
+      const values = key.map((property) => slots[property]);
+      if (values.some(isEmpty)) continue;
+      const other = Object.values(this.storage.instances).find(
+        (stored) =>
+          stored !== instance &&
+          key.every((property, i) => stored.hasValue(property, values[i]))
+      );
+      if (!other) continue;
+      // reported for the last property, e.g. the number of an episode
+      const property = key[key.length - 1];
+      const shownValues = key.map((p, i) => {
+        const { reference } = this.properties[p];
+        const { idProperty } = reference ? Model.classNamed(reference) : {};
+        return typeof values[i] === "object" && idProperty
+          ? values[i][idProperty]
+          : values[i];
+      });
+      violations[property] = this._violation(
+        UniquenessConstraintViolation,
+        "violation.uniqueKey",
+        property,
+        slots[property],
+        { properties: key, values: shownValues, id: other[this.idProperty] },
+        {
+          properties: key.map((p) => this.propertyLabel(p)).join(", "),
+          value: shownValues.join(", "),
+        }
+      );
+    }
+    return violations;
+  }
+
+  /**
+   * checks all properties of a record at once like `validate()`
+   * @param {{[property: string]: any}} slots
+   * @param {Model} [instance] [optional] the instance that is updated
+   * @returns {ConstraintViolation} a `NoConstraintViolation`, or an
+   * `AggregateConstraintViolation` of all violations
+   */
+  static checkAll(slots, instance) {
+    const violations = Object.values(this.validate(slots, instance));
+    return violations.length > 0
+      ? new AggregateConstraintViolation(violations)
+      : new NoConstraintViolation();
+  }
+
+  /**
+   * @private
+   * checks if a value of the standard identifier is valid and not taken yet
+   * @param {number | string} id
+   * @returns {ConstraintViolation}
+   */
+  static _checkId(id) {
+    const { idProperty } = this;
+    const validationResult = this._checkValue(idProperty, id);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      return validationResult;
+    } else if (this.storage.contains(id)) {
+      return this._violation(
+        UniquenessConstraintViolation,
+        "violation.taken",
+        idProperty,
+        id
+      );
+    }
+    return validationResult;
+  }
+
+  /**
+   * @private
+   * checks if a value of the standard identifier refers to a stored instance
+   * @param {number | string} id
+   * @returns {ConstraintViolation}
+   */
+  static _checkIdRef(id) {
+    const { idProperty } = this;
+    const validationResult = this._checkValue(idProperty, id);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      return validationResult;
+    } else if (!this.storage.contains(id)) {
+      return this._violation(
+        ReferentialIntegrityConstraintViolation,
+        "violation.notFound",
+        idProperty,
+        id,
+        { id }
+      );
+    }
+    return validationResult;
+  }
+
+  // *** property slots *******************************************************
+
+  /**
+   * registers a function that is invoked with an instance before its slots
+   * change (e.g. for taking a snapshot of them)
+   * @param {(instance: Model) => void} listener
+   */
+  static addChangeListener(listener) {
+    Model._changeListeners.push(listener);
+  }
+
+  /**
+   * tells the change listeners that the slots of this instance are about to
+   * change. Every method changing a slot (including the inverse references)
+   * invokes it first.
+   */
+  willChange() {
+    for (const listener of Model._changeListeners) {
+      listener(this);
+    }
+  }
+
+  /**
+   * sets the declared properties to the values of the slots (in the order of
+   * their declaration). Unset optional properties are skipped.
+   * @protected
+   * @param {{[property: string]: any}} slots
+   * @throws {ConstraintViolation} the first violated constraint. The
+   * instance is removed from the inverse references of the referenced
+   * instances then.
+   */
+  initialize(slots) {
+    const { properties } = /** @type {typeof Model} */ (this.constructor);
+    try {
+      for (const [property, decl] of Object.entries(properties)) {
+        const value = slots[property];
+        if (decl.multiValued) {
+          this[property] = value ?? [];
+        } else if (!isEmpty(value) || !(decl.optional || decl.dependsOn)) {
+          this[property] = value;
+        }
+      }
+    } catch (e) {
+      // a rejected instance must not be referenced by other ones
+      this.unlinkReferences();
+      throw e;
+    }
+  }
+
+  /**
+   * checks and sets a value of a property
+   * @private
+   * @param {string} property
+   * @param {any} value
+   * @throws {ConstraintViolation}
+   */
+  _setProperty(property, value) {
+    const cls = /** @type {typeof Model} */ (this.constructor);
+    const decl = cls.properties[property];
+    const slot = `_${property}`;
+    this.willChange();
+    if (decl.multiValued && !isEnumerationSet(decl)) {
+      for (const referenced of Object.values(this[slot] ?? {})) {
+        referenced[`remove${decl.inverse}`]?.(this);
+      }
+      this[slot] = {};
+      this[`add${capitalize(property)}`](value);
+      return;
+    }
+    if (decl.frozen && !isEmpty(this[slot])) {
+      throw cls._violation(
+        FrozenValueConstraintViolation,
+        "violation.frozen",
+        property,
+        value,
+        { frozenValue: this[slot] },
+        { value: this[slot], newValue: value }
+      );
+    }
+    const check = cls[`check${capitalize(property)}`];
+    const validationResult = decl.dependsOn
+      ? check(value, this[decl.dependsOn.property])
+      : check(value);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    if (decl.reference) {
+      this[slot]?.[`remove${decl.inverse}`]?.(this);
+    }
+    if (isEnumerationSet(decl)) {
+      // without duplicates, in the order of the enumeration
+      const codes = Model._valuesOf(value).map((v) => decl.type.toIndex(v));
+      this[slot] = [...new Set(codes)].sort((a, b) => a - b);
+    } else if (isEmpty(value)) {
+      delete this[slot];
+    } else if (decl.reference) {
+      this[slot] = Model._resolve(decl.reference, value);
+      decl.inverse && this[slot][`add${decl.inverse}`](this);
+    } else if (decl.type === "String") {
+      this[slot] = value.trim();
+    } else if (decl.type === "Date") {
+      this[slot] = parseDate(value);
+    } else if (decl.type instanceof Enumeration) {
+      this[slot] = decl.type.toIndex(value);
+    } else {
+      this[slot] = parseStringInteger(value);
+    }
+  }
+
+  /**
+   * @param {string} property a single-valued property or a set of
+   * enumeration codes
+   * @param {any} value a value as it is passed to the setter
+   * @returns {boolean} `true` if setting the value wouldn't change the
+   * property (e.g. a reference set to the id of the referenced instance)
+   */
+  hasValue(property, value) {
+    const cls = /** @type {typeof Model} */ (this.constructor);
+    const decl = cls.properties[property];
+    const current = this[`_${property}`];
+    if (isEmpty(current) || isEmpty(value)) {
+      return isEmpty(current) && isEmpty(value);
+    } else if (decl.reference) {
+      const { idProperty } = Model.classNamed(decl.reference);
+      const id = typeof value === "object" ? value[idProperty] : value;
+      return String(current[idProperty]) === String(id);
+    } else if (isEnumerationSet(decl)) {
+      const codes = new Set(
+        Model._valuesOf(value).map((v) => decl.type.toIndex(v))
+      );
+      return (
+        codes.size === current.length && current.every((c) => codes.has(c))
+      );
+    } else if (decl.type === "Date") {
+      return (
+        isDateOrDateString(value) &&
+        parseDate(value).getTime() === current.getTime()
+      );
+    } else if (decl.type instanceof Enumeration) {
+      return decl.type.toIndex(value) === current;
+    }
+    // strings are trimmed by the setter
+    return String(current) === String(value).trim();
+  }
+
+  /**
+   * @private
+   * @param {string} reference the name of the referenced model class
+   * @param {Model | number | string} value an instance or its id
+   * @returns {Model} the stored instance
+   */
+  static _resolve(reference, value) {
+    const target = Model.classNamed(reference);
+    const id = typeof value === "object" ? value[target.idProperty] : value;
+    return target.storage.instances[id];
+  }
+
+  /**
+   * adds a reference to a multi-valued property
+   * @private
+   * @param {string} property
+   * @param {Model | number | string} value an instance or its id
+   * @throws {ConstraintViolation}
+   */
+  _addValue(property, value) {
+    const cls = /** @type {typeof Model} */ (this.constructor);
+    const decl = cls.properties[property];
+    if (isEmpty(value)) {
+      throw cls._violation(
+        MandatoryValueConstraintViolation,
+        "violation.required",
+        property,
+        value,
+        {},
+        { property: cls.propertyLabel(decl.singular) }
+      );
+    }
+    const validationResult = cls._checkValue(property, value);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    const referenced = Model._resolve(decl.reference, value);
+    const key = String(referenced[Model.classNamed(decl.reference).idProperty]);
+    this.willChange();
+    this[`_${property}`][key] = referenced;
+    decl.inverse && referenced[`add${decl.inverse}`](this);
+  }
+
+  /**
+   * removes a reference from a multi-valued property
+   * @private
+   * @param {string} property
+   * @param {Model | number | string} value an instance or its id
+   * @throws {ConstraintViolation}
+   */
+  _removeValue(property, value) {
+    const cls = /** @type {typeof Model} */ (this.constructor);
+    const decl = cls.properties[property];
+    const target = Model.classNamed(decl.reference);
+    const id = typeof value === "object" ? value[target.idProperty] : value;
+    const validationResult = cls._checkValue(property, id);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    const key = String(id);
+    this[`_${property}`][key]?.[`remove${decl.inverse}`]?.(this);
+    this.willChange();
+    delete this[`_${property}`][key];
+  }
+
+  // *** inverse references ***************************************************
+
+  /**
+   * @private
+   * @returns {[PropertyDeclaration, Model][]} the declarations of the
+   * references with an inverse reference and the instances they reference
+   */
+  _inverseReferences() {
+    const { properties } = /** @type {typeof Model} */ (this.constructor);
+    /** @type {[PropertyDeclaration, Model][]} */
+    const references = [];
+    for (const [property, decl] of Object.entries(properties)) {
+      if (!decl.inverse) continue;
+      const values = decl.multiValued
+        ? Object.values(this[`_${property}`] ?? {})
+        : [this[`_${property}`]];
+      for (const referenced of values) {
+        referenced && references.push([decl, referenced]);
+      }
+    }
+    return references;
+  }
+
+  /**
+   * adds the instance to the inverse references of the instances it
+   * references (e.g. after its slots were replaced)
+   */
+  linkReferences() {
+    for (const [{ inverse }, referenced] of this._inverseReferences()) {
+      referenced[`add${inverse}`](this);
+    }
+  }
+
+  /**
+   * removes the instance from the inverse references of the instances it
+   * references (e.g. when it is deleted)
+   */
+  unlinkReferences() {
+    for (const [{ inverse }, referenced] of this._inverseReferences()) {
+      referenced[`remove${inverse}`](this);
+    }
+  }
+
+  // *** serialization ********************************************************
+
+  /**
+   * creates an instance from a serialized one
+   * @param {{[property: string]: any}} slots the record
+   * @param {(error: any) => void} [onReject] [optional] invoked with the
+   * violation if the slots are rejected
+   * @returns {Model | null} the new instance if the slots pass their
+   * constraints. `null` otherwise.
+   */
+  static deserialize(slots, onReject) {
+    try {
+      return new this(slots);
+    } catch (e) {
+      console.warn(
+        `${e.constructor.name} while deserializing a ${this.entityName}: ${e.message}`
+      );
+      onReject?.(e);
+      return null;
+    }
+  }
+
+  /**
+   * this function is invoked by `JSON.stringify()` and converts the declared
+   * properties into a record (references by their id, enumeration
+   * values by their name)
+   * @returns {{[property: string]: any}}
+   */
+  toJSON() {
+    const { properties } = /** @type {typeof Model} */ (this.constructor);
+    /** @type {{[property: string]: any}} */
+    const rec = {};
+    for (const [property, decl] of Object.entries(properties)) {
+      const value = this[`_${property}`];
+      if (isEmpty(value)) continue;
+      if (decl.reference) {
+        const { idProperty } = Model.classNamed(decl.reference);
+        rec[property] = decl.multiValued
+          ? Object.values(value).map((referenced) => referenced[idProperty])
+          : value[idProperty];
+      } else if (isEnumerationSet(decl)) {
+        rec[property] = value.map((code) => decl.type.toName(code));
+      } else if (decl.type instanceof Enumeration) {
+        // by name, so adding literals doesn't change the meaning of a record
+        rec[property] = decl.type.toName(value);
+      } else {
+        rec[property] = value;
+      }
+    }
+    return rec;
+  }
+
+  /** @returns {string} the declared properties, e.g. `Person{ personId: 1, name: Stephen Frears }` */
+  toString() {
+    const cls = /** @type {typeof Model} */ (this.constructor);
+    const record = this.toJSON();
+    const slots = Object.entries(record).map(([property, value]) => {
+      const { type } = cls.properties[property];
+      if (value instanceof Date) {
+        value = value.toLocaleDateString();
+      } else if (type instanceof Enumeration && !Array.isArray(value)) {
+        value = type.labels[type.toIndex(value) - 1];
+      } else if (type instanceof Enumeration) {
+        value = `[${value
+          .map((v) => type.labels[type.toIndex(v) - 1])
+          .join(", ")}]`;
+      } else if (Array.isArray(value)) {
+        value = `[${value.join(", ")}]`;
+      }
+      return `${property}: ${value}`;
+    });
+    return `${cls.name}{ ${slots.join(", ")} }`;
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * @fileOverview  Reads and writes comma separated values (RFC 4180): fields
+ * containing the delimiter, quotes or line breaks are enclosed in double quotes
+ * and quotes inside are doubled.
+ * @author Christian Prinz
+ * @author Max Bergmann
+ */
+
+/**
+ * guesses the delimiter of a CSV text by counting the candidates in its first line
+ * @param {string} text
+ * @returns {string} `","`, `";"` or `"\t"`
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [",", ";", "\t"];
+  const counts = candidates.map((d) => firstLine.split(d).length);
+  return candidates[counts.indexOf(Math.max(...counts))];
+}
+
+/**
+ * parses a CSV text into rows of fields. Empty lines are skipped.
+ * @param {string} text
+ * @param {string} [delimiter] [optional] detected if not given
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let row = [];
+  let field = "";
+  let quoted = false;
+  // strip a byte order mark (written by spreadsheet programs)
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+/**
+ * converts a single value to a CSV field
+ * @param {any} value
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function toField(value, delimiter) {
+  const str = value === undefined || value === null ? "" : String(value);
+  return str.includes(delimiter) || /["\r\n]/.test(str)
+    ? `"${str.replace(/"/g, '""')}"`
+    : str;
+}
+
+/**
+ * converts rows of values into a CSV text
+ * @param {any[][]} rows
+ * @param {string} [delimiter] [optional] `","` by default
+ * @returns {string}
+ */
+export function stringifyCsv(rows, delimiter = ",") {
+  return rows
+    .map((row) => row.map((value) => toField(value, delimiter)).join(delimiter))
+    .join("\r\n");
+}
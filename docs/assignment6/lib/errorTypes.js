@@ -5,10 +5,56 @@
  * @author Christian Prinz
  */
 
-export class ConstraintViolation {
-  constructor(msg) {
+/**
+ * What a violation is about, for reacting to it without parsing its message.
+ * @typedef {object} ViolationDetails
+ * @prop {string} [entity] [optional] the name of the model class, e.g.
+ * `"Movie"`
+ * @prop {string} [property] [optional] the property whose value violates
+ * the constraint
+ * @prop {any} [value] [optional] the offending value
+ * @prop {{[name: string]: any}} [params] [optional] the parameters of the
+ * constraint, e.g. `min` and `max` of an interval, the `pattern` of a
+ * string or the referenced `id`
+ */
+
+/** ## Constraint Violation
+ * the base class of the violations. Its `code` names the kind of constraint
+ * (one per class), the details name the entity, the property and the value
+ * that violate it.
+ */
+export class ConstraintViolation extends Error {
+  /** the code of the kind of violated constraint (overridden by the
+   * subclasses) */
+  static code = "CONSTRAINT_VIOLATION";
+
+  /**
+   * @param {string} msg the message for the user
+   * @param {ViolationDetails} [details] [optional]
+   */
+  constructor(msg, { entity, property, value, params = {} } = {}) {
+    super(msg);
+    this.name = new.target.name;
     /** @type {string} */
-    this.message = msg;
+    this.code = /** @type {typeof ConstraintViolation} */ (new.target).code;
+    /** @type {string | undefined} */
+    this.entity = entity;
+    /** @type {string | undefined} */
+    this.property = property;
+    /** @type {any} */
+    this.value = value;
+    /** @type {{[name: string]: any}} */
+    this.params = params;
+  }
+
+  /**
+   * this function is invoked by `JSON.stringify()`
+   * @returns {{code: string, message: string} & ViolationDetails} the
+   * violation without its stack
+   */
+  toJSON() {
+    const { code, message, entity, property, value, params } = this;
+    return { code, message, entity, property, value, params };
   }
 }
 
@@ -16,6 +62,8 @@ export class ConstraintViolation {
  * Everything is fine.
  */
 export class NoConstraintViolation extends ConstraintViolation {
+  static code = "NONE";
+
   constructor(msg, v) {
     super(msg);
     if (v) this.checkedValue = v;
@@ -23,14 +71,48 @@ export class NoConstraintViolation extends ConstraintViolation {
   }
 }
 
+/** ## Aggregate Exception
+ * collects all violations of a record, e.g. the result of
+ * `Model.checkAll()`, instead of only the first one.
+ */
+export class AggregateConstraintViolation extends ConstraintViolation {
+  static code = "AGGREGATE";
+
+  /**
+   * @param {ConstraintViolation[]} violations
+   * @param {string} [msg] [optional] the messages of the violations by
+   * default (one per line)
+   */
+  constructor(violations, msg = violations.map((v) => v.message).join("\n")) {
+    super(msg, { entity: violations[0]?.entity });
+    /** @type {ConstraintViolation[]} */
+    this.violations = violations;
+  }
+
+  /**
+   * @returns {{[property: string]: ConstraintViolation}} the first violation
+   * of each property
+   */
+  get byProperty() {
+    /** @type {{[property: string]: ConstraintViolation}} */
+    const violations = {};
+    for (const violation of this.violations) {
+      violations[violation.property] ??= violation;
+    }
+    return violations;
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), violations: this.violations };
+  }
+}
+
 /** ## Required Value Exception
  * require that a property must have a value. For instance, a person must have
  *  a name, so the name attribute must not be empty.
  */
 export class MandatoryValueConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "MANDATORY_VALUE";
 }
 
 /** ## Out of Range Exception
@@ -38,9 +120,7 @@ export class MandatoryValueConstraintViolation extends ConstraintViolation {
  * that has been defined as its range. For instance, an integer attribute must not have the value "aaa".
  */
 export class RangeConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "RANGE";
 }
 
 /** ## String Length Exception
@@ -48,18 +128,14 @@ export class RangeConstraintViolation extends ConstraintViolation {
  * certain maximum number, or greater than a minimum number.
  */
 export class StringLengthConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "STRING_LENGTH";
 }
 
 /** ## Interval Exception
  * require that the value of a numeric attribute must be in a specific interval.
  */
 export class IntervalConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "INTERVAL";
 }
 
 /** ## Pattern Exception
@@ -67,9 +143,7 @@ export class IntervalConstraintViolation extends ConstraintViolation {
  * defined by a regular expression.
  */
 export class PatternConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "PATTERN";
 }
 
 /** ## Key-Constraint Exception
@@ -77,9 +151,7 @@ export class PatternConstraintViolation extends ConstraintViolation {
  * of the given object type.
  */
 export class UniquenessConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "UNIQUENESS";
 }
 
 /** ## Referential Integrity Constraints
@@ -87,9 +159,7 @@ export class UniquenessConstraintViolation extends ConstraintViolation {
  * an existing object in the range of the reference property.
  */
 export class ReferentialIntegrityConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "REFERENTIAL_INTEGRITY";
 }
 
 /** ## Frozen Value Exception
@@ -97,7 +167,5 @@ export class ReferentialIntegrityConstraintViolation extends ConstraintViolation
  * assigned initially.
  */
 export class FrozenValueConstraintViolation extends ConstraintViolation {
-  constructor(msg) {
-    super(msg);
-  }
+  static code = "FROZEN_VALUE";
 }
@@ -0,0 +1,246 @@
+/**
+ * @fileOverview Translates messages and the labels of the UI into the locale
+ * chosen by the user. The messages are looked up in catalogues by their key
+ * and filled in with their parameters. The catalogues of the constraint
+ * violations of the `Model` are defined here, the ones of the app are added
+ * by `addMessages()`.
+ * @author Christian Prinz
+ */
+
+/** the supported locales, the first one is the fallback */
+export const LOCALES = ["en", "de"];
+
+/** the name of the `localStorage` entry holding the chosen locale */
+const LOCALE_STORAGE_KEY = "locale";
+
+/**
+ * A message with `{parameter}` placeholders, or a function composing the
+ * message from its parameters (for grammar a placeholder can't express).
+ * @typedef {string | ((params: {[name: string]: any}) => string)} MessageTemplate
+ */
+
+/**
+ * @param {string} word
+ * @returns {string} the word with its English indefinite article, e.g.
+ * `an 'about'`
+ */
+function withArticle(word) {
+  return `${/^'?[aeiou]/i.test(word) ? "an" : "a"} ${word}`;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} the text starting with a capital letter
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * the message templates by their locale and key
+ * @type {{[locale: string]: {[key: string]: MessageTemplate}}}
+ */
+const catalogues = {
+  en: {
+    "violation.required": "The {entity}'s {property} is required!",
+    "violation.dependentRequired": ({ label, property }) =>
+      `${capitalize(withArticle(label))} must have ${withArticle(
+        `'${property}'`
+      )} field!`,
+    "violation.dependentForbidden": ({ entity, label, property }) =>
+      `${capitalize(withArticle(`'${property}'`))} field value must not ` +
+      `be provided if the ${entity} is not ${withArticle(label)}!`,
+    "violation.notAString":
+      'The {entity}\'s {property} ({value}) must be of type "string", but is {type}!',
+    "violation.minLength":
+      "The {entity}'s {property} must have at least {min} letter(s), but has {length}!",
+    "violation.length":
+      "The {entity}'s {property} must have a length between {min} and {max} letters, but has {length}!",
+    "violation.notAnInteger":
+      "The {entity}'s {property} must be an Integer, but is ({value}: {type})!",
+    "violation.min":
+      "The {entity}'s {property} must be at least {min}, but is {value}!",
+    "violation.interval":
+      "The {entity}'s {property} must be between {min} and {max}, but is {value}!",
+    "violation.notADate":
+      'The {entity}\'s {property} must be of type "Date" or a valid date string, but is ({value}: {type})!',
+    "violation.dateMin":
+      "The {entity}'s {property} must be after {min}, but is {value}!",
+    "violation.notACode":
+      "The {entity}'s {property} must be of type number, but is ({value}: {type})!",
+    "violation.notInEnumeration":
+      "The {entity}'s {property} ({value}) is not in the enumeration [1,{max}]!",
+    "violation.taken":
+      "The {entity}'s {property} ({value}) is already taken by another {entity}!",
+    "violation.uniqueKey":
+      "The {entity}'s combination of {properties} ({value}) is already taken by another {entity}!",
+    "violation.notFound":
+      "The {entity} with {property} ({value}) cannot be found!",
+    "violation.frozen":
+      "The {entity}'s {property} ({value}) must not be changed (to {newValue})!",
+  },
+  de: {
+    "violation.required": "{Entity}: „{property}“ ist erforderlich!",
+    "violation.dependentRequired":
+      "Wenn „{dependency}“ den Wert „{label}“ hat, ist „{property}“ erforderlich!",
+    "violation.dependentForbidden":
+      "„{property}“ darf nur angegeben werden, wenn „{dependency}“ den Wert „{label}“ hat!",
+    "violation.notAString":
+      "{Entity}: „{property}“ ({value}) muss ein Text sein, ist aber vom Typ {type}!",
+    "violation.minLength":
+      "{Entity}: „{property}“ muss mindestens {min} Zeichen haben, hat aber {length}!",
+    "violation.length":
+      "{Entity}: „{property}“ muss zwischen {min} und {max} Zeichen haben, hat aber {length}!",
+    "violation.notAnInteger":
+      "{Entity}: „{property}“ muss eine ganze Zahl sein, ist aber ({value}: {type})!",
+    "violation.min":
+      "{Entity}: „{property}“ muss mindestens {min} sein, ist aber {value}!",
+    "violation.interval":
+      "{Entity}: „{property}“ muss zwischen {min} und {max} liegen, ist aber {value}!",
+    "violation.notADate":
+      "{Entity}: „{property}“ muss ein gültiges Datum sein, ist aber ({value}: {type})!",
+    "violation.dateMin":
+      "{Entity}: „{property}“ muss nach dem {min} liegen, ist aber der {value}!",
+    "violation.notACode":
+      "{Entity}: „{property}“ muss eine Zahl sein, ist aber ({value}: {type})!",
+    "violation.notInEnumeration":
+      "{Entity}: „{property}“ ({value}) liegt nicht im Wertebereich [1,{max}]!",
+    "violation.taken": "{Entity}: „{property}“ ({value}) ist bereits vergeben!",
+    "violation.uniqueKey":
+      "{Entity}: die Kombination aus {properties} ({value}) ist bereits vergeben!",
+    "violation.notFound":
+      "{Entity} mit „{property}“ ({value}) wurde nicht gefunden!",
+    "violation.frozen":
+      "{Entity}: „{property}“ ({value}) darf nicht mehr geändert werden (zu {newValue})!",
+  },
+};
+
+/**
+ * @returns {string} the locale stored in the browser, or the preferred
+ * language of the browser if it is supported
+ */
+function readLocale() {
+  const stored = globalThis.localStorage?.getItem(LOCALE_STORAGE_KEY);
+  const preferred = globalThis.navigator?.language?.slice(0, 2);
+  return [stored, preferred].find((l) => LOCALES.includes(l)) ?? LOCALES[0];
+}
+
+/** the locale the messages are translated into */
+let currentLocale = readLocale();
+
+/** @returns {string} the chosen locale, e.g. `"de"` */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * chooses the locale of the messages and stores it in the browser. The
+ * labels that are already shown are not translated again (the page has to
+ * be reloaded).
+ * @param {string} locale one of the `LOCALES`
+ */
+export function setLocale(locale) {
+  if (!LOCALES.includes(locale)) {
+    throw new RangeError(`The locale ${locale} is not supported!`);
+  }
+  currentLocale = locale;
+  globalThis.localStorage?.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+/**
+ * adds messages to the catalogue of a locale
+ * @param {string} locale
+ * @param {{[key: string]: MessageTemplate}} messages the templates by their
+ * key
+ */
+export function addMessages(locale, messages) {
+  catalogues[locale] = { ...catalogues[locale], ...messages };
+}
+
+/**
+ * @param {string} key
+ * @returns {boolean} `true` if the key has a message in the chosen locale or
+ * in the fallback one
+ */
+export function hasMessage(key) {
+  return key in (catalogues[currentLocale] ?? {}) || key in catalogues.en;
+}
+
+/**
+ * translates a message into the chosen locale (the fallback locale if the
+ * chosen one lacks it). A placeholder with a capitalized name, e.g.
+ * `{Entity}`, is filled in with the parameter starting with a capital letter.
+ * @param {string} key the key of the message, e.g. `"violation.required"`
+ * @param {{[name: string]: any}} [params] [optional] the values of the
+ * placeholders
+ * @returns {string} the message, or the key if there is none
+ * @example
+ * t("violation.min", { entity: "movie", property: "movieId", min: 0, value: -1 });
+ * // "The movie's movieId must be at least 0, but is -1!"
+ */
+export function t(key, params = {}) {
+  const template = catalogues[currentLocale]?.[key] ?? catalogues.en[key];
+  if (template === undefined) {
+    return key;
+  } else if (typeof template === "function") {
+    return template(params);
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (name in params) return String(params[name]);
+    const lowerName = name.charAt(0).toLowerCase() + name.slice(1);
+    return lowerName in params
+      ? capitalize(String(params[lowerName]))
+      : placeholder;
+  });
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} the date in the format of the chosen locale, e.g.
+ * `21.12.2001`
+ */
+export function formatDate(date) {
+  return date.toLocaleDateString(currentLocale, { dateStyle: "medium" });
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} the date and the time in the format of the chosen locale
+ */
+export function formatDateTime(date) {
+  return date.toLocaleString(currentLocale, {
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+/**
+ * translates the labels of a page. An element with a `data-i18n` attribute
+ * gets the message of its key as its first text (so the fields inside of a
+ * label are kept), one with a `data-i18n-placeholder` attribute gets it as
+ * its placeholder and accessible name.
+ * @param {ParentNode} [root] [optional] the document by default
+ */
+export function translatePage(root = document) {
+  document.documentElement.lang = currentLocale;
+  for (const el of root.querySelectorAll("[data-i18n]")) {
+    const message = t(el.getAttribute("data-i18n"));
+    const textNode = [...el.childNodes].find(
+      (node) => node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+    );
+    if (textNode) {
+      // keep the whitespace between the text and the fields
+      textNode.textContent = textNode.textContent.replace(
+        /\S.*\S|\S/s,
+        message
+      );
+    } else {
+      el.prepend(message);
+    }
+  }
+  for (const el of root.querySelectorAll("[data-i18n-placeholder]")) {
+    const message = t(el.getAttribute("data-i18n-placeholder"));
+    el.setAttribute("placeholder", message);
+    el.setAttribute("aria-label", message);
+  }
+}
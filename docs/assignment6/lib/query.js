@@ -0,0 +1,282 @@
+/**
+ * @fileOverview  Filters, sorts and paginates collections of entities.
+ * @author Christian Prinz
+ * @author Max Bergmann
+ */
+
+/**
+ * A condition on a property. A plain value is compared for equality, an object
+ * combines operators (all must hold):
+ * - `eq`, `ne`: equal / not equal
+ * - `lt`, `lte`, `gt`, `gte`: less / greater (than or equal)
+ * - `in`: one of a list of values
+ * - `contains`: a string containing the given text (ignoring case)
+ * - `exists`: `true` if the property has a value, `false` if it hasn't
+ *
+ * A multi-valued property (like the actors of a movie) fulfills a condition if
+ * any of its values does. A reference (like the director of a movie) is
+ * compared by its id, unless a path like `"director.name"` is given.
+ * @typedef {any | {eq?: any, ne?: any, lt?: any, lte?: any, gt?: any, gte?: any, in?: any[], contains?: string, exists?: boolean}} Condition
+ */
+
+/**
+ * A sort key: a property path (prefixed with `"-"` for descending order) or an
+ * object naming the path and the direction.
+ * @typedef {string | {by: string, direction?: "asc" | "desc"}} SortKey
+ */
+
+/**
+ * @template T
+ * @typedef {object} Query
+ * @prop {{[path: string]: Condition} | ((instance: T) => boolean)} [where]
+ * the conditions (by property path) all results fulfill, or a predicate
+ * @prop {SortKey | SortKey[]} [orderBy] the sort keys, the first one first
+ * @prop {number} [offset] the number of results to skip
+ * @prop {number} [limit] the maximum number of results
+ */
+
+/**
+ * The properties referencing other entities and the id property of the
+ * referenced entities, e.g. `{director: "personId"}`.
+ * @typedef {{[property: string]: string}} References
+ */
+
+/** the operators a condition can combine */
+const OPERATORS = [
+  "eq",
+  "ne",
+  "lt",
+  "lte",
+  "gt",
+  "gte",
+  "in",
+  "contains",
+  "exists",
+];
+
+/**
+ * @param {any} value
+ * @returns {boolean} `true` if the value is a collection of values (an array
+ * or a map like `{[personId]: Person}`)
+ */
+function isCollection(value) {
+  return (
+    Array.isArray(value) ||
+    (!!value &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(value) === Object.prototype)
+  );
+}
+
+/**
+ * resolves a property path like `"director.name"` or `"actors.personId"`.
+ * The values of collections along the path are collected.
+ * @param {any} instance
+ * @param {string[]} path
+ * @returns {any[]} the values at the end of the path
+ */
+function resolvePath(instance, path) {
+  let values = [instance];
+  for (const p of path) {
+    values = values
+      .map((value) =>
+        value === undefined || value === null ? value : value[p]
+      )
+      .flatMap((value) =>
+        isCollection(value) ? Object.values(value) : [value]
+      );
+  }
+  return values.filter((value) => value !== undefined && value !== null);
+}
+
+/**
+ * converts a path to the property path that is compared. References are
+ * compared by the id of the referenced entity.
+ * @param {string} path
+ * @param {References} references
+ * @returns {string[]}
+ */
+function toPropertyPath(path, references) {
+  const properties = path.split(".");
+  if (properties.length === 1 && references[path]) {
+    properties.push(references[path]);
+  }
+  return properties;
+}
+
+/**
+ * converts a value of a condition to the type of a property value, e.g. a
+ * date string to compare it with a `Date`
+ * @param {any} operand the value of the condition
+ * @param {any} value the property value
+ * @param {string} [idProp] the id property if the property is a reference
+ * @returns {any} the comparable operand
+ */
+function toComparable(operand, value, idProp) {
+  if (idProp && operand && typeof operand === "object") {
+    // an entity is compared by its id
+    return operand[idProp];
+  } else if (value instanceof Date) {
+    return operand instanceof Date ? operand.getTime() : Date.parse(operand);
+  } else if (typeof value === "number" && typeof operand === "string") {
+    return Number(operand);
+  }
+  return operand;
+}
+
+/**
+ * @param {any} value
+ * @returns {any} the value as it is compared (`Date`s by their time)
+ */
+function toPrimitive(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+/**
+ * checks if a single property value fulfills an operator
+ * @param {any} value
+ * @param {string} operator
+ * @param {any} operand
+ * @param {string} [idProp]
+ * @returns {boolean}
+ */
+function fulfills(value, operator, operand, idProp) {
+  const a = toPrimitive(value);
+  const b = () => toComparable(operand, value, idProp);
+  switch (operator) {
+    case "eq":
+      return a === b();
+    case "ne":
+      return a !== b();
+    case "lt":
+      return a < b();
+    case "lte":
+      return a <= b();
+    case "gt":
+      return a > b();
+    case "gte":
+      return a >= b();
+    case "in":
+      return operand.some(
+        (/** @type {any} */ op) => a === toComparable(op, value, idProp)
+      );
+    case "contains":
+      return String(a).toLowerCase().includes(String(operand).toLowerCase());
+    default:
+      return false;
+  }
+}
+
+/**
+ * checks if an instance fulfills the condition on a property path
+ * @param {any} instance
+ * @param {string} path
+ * @param {Condition} condition
+ * @param {References} references
+ * @returns {boolean}
+ */
+function fulfillsCondition(instance, path, condition, references) {
+  const idProp = path.includes(".") ? undefined : references[path];
+  const values = resolvePath(instance, toPropertyPath(path, references));
+  const isOperatorObject =
+    !!condition &&
+    typeof condition === "object" &&
+    Object.getPrototypeOf(condition) === Object.prototype;
+  const operators = isOperatorObject ? condition : { eq: condition };
+  return Object.entries(operators).every(([operator, operand]) => {
+    if (!OPERATORS.includes(operator)) {
+      throw new Error(`Unknown query operator "${operator}" for "${path}"!`);
+    }
+    if (operator === "exists") {
+      return values.length > 0 === Boolean(operand);
+    } else if (operator === "ne") {
+      // no value may be equal
+      return values.every((value) => fulfills(value, "ne", operand, idProp));
+    }
+    return values.some((value) => fulfills(value, operator, operand, idProp));
+  });
+}
+
+/**
+ * compares two instances by the given sort keys
+ * @param {any} x
+ * @param {any} y
+ * @param {{path: string[], factor: number}[]} sortKeys
+ * @returns {number}
+ */
+function compareBy(x, y, sortKeys) {
+  for (const { path, factor } of sortKeys) {
+    const [a] = resolvePath(x, path).map(toPrimitive);
+    const [b] = resolvePath(y, path).map(toPrimitive);
+    // missing values are sorted last
+    if (a === undefined || b === undefined) {
+      if (a !== b) return a === undefined ? 1 : -1;
+      continue;
+    }
+    const result =
+      typeof a === "string" && typeof b === "string"
+        ? a.localeCompare(b)
+        : a < b
+        ? -1
+        : a > b
+        ? 1
+        : 0;
+    if (result !== 0) return result * factor;
+  }
+  return 0;
+}
+
+/**
+ * parses the sort keys of a query
+ * @param {SortKey | SortKey[]} orderBy
+ * @param {References} references
+ * @returns {{path: string[], factor: number}[]}
+ */
+function parseSortKeys(orderBy, references) {
+  return (Array.isArray(orderBy) ? orderBy : [orderBy]).map((key) => {
+    const { by, direction } =
+      typeof key === "string"
+        ? key.startsWith("-")
+          ? { by: key.slice(1), direction: "desc" }
+          : { by: key, direction: "asc" }
+        : key;
+    return {
+      path: toPropertyPath(by, references),
+      factor: direction === "desc" ? -1 : 1,
+    };
+  });
+}
+
+/**
+ * filters, sorts and paginates a list of instances
+ * @template T
+ * @param {T[]} instances
+ * @param {Query<T>} query
+ * @param {References} [references] [optional] the reference properties of the instances
+ * @returns {T[]} the matching instances
+ */
+export function runQuery(
+  instances,
+  { where, orderBy, offset = 0, limit },
+  references = {}
+) {
+  let results = instances;
+  if (typeof where === "function") {
+    results = results.filter(/** @type {(instance: T) => boolean} */ (where));
+  } else if (where) {
+    const conditions = Object.entries(where);
+    results = results.filter((instance) =>
+      conditions.every(([path, condition]) =>
+        fulfillsCondition(instance, path, condition, references)
+      )
+    );
+  }
+  if (orderBy) {
+    const sortKeys = parseSortKeys(orderBy, references);
+    results = results.slice(0).sort((x, y) => compareBy(x, y, sortKeys));
+  }
+  return results.slice(
+    offset,
+    limit === undefined ? undefined : offset + limit
+  );
+}
@@ -0,0 +1,305 @@
+/**
+ * @fileOverview  Defines interchangeable storage backends (adapters) for the
+ * entity storages. Every adapter stores collections of serializable records
+ * under a `storeName` and maps them by their (string) identifier.
+ * @author Christian Prinz
+ * @author Max Bergmann
+ */
+
+/**
+ * The interface all storage adapters implement. Every method returns a
+ * `Promise`, so synchronous and asynchronous backends can be used alike.
+ * @typedef {object} StorageAdapter
+ * @prop {(storeName: string) => Promise<{[key: string]: object}>} load
+ * loads all records of a store as a map of `id -> record`
+ * @prop {(storeName: string, records: {[key: string]: object}) => Promise<void>} save
+ * inserts or overwrites the given records (`id -> record`) of a store
+ * @prop {(storeName: string, ids: (number | string)[]) => Promise<void>} delete
+ * deletes the records with the given identifiers from a store
+ * @prop {(storeName: string) => Promise<void>} clear
+ * deletes all records of a store
+ */
+
+/**
+ * converts an entity (or any other object) into a plain record by invoking its
+ * `toJSON()` recursively, like `JSON.stringify()` does.
+ * @param {object} obj to convert
+ * @returns {object} the plain record
+ */
+function toRecord(obj) {
+  return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * Stores every collection as one JSON string at `localStorage[storeName]`.
+ * This is the format the app has always used.
+ * @implements {StorageAdapter}
+ */
+export class LocalStorageAdapter {
+  /**
+   * @param {string} storeName
+   * @returns {Promise<{[key: string]: object}>}
+   */
+  async load(storeName) {
+    return this._read(storeName);
+  }
+
+  /**
+   * reads a store synchronously, so a following write can't interleave with
+   * another write
+   * @private
+   * @param {string} storeName
+   * @returns {{[key: string]: object}}
+   */
+  _read(storeName) {
+    const serialized = localStorage[storeName];
+    return serialized && serialized.length > 0 ? JSON.parse(serialized) : {};
+  }
+
+  /**
+   * @param {string} storeName
+   * @param {{[key: string]: object}} records
+   */
+  async save(storeName, records) {
+    const stored = this._read(storeName);
+    for (const key of Object.keys(records)) {
+      stored[key] = records[key];
+    }
+    localStorage.setItem(storeName, JSON.stringify(stored));
+  }
+
+  /**
+   * @param {string} storeName
+   * @param {(number | string)[]} ids
+   */
+  async delete(storeName, ids) {
+    const stored = this._read(storeName);
+    for (const id of ids) {
+      delete stored[String(id)];
+    }
+    localStorage.setItem(storeName, JSON.stringify(stored));
+  }
+
+  /** @param {string} storeName */
+  async clear(storeName) {
+    localStorage[storeName] = "{}";
+  }
+}
+
+/** the key of the record of the metadata store that holds the time each store
+ * was moved from the legacy adapter */
+const MIGRATED_STORES_KEY = "migratedStores";
+
+/**
+ * Stores one record per entity in an object store of an IndexedDB database.
+ * Object stores are created on demand, so new entity types don't need a
+ * manual schema upgrade.
+ * @implements {StorageAdapter}
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} dbName the name of the IndexedDB database
+   * @param {StorageAdapter} [legacyAdapter] [optional] an adapter whose
+   * records are moved into an object store when it is loaded for the first time
+   * @param {string} [metadataStore] [optional] the object store that keeps
+   * which stores were moved, `"metadata"` by default
+   */
+  constructor(dbName, legacyAdapter, metadataStore = "metadata") {
+    /** @private @type {string} */
+    this._dbName = dbName;
+    /** @private @type {StorageAdapter | undefined} */
+    this._legacyAdapter = legacyAdapter;
+    /** @private @type {string} */
+    this._metadataStore = metadataStore;
+    /** @private @type {Promise<IDBDatabase> | null} */
+    this._db = null;
+  }
+
+  /**
+   * opens the database and (re)opens it with a higher version if the object
+   * store `storeName` doesn't exist yet. The calls are chained, so concurrent
+   * upgrades can't get in each other's way.
+   * @private
+   * @param {string} storeName
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open(storeName) {
+    const previous = this._db;
+    this._db = (async () => {
+      let db = previous ? await previous.catch(() => null) : null;
+      if (!db) {
+        db = await this._connect();
+      }
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.close();
+        db = await this._connect(db.version + 1, storeName);
+      }
+      return db;
+    })();
+    return this._db;
+  }
+
+  /**
+   * opens a new connection that is closed (and reopened on the next access)
+   * when another tab upgrades the database
+   * @private
+   * @param {number} [version] [optional] the version to open
+   * @param {string} [storeName] [optional] the object store to create
+   * @returns {Promise<IDBDatabase>}
+   */
+  async _connect(version, storeName) {
+    const db = await openDatabase(this._dbName, version, storeName);
+    db.onversionchange = () => {
+      db.close();
+      this._db = null;
+    };
+    return db;
+  }
+
+  /**
+   * runs `operation` inside a transaction on the object store `storeName`
+   * @private
+   * @param {string} storeName
+   * @param {IDBTransactionMode} mode
+   * @param {(store: IDBObjectStore) => void} operation
+   * @returns {Promise<void>} resolves when the transaction completed
+   */
+  async _transaction(storeName, mode, operation) {
+    const db = await this._open(storeName);
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+      operation(transaction.objectStore(storeName));
+    });
+  }
+
+  /**
+   * @param {string} storeName
+   * @returns {Promise<{[key: string]: object}>}
+   */
+  async load(storeName) {
+    /** @type {{[key: string]: object}} */
+    const records = {};
+    await this._transaction(storeName, "readonly", (store) => {
+      store.openCursor().onsuccess = (e) => {
+        /** @ts-ignore @type {IDBCursorWithValue} */
+        const cursor = e.target.result;
+        if (cursor) {
+          records[String(cursor.key)] = cursor.value;
+          cursor.continue();
+        }
+      };
+    });
+    if (storeName === this._metadataStore) {
+      delete records[MIGRATED_STORES_KEY];
+    }
+    if (this._legacyAdapter && !(await this._isMigrated(storeName))) {
+      return this._migrate(storeName, records);
+    }
+    return records;
+  }
+
+  /**
+   * @private
+   * @param {string} storeName
+   * @returns {Promise<boolean>} `true` if the records of the legacy adapter
+   * were moved into the object store
+   */
+  async _isMigrated(storeName) {
+    /** @type {{[storeName: string]: string} | undefined} */
+    let migratedStores;
+    await this._transaction(this._metadataStore, "readonly", (store) => {
+      store.get(MIGRATED_STORES_KEY).onsuccess = (e) => {
+        /** @ts-ignore @type {{[storeName: string]: string} | undefined} */
+        migratedStores = e.target.result;
+      };
+    });
+    return Boolean(migratedStores?.[storeName]);
+  }
+
+  /**
+   * moves the records of the legacy adapter into the object store once. An
+   * object store that already has records was filled before the moved stores
+   * were kept, so it is only marked as moved.
+   * @private
+   * @param {string} storeName
+   * @param {{[key: string]: object}} records the records of the object store
+   * @returns {Promise<{[key: string]: object}>} the records of the object
+   * store after the move
+   */
+  async _migrate(storeName, records) {
+    if (Object.keys(records).length === 0) {
+      records = await this._legacyAdapter.load(storeName);
+      const keys = Object.keys(records);
+      if (keys.length > 0) {
+        await this.save(storeName, records);
+        await this._legacyAdapter.clear(storeName);
+        console.info(`${keys.length} records of "${storeName}" migrated`);
+      }
+    }
+    const migratedAt = new Date().toISOString();
+    await this._transaction(this._metadataStore, "readwrite", (store) => {
+      const request = store.get(MIGRATED_STORES_KEY);
+      request.onsuccess = () => {
+        store.put(
+          { ...request.result, [storeName]: migratedAt },
+          MIGRATED_STORES_KEY
+        );
+      };
+    });
+    return records;
+  }
+
+  /**
+   * @param {string} storeName
+   * @param {{[key: string]: object}} records
+   */
+  async save(storeName, records) {
+    await this._transaction(storeName, "readwrite", (store) => {
+      for (const key of Object.keys(records)) {
+        store.put(toRecord(records[key]), key);
+      }
+    });
+  }
+
+  /**
+   * @param {string} storeName
+   * @param {(number | string)[]} ids
+   */
+  async delete(storeName, ids) {
+    await this._transaction(storeName, "readwrite", (store) => {
+      for (const id of ids) {
+        store.delete(String(id));
+      }
+    });
+  }
+
+  /** @param {string} storeName */
+  async clear(storeName) {
+    await this._transaction(storeName, "readwrite", (store) => store.clear());
+  }
+}
+
+/**
+ * opens an IndexedDB database and creates the object store `storeName` if an
+ * upgrade is needed
+ * @param {string} dbName
+ * @param {number} [version] [optional] the version to open
+ * @param {string} [storeName] [optional] the object store to create
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(dbName, version, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, version);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (storeName && !db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
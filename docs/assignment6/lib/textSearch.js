@@ -0,0 +1,105 @@
+/**
+ * @fileOverview  Normalizes, tokenizes and compares texts for a full-text search.
+ * @author Christian Prinz
+ * @author Max Bergmann
+ */
+
+/**
+ * converts a text to lower case and removes its diacritics, so `"Élan"` and
+ * `"elan"` are equal
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeText(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+/**
+ * splits a text into its normalized words (letters and digits)
+ * @param {string} text
+ * @returns {string[]} the words in the order of the text (without duplicates)
+ */
+export function tokenize(text) {
+  if (text === undefined || text === null) return [];
+  return [...new Set(normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [])];
+}
+
+/**
+ * computes the number of insertions, deletions, substitutions and
+ * transpositions of adjacent characters needed to turn `a` into `b` (optimal
+ * string alignment distance). The computation stops as soon as the distance
+ * exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max the largest distance of interest
+ * @returns {number} the distance or `max + 1` if it is larger than `max`
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  /** @type {number[][]} */
+  const d = [];
+  for (let i = 0; i <= a.length; i++) {
+    d[i] = [i];
+  }
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, d[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return Math.min(d[a.length][b.length], max + 1);
+}
+
+/**
+ * @param {string} token a word of a search text
+ * @returns {number} the number of typos tolerated for the word (none for short
+ * words, which would match too many others)
+ */
+function toleratedTypos(token) {
+  return token.length < 4 ? 0 : token.length < 8 ? 1 : 2;
+}
+
+/**
+ * rates how well a normalized word of a search text matches an indexed word
+ * - `1`: equal
+ * - `0.8`: the indexed word starts with the searched one
+ * - `0.5` / `0.3`: one / two typos
+ * - `0.4` / `0.2`: the indexed word starts with the searched one with one /
+ * two typos
+ * @param {string} token the searched word
+ * @param {string} term the indexed word
+ * @returns {number} the rating between `0` (no match) and `1`
+ */
+export function matchScore(token, term) {
+  if (token === term) return 1;
+  if (term.startsWith(token)) return 0.8;
+  const max = toleratedTypos(token);
+  if (max === 0) return 0;
+  const distance = editDistance(token, term, max);
+  if (distance <= max) return distance === 1 ? 0.5 : 0.3;
+  if (term.length > token.length) {
+    const prefixDistance = editDistance(
+      token,
+      term.slice(0, token.length),
+      max
+    );
+    if (prefixDistance <= max) return prefixDistance === 1 ? 0.4 : 0.2;
+  }
+  return 0;
+}
@@ -42,6 +42,19 @@ export function cloneObject(obj) {
   return clone;
 }
 
+/**
+ * Replaces all own properties of an object with the ones of another object,
+ * so all references to `target` see the state of `source`
+ * @param {object} target the object to change
+ * @param {object} source the object to copy the properties from
+ */
+export function replaceProperties(target, source) {
+  for (const p of Object.keys(target)) {
+    delete target[p];
+  }
+  Object.assign(target, source);
+}
+
 /**
  * Verifies if the given value is ether of type `Date` or a valid date string.
  * @param {Date | string} date to validate
@@ -529,7 +542,7 @@ function fillListFromMap(listEl, eTbl, displayProp, enumEl) {
   for (const key of keys) {
     const listItemEl = document.createElement("li");
     if (enumEl) {
-      listItemEl.textContent = enumEl.labels[eTbl[key] - 1];
+      listItemEl.textContent = enumEl.localizedLabels[eTbl[key] - 1];
     } else {
       listItemEl.textContent = eTbl[key][displayProp];
     }
@@ -1,6 +1,13 @@
+import { getLocale, LOCALES, setLocale, t } from "../../lib/i18n.js";
+import { AuditLog } from "../m/AuditLog.js";
+import { exportDatabase, importDatabase } from "../m/ImportExport.js";
 import { MovieCategoryEL } from "../m/Movie.js";
 import { MovieStorage } from "../m/MovieStorage.js";
 import { PersonStorage } from "../m/PersonStorage.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { Synchronization } from "../m/Synchronization.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { UndoHistory } from "../m/UndoHistory.js";
 
 /**
  *  Create and save test data
@@ -100,6 +107,15 @@ export function generateTestData() {
     });
     PersonStorage.persist();
 
+    // add the series of the episodes
+    TvSeriesStorage.add({
+      tvSeriesId: 1,
+      title: "The Loudest Voice",
+      startYear: 2019,
+      endYear: 2019,
+    });
+    TvSeriesStorage.persist();
+
     // add movies
     MovieStorage.add({
       movieId: 1,
@@ -128,9 +144,10 @@ export function generateTestData() {
       releaseDate: "2019-06-30",
       director: 1,
       actors: [9, 10, 11],
-      category: MovieCategoryEL["TVSERIESEPISODE"],
+      categories: [MovieCategoryEL["TVSERIESEPISODE"]],
+      tvSeries: 1,
+      seasonNo: 1,
       episodeNo: 6,
-      tvSeriesName: "The Loudest Voice",
     });
     MovieStorage.add({
       movieId: 5,
@@ -138,7 +155,7 @@ export function generateTestData() {
       releaseDate: "2001-12-21",
       director: 9,
       actors: [9, 13],
-      category: MovieCategoryEL["BIOGRAPHY"],
+      categories: [MovieCategoryEL["BIOGRAPHY"]],
       about: 15,
     });
     MovieStorage.add({
@@ -156,11 +173,15 @@ export function generateTestData() {
 /**
  * Clear data
  */
-export function clearData() {
-  if (confirm("Do you really want to delete the entire database?")) {
+export async function clearData() {
+  if (confirm(t("confirm.clearDatabase"))) {
     try {
-      MovieStorage.clear();
-      PersonStorage.clear();
+      await MovieStorage.clear();
+      await TvSeriesStorage.clear();
+      await PersonStorage.clear();
+      await RecycleBin.clear();
+      // the history of the deleted records is meaningless
+      await AuditLog.clear();
       console.log("Database cleared.");
     } catch (e) {
       console.log(`${e.constructor.name}: ${e.message}`);
@@ -168,6 +189,49 @@ export function clearData() {
   }
 }
 
+/**
+ * Load all persons, TV series and movies (the movies reference the persons
+ * and series), the deleted records and the journal of the changes
+ */
+export async function loadData() {
+  await PersonStorage.retrieveAll();
+  await TvSeriesStorage.retrieveAll();
+  await MovieStorage.retrieveAll();
+  await RecycleBin.retrieveAll();
+  await AuditLog.retrieveAll();
+}
+
+/**
+ * Download the entire database as a JSON file
+ */
+export function exportData() {
+  const doc = exportDatabase();
+  const blob = new Blob([JSON.stringify(doc, null, 2)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const linkEl = document.createElement("a");
+  linkEl.href = url;
+  linkEl.download = `movie-database-${doc.exportedAt.slice(0, 10)}.json`;
+  linkEl.click();
+  URL.revokeObjectURL(url);
+  console.log(
+    `Database exported (${doc.persons.length} persons, ${doc.tvSeries.length} TV series, ${doc.movies.length} movies).`
+  );
+}
+
+/**
+ * Import a JSON file created by `exportData()`
+ * @param {File} file the JSON file
+ * @param {{mode?: import("../m/ImportExport.js").ImportMode, onConflict?: import("../m/ImportExport.js").ConflictPolicy}} options
+ * @returns {Promise<import("../m/ImportExport.js").ImportReport>}
+ * @throws {import("../../lib/errorTypes.js").ConstraintViolation | SyntaxError} if the file can't be imported at all
+ */
+export async function importData(file, options) {
+  const doc = JSON.parse(await file.text());
+  return importDatabase(doc, options);
+}
+
 /**
  * Undisplay all form fields classified with a Book segment name
  * from BookCategoryEL.labels
@@ -184,18 +248,134 @@ export function undisplayAllSegmentFields(domNode, segmentNames) {
   }
 }
 /**
- * Display the form fields classified with a Book segment name
- * from BookCategoryEL.labels
+ * Display the form fields classified with the given segment names
+ * from BookCategoryEL.labels and undisplay the ones of the other segments
  * @param {any} domNode
  * @param {string[]} segmentNames
- * @param {number} segmentIndex
+ * @param {number[]} segmentIndexes the (enumeration) indexes of the segments
+ * to display, e.g. all categories of a movie
  */
-export function displaySegmentFields(domNode, segmentNames, segmentIndex) {
+export function displaySegmentFields(domNode, segmentNames, segmentIndexes) {
   if (!domNode) domNode = document; // normally invoked for a form element
   for (let i = 0; i < segmentNames.length; i++) {
     const fields = domNode.getElementsByClassName(segmentNames[i]);
     for (const el of fields) {
-      el.style.display = i === segmentIndex - 1 ? "block" : "none";
+      el.style.display = segmentIndexes.includes(i + 1) ? "block" : "none";
     }
   }
 }
+
+/**
+ * Set up the undo and redo buttons of a CRUD page and the keyboard shortcuts
+ * Ctrl+Z (undo) and Ctrl+Y / Ctrl+Shift+Z (redo)
+ * @param {() => void} refreshUI invoked after an operation was undone or redone
+ */
+export function setupUndoRedo(refreshUI) {
+  /** @type {HTMLButtonElement} */
+  const undoButton = document.querySelector("button#undo");
+  /** @type {HTMLButtonElement} */
+  const redoButton = document.querySelector("button#redo");
+
+  const refreshButtons = () => {
+    undoButton.disabled = !UndoHistory.canUndo;
+    undoButton.title = UndoHistory.canUndo ? UndoHistory.undoLabel : "";
+    redoButton.disabled = !UndoHistory.canRedo;
+    redoButton.title = UndoHistory.canRedo ? UndoHistory.redoLabel : "";
+  };
+  const undo = () => UndoHistory.undo() && refreshUI();
+  const redo = () => UndoHistory.redo() && refreshUI();
+
+  undoButton.addEventListener("click", undo);
+  redoButton.addEventListener("click", redo);
+  document.addEventListener("keydown", (e) => {
+    /** @ts-ignore @type {HTMLElement} */
+    const target = e.target;
+    // keep the native undo of text fields
+    const isTextField =
+      target.tagName === "TEXTAREA" ||
+      (target.tagName === "INPUT" &&
+        ["text", "number", "date"].includes(target.getAttribute("type")));
+    if (!(e.ctrlKey || e.metaKey) || isTextField) return;
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if (key === "y" || (key === "z" && e.shiftKey)) {
+      e.preventDefault();
+      redo();
+    }
+  });
+  UndoHistory.addChangeListener(refreshButtons);
+  refreshButtons();
+}
+
+/**
+ * Set up the load report of a page. It tells how many stored records were
+ * rejected when they were loaded (they are fixed on the quarantine page) and
+ * is hidden if all records were loaded.
+ * @param {HTMLElement} reportEl
+ */
+export function setupLoadReport(reportEl) {
+  const render = () => {
+    const movies = Object.keys(MovieStorage.quarantine).length;
+    const persons = Object.keys(PersonStorage.quarantine).length;
+    const tvSeries = Object.keys(TvSeriesStorage.quarantine).length;
+    const rejected = movies + persons + tvSeries;
+    reportEl.innerHTML = "";
+    reportEl.style.display = rejected > 0 ? "block" : "none";
+    if (rejected === 0) return;
+    const linkEl = document.createElement("a");
+    linkEl.href = "mainQuarantine.html";
+    linkEl.textContent = t("loadReport.fix");
+    reportEl.append(
+      t("loadReport.summary", { movies, persons, tvSeries }),
+      linkEl
+    );
+  };
+  MovieStorage.subscribe(render);
+  PersonStorage.subscribe(render);
+  TvSeriesStorage.subscribe(render);
+  // another tab could have fixed a record
+  Synchronization.addChangeListener(render);
+  render();
+}
+
+/**
+ * Check if the UI page (section) with the given id is currently shown
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function isDisplayed(id) {
+  return document.getElementById(id).style.display === "block";
+}
+
+/**
+ * Ask whether a record that was changed in another tab since its update form
+ * was filled should be overwritten
+ * @param {string} editedState the serialized record when the form was filled
+ * @param {object} record the record as it is now
+ * @param {string} description the record, e.g. `The movie "Stay"` (in the
+ * chosen locale)
+ * @returns {boolean} `true` if the record can be saved
+ */
+export function confirmOverwrite(editedState, record, description) {
+  if (JSON.stringify(record) === editedState) return true;
+  return confirm(t("confirm.overwrite", { description }));
+}
+
+/**
+ * Set up the selection of the locale of a page. The page is reloaded in the
+ * chosen locale, which is kept for the next visits.
+ * @param {HTMLSelectElement} selectEl
+ */
+export function setupLocaleSwitch(selectEl) {
+  selectEl.innerHTML = "";
+  for (const locale of LOCALES) {
+    selectEl.add(new Option(t(`locale.${locale}`), locale));
+  }
+  selectEl.value = getLocale();
+  selectEl.addEventListener("change", () => {
+    setLocale(selectEl.value);
+    location.reload();
+  });
+}
@@ -0,0 +1,174 @@
+import { t } from "../../lib/i18n.js";
+import {
+  guessColumnMapping,
+  importableColumns,
+  importRows,
+  previewImport,
+  readCsvTable,
+} from "../m/CsvExchange.js";
+
+/**
+ * Download a CSV text as a file
+ * @param {string} fileName
+ * @param {string} text
+ */
+export function downloadCsv(fileName, text) {
+  // the byte order mark makes spreadsheet programs read the file as UTF-8
+  const blob = new Blob(["\uFEFF" + text], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const linkEl = document.createElement("a");
+  linkEl.href = url;
+  linkEl.download = fileName;
+  linkEl.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Set up the CSV import wizard of a CRUD page: choosing a file, mapping its
+ * columns to the slots, previewing the validation result of every row and
+ * importing the valid rows.
+ * @param {HTMLElement} sectionEl the section containing the wizard
+ * @param {import("../m/CsvExchange.js").CsvEntity} entity
+ * @param {() => void} onImported invoked after rows were imported
+ * @returns {() => void} a function resetting the wizard
+ */
+export function setupCsvImport(sectionEl, entity, onImported) {
+  /** @type {HTMLFormElement} */
+  const formEl = sectionEl.querySelector("form");
+  /** @type {HTMLInputElement} */
+  const fileInput = formEl["file"];
+  /** @type {HTMLFieldSetElement} */
+  const mappingEl = formEl.querySelector("fieldset.column-mapping");
+  /** @type {HTMLButtonElement} */
+  const previewButton = formEl["preview"];
+  /** @type {HTMLButtonElement} */
+  const importButton = formEl["import"];
+  /** @type {HTMLTableElement} */
+  const previewTable = sectionEl.querySelector("table.preview");
+  /** @type {HTMLDivElement} */
+  const reportEl = sectionEl.querySelector("div.report");
+  const columns = importableColumns(entity);
+
+  /** @type {import("../m/CsvExchange.js").CsvTable | null} */
+  let table = null;
+  /** @type {import("../m/CsvExchange.js").RowPreview[]} */
+  let previews = [];
+
+  const clearPreview = () => {
+    previews = [];
+    previewTable.tHead.innerHTML = "";
+    previewTable.tBodies[0].innerHTML = "";
+    importButton.disabled = true;
+  };
+
+  const clearMapping = () => {
+    table = null;
+    mappingEl.innerHTML = "";
+    previewButton.disabled = true;
+    reportEl.innerHTML = "";
+    clearPreview();
+  };
+
+  const reset = () => {
+    formEl.reset();
+    clearMapping();
+  };
+
+  /** @returns {import("../m/CsvExchange.js").ColumnMapping} */
+  const readMapping = () => {
+    /** @type {import("../m/CsvExchange.js").ColumnMapping} */
+    const mapping = {};
+    for (const selectEl of mappingEl.querySelectorAll("select")) {
+      mapping[selectEl.name] = parseInt(selectEl.value);
+    }
+    return mapping;
+  };
+
+  fileInput.addEventListener("change", async () => {
+    clearMapping();
+    const file = fileInput.files[0];
+    if (!file) return;
+    table = readCsvTable(await file.text());
+    // one selection of a column per slot
+    const mapping = guessColumnMapping(entity, table.headers);
+    for (const [slot, header] of Object.entries(columns)) {
+      const labelEl = document.createElement("label");
+      labelEl.textContent = `${header}: `;
+      const selectEl = document.createElement("select");
+      selectEl.name = slot;
+      selectEl.add(new Option(" --- ", "-1"));
+      table.headers.forEach((fileHeader, i) => {
+        selectEl.add(
+          new Option(
+            fileHeader || t("csv.column", { number: i + 1 }),
+            String(i)
+          )
+        );
+      });
+      selectEl.value = String(mapping[slot]);
+      selectEl.addEventListener("change", clearPreview);
+      labelEl.appendChild(selectEl);
+      mappingEl.appendChild(labelEl);
+    }
+    previewButton.disabled = false;
+  });
+
+  previewButton.addEventListener("click", () => {
+    if (!table) return;
+    clearPreview();
+    previews = previewImport(entity, table, readMapping());
+
+    const headRow = previewTable.tHead.insertRow();
+    for (const header of [
+      t("csv.line"),
+      ...Object.values(columns),
+      t("csv.result"),
+    ]) {
+      const cellEl = document.createElement("th");
+      cellEl.textContent = header;
+      headRow.appendChild(cellEl);
+    }
+    for (const { line, values, violations, valid } of previews) {
+      const row = previewTable.tBodies[0].insertRow();
+      row.className = valid ? "valid" : "invalid";
+      row.insertCell().textContent = String(line);
+      for (const slot of Object.keys(columns)) {
+        row.insertCell().textContent = values[slot];
+      }
+      row.insertCell().textContent = valid
+        ? t("csv.valid")
+        : Object.values(violations).join(" ");
+    }
+    const validCount = previews.filter((preview) => preview.valid).length;
+    importButton.disabled = validCount === 0;
+    reportEl.textContent = t("csv.validRows", {
+      valid: validCount,
+      total: previews.length,
+    });
+  });
+
+  formEl.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (!previews.some((preview) => preview.valid)) return;
+    const report = importRows(entity, previews);
+    reset();
+    const summaryEl = document.createElement("p");
+    summaryEl.textContent = t("csv.imported", {
+      imported: report.imported,
+      skipped: report.skipped,
+    });
+    reportEl.appendChild(summaryEl);
+    const failedListEl = document.createElement("ul");
+    failedListEl.className = "rejected";
+    for (const { line, message } of report.failed) {
+      const itemEl = document.createElement("li");
+      itemEl.textContent = t("csv.failed", { line, message });
+      failedListEl.appendChild(itemEl);
+    }
+    reportEl.appendChild(failedListEl);
+    onImported();
+  });
+
+  reset();
+  return reset;
+}
@@ -0,0 +1,171 @@
+import { t } from "../../lib/i18n.js";
+import { Movie } from "../m/Movie.js";
+import { PersonTypeEL } from "../m/Person.js";
+import { TvSeries } from "../m/TvSeries.js";
+
+/**
+ * @param {any} record a `Movie`, a `Person` or a `TvSeries`
+ * @returns {string} the record as it is named in an impact list
+ */
+function describeRecord(record) {
+  return record instanceof Movie
+    ? t("record.Movie", { label: record.title, id: record.movieId })
+    : record instanceof TvSeries
+    ? t("record.TvSeries", { label: record.title, id: record.tvSeriesId })
+    : t("record.Person", { label: record.name, id: record.personId });
+}
+
+/**
+ * @param {{[key: string]: any}} persons a map of persons
+ * @returns {string} the names of the persons
+ */
+function listNames(persons) {
+  const names = Object.values(persons).map((person) => person.name);
+  return names.length > 0 ? names.join(", ") : t("impact.none");
+}
+
+/**
+ * @param {{[key: string]: any}} movies a map of movies
+ * @returns {string} the titles of the movies
+ */
+function listTitles(movies) {
+  const titles = Object.values(movies).map((movie) => movie.title);
+  return titles.length > 0 ? titles.join(", ") : t("impact.none");
+}
+
+/**
+ * @param {any} record the changed record
+ * @param {string} property
+ * @returns {string} the unknown change of a property
+ */
+function describeUnknownChange(record, property) {
+  return t("impact.changed", {
+    property: record.constructor.propertyLabel(property),
+  });
+}
+
+/**
+ * @param {any} record the changed record
+ * @param {string} property
+ * @param {{before: any, after: any}} change
+ * @returns {string} the change of a property as it is shown in an impact list
+ */
+function describeChange(record, property, { after }) {
+  switch (property) {
+    case "director":
+      return t("impact.director", { name: after.name });
+    case "about":
+      return t("impact.about", { name: after.name });
+    case "actors":
+      return t("impact.actors", { names: listNames(after) });
+    case "agent":
+      return after
+        ? t("impact.agent", { name: after.name })
+        : t("impact.noAgent");
+    case "directedMovies":
+      return t("impact.directedMovies", { titles: listTitles(after) });
+    case "playedMovies":
+      return t("impact.playedMovies", { titles: listTitles(after) });
+    case "biographies":
+      return t("impact.biographies", { titles: listTitles(after) });
+    case "clients":
+      return t("impact.clients", { names: listNames(after) });
+    case "categories":
+      return after.length > 0
+        ? t("impact.categories", {
+            categories: after
+              .map(
+                (/** @type {number} */ c) => PersonTypeEL.localizedLabels[c - 1]
+              )
+              .join(", "),
+          })
+        : t("impact.noCategories");
+    default:
+      return describeUnknownChange(record, property);
+  }
+}
+
+/**
+ * Describe an effect of a deletion (see `previewDestroy()` of the storages)
+ * @param {import("../m/StorageEvents.js").StorageEvent} effect
+ * @returns {string} e.g. `The movie "Stay" (6) is moved to the trash.`
+ */
+export function describeEffect({ type, instance, updatedProperties, changes }) {
+  const record = describeRecord(instance);
+  if (type === "destroyed") return t("impact.destroyed", { record });
+  if (type === "created") return t("impact.created", { record });
+  const descriptions = updatedProperties.map((property) =>
+    changes?.[property]
+      ? describeChange(instance, property, changes[property])
+      : describeUnknownChange(instance, property)
+  );
+  return t("impact.updated", { record, changes: descriptions.join(", ") });
+}
+
+/**
+ * Set up the confirmation step of a delete form: submitting the form shows
+ * the impact of deleting the selected record, submitting it again deletes it.
+ * The form needs a `div.impact` containing a `ul` and a submit button named
+ * `delete`.
+ * @param {HTMLFormElement} formEl the delete form
+ * @param {HTMLSelectElement} selectEl the selection of the record to delete
+ * @param {(id: string) => import("../m/DeletePolicy.js").DeletionImpact} previewDeletion
+ * computes the impact of deleting a record
+ * @param {(id: string) => void} deleteRecord deletes a record
+ * @returns {() => void} a function going back to the first step (e.g. when
+ * the options of the deletion changed)
+ */
+export function setupDeleteConfirmation(
+  formEl,
+  selectEl,
+  previewDeletion,
+  deleteRecord
+) {
+  /** @type {HTMLDivElement} */
+  const impactEl = formEl.querySelector("div.impact");
+  /** @type {HTMLButtonElement} */
+  const deleteButton = formEl["delete"];
+  const deleteLabel = deleteButton.textContent;
+  /** the id of the record whose impact is shown */
+  let previewedId = "";
+
+  const reset = () => {
+    previewedId = "";
+    impactEl.style.display = "none";
+    impactEl.querySelector("ul").innerHTML = "";
+    deleteButton.textContent = deleteLabel;
+    selectEl.setCustomValidity("");
+  };
+  const showImpact = () => {
+    const id = selectEl.value;
+    const { violation, effects } = previewDeletion(id);
+    // a restricted reference or a missing replacement blocks the deletion
+    selectEl.setCustomValidity(violation.message);
+    if (!formEl.reportValidity()) return;
+    const listEl = impactEl.querySelector("ul");
+    listEl.innerHTML = "";
+    for (const effect of effects) {
+      const listItemEl = document.createElement("li");
+      listItemEl.textContent = describeEffect(effect);
+      listItemEl.className = effect.type;
+      listEl.appendChild(listItemEl);
+    }
+    impactEl.style.display = "block";
+    deleteButton.textContent = t("ui.confirmDeletion");
+    previewedId = id;
+  };
+
+  selectEl.addEventListener("change", reset);
+  formEl.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (!selectEl.value) return;
+    if (previewedId !== selectEl.value) {
+      showImpact();
+    } else {
+      deleteRecord(previewedId);
+      reset();
+    }
+  });
+  reset();
+  return reset;
+}
@@ -0,0 +1,108 @@
+import { formatDateTime, t } from "../../lib/i18n.js";
+import { Model } from "../../lib/Model.js";
+import { AuditLog } from "../m/AuditLog.js";
+import { MovieCategoryEL } from "../m/Movie.js";
+import { PersonStorage } from "../m/PersonStorage.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+
+/** the journaled properties holding `personId`s */
+const PERSON_REFERENCES = ["director", "actors", "about", "agent"];
+
+/**
+ * Format a journaled value of a property for display
+ * @param {string} property
+ * @param {any} value a value as it is journaled (see `AuditEntry`)
+ * @param {{[key: string]: {name?: string}}} [persons] [optional] the persons
+ * (or their records) to look the names up in, the current ones by default
+ * @returns {string}
+ */
+export function formatValue(
+  property,
+  value,
+  persons = PersonStorage.instances
+) {
+  if (value === null || value === undefined) return "---";
+  if (PERSON_REFERENCES.includes(property)) {
+    const ids = Array.isArray(value) ? value : [value];
+    // a deleted person is shown by its id
+    const names = ids.map((id) => persons[id]?.name ?? `#${id}`);
+    return names.length > 0 ? names.join(", ") : "---";
+  }
+  if (property === "tvSeries") {
+    // a deleted series is shown by its id
+    return TvSeriesStorage.instances[value]?.title ?? `#${value}`;
+  }
+  if (property === "releaseDate") return String(value).slice(0, 10);
+  if (property === "categories" || property === "category") {
+    // a single category was journaled before, by its index before its name
+    const codes = Array.isArray(value) ? value : [value];
+    const labels = codes.map(
+      (code) =>
+        MovieCategoryEL.localizedLabels[MovieCategoryEL.toIndex(code) - 1]
+    );
+    return labels.length > 0 ? labels.join(", ") : "---";
+  }
+  return String(value);
+}
+
+/**
+ * @param {import("../m/AuditLog.js").AuditEntry} entry
+ * @returns {string} the changes of an entry, e.g.
+ * `title: "Stay" → "Stay (2005)"`
+ */
+function describeChanges({ entity, type, changes }) {
+  if (type === "created") return t("history.created");
+  if (type === "destroyed") return t("history.deleted");
+  const cls = Model.classNamed(entity);
+  return Object.entries(changes)
+    .map(
+      ([property, { before, after }]) =>
+        `${cls.propertyLabel(property)}: ${formatValue(
+          property,
+          before
+        )} → ${formatValue(property, after)}`
+    )
+    .join("; ");
+}
+
+/**
+ * Set up the history panel of an update form. It lists the journaled changes
+ * of the selected record (the most recent one first) and is hidden while no
+ * record is selected. The panel needs an `ol` for the changes.
+ * @param {HTMLElement} panelEl the panel, e.g. a `details` element
+ * @param {"Movie" | "Person" | "TvSeries"} entity
+ * @param {HTMLSelectElement} selectEl the selection of the record
+ * @returns {() => void} a function rendering the panel again (e.g. when the
+ * selection was changed by a script)
+ */
+export function setupRecordHistory(panelEl, entity, selectEl) {
+  const listEl = panelEl.querySelector("ol");
+
+  const render = () => {
+    const id = selectEl.value;
+    listEl.innerHTML = "";
+    panelEl.style.display = id ? "block" : "none";
+    if (!id) return;
+    const entries = AuditLog.historyOf(entity, id).reverse();
+    for (const entry of entries) {
+      const itemEl = document.createElement("li");
+      const timeEl = document.createElement("time");
+      timeEl.dateTime = entry.timestamp;
+      timeEl.textContent = formatDateTime(new Date(entry.timestamp));
+      itemEl.append(
+        timeEl,
+        ` ${entry.operation || t("history.change")}: ${describeChanges(entry)}`
+      );
+      listEl.appendChild(itemEl);
+    }
+    if (entries.length === 0) {
+      listEl.appendChild(document.createElement("li")).textContent =
+        t("history.noChanges");
+    }
+  };
+
+  selectEl.addEventListener("change", render);
+  AuditLog.subscribe(render);
+  render();
+  return render;
+}
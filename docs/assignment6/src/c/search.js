@@ -0,0 +1,66 @@
+import { SearchIndex } from "../m/SearchIndex.js";
+
+/** the CRUD page of each entity */
+const PAGES = { Movie: "mainMovie.html", Person: "mainPerson.html" };
+
+/** the hash prefix of a page URL naming the record to show, e.g. `#show=5` */
+const SHOW_HASH = "#show=";
+
+/**
+ * Set up the global search box of a CRUD page. A result of the page's own
+ * entity is shown with `showRecord`, the other ones open their page.
+ * @param {"Movie" | "Person"} entity the entity managed by the page
+ * @param {(id: string) => void} showRecord shows the record with the given id
+ */
+export function setupSearch(entity, showRecord) {
+  /** @type {HTMLFormElement} */
+  const searchForm = document.querySelector("form.search-bar");
+  /** @type {HTMLInputElement} */
+  const searchInput = searchForm["search"];
+  /** @type {HTMLUListElement} */
+  const resultsEl = searchForm.querySelector("ul.search-results");
+  /** @type {import("../m/SearchIndex.js").SearchResult[]} */
+  let results = [];
+
+  /** @param {import("../m/SearchIndex.js").SearchResult} result */
+  const jumpTo = ({ entity: resultEntity, id }) => {
+    searchForm.reset();
+    resultsEl.innerHTML = "";
+    if (resultEntity === entity) {
+      showRecord(id);
+    } else {
+      location.href = PAGES[resultEntity] + SHOW_HASH + id;
+    }
+  };
+  const renderResults = () => {
+    results = SearchIndex.search(searchInput.value);
+    resultsEl.innerHTML = "";
+    for (const result of results) {
+      const buttonEl = document.createElement("button");
+      buttonEl.type = "button";
+      buttonEl.textContent = `${result.label} (${result.entity})`;
+      buttonEl.addEventListener("click", () => jumpTo(result));
+      resultsEl.appendChild(document.createElement("li")).append(buttonEl);
+    }
+  };
+
+  searchInput.addEventListener("input", renderResults);
+  searchInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      searchForm.reset();
+      resultsEl.innerHTML = "";
+    }
+  });
+  // Enter jumps to the best result
+  searchForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    if (results.length > 0) jumpTo(results[0]);
+  });
+
+  // show the record another page has jumped to
+  const { hash } = location;
+  if (hash.startsWith(SHOW_HASH)) {
+    history.replaceState(null, "", location.pathname + location.search);
+    showRecord(decodeURIComponent(hash.slice(SHOW_HASH.length)));
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * A field of a form that sets a property.
+ * @typedef {HTMLInputElement | HTMLSelectElement} FormField
+ */
+
+/**
+ * Show the violations of the slots entered in a form: every failing field is
+ * marked invalid (its message is shown by the browser) and the summary of
+ * the form (its `ul.validation-summary`) lists all of them. Clicking an item
+ * of the summary focuses its field. The fields without a violation are
+ * marked valid again, so `{}` resets the form.
+ * @param {HTMLFormElement} formEl
+ * @param {{[property: string]: FormField}} fields the fields by the property
+ * they set
+ * @param {{[property: string]: import("../../lib/errorTypes.js").ConstraintViolation}} violations
+ * the result of the `validate()` of a model class
+ * @returns {boolean} `true` if there is no violation
+ */
+export function showValidationSummary(formEl, fields, violations) {
+  /** @type {HTMLUListElement} */
+  const summaryEl = formEl.querySelector("ul.validation-summary");
+  summaryEl.innerHTML = "";
+  for (const [property, fieldEl] of Object.entries(fields)) {
+    fieldEl.setCustomValidity(violations[property]?.message ?? "");
+  }
+  for (const [property, violation] of Object.entries(violations)) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = violation.message;
+    const fieldEl = fields[property];
+    if (fieldEl) {
+      itemEl.addEventListener("click", () => fieldEl.focus());
+    }
+    summaryEl.appendChild(itemEl);
+  }
+  summaryEl.style.display = summaryEl.children.length > 0 ? "block" : "none";
+  return summaryEl.children.length === 0;
+}
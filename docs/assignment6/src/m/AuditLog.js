@@ -0,0 +1,481 @@
+import { Enumeration } from "../../lib/Enumeration.js";
+import {
+  IntervalConstraintViolation,
+  NoConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { formatDateTime, t } from "../../lib/i18n.js";
+import { Model } from "../../lib/Model.js";
+import { runQuery } from "../../lib/query.js";
+import { MovieStorage } from "./MovieStorage.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { StorageEvents } from "./StorageEvents.js";
+import { storageBackend } from "./storageBackend.js";
+import { Synchronization } from "./Synchronization.js";
+import { Transaction } from "./Transaction.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** the name of the store holding the journal */
+const AUDIT_LOG_STORAGE_KEY = "auditLog";
+
+/** the maximum number of journaled changes. Beyond it, the oldest operations
+ * are dropped (see `AuditLog.cutOff`). */
+const MAX_ENTRIES = 2000;
+
+/**
+ * A change of a single movie, person or TV series.
+ * @typedef {object} AuditEntry
+ * @prop {number} entryId the identifier of the entry (ascending in the order
+ * of the changes)
+ * @prop {string} timestamp the time of the change as an ISO string
+ * @prop {string} operation the operation the change is part of, e.g.
+ * `Delete person "Stephen Frears"` (shared by its cascaded changes)
+ * @prop {"Movie" | "Person" | "TvSeries"} entity
+ * @prop {string} id the `movieId`, `personId` or `tvSeriesId` of the changed
+ * record
+ * @prop {"created" | "updated" | "destroyed"} type
+ * @prop {{[property: string]: {before: any, after: any}}} changes the former
+ * and the new values of the changed properties as they are stored (referenced
+ * records by their id, `null` if unset). A created or destroyed record lists all of
+ * its properties.
+ */
+
+/**
+ * The records of the database at a point in time.
+ * @typedef {object} DatabaseState
+ * @prop {{[key: string]: {[property: string]: any}}} movies the movie records
+ * by their `movieId`
+ * @prop {{[key: string]: {[property: string]: any}}} persons the person
+ * records by their `personId`
+ * @prop {{[key: string]: {[property: string]: any}}} tvSeries the series
+ * records by their `tvSeriesId`
+ */
+
+/**
+ * converts the value of a property slot into the value journaled for it
+ * @param {any} value
+ * @param {import("../../lib/Model.js").PropertyDeclaration["type"]} [type]
+ * [optional] the declared type of the property
+ * @returns {any} a JSON value
+ */
+function toStoredValue(value, type) {
+  if (value === undefined || value === null) {
+    return null;
+  } else if (type instanceof Enumeration && Array.isArray(value)) {
+    // a set of codes, like the categories of a movie (unset if empty)
+    return value.length > 0 ? value.map((code) => type.toName(code)) : null;
+  } else if (type instanceof Enumeration) {
+    return type.toName(value);
+  } else if (value instanceof Model) {
+    // a referenced record, like the director or the series of a movie
+    const { idProperty } = /** @type {typeof Model} */ (value.constructor);
+    return value[idProperty];
+  } else if (value instanceof Date) {
+    return value.toISOString();
+  } else if (Array.isArray(value)) {
+    return value.map((v) => toStoredValue(v));
+  } else if (typeof value === "object") {
+    // a map of persons, like the actors of a movie
+    return Object.values(value).map((v) => toStoredValue(v));
+  }
+  return value;
+}
+
+/**
+ * @param {object} instance a `Movie`, a `Person` or a `TvSeries`
+ * @returns {{[property: string]: any}} the journaled values of all properties
+ */
+function toRecord(instance) {
+  const { properties } =
+    /** @type {typeof import("../../lib/Model.js").Model} */ (
+      instance.constructor
+    );
+  /** @type {{[property: string]: any}} */
+  const record = {};
+  for (const slot of Object.keys(instance)) {
+    const property = slot.replace(/^_/, "");
+    const value = toStoredValue(instance[slot], properties[property]?.type);
+    // the derived properties (like the movies of a person) aren't declared
+    if (!properties[property] || value === null) continue;
+    record[property] = value;
+  }
+  return record;
+}
+
+/**
+ * internal
+ */
+class AuditLogClass {
+  /** the journaled changes by their `entryId`
+   * @private
+   * @type {{[key: string]: AuditEntry}}
+   */
+  _entries = {};
+
+  /** the internally used "counter" of the entry identifiers
+   * @private
+   * @type {number}
+   */
+  _nextId = 1;
+
+  /** the backend the journal is loaded from and saved to
+   * @private
+   * @type {import("../../lib/storageAdapters.js").StorageAdapter}
+   */
+  _adapter = storageBackend;
+
+  /** the subscribers of the new entries
+   * @private
+   * @type {StorageEvents}
+   */
+  _events = new StorageEvents(this);
+
+  constructor() {
+    // every committed operation is journaled (including its cascades)
+    Transaction.addCommitListener((changeSet) => this._record(changeSet));
+    Synchronization.addStorage("AuditLog", this);
+  }
+
+  get entries() {
+    return this._entries;
+  }
+
+  /**
+   * @returns {string | null} the time of the oldest journaled change if older
+   * ones were dropped (see `MAX_ENTRIES`), `null` if the journal is complete
+   * since it was started
+   */
+  get cutOff() {
+    const [oldest] = this.query({ orderBy: "entryId", limit: 1 });
+    // the ids start at 1 again when the journal is cleared
+    return oldest && oldest.entryId > 1 ? oldest.timestamp : null;
+  }
+
+  /**
+   * finds the entries matching a query
+   * @param {import("../../lib/query.js").Query<AuditEntry>} [query] [optional]
+   * the conditions, the sort keys and the page. All entries by default.
+   * @returns {AuditEntry[]}
+   * @example
+   * // the last ten deletions
+   * AuditLog.query({ where: { type: "destroyed" }, orderBy: "-entryId", limit: 10 });
+   */
+  query(query = {}) {
+    return runQuery(Object.values(this._entries), query);
+  }
+
+  /**
+   * @param {"Movie" | "Person" | "TvSeries"} entity
+   * @param {number | string} id the `movieId`, `personId` or `tvSeriesId`
+   * @returns {AuditEntry[]} the changes of a record, the oldest one first
+   */
+  historyOf(entity, id) {
+    return this.query({
+      where: { entity, id: String(id) },
+      orderBy: "entryId",
+    });
+  }
+
+  /**
+   * checks that the database can be reconstructed at a point in time, i.e.
+   * that no later change was dropped
+   * @param {Date | string} time
+   * @returns {import("../../lib/errorTypes.js").ConstraintViolation}
+   */
+  checkTime(time) {
+    const { cutOff } = this;
+    if (cutOff && new Date(time).toISOString() < cutOff) {
+      return new IntervalConstraintViolation(
+        t("history.beforeCutOff", { cutOff: formatDateTime(new Date(cutOff)) }),
+        { entity: "AuditEntry", property: "timestamp", params: { min: cutOff } }
+      );
+    }
+    return new NoConstraintViolation();
+  }
+
+  /**
+   * reconstructs the records of the database at a point in time by reverting
+   * the journaled changes made after it, the most recent one first. Changes
+   * before the journal was started (or cleared) can't be reverted.
+   * @param {Date | string} time
+   * @returns {DatabaseState}
+   * @throws {IntervalConstraintViolation} if the time is before the `cutOff`
+   */
+  stateAt(time) {
+    const validationResult = this.checkTime(time);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    const timestamp = new Date(time).toISOString();
+    /** @type {DatabaseState} */
+    const state = { movies: {}, persons: {}, tvSeries: {} };
+    for (const [key, movie] of Object.entries(MovieStorage.instances)) {
+      state.movies[key] = toRecord(movie);
+    }
+    for (const [key, person] of Object.entries(PersonStorage.instances)) {
+      state.persons[key] = toRecord(person);
+    }
+    for (const [key, tvSeries] of Object.entries(TvSeriesStorage.instances)) {
+      state.tvSeries[key] = toRecord(tvSeries);
+    }
+    const laterEntries = this.query({
+      where: { timestamp: { gt: timestamp } },
+      orderBy: "-entryId",
+    });
+    for (const { entity, id, type, changes } of laterEntries) {
+      const records = {
+        Movie: state.movies,
+        Person: state.persons,
+        TvSeries: state.tvSeries,
+      }[entity];
+      if (type === "created") {
+        delete records[id];
+        continue;
+      }
+      // a destroyed record is re-created from its former values
+      const record = records[id] || (records[id] = {});
+      for (const [property, { before }] of Object.entries(changes)) {
+        if (before === null) {
+          delete record[property];
+        } else {
+          record[property] = before;
+        }
+      }
+    }
+    return state;
+  }
+
+  /**
+   * registers a function that is invoked whenever an entry is added and
+   * whenever the journal is cleared or loaded
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   * @returns {() => void} a function unsubscribing the listener
+   */
+  subscribe(listener) {
+    return this._events.subscribe(listener);
+  }
+
+  /**
+   * removes a function registered by `subscribe()`
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   */
+  unsubscribe(listener) {
+    this._events.unsubscribe(listener);
+  }
+
+  /**
+   * tells the subscribers about a change
+   * @param {import("./StorageEvents.js").StorageEvent} event
+   */
+  emit(event) {
+    this._events.emit(event);
+  }
+
+  /**
+   * replaces the storage backend. The journal has to be retrieved again
+   * afterwards.
+   * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+   */
+  setAdapter(adapter) {
+    this._adapter = adapter;
+  }
+
+  /**
+   * journals the changes of the movies, persons and series of a committed
+   * transaction
+   * @private
+   * @param {import("./Transaction.js").ChangeSet} changeSet
+   */
+  _record(changeSet) {
+    const timestamp = new Date().toISOString();
+    /** @type {string[]} */
+    const entryIds = [];
+    for (const { storage, type, id, instance, changes } of changeSet.effects) {
+      const entity =
+        storage === MovieStorage
+          ? "Movie"
+          : storage === PersonStorage
+          ? "Person"
+          : storage === TvSeriesStorage
+          ? "TvSeries"
+          : null;
+      if (!entity) continue;
+      /** @type {{[property: string]: {before: any, after: any}}} */
+      const journaled = {};
+      if (type === "updated") {
+        const { properties } =
+          /** @type {typeof import("../../lib/Model.js").Model} */ (
+            instance.constructor
+          );
+        for (const [property, change] of Object.entries(changes)) {
+          if (!properties[property]) continue;
+          const { type: propertyType } = properties[property] ?? {};
+          journaled[property] = {
+            before: toStoredValue(change.before, propertyType),
+            after: toStoredValue(change.after, propertyType),
+          };
+        }
+      } else {
+        for (const [property, value] of Object.entries(toRecord(instance))) {
+          journaled[property] =
+            type === "created"
+              ? { before: null, after: value }
+              : { before: value, after: null };
+        }
+      }
+      if (Object.keys(journaled).length === 0) continue;
+      /** @type {AuditEntry} */
+      const entry = {
+        entryId: this._nextId++,
+        timestamp,
+        operation: changeSet.label,
+        entity,
+        id,
+        type: /** @type {AuditEntry["type"]} */ (type),
+        changes: journaled,
+      };
+      this._entries[entry.entryId] = entry;
+      entryIds.push(String(entry.entryId));
+      this.emit({
+        type: "created",
+        id: String(entry.entryId),
+        instance: entry,
+      });
+    }
+    entryIds.length > 0 && this.save(...entryIds);
+    this._dropOldest();
+  }
+
+  /**
+   * drops the oldest operations while the journal holds more than
+   * `MAX_ENTRIES` changes. The changes of an operation are dropped together
+   * and the latest operation is always kept.
+   * @private
+   */
+  async _dropOldest() {
+    const entries = this.query({ orderBy: "entryId" });
+    const excess = entries.length - MAX_ENTRIES;
+    if (excess <= 0) return;
+    // the changes of an operation share its timestamp
+    const { timestamp } = entries[excess - 1];
+    const latest = entries[entries.length - 1].timestamp;
+    const entryIds = entries
+      .filter(
+        (entry) => entry.timestamp <= timestamp && entry.timestamp < latest
+      )
+      .map((entry) => String(entry.entryId));
+    for (const entryId of entryIds) {
+      const entry = this._entries[entryId];
+      delete this._entries[entryId];
+      this.emit({ type: "destroyed", id: entryId, instance: entry });
+    }
+    try {
+      await this._adapter.delete(AUDIT_LOG_STORAGE_KEY, entryIds);
+      Synchronization.publish("AuditLog", {}, entryIds);
+    } catch (e) {
+      alert(
+        t("storage.writeError", {
+          operation: "AuditLog._dropOldest()",
+          error: e,
+        })
+      );
+    }
+  }
+
+  /**
+   * loads the journal from the storage backend
+   */
+  async retrieveAll() {
+    /** @type {{[key: string]: AuditEntry}} */
+    let entries = {};
+    try {
+      entries = await this._adapter.load(AUDIT_LOG_STORAGE_KEY);
+    } catch (e) {
+      alert(t("storage.readError", { error: e }));
+    }
+    this._entries = entries;
+    this.calculateNextId();
+    console.info(`${Object.keys(entries).length} journaled changes loaded`);
+    this.emit({ type: "loaded" });
+  }
+
+  /**
+   * stores the entries with the given `entryId`s to the storage backend
+   * @param {...(number | string)} entryIds
+   */
+  async save(...entryIds) {
+    /** @type {{[key: string]: AuditEntry}} */
+    const entries = {};
+    for (const entryId of entryIds) {
+      entries[entryId] = this._entries[entryId];
+    }
+    try {
+      await this._adapter.save(AUDIT_LOG_STORAGE_KEY, entries);
+      Synchronization.publish("AuditLog", entries, []);
+    } catch (e) {
+      alert(
+        t("storage.writeError", { operation: "AuditLog.save()", error: e })
+      );
+    }
+  }
+
+  /**
+   * applies the entries another tab has journaled, dropped or cleared (used by
+   * the `Synchronization`)
+   * @param {{[key: string]: object}} records the new entries by their id
+   * @param {string[]} entryIds the ids of the deleted entries
+   */
+  applyRemoteChanges(records, entryIds) {
+    for (const entryId of entryIds) {
+      const entry = this._entries[entryId];
+      delete this._entries[entryId];
+      entry && this.emit({ type: "destroyed", id: entryId, instance: entry });
+    }
+    for (const key of Object.keys(records)) {
+      this._entries[key] = /** @type {AuditEntry} */ (records[key]);
+    }
+    this.calculateNextId();
+    for (const key of Object.keys(records)) {
+      this.emit({ type: "created", id: key, instance: this._entries[key] });
+    }
+  }
+
+  /**
+   * calculates the next possible `entryId`
+   */
+  calculateNextId() {
+    let currentId = 0;
+    for (const entry of Object.values(this._entries)) {
+      currentId = Math.max(entry.entryId, currentId);
+    }
+    this._nextId = currentId + 1;
+  }
+
+  /**
+   * clears the journal
+   */
+  async clear() {
+    try {
+      const entryIds = Object.keys(this._entries);
+      this._entries = {};
+      await this._adapter.clear(AUDIT_LOG_STORAGE_KEY);
+      Synchronization.publish("AuditLog", {}, entryIds);
+      this._nextId = 1;
+      this.emit({ type: "cleared" });
+      console.info("Audit log cleared.");
+    } catch (e) {
+      console.warn(`${e.constructor.name}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * a singleton instance of the `AuditLog`.
+ * - journals every committed create, update and destroy of the `MovieStorage`,
+ * the `PersonStorage` and the `TvSeriesStorage` (including cascaded effects, undo and redo) with
+ * its time, its operation and the former and new values of each property
+ * - reconstructs the database at a past point in time (see `stateAt()`)
+ * - keeps the latest `MAX_ENTRIES` changes only
+ * - has to be imported by every page that changes the storages, since it
+ * only journals the changes made while it is loaded
+ */
+export const AuditLog = new AuditLogClass();
@@ -0,0 +1,629 @@
+import { parseCsv, stringifyCsv } from "../../lib/csv.js";
+import {
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+  UniquenessConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { getRawDate } from "../../lib/util.js";
+import { Movie, MovieCategoryEL } from "./Movie.js";
+import { MovieStorage } from "./MovieStorage.js";
+import { Person, PersonTypeEL } from "./Person.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { Transaction } from "./Transaction.js";
+import { TvSeries } from "./TvSeries.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** separates the entries of a multi-valued column (like the actors or the
+ * categories) */
+export const LIST_SEPARATOR = ";";
+
+/** the columns of a movie CSV file (slot name → header) */
+export const MOVIE_COLUMNS = {
+  movieId: "Movie ID",
+  title: "Title",
+  releaseDate: "Release date",
+  director: "Director",
+  actors: "Actors",
+  categories: "Categories",
+  about: "About",
+  tvSeries: "TV series",
+  seasonNo: "Season no.",
+  episodeNo: "Episode no.",
+};
+
+/** the columns of a person CSV file (slot name → header). The types are
+ * derived from the movies and only exported. */
+export const PERSON_COLUMNS = {
+  personId: "Person ID",
+  name: "Name",
+  agent: "Agent",
+  types: "Types",
+};
+
+/**
+ * @typedef {"Movie" | "Person"} CsvEntity
+ */
+
+/** the model classes of the entities a column can refer to */
+const REFERENCED = { Person, TvSeries };
+
+/**
+ * A parsed CSV file.
+ * @typedef {object} CsvTable
+ * @prop {string[]} headers the fields of the first line
+ * @prop {string[][]} rows the following lines
+ */
+
+/**
+ * The column of the file assigned to each slot (`-1` if none).
+ * @typedef {{[slot: string]: number}} ColumnMapping
+ */
+
+/**
+ * The validation result of a row of an imported file.
+ * @typedef {object} RowPreview
+ * @prop {number} line the line number of the row in the file
+ * @prop {{[slot: string]: string}} values the mapped fields of the row
+ * @prop {{[key: string]: any}} slots the creation slots (references resolved to ids)
+ * @prop {{[slot: string]: string}} violations the violated constraint per slot
+ * @prop {boolean} valid `true` if no constraint is violated
+ */
+
+/**
+ * @typedef {object} CsvImportReport
+ * @prop {number} imported the number of created records
+ * @prop {number} skipped the number of invalid rows
+ * @prop {{line: number, message: string}[]} failed the valid rows that could
+ * not be created
+ */
+
+// *** EXPORT *****************************************************************
+
+/**
+ * @param {Person} [person]
+ * @returns {string} the person as `"id: name"`
+ */
+function formatPersonRef(person) {
+  return person ? `${person.personId}: ${person.name}` : "";
+}
+
+/**
+ * @param {import("./TvSeries.js").TvSeries} [tvSeries]
+ * @returns {string} the series as `"id: title"`
+ */
+function formatTvSeriesRef(tvSeries) {
+  return tvSeries ? `${tvSeries.tvSeriesId}: ${tvSeries.title}` : "";
+}
+
+/**
+ * converts all movies to CSV (one line per movie after the header)
+ * @returns {string}
+ */
+export function exportMoviesCsv() {
+  /** @type {any[][]} */
+  const rows = [Object.values(MOVIE_COLUMNS)];
+  for (const movie of MovieStorage.query({ orderBy: "movieId" })) {
+    rows.push([
+      movie.movieId,
+      movie.title,
+      movie.releaseDate ? getRawDate(movie.releaseDate) : "",
+      formatPersonRef(movie.director),
+      Object.values(movie.actors)
+        .map(formatPersonRef)
+        .join(`${LIST_SEPARATOR} `),
+      movie.categories
+        .map((category) => MovieCategoryEL.enumLitNames[category - 1])
+        .join(`${LIST_SEPARATOR} `),
+      formatPersonRef(movie.about),
+      formatTvSeriesRef(movie.tvSeries),
+      movie.seasonNo,
+      movie.episodeNo,
+    ]);
+  }
+  return stringifyCsv(rows);
+}
+
+/**
+ * converts all persons to CSV (one line per person after the header)
+ * @returns {string}
+ */
+export function exportPersonsCsv() {
+  /** @type {any[][]} */
+  const rows = [Object.values(PERSON_COLUMNS)];
+  for (const person of PersonStorage.query({ orderBy: "personId" })) {
+    rows.push([
+      person.personId,
+      person.name,
+      formatPersonRef(person.agent),
+      person.categories
+        .map((category) => PersonTypeEL.enumLitNames[category - 1])
+        .join(`${LIST_SEPARATOR} `),
+    ]);
+  }
+  return stringifyCsv(rows);
+}
+
+// *** IMPORT *****************************************************************
+
+/**
+ * parses the text of a CSV file with a header line
+ * @param {string} text
+ * @returns {CsvTable}
+ */
+export function readCsvTable(text) {
+  const [headers = [], ...rows] = parseCsv(text);
+  return { headers: headers.map((header) => header.trim()), rows };
+}
+
+/**
+ * @param {CsvEntity} entity
+ * @returns {{[slot: string]: string}} the importable columns of `entity`
+ */
+export function importableColumns(entity) {
+  if (entity === "Movie") return MOVIE_COLUMNS;
+  const { types, ...columns } = PERSON_COLUMNS;
+  return columns;
+}
+
+/**
+ * assigns the columns of a file to the slots of `entity` by their headers
+ * (ignoring case, spaces and punctuation). A column named "ID" is assigned to
+ * the identifier.
+ * @param {CsvEntity} entity
+ * @param {string[]} headers
+ * @returns {ColumnMapping}
+ */
+export function guessColumnMapping(entity, headers) {
+  const normalize = (/** @type {string} */ str) =>
+    str.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const normalizedHeaders = headers.map(normalize);
+  /** @type {ColumnMapping} */
+  const mapping = {};
+  const idSlot = entity === "Movie" ? "movieId" : "personId";
+  for (const [slot, header] of Object.entries(importableColumns(entity))) {
+    mapping[slot] = normalizedHeaders.findIndex(
+      (h) =>
+        h === normalize(slot) ||
+        h === normalize(header) ||
+        (slot === idSlot && h === "id")
+    );
+  }
+  return mapping;
+}
+
+/**
+ * resolves a reference given as `"id"`, `"id: name"` or a unique name
+ * @param {string} ref
+ * @param {Map<string, string>} candidates the names of the known records by id
+ * @param {keyof REFERENCED} [entity] [optional] the referenced entity,
+ * `"Person"` by default
+ * @returns {string} the id
+ * @throws {ReferentialIntegrityConstraintViolation} if there is no such record
+ * or the name is ambiguous
+ */
+function resolveRef(ref, candidates, entity = "Person") {
+  const cls = REFERENCED[entity];
+  const params = {
+    entity: cls.entityLabel,
+    property: cls.propertyLabel(cls.idProperty),
+  };
+  const idMatch = ref.match(/^(\d+)\s*(:.*)?$/);
+  if (idMatch) {
+    if (!candidates.has(idMatch[1])) {
+      throw new ReferentialIntegrityConstraintViolation(
+        t("violation.notFound", { ...params, value: idMatch[1] })
+      );
+    }
+    return idMatch[1];
+  }
+  const name = ref.toLowerCase();
+  const ids = [...candidates]
+    .filter(([, candidateName]) => candidateName.toLowerCase() === name)
+    .map(([id]) => id);
+  if (ids.length === 0) {
+    throw new ReferentialIntegrityConstraintViolation(
+      t("csv.unknownName", { ...params, name: ref })
+    );
+  } else if (ids.length > 1) {
+    throw new ReferentialIntegrityConstraintViolation(
+      t("csv.ambiguousName", { ...params, name: ref, ids: ids.join(", ") })
+    );
+  }
+  return ids[0];
+}
+
+/**
+ * @returns {Map<string, string>} the names of all stored persons by id
+ */
+function storedPersonNames() {
+  return new Map(
+    Object.values(PersonStorage.instances).map((person) => [
+      String(person.personId),
+      person.name,
+    ])
+  );
+}
+
+/**
+ * @returns {Map<string, string>} the titles of all stored TV series by id
+ */
+function storedTvSeriesTitles() {
+  return new Map(
+    Object.values(TvSeriesStorage.instances).map((tvSeries) => [
+      String(tvSeries.tvSeriesId),
+      tvSeries.title,
+    ])
+  );
+}
+
+/**
+ * maps a category given by its name (or number) to its enum number. Unknown
+ * values are returned as they are (and rejected by `Movie.checkCategories()`).
+ * @param {string} value
+ * @returns {number | string}
+ */
+function parseCategory(value) {
+  const index = MovieCategoryEL.enumLitNames.findIndex(
+    (name) => name.toLowerCase() === value.toLowerCase()
+  );
+  return index >= 0 ? index + 1 : MovieCategoryEL.toIndex(value) ?? value;
+}
+
+/**
+ * creates the preview of a row and records its violations
+ * @param {string[]} row
+ * @param {number} line
+ * @param {ColumnMapping} mapping
+ * @returns {RowPreview}
+ */
+function createPreview(row, line, mapping) {
+  /** @type {{[slot: string]: string}} */
+  const values = {};
+  for (const [slot, column] of Object.entries(mapping)) {
+    values[slot] = column >= 0 ? (row[column] ?? "").trim() : "";
+  }
+  return { line, values, slots: {}, violations: {}, valid: true };
+}
+
+/**
+ * records a violated constraint of a slot (only the first one per slot)
+ * @param {RowPreview} preview
+ * @param {string} slot
+ * @param {any} validationResult a ConstraintViolation
+ */
+function addViolation(preview, slot, validationResult) {
+  if (validationResult instanceof NoConstraintViolation) return;
+  preview.violations[slot] ??= validationResult.message;
+  preview.valid = false;
+}
+
+/**
+ * resolves a reference of a row and records a violation if it fails
+ * @param {RowPreview} preview
+ * @param {string} slot
+ * @param {string} ref
+ * @param {Map<string, string>} candidates
+ * @param {keyof REFERENCED} [entity] [optional] the referenced entity,
+ * `"Person"` by default
+ * @returns {string | undefined} the id
+ */
+function resolveRowRef(preview, slot, ref, candidates, entity = "Person") {
+  try {
+    return resolveRef(ref, candidates, entity);
+  } catch (e) {
+    addViolation(preview, slot, e);
+    return undefined;
+  }
+}
+
+/**
+ * validates the rows of a movie file
+ * @param {string[][]} rows
+ * @param {ColumnMapping} mapping
+ * @returns {RowPreview[]}
+ */
+function previewMovies(rows, mapping) {
+  const persons = storedPersonNames();
+  const tvSeries = storedTvSeriesTitles();
+  const seenIds = new Set();
+  const seenEpisodes = new Set();
+  return rows.map((row, i) => {
+    const preview = createPreview(row, i + 2, mapping);
+    const { values, slots } = preview;
+
+    slots.movieId = values.movieId;
+    addViolation(preview, "movieId", Movie.checkMovieId(values.movieId));
+    if (seenIds.has(values.movieId)) {
+      addViolation(
+        preview,
+        "movieId",
+        new UniquenessConstraintViolation(
+          t("csv.duplicateId", {
+            entity: Movie.entityLabel,
+            property: Movie.propertyLabel("movieId"),
+            value: values.movieId,
+          })
+        )
+      );
+    }
+    seenIds.add(values.movieId);
+
+    slots.title = values.title;
+    addViolation(preview, "title", Movie.checkTitle(values.title));
+    slots.releaseDate = values.releaseDate;
+    addViolation(
+      preview,
+      "releaseDate",
+      Movie.checkReleaseDate(values.releaseDate)
+    );
+
+    slots.director = values.director
+      ? resolveRowRef(preview, "director", values.director, persons)
+      : "";
+    addViolation(preview, "director", Movie.checkDirector(slots.director));
+
+    slots.actors = [];
+    for (const actor of values.actors.split(LIST_SEPARATOR)) {
+      if (!actor.trim()) continue;
+      const actorId = resolveRowRef(preview, "actors", actor.trim(), persons);
+      addViolation(preview, "actors", Movie.checkActor(actorId));
+      slots.actors.push(actorId);
+    }
+
+    const categories = values.categories
+      .split(LIST_SEPARATOR)
+      .map((category) => category.trim())
+      .filter(Boolean)
+      .map(parseCategory);
+    addViolation(preview, "categories", Movie.checkCategories(categories));
+    if (categories.length > 0) slots.categories = categories;
+
+    // the fields of each category are checked on their own
+    const aboutId = values.about
+      ? resolveRowRef(preview, "about", values.about, persons)
+      : "";
+    addViolation(preview, "about", Movie.checkAbout(aboutId, categories));
+    if (aboutId) slots.about = aboutId;
+
+    // the TV series fields are only checked if they are required or given
+    const isEpisode = categories.includes(MovieCategoryEL["TVSERIESEPISODE"]);
+    if (isEpisode || values.tvSeries) {
+      const tvSeriesId = values.tvSeries
+        ? resolveRowRef(
+            preview,
+            "tvSeries",
+            values.tvSeries,
+            tvSeries,
+            "TvSeries"
+          )
+        : "";
+      addViolation(
+        preview,
+        "tvSeries",
+        Movie.checkTvSeries(tvSeriesId, categories)
+      );
+      slots.tvSeries = tvSeriesId;
+    }
+    if (isEpisode || values.seasonNo) {
+      addViolation(
+        preview,
+        "seasonNo",
+        Movie.checkSeasonNo(values.seasonNo, categories)
+      );
+      slots.seasonNo = values.seasonNo;
+    }
+    if (isEpisode || values.episodeNo) {
+      addViolation(
+        preview,
+        "episodeNo",
+        Movie.checkEpisodeNo(values.episodeNo, categories)
+      );
+      slots.episodeNo = values.episodeNo;
+    }
+    // an episode may be neither stored nor in the file already
+    for (const [slot, violation] of Object.entries(Movie.checkRecord(slots))) {
+      addViolation(preview, slot, violation);
+    }
+    if (isEpisode && preview.valid) {
+      const episode = [slots.tvSeries, slots.seasonNo, slots.episodeNo]
+        .map(Number)
+        .join("/");
+      if (seenEpisodes.has(episode)) {
+        addViolation(
+          preview,
+          "episodeNo",
+          new UniquenessConstraintViolation(
+            t("csv.duplicateEpisode", {
+              episodeNo: slots.episodeNo,
+              seasonNo: slots.seasonNo,
+              tvSeries: tvSeries.get(String(slots.tvSeries)),
+            })
+          )
+        );
+      }
+      seenEpisodes.add(episode);
+    }
+    return preview;
+  });
+}
+
+/**
+ * validates the rows of a person file. An agent may be a stored person or a
+ * valid person of the same file.
+ * @param {string[][]} rows
+ * @param {ColumnMapping} mapping
+ * @returns {RowPreview[]}
+ */
+function previewPersons(rows, mapping) {
+  const seenIds = new Set();
+  const previews = rows.map((row, i) => {
+    const preview = createPreview(row, i + 2, mapping);
+    const { values, slots } = preview;
+
+    slots.personId = values.personId;
+    addViolation(
+      preview,
+      "personId",
+      Person.checkPersonIdAsId(values.personId)
+    );
+    if (seenIds.has(values.personId)) {
+      addViolation(
+        preview,
+        "personId",
+        new UniquenessConstraintViolation(
+          t("csv.duplicateId", {
+            entity: Person.entityLabel,
+            property: Person.propertyLabel("personId"),
+            value: values.personId,
+          })
+        )
+      );
+    }
+    seenIds.add(values.personId);
+
+    slots.name = values.name;
+    addViolation(preview, "name", Person.checkName(values.name));
+    return preview;
+  });
+
+  // the agents can be resolved when all persons of the file are known
+  const persons = storedPersonNames();
+  for (const { valid, slots } of previews) {
+    if (valid) persons.set(String(slots.personId), slots.name);
+  }
+  for (const preview of previews) {
+    if (!preview.values.agent) continue;
+    const agentId = resolveRowRef(
+      preview,
+      "agent",
+      preview.values.agent,
+      persons
+    );
+    if (agentId && PersonStorage.contains(agentId)) {
+      addViolation(preview, "agent", Person.checkAgent(agentId));
+    }
+    preview.slots.agent = agentId;
+  }
+  return previews;
+}
+
+/**
+ * validates every row of a file with the `check*` functions of `entity`
+ * @param {CsvEntity} entity
+ * @param {CsvTable} table
+ * @param {ColumnMapping} mapping
+ * @returns {RowPreview[]}
+ */
+export function previewImport(entity, table, mapping) {
+  return entity === "Movie"
+    ? previewMovies(table.rows, mapping)
+    : previewPersons(table.rows, mapping);
+}
+
+/**
+ * creates the record of a valid row, or records why it could not be created
+ * @param {import("./EntityStorage.js").EntityStorage<any>} storage
+ * @param {RowPreview} preview
+ * @param {CsvImportReport} report
+ */
+function createRow(storage, { line, slots }, report) {
+  try {
+    storage.create(slots);
+    report.imported++;
+  } catch (e) {
+    report.failed.push({ line, message: e.message });
+  }
+}
+
+/**
+ * creates persons that are each other's agents (directly or through others)
+ * without their agents first, then sets the agents. Either all of them are
+ * created or none.
+ * @param {RowPreview[]} cycle
+ * @param {CsvImportReport} report
+ */
+function createAgentCycle(cycle, report) {
+  try {
+    Transaction.run(() => {
+      for (const { slots } of cycle) {
+        const { agent, ...withoutAgent } = slots;
+        // @ts-ignore the slots of a person
+        PersonStorage.create(withoutAgent);
+      }
+      for (const { slots } of cycle) {
+        const person = PersonStorage.instances[slots.personId];
+        person.agent = slots.agent;
+        PersonStorage.save(person.personId);
+      }
+    });
+    report.imported += cycle.length;
+  } catch (e) {
+    for (const { line } of cycle) {
+      report.failed.push({ line, message: e.message });
+    }
+  }
+}
+
+/**
+ * creates the persons of the valid rows. A person whose agent is another row
+ * of the file is created after its agent, so that every person is created
+ * together with its agent, and a row whose agent cannot be set is rejected
+ * before anything is created.
+ * @param {RowPreview[]} validRows
+ * @param {CsvImportReport} report
+ */
+function importPersons(validRows, report) {
+  let pending = validRows;
+  while (pending.length > 0) {
+    const byId = new Map(
+      pending.map((preview) => [String(preview.slots.personId), preview])
+    );
+    const ready = pending.filter(
+      ({ slots }) => !slots.agent || !byId.has(String(slots.agent))
+    );
+    if (ready.length > 0) {
+      for (const preview of ready) createRow(PersonStorage, preview, report);
+    } else {
+      // every pending agent is pending itself, so following them ends in a cycle
+      const visited = [];
+      let preview = pending[0];
+      while (!visited.includes(preview)) {
+        visited.push(preview);
+        preview = byId.get(String(preview.slots.agent));
+      }
+      ready.push(...visited.slice(visited.indexOf(preview)));
+      createAgentCycle(ready, report);
+    }
+    pending = pending.filter((preview) => !ready.includes(preview));
+  }
+}
+
+/**
+ * creates a record for every valid row of a preview. All records are created
+ * in one transaction (and can be undone). A person is created after its agent
+ * when the agent is another row of the file.
+ * @param {CsvEntity} entity
+ * @param {RowPreview[]} previews the result of `previewImport()`
+ * @returns {CsvImportReport}
+ */
+export function importRows(entity, previews) {
+  const validRows = previews.filter((preview) => preview.valid);
+  /** @type {CsvImportReport} */
+  const report = {
+    imported: 0,
+    skipped: previews.length - validRows.length,
+    failed: [],
+  };
+  Transaction.run(() => {
+    if (entity === "Movie") {
+      for (const preview of validRows) createRow(MovieStorage, preview, report);
+      MovieStorage.calculateNextId();
+    } else {
+      importPersons(validRows, report);
+      PersonStorage.calculateNextId();
+    }
+  }, `Import ${entity.toLowerCase()}s from CSV`);
+  report.failed.sort((a, b) => a.line - b.line);
+  return report;
+}
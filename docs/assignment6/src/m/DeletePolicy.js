@@ -0,0 +1,54 @@
+import { Enumeration } from "../../lib/Enumeration.js";
+
+/**
+ * What happens to the records referencing a person that is deleted:
+ * - `CASCADE`: a movie is deleted with its director or the subject of its
+ * biography, an actor is removed from the casts, an agent from its clients
+ * - `RESTRICT`: the person can't be deleted while it is referenced
+ * - `REPLACE`: the references are set to a replacement person
+ */
+export const DeletePolicyEL =
+  /** @type {Enumeration & {CASCADE: number, RESTRICT: number, REPLACE: number}} */ (
+    new Enumeration(["Cascade", "Restrict", "Replace"])
+  );
+
+/**
+ * The delete policy of each property referencing a person.
+ * @typedef {object} DeletePolicies
+ * @prop {number} director `Movie.director`
+ * @prop {number} actors `Movie.actors`
+ * @prop {number} about `Movie.about`
+ * @prop {number} agent `Person.agent`
+ */
+
+/**
+ * How a person is deleted.
+ * @typedef {object} DeleteOptions
+ * @prop {Partial<DeletePolicies>} [policies] [optional] the policies
+ * overriding the ones of the `PersonStorage`
+ * @prop {import("./Person.js").Person | number | string} [replacement]
+ * [optional] the person replacing the deleted one (required by `REPLACE`)
+ * @prop {import("./RecycleBin.js").TrashCause} [cause] [optional] why the
+ * person is deleted (kept in the `RecycleBin`)
+ * @prop {boolean} [permanent] [optional] `true` deletes the person and the
+ * cascaded movies without keeping them in the `RecycleBin`
+ */
+
+/**
+ * The effects deleting a record would have.
+ * @typedef {object} DeletionImpact
+ * @prop {import("../../lib/errorTypes.js").ConstraintViolation} violation a
+ * `NoConstraintViolation` or the reason the record can't be deleted
+ * @prop {import("./StorageEvents.js").StorageEvent[]} effects the records that
+ * would be destroyed or updated (including the deleted one)
+ */
+
+/** the policies of the app: every reference cascades
+ * @type {Readonly<DeletePolicies>}
+ */
+export const DEFAULT_DELETE_POLICIES = Object.freeze({
+  director: DeletePolicyEL.CASCADE,
+  actors: DeletePolicyEL.CASCADE,
+  about: DeletePolicyEL.CASCADE,
+  agent: DeletePolicyEL.CASCADE,
+});
@@ -0,0 +1,682 @@
+import {
+  AggregateConstraintViolation,
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { Model } from "../../lib/Model.js";
+import { runQuery } from "../../lib/query.js";
+import { replaceProperties } from "../../lib/util.js";
+import { Quarantine } from "./Quarantine.js";
+import { loadMigrated } from "./SchemaMigration.js";
+import { StorageEvents } from "./StorageEvents.js";
+import { storageBackend } from "./storageBackend.js";
+import { Synchronization } from "./Synchronization.js";
+import { changedProperties, Transaction } from "./Transaction.js";
+
+/**
+ * The parameters of an entity storage.
+ * @typedef {object} EntityStorageOptions
+ * @prop {string} entity the name of the model class of the instances (see
+ * `Model.setup()`). The changes are synchronized under this name.
+ * @prop {string} storageKey the name of the store (`localStorage[key]`) for
+ * the instances
+ * @prop {string} idProperty the standard identifier of the instances
+ * @prop {string} labelProperty the property naming an instance in the labels
+ * of the operations, e.g. `"title"`
+ */
+
+/**
+ * The storage of the instances of an entity (a subclass of `Model`). It
+ * creates, retrieves, updates and deletes them at the storage backend within
+ * transactions, keeps the rejected records in a `Quarantine` and keeps the
+ * instances of all tabs in sync. The storage of an entity extends it with
+ * the operations depending on other entities, like deleting the references
+ * to a deleted instance.
+ * @template {Model} T
+ */
+export class EntityStorage {
+  /** the current instances used as a collection map
+   * @protected
+   * @type {{[key: string]: T}}
+   */
+  _instances = {};
+
+  /** the internally used "counter" of the identifiers
+   * @protected
+   * @type {number}
+   */
+  _nextId = 0;
+
+  /** the backend the instances are loaded from and saved to
+   * @protected
+   * @type {import("../../lib/storageAdapters.js").StorageAdapter}
+   */
+  _adapter = storageBackend;
+
+  /** the subscribers of the changes of the instances
+   * @private
+   * @type {StorageEvents}
+   */
+  _events = new StorageEvents(this);
+
+  /** the stored instances that were rejected when they were loaded
+   * @protected
+   * @type {Quarantine}
+   */
+  _quarantine = new Quarantine();
+
+  /**
+   * @param {EntityStorageOptions} options
+   */
+  constructor({ entity, storageKey, idProperty, labelProperty }) {
+    /** @private @type {string} */
+    this._entity = entity;
+    /** @private @type {string} */
+    this._storageKey = storageKey;
+    /** @private @type {string} */
+    this._idProperty = idProperty;
+    /** @private @type {string} */
+    this._labelProperty = labelProperty;
+    Transaction.addStorage(this);
+    Synchronization.addStorage(entity, this);
+  }
+
+  get instances() {
+    return this._instances;
+  }
+
+  /** @returns {string} the property naming an instance, e.g. `"title"` */
+  get labelProperty() {
+    return this._labelProperty;
+  }
+
+  /** @returns {typeof Model} the model class of the instances */
+  get entityClass() {
+    // looked up lazily, since the module of the class imports this storage
+    return Model.classNamed(this._entity);
+  }
+
+  /** @returns {string} the name of the entity used in messages, e.g. `movie` */
+  get entityName() {
+    return this._entity.charAt(0).toLowerCase() + this._entity.slice(1);
+  }
+
+  /** the stored records that violate a constraint (see `readmit()`) by their
+   * id
+   * @returns {{[key: string]: import("./Quarantine.js").QuarantinedRecord}}
+   */
+  get quarantine() {
+    return this._quarantine.records;
+  }
+
+  /**
+   * finds the instances matching a query. References are matched by the ids
+   * of the referenced instances.
+   * @param {import("../../lib/query.js").Query<T>} [query] [optional] the
+   * conditions, the sort keys and the page. All instances by default.
+   * @returns {T[]}
+   */
+  query(query = {}) {
+    /** @type {{[property: string]: string}} */
+    const references = {};
+    for (const [property, { reference }] of Object.entries(
+      this.entityClass.properties
+    )) {
+      if (reference) {
+        references[property] = Model.classNamed(reference).idProperty;
+      }
+    }
+    return runQuery(Object.values(this._instances), query, references);
+  }
+
+  /**
+   * registers a function that is invoked whenever an instance is created,
+   * updated or destroyed and whenever all instances are cleared or loaded
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   * @returns {() => void} a function unsubscribing the listener
+   */
+  subscribe(listener) {
+    return this._events.subscribe(listener);
+  }
+
+  /**
+   * removes a function registered by `subscribe()`
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   */
+  unsubscribe(listener) {
+    this._events.unsubscribe(listener);
+  }
+
+  /**
+   * tells the subscribers about a change (used by the `Transaction` to report
+   * undone and redone changes)
+   * @param {import("./StorageEvents.js").StorageEvent} event
+   */
+  emit(event) {
+    this._events.emit(event);
+  }
+
+  /**
+   * replaces the storage backend. The instances have to be retrieved again
+   * afterwards.
+   * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+   */
+  setAdapter(adapter) {
+    this._adapter = adapter;
+  }
+
+  /*****************************************************************************
+   *** CRUD **********************************************************************
+   *****************************************************************************/
+
+  /**
+   * adds a new instance created from the given `slots` if the slots fulfill
+   * their constraints. Does nothing otherwise but logging every violated
+   * constraint.
+   * @param {{[property: string]: any}} slots - Object creation slots
+   */
+  add(slots) {
+    const validationResult = this.entityClass.checkAll(slots);
+    if (validationResult instanceof AggregateConstraintViolation) {
+      for (const e of validationResult.violations) {
+        console.warn(`${e.constructor.name}: ${e.message}`);
+      }
+      return;
+    }
+    /** @type {T} */
+    let instance = null;
+    try {
+      instance = this.create(slots);
+    } catch (e) {
+      console.warn(`${e.constructor.name}: ${e.message}`);
+      instance = null;
+    }
+    if (instance) {
+      console.info(`${instance.toString()} created`, instance);
+    }
+  }
+
+  /**
+   * adds a new instance created from the given `slots`
+   * @param {{[property: string]: any}} slots - Object creation slots
+   * @returns {T} the created instance
+   * @throws {import("../../lib/errorTypes.js").ConstraintViolation} the
+   * violation of a taken id, or an `AggregateConstraintViolation` of all
+   * violated constraints of the slots (nothing is changed then)
+   */
+  create(slots) {
+    const Id =
+      this._idProperty.charAt(0).toUpperCase() + this._idProperty.slice(1);
+    // a new instance must not take the id of another one
+    const validationResult = this.entityClass[`check${Id}AsId`](
+      slots[this._idProperty]
+    );
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    // setting a reference changes the inverse references (and categories)
+    return Transaction.run(
+      () => this._insert(slots),
+      `Create ${this.entityName} "${slots[this._labelProperty]}"`
+    );
+  }
+
+  /**
+   * creates an instance and adds it under its id
+   * @private
+   * @param {{[property: string]: any}} slots
+   * @returns {T}
+   */
+  _insert(slots) {
+    // the constructor doesn't check the properties a missing one depends on
+    const validationResult = this.entityClass.checkAll(slots);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    const instance = /** @type {T} */ (new this.entityClass(slots));
+    const id = Number(instance[this._idProperty]);
+    this._instances[id] = instance;
+    this.setNextId(Math.max(id + 1, this._nextId));
+    this.save(id);
+    this.emit({ type: "created", id: String(id), instance });
+    return instance;
+  }
+
+  /**
+   * admits a quarantined record again after it was fixed. The instance keeps
+   * its id and replaces the stored record.
+   * @param {number | string} id the id of the quarantined record
+   * @param {{[property: string]: any}} slots the fixed slots (the id is
+   * ignored)
+   * @returns {T} the admitted instance
+   * @throws {import("../../lib/errorTypes.js").ConstraintViolation} an
+   * `AggregateConstraintViolation` of all violated constraints of the slots
+   * (the record stays quarantined then)
+   */
+  readmit(id, slots) {
+    if (!this._quarantine.contains(id)) {
+      throw new ReferentialIntegrityConstraintViolation(
+        t("quarantine.noEntry", { entity: this.entityClass.entityLabel, id }),
+        { entity: this.entityName, property: this._idProperty, value: id }
+      );
+    }
+    let instance;
+    try {
+      instance = Transaction.run(
+        () => this._insert({ ...slots, [this._idProperty]: Number(id) }),
+        `Re-admit ${this.entityName} "${slots[this._labelProperty]}"`
+      );
+    } catch (e) {
+      this._quarantine.reject(id, e);
+      throw e;
+    }
+    this._quarantine.remove(id);
+    return instance;
+  }
+
+  /**
+   * deletes a quarantined record from the storage backend for good (it can't
+   * be undone)
+   * @param {number | string} id the id of the quarantined record
+   */
+  discard(id) {
+    if (!this._quarantine.contains(id)) return;
+    this._quarantine.remove(id);
+    this.remove(id);
+    console.info(`The quarantined ${this.entityName} ${id} was discarded.`);
+  }
+
+  /**
+   * updates the instance with the id of the `slots` and sets each property to
+   * the value of the slot if it is different (an unset slot unsets an
+   * optional property). A multi-valued property is changed by the slots
+   * `<property>ToAdd` and `<property>ToRemove`. Nothing is changed if a
+   * constraint is violated.
+   * @param {{[property: string]: any}} slots
+   */
+  update(slots) {
+    const id = slots[this._idProperty];
+    const instance = this._instances[id];
+    let noConstraintViolated = true;
+    /** @type {string[]} */
+    let updatedProperties = [];
+
+    Transaction.begin(
+      `Update ${this.entityName} "${instance?.[this._labelProperty]}"`
+    );
+    try {
+      updatedProperties = this._updateProperties(instance, slots);
+    } catch (e) {
+      console.warn(`${e.constructor.name}: ${e.message}`);
+      noConstraintViolated = false;
+      // restore the instance and the ones it references
+      Transaction.rollback();
+    }
+    if (noConstraintViolated) {
+      Transaction.commit();
+      if (updatedProperties.length > 0) {
+        this.save(id);
+        this.emit({
+          type: "updated",
+          id: String(id),
+          instance,
+          updatedProperties,
+        });
+        console.info(
+          `Properties ${updatedProperties.toString()} modified for ${
+            this.entityName
+          } ${id}`,
+          instance
+        );
+      } else {
+        console.info(`No property value changed for ${this.entityName} ${id}!`);
+      }
+    }
+  }
+
+  /**
+   * sets the changed properties of an instance
+   * @private
+   * @param {T} instance
+   * @param {{[property: string]: any}} slots
+   * @returns {string[]} the updated properties
+   * @throws {import("../../lib/errorTypes.js").ConstraintViolation}
+   */
+  _updateProperties(instance, slots) {
+    /** @type {string[]} */
+    const updatedProperties = [];
+    for (const [property, decl] of Object.entries(
+      this.entityClass.properties
+    )) {
+      if (decl.id) continue;
+      if (decl.multiValued && decl.reference) {
+        const Property = property.charAt(0).toUpperCase() + property.slice(1);
+        if (slots[`${property}ToAdd`]) {
+          instance[`add${Property}`](slots[`${property}ToAdd`]);
+          updatedProperties.push(`${property}(added)`);
+        }
+        if (slots[`${property}ToRemove`]) {
+          instance[`remove${Property}`](slots[`${property}ToRemove`]);
+          updatedProperties.push(`${property}(removed)`);
+        }
+      } else if (!instance.hasValue(property, slots[property])) {
+        instance[property] = slots[property];
+        updatedProperties.push(property);
+      }
+    }
+    // the properties are only consistent when all of them are set
+    const [violation] = Object.values(
+      this.entityClass.checkRecord(instance, instance)
+    );
+    if (violation) throw violation;
+    return updatedProperties;
+  }
+
+  /**
+   * removes an instance that is deleted from the instances and the storage
+   * backend (within the transaction of the deletion)
+   * @protected
+   * @param {number | string} id
+   */
+  _delete(id) {
+    const instance = this._instances[id];
+    delete this._instances[id];
+    instance.unlinkReferences();
+    this.remove(id);
+    // the id is not reused, since the instance could be restored
+    this.emit({ type: "destroyed", id: String(id), instance });
+  }
+
+  /*****************************************************************************
+   *** Storage backend ***********************************************************
+   *****************************************************************************/
+
+  /**
+   * loads all stored instances from the storage backend (upgrading the
+   * records of former app versions) and parses them. The invalid records are
+   * quarantined.
+   */
+  async retrieveAll() {
+    /** @type {{[key: string]: object}} */
+    let records = {};
+    try {
+      records = await loadMigrated(this._adapter, this._storageKey);
+    } catch (e) {
+      alert(t("storage.readError", { error: e }));
+    }
+    this._quarantine.clear();
+    const keys = Object.keys(records);
+    if (keys.length > 0) {
+      console.info(`${keys.length} ${this.entityName}s loaded`, records);
+      for (const key of keys) {
+        const instance = this._deserialize(key, records[key], true);
+        // an invalid record is kept in the backend, but not loaded
+        if (!instance) continue;
+        this._instances[key] = instance;
+      }
+      // store the current highest id (for receiving the next id later)
+      this.calculateNextId();
+      this._resolveReferences(records, true);
+    }
+    const rejected = this._quarantine.ids.length;
+    rejected > 0 && console.warn(`${rejected} ${this.entityName}s quarantined`);
+    this.emit({ type: "loaded" });
+  }
+
+  /**
+   * creates an instance from a stored record
+   * @private
+   * @param {string} key
+   * @param {object} record
+   * @param {boolean} quarantine `true` if an invalid record is quarantined
+   * @returns {T | null}
+   */
+  _deserialize(key, record, quarantine) {
+    return /** @type {T | null} */ (
+      this.entityClass.deserialize(
+        record,
+        (e) => quarantine && this._quarantine.add(key, record, e)
+      )
+    );
+  }
+
+  /**
+   * sets the references that can only be set when all records are loaded
+   * (e.g. to instances of the same entity). Does nothing by default.
+   * @protected
+   * @param {{[key: string]: object}} records the loaded records by their id
+   * @param {boolean} quarantine `true` if a record with an unresolvable
+   * reference is quarantined
+   */
+  _resolveReferences(records, quarantine) {}
+
+  /**
+   * stores all instances to the storage backend
+   */
+  async persist() {
+    let error = false;
+    const count = Object.keys(this._instances).length;
+    try {
+      await this._adapter.save(this._storageKey, this._instances);
+      Synchronization.publish(this._entity, this._instances, []);
+    } catch (e) {
+      error = true;
+      alert(
+        t("storage.writeError", {
+          operation: `${this._entity}Storage.persist()`,
+          error: e,
+        })
+      );
+    }
+
+    !error && console.info(`${count} ${this.entityName}s saved.`);
+  }
+
+  /**
+   * stores the instances with the given ids to the storage backend
+   * @param {...(number | string)} ids
+   */
+  async save(...ids) {
+    if (Transaction.isActive) {
+      // saved when the transaction is committed
+      Transaction.recordChanges(this, ids);
+      return;
+    }
+    /** @type {{[key: string]: T}} */
+    const instances = {};
+    for (const id of ids) {
+      // the instance could have been deleted in the meantime
+      if (this._instances[id]) instances[id] = this._instances[id];
+    }
+    try {
+      await this._adapter.save(this._storageKey, instances);
+      Synchronization.publish(this._entity, instances, []);
+    } catch (e) {
+      alert(
+        t("storage.writeError", {
+          operation: `${this._entity}Storage.save()`,
+          error: e,
+        })
+      );
+    }
+  }
+
+  /**
+   * deletes the instances with the given ids from the storage backend
+   * @param {...(number | string)} ids
+   */
+  async remove(...ids) {
+    if (Transaction.isActive) {
+      // deleted when the transaction is committed
+      Transaction.recordChanges(this, ids);
+      return;
+    }
+    try {
+      await this._adapter.delete(this._storageKey, ids);
+      Synchronization.publish(this._entity, {}, ids);
+    } catch (e) {
+      alert(
+        t("storage.writeError", {
+          operation: `${this._entity}Storage.remove()`,
+          error: e,
+        })
+      );
+    }
+  }
+
+  /**
+   * checks if an instance with the given id exists in the storage.
+   * @param {number | string} id the identifier of the instance to check
+   * @returns true if the instance exists in the storage
+   */
+  contains(id) {
+    return Object.keys(this._instances).includes(id.toString());
+  }
+
+  /**
+   * creates a snapshot of the current instances map (used by the `Transaction`)
+   * @returns {import("./Transaction.js").StorageSnapshot}
+   */
+  snapshot() {
+    return { instances: { ...this._instances }, nextId: this._nextId };
+  }
+
+  /**
+   * resets the instances map to a snapshot (used by the `Transaction`)
+   * @param {import("./Transaction.js").StorageSnapshot} snapshot
+   */
+  restore({ instances, nextId }) {
+    this._instances = { ...instances };
+    this.setNextId(nextId);
+  }
+
+  /**
+   * applies the changes another tab has written to the storage backend (used
+   * by the `Synchronization`). Changed instances are updated in place, so
+   * references to them stay valid.
+   * @param {{[key: string]: object}} records the saved records by their id
+   * @param {string[]} ids the ids of the deleted records
+   */
+  applyRemoteChanges(records, ids) {
+    /** @type {import("./StorageEvents.js").StorageEvent[]} emitted when all changes are applied */
+    const events = [];
+    for (const id of ids) {
+      const instance = this._instances[id];
+      delete this._instances[id];
+      this._quarantine.remove(id);
+      instance?.unlinkReferences();
+      instance && events.push({ type: "destroyed", id, instance });
+    }
+    /** @type {Map<T, {[key: string]: any}>} the former slots of the changed instances */
+    const formerSlots = new Map();
+    for (const key of Object.keys(records)) {
+      const instance = this._instances[key];
+      // the id of the changed instance must not be taken while it is deserialized
+      delete this._instances[key];
+      instance?.unlinkReferences();
+      // only a record that is not loaded is quarantined
+      const changed = this._deserialize(key, records[key], !instance);
+      changed && this._quarantine.remove(key);
+      if (instance && changed) {
+        formerSlots.set(instance, { ...instance });
+        this._replaceSlots(instance, changed);
+      } else if (changed) {
+        events.push({ type: "created", id: key, instance: changed });
+      }
+      // an invalid record keeps the former instance
+      const current = instance || changed;
+      if (current) this._instances[key] = current;
+      // the referenced instances reference the kept instance
+      current?.linkReferences();
+    }
+    this._resolveReferences(records, false);
+    for (const [instance, before] of formerSlots) {
+      const updatedProperties = changedProperties(before, instance);
+      updatedProperties.length > 0 &&
+        events.push({
+          type: "updated",
+          id: String(instance[this._idProperty]),
+          instance,
+          updatedProperties,
+        });
+    }
+    this.calculateNextId();
+    events.forEach((event) => this.emit(event));
+  }
+
+  /**
+   * replaces the slots of a loaded instance with the ones of its changed
+   * record (used by `applyRemoteChanges()`)
+   * @protected
+   * @param {T} instance
+   * @param {T} changed
+   */
+  _replaceSlots(instance, changed) {
+    instance.willChange();
+    replaceProperties(instance, changed);
+  }
+
+  /*****************************************************************************
+   *** ID creation *************************************************************
+   *****************************************************************************/
+
+  /**
+   * calculates the next possible id and stores it internally to `this._nextId`
+   */
+  calculateNextId() {
+    let currentId = -1;
+    for (const instance of Object.values(this._instances)) {
+      currentId = Math.max(Number(instance[this._idProperty]), currentId);
+    }
+    // the ids of the quarantined records are taken as well
+    for (const key of this._quarantine.ids) {
+      currentId = Math.max(parseInt(key), currentId);
+    }
+    this.setNextId(currentId + 1);
+  }
+
+  /**
+   * looks up the current highest identifier and returns the following
+   * identifier to use for an instance to add next.
+   * @returns the next identifier to use
+   */
+  nextId() {
+    // calculate the missing id if not already done
+    if (this._nextId === 0) {
+      this.calculateNextId();
+    }
+
+    return this._nextId;
+  }
+
+  /** @protected @param {number} id */
+  setNextId(id) {
+    this._nextId = id;
+  }
+
+  /*****************************************************************************
+   *** Auxiliary methods for testing *******************************************
+   *****************************************************************************/
+
+  /**
+   * clears all instances from the storage and the storage backend
+   */
+  async clear() {
+    try {
+      const ids = Object.keys(this._instances);
+      Object.values(this._instances).forEach((instance) =>
+        instance.unlinkReferences()
+      );
+      this._instances = {};
+      this._quarantine.clear();
+      await this._adapter.clear(this._storageKey);
+      Synchronization.publish(this._entity, {}, ids);
+      this.setNextId(1);
+      this.emit({ type: "cleared" });
+      console.info(`All ${this.entityName} records cleared.`);
+    } catch (e) {
+      console.warn(`${e.constructor.name}: ${e.message}`);
+    }
+  }
+}
@@ -0,0 +1,553 @@
+import {
+  NoConstraintViolation,
+  RangeConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+  UniquenessConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { Model } from "../../lib/Model.js";
+import { DEFAULT_DELETE_POLICIES } from "./DeletePolicy.js";
+import "./Movie.js";
+import { MovieStorage } from "./MovieStorage.js";
+import "./Person.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { Transaction } from "./Transaction.js";
+import { TvSeries } from "./TvSeries.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** the version of the document format written by `exportDatabase()`
+ * - 1: persons and movies (the episodes with the name of their series)
+ * - 2: the TV series as a list of their own
+ * - 3: the movies with a list of categories instead of a single one
+ */
+export const SCHEMA_VERSION = 3;
+
+/** the names of the entities in the messages of the import */
+const ENTITY_NAMES = {
+  Person: "person",
+  Movie: "movie",
+  TvSeries: "TV series",
+};
+
+/** @typedef {"Person" | "Movie" | "TvSeries"} ImportEntity */
+
+/**
+ * A complete export of the database.
+ * @typedef {object} DatabaseDocument
+ * @prop {number} schemaVersion the version of the document format
+ * @prop {string} exportedAt the time of the export as an ISO string
+ * @prop {import("./Person.js").PersonSlots[]} persons
+ * @prop {import("./TvSeries.js").TvSeriesSlots[]} [tvSeries] the series
+ * (since version 2)
+ * @prop {import("./Movie.js").MovieSlots[]} movies
+ */
+
+/**
+ * How an import treats the existing records:
+ * - `"replace"` deletes all existing records first
+ * - `"merge"` keeps them and adds the imported ones
+ * @typedef {"replace" | "merge"} ImportMode
+ */
+
+/**
+ * How a merge treats an imported record whose id is already taken:
+ * - `"skip"` keeps the existing record (references point to it)
+ * - `"overwrite"` replaces the existing record with the imported one
+ * - `"renumber"` imports the record with the next free id (references are
+ * adjusted)
+ * @typedef {"skip" | "overwrite" | "renumber"} ConflictPolicy
+ */
+
+/**
+ * @typedef {object} RejectedRecord
+ * @prop {ImportEntity} entity the type of the record
+ * @prop {number | string} id the id of the record in the document
+ * @prop {string} violation the name of the violated constraint
+ * @prop {string} [code] the code of the violated constraint, e.g.
+ * `"UNIQUENESS"`
+ * @prop {string} [property] the property violating the constraint
+ * @prop {string} message the message of the violated constraint
+ */
+
+/**
+ * @typedef {object} ImportReport
+ * @prop {number} persons the number of imported persons
+ * @prop {number} tvSeries the number of imported (or created) TV series
+ * @prop {number} movies the number of imported movies
+ * @prop {RejectedRecord[]} rejected the records that violate constraints
+ * @prop {{entity: ImportEntity, id: number | string}[]} skipped
+ * the records that were skipped because of an id conflict
+ * @prop {{entity: ImportEntity, from: number | string, to: number}[]} renumbered
+ * the records that got a new id because of an id conflict
+ */
+
+/**
+ * converts a map of entities to a list of plain records
+ * @param {{[key: string]: object}} instances
+ * @returns {any[]}
+ */
+function toRecords(instances) {
+  return Object.values(instances).map((instance) =>
+    JSON.parse(JSON.stringify(instance))
+  );
+}
+
+/**
+ * creates a document containing all persons, TV series and movies
+ * @returns {DatabaseDocument}
+ */
+export function exportDatabase() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    persons: toRecords(PersonStorage.instances),
+    tvSeries: toRecords(TvSeriesStorage.instances),
+    movies: toRecords(MovieStorage.instances),
+  };
+}
+
+/**
+ * checks if the given value is a document this version can import
+ * @param {any} doc
+ * @returns a ConstraintViolation
+ */
+export function checkDocument(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return new RangeConstraintViolation("The document must be a JSON object!");
+  } else if (!Number.isInteger(doc.schemaVersion) || doc.schemaVersion < 1) {
+    return new RangeConstraintViolation(
+      `The document's schemaVersion must be a positive Integer, but is (${
+        doc.schemaVersion
+      }: ${typeof doc.schemaVersion})!`
+    );
+  } else if (doc.schemaVersion > SCHEMA_VERSION) {
+    return new RangeConstraintViolation(
+      `The document's schemaVersion (${doc.schemaVersion}) is newer than the supported version ${SCHEMA_VERSION}!`
+    );
+  } else if (!Array.isArray(doc.persons) || !Array.isArray(doc.movies)) {
+    return new RangeConstraintViolation(
+      "The document must contain a list of persons and a list of movies!"
+    );
+  } else if (doc.schemaVersion >= 2 && !Array.isArray(doc.tvSeries)) {
+    return new RangeConstraintViolation(
+      "The document must contain a list of TV series!"
+    );
+  } else {
+    return new NoConstraintViolation();
+  }
+}
+
+/**
+ * imports all persons, TV series and movies of a document. Persons and series
+ * are imported first (agents after their clients were created), then the
+ * movies referencing them. The episodes of a version 1 document get the series
+ * with their series name (which is created if there is none). The category of
+ * a movie of a version 1 or 2 document becomes its only category.
+ * The whole import is one transaction (and can be undone).
+ * @param {DatabaseDocument} doc the document to import
+ * @param {{mode?: ImportMode, onConflict?: ConflictPolicy}} [options]
+ * @returns {ImportReport}
+ * @throws {RangeConstraintViolation} if the document can't be imported at all
+ */
+export function importDatabase(
+  doc,
+  { mode = "merge", onConflict = "skip" } = {}
+) {
+  const validationResult = checkDocument(doc);
+  if (!(validationResult instanceof NoConstraintViolation)) {
+    throw validationResult;
+  }
+  /** @type {ImportReport} */
+  const report = {
+    persons: 0,
+    tvSeries: 0,
+    movies: 0,
+    rejected: [],
+    skipped: [],
+    renumbered: [],
+  };
+  Transaction.run(() => {
+    if (mode === "replace") {
+      // the movies first, so no cascades are triggered
+      for (const movieId of Object.keys(MovieStorage.instances)) {
+        MovieStorage.destroy(movieId, {
+          cause: { key: "recycleBin.replacedByImport" },
+        });
+      }
+      // every person is deleted, so no reference may restrict it
+      for (const personId of Object.keys(PersonStorage.instances)) {
+        PersonStorage.destroy(personId, {
+          policies: DEFAULT_DELETE_POLICIES,
+          cause: { key: "recycleBin.replacedByImport" },
+        });
+      }
+      // the series have no episodes anymore
+      for (const tvSeriesId of Object.keys(TvSeriesStorage.instances)) {
+        TvSeriesStorage.destroy(tvSeriesId, {
+          cause: { key: "recycleBin.replacedByImport" },
+        });
+      }
+    }
+    const personIds = importPersons(doc.persons, onConflict, report);
+    const tvSeriesIds = importTvSeries(doc.tvSeries ?? [], onConflict, report);
+    importMovies(doc.movies, { personIds, tvSeriesIds }, onConflict, report);
+    PersonStorage.calculateNextId();
+    TvSeriesStorage.calculateNextId();
+    MovieStorage.calculateNextId();
+  }, "Import database");
+  console.info(
+    `${report.persons} persons, ${report.tvSeries} TV series and ${report.movies} movies imported, ${report.rejected.length} records rejected`,
+    report
+  );
+  return report;
+}
+
+/**
+ * @param {ImportEntity} entity
+ * @param {number | string} id
+ * @param {any} e the violated constraint
+ * @param {ImportReport} report
+ */
+function reject(entity, id, e, report) {
+  report.rejected.push({
+    entity,
+    id,
+    violation: e.constructor.name,
+    code: e.code,
+    property: e.property,
+    message: e.message,
+  });
+}
+
+/**
+ * determines the first id that is neither taken by an existing record nor
+ * used by a record of the document
+ * @param {number} nextId the next id of the storage
+ * @param {any[]} records the records of the document
+ * @param {string} idProp the id property of the records
+ * @returns {number}
+ */
+function firstFreeId(nextId, records, idProp) {
+  const ids = records
+    .map((rec) => parseInt(rec && rec[idProp]))
+    .filter((id) => !isNaN(id));
+  return Math.max(nextId, ...ids.map((id) => id + 1));
+}
+
+/**
+ * checks the id of an imported record and resolves an id conflict
+ * @param {ImportEntity} entity
+ * @param {any} record
+ * @param {Map<string, number | null>} idMap the ids assigned so far
+ * @param {ConflictPolicy} onConflict
+ * @param {() => number} nextFreeId
+ * @param {ImportReport} report
+ * @returns {{id: number, conflict: boolean} | null} the id to use or `null`
+ * if the record is rejected or skipped
+ */
+function assignId(entity, record, idMap, onConflict, nextFreeId, report) {
+  const cls = Model.classNamed(entity);
+  const idProp = cls.idProperty;
+  const IdProp = idProp.charAt(0).toUpperCase() + idProp.slice(1);
+  if (!record || typeof record !== "object") {
+    reject(
+      entity,
+      "?",
+      new RangeConstraintViolation(`A ${entity} record must be an object!`),
+      report
+    );
+    return null;
+  }
+  const id = record[idProp];
+  const validationResult = cls[`check${IdProp}AsId`](id);
+  if (idMap.has(String(id))) {
+    reject(
+      entity,
+      id,
+      new UniquenessConstraintViolation(
+        `The ${idProp} (${id}) occurs more than once in the document!`,
+        { entity, property: idProp, value: id }
+      ),
+      report
+    );
+    return null;
+  } else if (validationResult instanceof NoConstraintViolation) {
+    return { id: parseInt(id), conflict: false };
+  } else if (!(validationResult instanceof UniquenessConstraintViolation)) {
+    reject(entity, id, validationResult, report);
+    return null;
+  }
+  // the id is taken by an existing record
+  switch (onConflict) {
+    case "overwrite":
+      return { id: parseInt(id), conflict: true };
+    case "renumber": {
+      const newId = nextFreeId();
+      report.renumbered.push({ entity, from: id, to: newId });
+      return { id: newId, conflict: false };
+    }
+    default:
+      report.skipped.push({ entity, id });
+      // references to the record point to the existing one
+      idMap.set(String(id), parseInt(id));
+      return null;
+  }
+}
+
+/**
+ * imports the persons of a document in two passes: the persons themselves,
+ * then their agents (which may be imported persons as well)
+ * @param {any[]} records
+ * @param {ConflictPolicy} onConflict
+ * @param {ImportReport} report
+ * @returns {Map<string, number | null>} the id of every person of the
+ * document (`null` if it was rejected)
+ */
+function importPersons(records, onConflict, report) {
+  /** @type {Map<string, number | null>} */
+  const idMap = new Map();
+  /** @type {{record: any, person: import("./Person.js").Person, previousName?: string}[]} */
+  const imported = [];
+  let freeId = firstFreeId(PersonStorage.nextId(), records, "personId");
+  const nextFreeId = () => freeId++;
+
+  for (const record of records) {
+    const assigned = assignId(
+      "Person",
+      record,
+      idMap,
+      onConflict,
+      nextFreeId,
+      report
+    );
+    if (!assigned) continue;
+    try {
+      if (assigned.conflict) {
+        const person = PersonStorage.instances[assigned.id];
+        const previousName = person.name;
+        person.name = record.name;
+        PersonStorage.save(person.personId);
+        imported.push({ record, person, previousName });
+      } else {
+        const person = PersonStorage.create({
+          personId: assigned.id,
+          name: record.name,
+        });
+        imported.push({ record, person });
+      }
+      idMap.set(String(record.personId), assigned.id);
+    } catch (e) {
+      reject("Person", record.personId, e, report);
+      idMap.set(String(record.personId), null);
+    }
+  }
+
+  // set the agents when all persons exist
+  for (const { record, person, previousName } of imported) {
+    try {
+      if (record.agent !== undefined && record.agent !== null) {
+        // the setter resolves the id of the agent
+        person.agent = /** @type {any} */ (
+          resolveRef(record.agent, idMap, "Person")
+        );
+      } else if (previousName !== undefined) {
+        // an overwritten person gets the agent of the imported record
+        person.agent = undefined;
+      }
+      PersonStorage.save(person.personId);
+      report.persons++;
+    } catch (e) {
+      reject("Person", record.personId, e, report);
+      idMap.set(String(record.personId), null);
+      if (previousName !== undefined) {
+        person.name = previousName;
+        PersonStorage.save(person.personId);
+      } else {
+        // the rejected person was never part of the database
+        PersonStorage.destroy(String(person.personId), { permanent: true });
+      }
+    }
+  }
+  return idMap;
+}
+
+/**
+ * imports the TV series of a document. An overwritten series keeps its
+ * episodes.
+ * @param {any[]} records
+ * @param {ConflictPolicy} onConflict
+ * @param {ImportReport} report
+ * @returns {Map<string, number | null>} the id of every series of the
+ * document (`null` if it was rejected)
+ */
+function importTvSeries(records, onConflict, report) {
+  /** @type {Map<string, number | null>} */
+  const idMap = new Map();
+  let freeId = firstFreeId(TvSeriesStorage.nextId(), records, "tvSeriesId");
+  const nextFreeId = () => freeId++;
+
+  for (const record of records) {
+    const assigned = assignId(
+      "TvSeries",
+      record,
+      idMap,
+      onConflict,
+      nextFreeId,
+      report
+    );
+    if (!assigned) continue;
+    /** @type {import("./TvSeries.js").TvSeriesSlots} */
+    const slots = {
+      tvSeriesId: assigned.id,
+      title: record.title,
+      startYear: record.startYear,
+      endYear: record.endYear,
+    };
+    try {
+      if (assigned.conflict) {
+        const tvSeries = TvSeriesStorage.instances[assigned.id];
+        const [violation] = Object.values(TvSeries.validate(slots, tvSeries));
+        if (violation) throw violation;
+        // the setters parse the years
+        Object.assign(tvSeries, {
+          title: slots.title,
+          startYear: slots.startYear,
+          endYear: slots.endYear,
+        });
+        TvSeriesStorage.save(tvSeries.tvSeriesId);
+      } else {
+        TvSeriesStorage.create(slots);
+      }
+      idMap.set(String(record.tvSeriesId), assigned.id);
+      report.tvSeries++;
+    } catch (e) {
+      reject("TvSeries", record.tvSeriesId, e, report);
+      idMap.set(String(record.tvSeriesId), null);
+    }
+  }
+  return idMap;
+}
+
+/**
+ * resolves a reference of an imported record to the id the referenced record
+ * got
+ * @param {any} ref the id (or the serialized record)
+ * @param {Map<string, number | null>} idMap
+ * @param {"Person" | "TvSeries"} entity the referenced entity
+ * @returns {number | string} the id of the referenced record
+ * @throws {ReferentialIntegrityConstraintViolation} if the referenced record
+ * was rejected
+ */
+function resolveRef(ref, idMap, entity) {
+  const { idProperty } = Model.classNamed(entity);
+  const id = ref && typeof ref === "object" ? ref[idProperty] : ref;
+  if (!idMap.has(String(id))) {
+    // an existing record (checked by the setters)
+    return id;
+  }
+  const resolvedId = idMap.get(String(id));
+  if (resolvedId === null) {
+    throw new ReferentialIntegrityConstraintViolation(
+      `The ${ENTITY_NAMES[entity]} with ${idProperty} (${id}) was rejected!`,
+      { entity, property: idProperty, value: id }
+    );
+  }
+  return resolvedId;
+}
+
+/**
+ * finds the TV series with the given title or creates it (for the episodes of
+ * a version 1 document, which have the name of their series)
+ * @param {string} title
+ * @param {Date | string} releaseDate the release date of the episode, the
+ * start of a created series
+ * @returns {{tvSeriesId: number, created: boolean}}
+ * @throws {import("../../lib/errorTypes.js").ConstraintViolation} if the
+ * series can't be created
+ */
+function tvSeriesNamed(title, releaseDate) {
+  const tvSeries = Object.values(TvSeriesStorage.instances).find(
+    (candidate) => candidate.title === String(title)
+  );
+  if (tvSeries) {
+    return { tvSeriesId: tvSeries.tvSeriesId, created: false };
+  }
+  const tvSeriesId = TvSeriesStorage.nextId();
+  TvSeriesStorage.create({
+    tvSeriesId,
+    title,
+    startYear: new Date(releaseDate).getFullYear(),
+  });
+  return { tvSeriesId, created: true };
+}
+
+/**
+ * imports the movies of a document
+ * @param {any[]} records
+ * @param {{personIds: Map<string, number | null>, tvSeriesIds: Map<string, number | null>}} idMaps
+ * the ids the persons and the series of the document got
+ * @param {ConflictPolicy} onConflict
+ * @param {ImportReport} report
+ */
+function importMovies(records, { personIds, tvSeriesIds }, onConflict, report) {
+  /** @type {Map<string, number | null>} */
+  const idMap = new Map();
+  let freeId = firstFreeId(MovieStorage.nextId(), records, "movieId");
+  const nextFreeId = () => freeId++;
+
+  for (const record of records) {
+    const assigned = assignId(
+      "Movie",
+      record,
+      idMap,
+      onConflict,
+      nextFreeId,
+      report
+    );
+    if (!assigned) continue;
+    try {
+      const { tvSeriesName, category, ...movie } = record;
+      /** @type {import("./Movie.js").MovieSlots} */
+      const slots = {
+        ...movie,
+        movieId: assigned.id,
+        director: resolveRef(record.director, personIds, "Person"),
+        actors: (record.actors || []).map((actor) =>
+          resolveRef(actor, personIds, "Person")
+        ),
+      };
+      if (category && !record.categories) {
+        slots.categories = [category];
+      }
+      if (record.about) {
+        slots.about = resolveRef(record.about, personIds, "Person");
+      }
+      if (record.tvSeries) {
+        slots.tvSeries = resolveRef(record.tvSeries, tvSeriesIds, "TvSeries");
+      }
+      const createdTvSeries = Transaction.run(() => {
+        if (assigned.conflict) {
+          // restored if the imported movie is rejected
+          MovieStorage.destroy(String(assigned.id), {
+            cause: { key: "recycleBin.overwrittenByImport" },
+          });
+        }
+        let created = false;
+        if (tvSeriesName && !record.tvSeries) {
+          // the episodes of version 1 had no seasons
+          const named = tvSeriesNamed(tvSeriesName, record.releaseDate);
+          slots.tvSeries = named.tvSeriesId;
+          slots.seasonNo ??= 1;
+          created = named.created;
+        }
+        MovieStorage.create(slots);
+        return created;
+      });
+      idMap.set(String(record.movieId), assigned.id);
+      createdTvSeries && report.tvSeries++;
+      report.movies++;
+    } catch (e) {
+      reject("Movie", record.movieId, e, report);
+      idMap.set(String(record.movieId), null);
+    }
+  }
+}
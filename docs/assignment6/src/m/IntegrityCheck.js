@@ -0,0 +1,632 @@
+import { t } from "../../lib/i18n.js";
+import { Movie, MovieCategoryEL } from "./Movie.js";
+import { MovieStorage } from "./MovieStorage.js";
+import { Person, PersonTypeEL } from "./Person.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { Transaction } from "./Transaction.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** the cause of the records the repair moves to the trash */
+const REPAIR_CAUSE = { key: "recycleBin.repaired" };
+
+/** the segment fields each movie category requires (the ones of no category
+ * of a movie are invalid) */
+const SEGMENT_FIELDS = {
+  [MovieCategoryEL["BIOGRAPHY"]]: ["about"],
+  [MovieCategoryEL["TVSERIESEPISODE"]]: ["tvSeries", "seasonNo", "episodeNo"],
+};
+const ALL_SEGMENT_FIELDS = ["about", "tvSeries", "seasonNo", "episodeNo"];
+
+/** the storages of the checked entities */
+const STORAGES = {
+  Movie: MovieStorage,
+  Person: PersonStorage,
+  TvSeries: TvSeriesStorage,
+};
+
+/** the inverse references of the persons and series, the reference they are
+ * derived from and the methods maintaining them */
+const INVERSE_REFERENCES = {
+  Person: {
+    directedMovies: ["director", "addDirectedMovie", "removeDirectedMovie"],
+    playedMovies: ["actors", "addPlayedMovie", "removePlayedMovie"],
+    biographies: ["about", "addBiography", "removeBiography"],
+    clients: ["agent", "addClient", "removeClient"],
+  },
+  TvSeries: {
+    episodes: ["tvSeries", "addEpisode", "removeEpisode"],
+  },
+};
+
+/**
+ * The kinds of integrity problems:
+ * - `"duplicateId"`: a record is stored under a key other than its id
+ * - `"danglingReference"`: a reference to a person or series that is not
+ * stored (or to a former instance of it)
+ * - `"categoryFields"`: a movie lacks the segment fields of one of its
+ * categories or has those of another one
+ * - `"inverseReferences"`: the movies and clients recorded for a person (or
+ * the episodes recorded for a series) don't match the records referencing it
+ * - `"personCategories"`: the categories of a person don't match its movies
+ * and clients
+ * - `"orphan"`: a person that no movie and no client references
+ * @typedef {"duplicateId" | "danglingReference" | "categoryFields" | "inverseReferences" | "personCategories" | "orphan"} IntegrityProblemType
+ */
+
+/**
+ * A violation of the integrity of the database.
+ * @typedef {object} IntegrityProblem
+ * @prop {IntegrityProblemType} type
+ * @prop {"error" | "warning"} severity a warning (like an orphan person) can
+ * be intended and is only repaired on request
+ * @prop {"Movie" | "Person" | "TvSeries"} entity
+ * @prop {string} id the key of the record in its storage
+ * @prop {string} [property] the property of a dangling reference
+ * @prop {string} [refId] the `personId` or `tvSeriesId` of a dangling
+ * reference
+ * @prop {string} message what is wrong
+ * @prop {string} repair what the repair does
+ */
+
+/**
+ * The result of a repair.
+ * @typedef {object} RepairReport
+ * @prop {IntegrityProblem[]} repaired
+ * @prop {IntegrityProblem[]} remaining the problems found afterwards
+ */
+
+/**
+ * @param {import("./Movie.js").Movie} movie
+ * @returns {string} e.g. `movie "Stay" (6)`
+ */
+function describeMovie(movie) {
+  return t("record.Movie", { label: movie.title, id: movie.movieId });
+}
+
+/**
+ * @param {import("./Person.js").Person} person
+ * @returns {string} e.g. `person "Uma Thurman" (4)`
+ */
+function describePerson(person) {
+  return t("record.Person", { label: person.name, id: person.personId });
+}
+
+/**
+ * @param {import("./TvSeries.js").TvSeries} tvSeries
+ * @returns {string} e.g. `TV series "The Loudest Voice" (1)`
+ */
+function describeTvSeries(tvSeries) {
+  return t("record.TvSeries", {
+    label: tvSeries.title,
+    id: tvSeries.tvSeriesId,
+  });
+}
+
+/**
+ * @param {import("../../lib/Model.js").Model} ref a referenced person or
+ * series
+ * @returns {boolean} `true` if the instance is not the stored one
+ */
+function isDangling(ref) {
+  const { storage, idProperty } =
+    /** @type {typeof import("../../lib/Model.js").Model} */ (ref.constructor);
+  return storage.instances[ref[idProperty]] !== ref;
+}
+
+/**
+ * finds the records stored under a key other than their id
+ * @returns {IntegrityProblem[]}
+ */
+function findDuplicateIds() {
+  /** @type {IntegrityProblem[]} */
+  const problems = [];
+  for (const [entity, storage] of Object.entries(STORAGES)) {
+    const { idProperty } = storage.entityClass;
+    for (const [key, instance] of Object.entries(storage.instances)) {
+      const id = String(instance[idProperty]);
+      if (id === key) continue;
+      const owner = storage.instances[id];
+      const record = t("integrity.record", {
+        entity: storage.entityClass.entityLabel,
+        id,
+      });
+      /** @type {[string, string]} the message and the repair */
+      const [message, repair] = !owner
+        ? [
+            t("integrity.storedAs", { record, key }),
+            t("integrity.storeAs", { id }),
+          ]
+        : owner === instance
+        ? [
+            t("integrity.storedTwice", { record, id, key }),
+            t("integrity.dropCopy", { key }),
+          ]
+        : [
+            t("integrity.duplicate", { record, key }),
+            t("integrity.trashDuplicate"),
+          ];
+      problems.push({
+        type: "duplicateId",
+        severity: "error",
+        entity: /** @type {IntegrityProblem["entity"]} */ (entity),
+        id: key,
+        message,
+        repair,
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * finds the references to persons and series that are not stored
+ * @returns {IntegrityProblem[]}
+ */
+function findDanglingReferences() {
+  /** @type {IntegrityProblem[]} */
+  const problems = [];
+  /**
+   * @param {"Movie" | "Person"} entity
+   * @param {string} id
+   * @param {string} property
+   * @param {import("../../lib/Model.js").Model} ref the person or series
+   * @param {string} record the description of the referencing record
+   * @param {string} orElse the repair if the person or series is missing
+   */
+  const addProblem = (entity, id, property, ref, record, orElse) => {
+    const { storage, idProperty, entityLabel } =
+      /** @type {typeof import("../../lib/Model.js").Model} */ (
+        ref.constructor
+      );
+    const refId = String(ref[idProperty]);
+    const isStored = Boolean(storage.instances[refId]);
+    const role = t(`integrity.role.${property}`);
+    const params = { role, record, entity: entityLabel, refId };
+    problems.push({
+      type: "danglingReference",
+      severity: "error",
+      entity,
+      id,
+      property,
+      refId,
+      message: isStored
+        ? t("integrity.outdatedCopy", params)
+        : t("integrity.missingReference", params),
+      repair: isStored ? t("integrity.linkStored", params) : orElse,
+    });
+  };
+  for (const [key, movie] of Object.entries(MovieStorage.instances)) {
+    const record = describeMovie(movie);
+    if (movie.director && isDangling(movie.director)) {
+      addProblem(
+        "Movie",
+        key,
+        "director",
+        movie.director,
+        record,
+        t("integrity.trashMovie")
+      );
+    }
+    for (const actor of Object.values(movie.actors)) {
+      if (isDangling(actor)) {
+        addProblem(
+          "Movie",
+          key,
+          "actors",
+          actor,
+          record,
+          t("integrity.removeActor")
+        );
+      }
+    }
+    if (movie.about && isDangling(movie.about)) {
+      addProblem(
+        "Movie",
+        key,
+        "about",
+        movie.about,
+        record,
+        t("integrity.trashMovie")
+      );
+    }
+    if (movie.tvSeries && isDangling(movie.tvSeries)) {
+      addProblem(
+        "Movie",
+        key,
+        "tvSeries",
+        movie.tvSeries,
+        record,
+        t("integrity.trashMovie")
+      );
+    }
+  }
+  for (const [key, person] of Object.entries(PersonStorage.instances)) {
+    if (person.agent && isDangling(person.agent)) {
+      addProblem(
+        "Person",
+        key,
+        "agent",
+        person.agent,
+        describePerson(person),
+        t("integrity.removeAgent")
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * @param {number[]} categories the categories of a movie
+ * @returns {string[]} the segment fields the categories require
+ */
+function segmentFieldsOf(categories) {
+  return categories.flatMap((category) => SEGMENT_FIELDS[category]);
+}
+
+/**
+ * finds the movies whose segment fields don't match their categories (each
+ * category is checked on its own)
+ * @returns {IntegrityProblem[]}
+ */
+function findInvalidCategoryFields() {
+  /** @type {IntegrityProblem[]} */
+  const problems = [];
+  for (const [key, movie] of Object.entries(MovieStorage.instances)) {
+    const required = segmentFieldsOf(movie.categories);
+    const missing = required.filter((field) => !movie[field]);
+    const invalid = ALL_SEGMENT_FIELDS.filter(
+      (field) => !required.includes(field) && movie[field]
+    );
+    if (missing.length === 0 && invalid.length === 0) continue;
+    /** @param {string[]} fields */
+    const labels = (fields) =>
+      fields.map((field) => Movie.propertyLabel(field)).join(", ");
+    const categories =
+      movie.categories.length > 0
+        ? movie.categories
+            .map((code) => MovieCategoryEL.localizedLabels[code - 1])
+            .join(", ")
+        : t("integrity.noCategory");
+    problems.push({
+      type: "categoryFields",
+      severity: "error",
+      entity: "Movie",
+      id: key,
+      message: t("integrity.categoryFields", {
+        record: describeMovie(movie),
+        categories,
+        problems: [
+          missing.length > 0 &&
+            t("integrity.lacks", { fields: labels(missing) }),
+          invalid.length > 0 && t("integrity.has", { fields: labels(invalid) }),
+        ]
+          .filter(Boolean)
+          .join(t("integrity.and")),
+      }),
+      repair:
+        missing.length > 0
+          ? t("integrity.removeIncomplete")
+          : t("integrity.removeFields", { fields: labels(invalid) }),
+    });
+  }
+  return problems;
+}
+
+/**
+ * @param {"Person" | "TvSeries"} entity
+ * @param {import("../../lib/Model.js").Model} instance a person or series
+ * @returns {{[property: string]: object[]}} the records referencing a person
+ * or series by its inverse references, as they are found by scanning the
+ * storages
+ */
+function scanReferences(entity, instance) {
+  const { idProperty } =
+    /** @type {typeof import("../../lib/Model.js").Model} */ (
+      instance.constructor
+    );
+  const id = String(instance[idProperty]);
+  /** @type {{[property: string]: object[]}} */
+  const references = {};
+  for (const [property, [reference]] of Object.entries(
+    INVERSE_REFERENCES[entity]
+  )) {
+    const storage = property === "clients" ? PersonStorage : MovieStorage;
+    references[property] = storage.query({ where: { [reference]: id } });
+  }
+  return references;
+}
+
+/**
+ * @param {"Person" | "TvSeries"} entity
+ * @param {import("../../lib/Model.js").Model} instance a person or series
+ * @returns {string[]} the inverse references that don't match the records
+ * referencing the instance
+ */
+function findDriftedReferences(entity, instance) {
+  const scanned = scanReferences(entity, instance);
+  return Object.keys(INVERSE_REFERENCES[entity]).filter((property) => {
+    /** @type {{[key: string]: object}} */
+    const recorded = instance[property];
+    return (
+      Object.keys(recorded).length !== scanned[property].length ||
+      scanned[property].some(
+        (record) =>
+          recorded[
+            record instanceof Person ? record.personId : record.movieId
+          ] !== record
+      )
+    );
+  });
+}
+
+/**
+ * @param {"Person" | "TvSeries"} entity
+ * @param {string} key
+ * @param {string[]} drifted the inverse references that don't match
+ * @param {string} record the description of the person or series
+ * @returns {IntegrityProblem}
+ */
+function inverseReferencesProblem(entity, key, drifted, record) {
+  const { entityClass } = STORAGES[entity];
+  return {
+    type: "inverseReferences",
+    severity: "error",
+    entity,
+    id: key,
+    message: t("integrity.inverseReferences", {
+      properties: drifted
+        .map((property) => entityClass.propertyLabel(property))
+        .join(", "),
+      record,
+    }),
+    repair: t("integrity.recompute"),
+  };
+}
+
+/**
+ * finds the persons whose inverse references or categories drifted from the
+ * records referencing them and the persons no movie and no client references
+ * @returns {IntegrityProblem[]}
+ */
+function findPersonProblems() {
+  /** @type {IntegrityProblem[]} */
+  const problems = [];
+  for (const [key, person] of Object.entries(PersonStorage.instances)) {
+    const drifted = findDriftedReferences("Person", person);
+    if (drifted.length > 0) {
+      problems.push(
+        inverseReferencesProblem("Person", key, drifted, describePerson(person))
+      );
+    }
+    const derived = PersonStorage.deriveCategories(key);
+    const current = [...person.categories].sort();
+    if (current.join() !== derived.join()) {
+      /** @param {number[]} categories */
+      const labels = (categories) =>
+        categories.map((c) => PersonTypeEL.localizedLabels[c - 1]).join(", ") ||
+        t("integrity.noCategories");
+      problems.push({
+        type: "personCategories",
+        severity: "error",
+        entity: "Person",
+        id: key,
+        message: t("integrity.personCategories", {
+          record: describePerson(person),
+          current: labels(current),
+          derived: labels(derived),
+        }),
+        repair: t("integrity.recomputeCategories"),
+      });
+    }
+    const references = PersonStorage.findReferences(key);
+    if (Object.values(references).every((refs) => refs.length === 0)) {
+      problems.push({
+        type: "orphan",
+        severity: "warning",
+        entity: "Person",
+        id: key,
+        message: t("integrity.orphan", { record: describePerson(person) }),
+        repair: t("integrity.trashPerson"),
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * finds the series whose episodes drifted from the movies referencing them
+ * @returns {IntegrityProblem[]}
+ */
+function findTvSeriesProblems() {
+  /** @type {IntegrityProblem[]} */
+  const problems = [];
+  for (const [key, tvSeries] of Object.entries(TvSeriesStorage.instances)) {
+    const drifted = findDriftedReferences("TvSeries", tvSeries);
+    if (drifted.length > 0) {
+      problems.push(
+        inverseReferencesProblem(
+          "TvSeries",
+          key,
+          drifted,
+          describeTvSeries(tvSeries)
+        )
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * checks the integrity of the movies, persons and series without changing
+ * anything
+ * @returns {IntegrityProblem[]} the problems found, the ones to repair first
+ * first (e.g. the categories are recomputed after the references were
+ * repaired)
+ */
+export function checkIntegrity() {
+  return [
+    ...findDuplicateIds(),
+    ...findDanglingReferences(),
+    ...findInvalidCategoryFields(),
+    ...findPersonProblems(),
+    ...findTvSeriesProblems(),
+  ];
+}
+
+/**
+ * repairs a single problem (within the repair transaction)
+ * @param {IntegrityProblem} problem
+ */
+function repairProblem({ type, entity, id, property, refId }) {
+  const storage = STORAGES[entity];
+  const instance = storage.instances[id];
+  // the problem could have been repaired by another one
+  if (!instance) return;
+  const options = { cause: REPAIR_CAUSE };
+  switch (type) {
+    case "duplicateId": {
+      const ownId = String(instance[storage.entityClass.idProperty]);
+      const owner = storage.instances[ownId];
+      if (owner && owner !== instance) {
+        if (entity === "Movie") {
+          MovieStorage.destroy(id, options);
+          // the duplicate could have replaced the owner in its persons
+          owner.linkReferences();
+        } else if (entity === "TvSeries") {
+          // a series with episodes can't be deleted
+          for (const movie of Object.values(
+            TvSeriesStorage.instances[id].episodes
+          )) {
+            movie.tvSeries = TvSeriesStorage.instances[ownId];
+          }
+          TvSeriesStorage.destroy(id, options);
+        } else {
+          PersonStorage.destroy(id, options);
+        }
+        return;
+      }
+      const isCopy = storage.instances[ownId] === instance;
+      delete storage.instances[id];
+      storage.instances[ownId] = instance;
+      storage.remove(id);
+      storage.emit({ type: "destroyed", id, instance });
+      if (!isCopy) {
+        storage.save(ownId);
+        storage.emit({ type: "created", id: ownId, instance });
+      }
+      return;
+    }
+    case "danglingReference": {
+      const stored = (property === "tvSeries" ? TvSeriesStorage : PersonStorage)
+        .instances[refId];
+      if (property === "actors") {
+        const movie = MovieStorage.instances[id];
+        // the outdated copy is no person of the storage
+        movie.willChange();
+        delete movie[`_${property}`][refId];
+        stored && movie.addActor(/** @type {Person} */ (stored));
+      } else if (stored) {
+        // the setters add the movie or client to the stored person or series
+        instance[property] = stored;
+      } else if (property === "agent") {
+        PersonStorage.instances[id].agent = undefined;
+      } else {
+        // a movie can't exist without its director, the subject of its
+        // biography or the series of its episode
+        MovieStorage.destroy(id, options);
+        return;
+      }
+      storage.save(id);
+      storage.emit({
+        type: "updated",
+        id,
+        instance,
+        updatedProperties: [property],
+      });
+      return;
+    }
+    case "categoryFields": {
+      const movie = MovieStorage.instances[id];
+      // the complete categories are kept
+      const categories = movie.categories.filter((category) =>
+        SEGMENT_FIELDS[category].every((field) => movie[field])
+      );
+      const isComplete = categories.length === movie.categories.length;
+      movie.willChange();
+      if (!isComplete) movie["_categories"] = categories;
+      const required = segmentFieldsOf(categories);
+      if (!required.includes("about")) {
+        movie.about?.removeBiography(movie);
+      }
+      if (!required.includes("tvSeries")) {
+        movie.tvSeries?.removeEpisode(movie);
+      }
+      /** @type {string[]} */
+      const updatedProperties = isComplete ? [] : ["categories"];
+      for (const field of ALL_SEGMENT_FIELDS) {
+        if (required.includes(field)) continue;
+        if (movie[`_${field}`] === undefined) continue;
+        delete movie[`_${field}`];
+        updatedProperties.push(field);
+      }
+      MovieStorage.save(id);
+      MovieStorage.emit({
+        type: "updated",
+        id,
+        instance: movie,
+        updatedProperties,
+      });
+      return;
+    }
+    case "inverseReferences": {
+      const scanned = scanReferences(
+        /** @type {"Person" | "TvSeries"} */ (entity),
+        instance
+      );
+      for (const [property, [, add, remove]] of Object.entries(
+        INVERSE_REFERENCES[entity]
+      )) {
+        for (const record of Object.values(instance[property])) {
+          instance[remove](record);
+        }
+        for (const record of scanned[property]) {
+          instance[add](record);
+        }
+      }
+      storage.emit({
+        type: "updated",
+        id,
+        instance,
+        updatedProperties: Object.keys(INVERSE_REFERENCES[entity]),
+      });
+      return;
+    }
+    case "personCategories":
+      PersonStorage.recalculateCategories(id);
+      return;
+    case "orphan":
+      PersonStorage.destroy(id, options);
+      return;
+  }
+}
+
+/**
+ * repairs the given problems in a single transaction, so the repair can be
+ * undone as a whole
+ * @param {IntegrityProblem[]} problems the problems found by
+ * `checkIntegrity()` in their order
+ * @returns {RepairReport}
+ */
+export function repairIntegrity(problems) {
+  Transaction.run(() => {
+    for (const problem of problems) {
+      repairProblem(problem);
+    }
+    // a repaired reference changes the categories of the persons
+    for (const personId of Object.keys(PersonStorage.instances)) {
+      PersonStorage.recalculateCategories(personId);
+    }
+  }, "Repair the database");
+  console.info(`${problems.length} integrity problems repaired`);
+  return { repaired: problems, remaining: checkIntegrity() };
+}
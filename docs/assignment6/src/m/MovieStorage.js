@@ -1,182 +1,64 @@
-import { FrozenValueConstraintViolation } from "../../lib/errorTypes.js";
-import { cloneObject, compareDates } from "../../lib/util.js";
+import {
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { DEFAULT_DELETE_POLICIES, DeletePolicyEL } from "./DeletePolicy.js";
+import { EntityStorage } from "./EntityStorage.js";
 import { Movie, MovieCategoryEL } from "./Movie.js";
-import { Person, PersonTypeEL } from "./Person.js";
+import { Person } from "./Person.js";
 import { PersonStorage } from "./PersonStorage.js";
+import { RecycleBin } from "./RecycleBin.js";
+import { Transaction } from "./Transaction.js";
 
-/** key for the `localStorage[key]` for the `this.instances` */
-const MOVIES_STORAGE_KEY = "movies";
-
-/** The slots for updating a `Movie`
+/** The slots for updating a `Movie` (see `EntityStorage.update()`)
  * @typedef {object} MovieUpdateSlots
  * @prop {string} [title]
  * @prop {Date | string} [releaseDate]
  * @prop {Person | number | string} [director]
  * @prop {Person[] | number[] | string[] | {[key: string]: Person}} [actorsToAdd]
  * @prop {Person[] | number[] | string[] | {[key: string]: Person}} [actorsToRemove]
- * @prop {number | string} [category]
+ * @prop {number[] | string[]} [categories]
  * @prop {Person |number | string} [about]
- * @prop {string} [tvSeriesName]
+ * @prop {import("./TvSeries.js").TvSeries | number | string} [tvSeries]
+ * @prop {number | string} [seasonNo]
  * @prop {number | string} [episodeNo]
  */
 
 /**
  * internal
+ * @extends {EntityStorage<Movie>}
  */
-class MovieStorageClass {
-  /** the current instances of `Movie`s used as a collection map
-   * @private
-   * @type {{[key: string]: Movie}}
-   */
-  _instances = {};
-
-  /** the internally used "counter" of the Movies identifiers
-   * @private
-   * @type {number}
-   */
-  _nextId = 0;
-
-  get instances() {
-    return this._instances;
-  }
-
-  /**
-   * adds a new Movie created from the given `slots` to the collection of `Movie`s
-   * if the slots fulfill their constraints. Does nothing otherwise
-   * @param {import("./Movie.js").MovieSlots} slots - Object creation slots
-   */
-  add(slots) {
-    /** @type {Movie} */
-    let movie = null;
-    try {
-      movie = new Movie(slots);
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
-      movie = null;
-    }
-    if (movie) {
-      this._instances[movie.movieId] = movie;
-      this.setNextId(movie.movieId + 1);
-      console.info(`${movie.toString()} created`, movie);
-    }
+class MovieStorageClass extends EntityStorage {
+  constructor() {
+    super({
+      entity: "Movie",
+      storageKey: "movies",
+      idProperty: "movieId",
+      labelProperty: "title",
+    });
   }
 
   /**
-   * updates the `Movie` with the corresponding `slots.movieId` and overwrites it's `title`, `genres`, `rating`
-   * and/or `releaseDate` if they are defined and different
-   * @param {{movieId: number | string} & MovieUpdateSlots} slots - Object creation slots
+   * deletes the `Movie` with the corresponding `movieId` from the Storage and
+   * keeps it in the `RecycleBin`
+   * @param {number | string} movieId
+   * @param {import("./RecycleBin.js").TrashOptions} [options] [optional] the
+   * cause of the deletion
    */
-  update({
-    movieId,
-    title,
-    releaseDate,
-    director,
-    actorsToAdd,
-    actorsToRemove,
-    category,
-    about,
-    episodeNo,
-    tvSeriesName,
-  }) {
-    let noConstraintViolated = true;
-    let updatedProperties = [];
+  destroy(movieId, options = {}) {
     const movie = this._instances[movieId];
-    const objectBeforeUpdate = cloneObject(movie);
-
-    try {
-      // update title
-      if (movie.title !== title) {
-        movie.title = title;
-        updatedProperties.push("title");
-      }
-
-      // update releaseDate
-      if (compareDates(releaseDate, movie.releaseDate) !== 0) {
-        movie.releaseDate = releaseDate;
-        updatedProperties.push("releaseDate");
-      }
-
-      // director
-      if (
-        typeof director !== "object"
-          ? director !== movie.director.personId
-          : director.personId !== movie.director.personId
-      ) {
-        movie.director = director;
-        updatedProperties.push("director");
-      }
-
-      // actors
-      if (actorsToAdd) {
-        movie.addActors(actorsToAdd);
-        updatedProperties.push("actors(added)");
-      }
-      if (actorsToRemove) {
-        movie.removeActors(actorsToRemove);
-        updatedProperties.push("actors(removed)");
-      }
-
-      // category
-      if (category) {
-        if (movie.category === undefined) {
-          movie.category = category;
-          updatedProperties.push("category");
-        } else if (category !== movie.category) {
-          throw new FrozenValueConstraintViolation(
-            "The movie category must not be changed!"
-          );
-        }
-      } else if (category === "" && "category" in movie) {
-        throw new FrozenValueConstraintViolation(
-          "The movie category must not be unset!"
-        );
-      }
-
-      // about
-      if (movie.about !== about) {
-        movie.about = about;
-        updatedProperties.push("about");
-      }
-
-      // episodeNo
-      if (movie.episodeNo !== episodeNo) {
-        movie.episodeNo = episodeNo;
-        updatedProperties.push("episodeNo");
-      }
-
-      // tvSeriesName
-      if (movie.tvSeriesName !== tvSeriesName) {
-        movie.tvSeriesName = tvSeriesName;
-        updatedProperties.push("tvSeriesName");
-      }
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
-      noConstraintViolated = false;
-      // restore object to its state before updating
-      this._instances[movieId] = objectBeforeUpdate;
-    }
-    if (noConstraintViolated) {
-      if (updatedProperties.length > 0) {
-        console.info(
-          `Properties ${updatedProperties.toString()} modified for movie ${movieId}`,
-          movie
+    if (movie) {
+      console.info(`${movie.toString()} deleted`);
+      Transaction.run(() => {
+        RecycleBin.trash("Movie", movie, options);
+        this._delete(movieId);
+        // the persons could have lost their last movie as director or actor
+        PersonStorage.recalculateCategories(
+          movie.director.personId,
+          ...Object.keys(movie.actors)
         );
-      } else {
-        console.info(`No property value changed for movie ${movieId}!`);
-      }
-    }
-  }
-
-  /**
-   * deletes the `Movie` with the corresponding `movieId` from the Storage
-   * @param {number | string} movieId
-   */
-  destroy(movieId) {
-    if (this._instances[movieId]) {
-      console.info(`${this._instances[movieId].toString()} deleted`);
-      delete this._instances[movieId];
-      // calculate nextId when last id is destroyed
-      movieId === this._nextId.toString() && this.calculateNextId();
+      }, `Delete movie "${movie.title}"`);
     } else {
       console.info(
         `There is no movie with id ${movieId} to delete from the database`
@@ -185,143 +67,165 @@ class MovieStorageClass {
   }
 
   /**
-   * checks for all movies if person is actor or director. if actor remove from
-   * movie. if director delete movie.
-   * Additionally checks if a movie is about this person and deletes it, because the about is
-   * mandatory for category BIOGRAPHY and categories can't be changed
-   * @param {Person} person of person to delete
+   * computes what `destroy()` would change without changing anything
+   * @param {number | string} movieId
+   * @returns {import("./DeletePolicy.js").DeletionImpact}
    */
-  destroyPersonRefs(person) {
-    for (const movie of Object.values(this.instances)) {
-      // check if director is person to delete
-      if (movie.director.personId === person.personId) {
-        // director is mandatory in movies
-        this.destroy(movie.movieId);
-      }
-      // check if actors include person to delete
-      if (Object.keys(movie.actors).includes(person.personId.toString())) {
-        movie.removeActor(person);
-      }
-      if (
-        movie.category === MovieCategoryEL["BIOGRAPHY"] &&
-        movie.about.personId === person.personId
-      ) {
-        // about is mandatory in biographies
-        this.destroy(movie.movieId);
-      }
+  previewDestroy(movieId) {
+    if (!this._instances[movieId]) {
+      return {
+        violation: new ReferentialIntegrityConstraintViolation(
+          t("movie.noneToDelete", { id: movieId }),
+          { entity: "Movie", property: "movieId", value: movieId }
+        ),
+        effects: [],
+      };
     }
+    return {
+      violation: new NoConstraintViolation(),
+      effects: Transaction.dryRun(() => this.destroy(movieId)).effects.filter(
+        ({ storage }) => storage !== RecycleBin
+      ),
+    };
   }
 
   /**
-   * loads all stored Movies from the `localStorage`, parses them and stores them
-   * to this Repo
+   * removes the references of all movies to a person that is deleted,
+   * following the delete policy of each reference (see `DeletePolicyEL`):
+   * - director: the movie is deleted (`CASCADE`) or gets the replacement
+   * - actors: the person is removed from the cast (`CASCADE`) or replaced
+   * - about: the biography is deleted (`CASCADE`), because the about is
+   * mandatory for category BIOGRAPHY and categories can't be changed, or gets
+   * the replacement
+   * @param {Person} person the person to delete
+   * @param {import("./DeletePolicy.js").DeletePolicies} [policies] [optional]
+   * the policies of the references, `DEFAULT_DELETE_POLICIES` by default
+   * @param {Person | number | string} [replacement] [optional] the person
+   * replacing the deleted one (required by `REPLACE` policies)
+   * @param {import("./RecycleBin.js").TrashOptions} [trashOptions] [optional]
+   * how the cascaded movies are kept in the `RecycleBin`
+   * @throws {ReferentialIntegrityConstraintViolation} if a reference is
+   * `RESTRICT`ed (nothing is changed then)
    */
-  retrieveAll() {
-    let serialized = "";
-    try {
-      if (localStorage[MOVIES_STORAGE_KEY]) {
-        serialized = localStorage[MOVIES_STORAGE_KEY];
-      }
-    } catch (e) {
-      alert("Error when reading from Local Storage\n" + e);
-    }
-    if (serialized && serialized.length > 0) {
-      const movies = JSON.parse(serialized);
-      const keys = Object.keys(movies);
-      console.info(`${keys.length} movies loaded`, movies);
-      for (const key of keys) {
-        const movie = Movie.deserialize(movies[key]);
-        this._instances[key] = movie;
-
-        // store the current highest id (for receiving the next id later)
-        this.setNextId(Math.max(movie.movieId + 1, this._nextId));
+  destroyPersonRefs(
+    person,
+    policies = DEFAULT_DELETE_POLICIES,
+    replacement = undefined,
+    trashOptions = {}
+  ) {
+    Transaction.run(() => {
+      /** @param {string} role @param {Movie} movie */
+      const restrict = (role, movie) => {
+        throw new ReferentialIntegrityConstraintViolation(
+          t("movie.restricted", {
+            name: person.name,
+            role: t(`role.${role}`),
+            title: movie.title,
+          }),
+          {
+            entity: "Person",
+            property: "personId",
+            value: person.personId,
+            params: { role, movieId: movie.movieId },
+          }
+        );
+      };
+      for (const movie of Object.values(this.instances)) {
+        /** @type {string[]} */
+        const updatedProperties = [];
+        // check if director is person to delete
+        if (movie.director.personId === person.personId) {
+          if (policies.director === DeletePolicyEL.RESTRICT) {
+            restrict("director", movie);
+          } else if (policies.director === DeletePolicyEL.REPLACE) {
+            // the setter resolves the id of a person as well
+            movie.director = /** @type {Person} */ (replacement);
+            updatedProperties.push("director");
+          } else {
+            // director is mandatory in movies
+            this.destroy(movie.movieId, {
+              ...trashOptions,
+              cause: {
+                key: "recycleBin.deletedWithDirector",
+                params: { name: person.name },
+              },
+            });
+            continue;
+          }
+        }
+        // check if actors include person to delete
+        if (Object.keys(movie.actors).includes(person.personId.toString())) {
+          if (policies.actors === DeletePolicyEL.RESTRICT) {
+            restrict("actor", movie);
+          }
+          movie.removeActor(person);
+          updatedProperties.push("actors(removed)");
+          if (policies.actors === DeletePolicyEL.REPLACE) {
+            movie.addActor(replacement);
+            updatedProperties.push("actors(added)");
+          }
+        }
+        if (
+          movie.categories.includes(MovieCategoryEL["BIOGRAPHY"]) &&
+          movie.about.personId === person.personId
+        ) {
+          if (policies.about === DeletePolicyEL.RESTRICT) {
+            restrict("subject", movie);
+          } else if (policies.about === DeletePolicyEL.REPLACE) {
+            // the setter resolves the id of a person as well
+            movie.about = /** @type {Person} */ (replacement);
+            updatedProperties.push("about");
+          } else {
+            // about is mandatory in biographies
+            this.destroy(movie.movieId, {
+              ...trashOptions,
+              cause: {
+                key: "recycleBin.deletedWithSubject",
+                params: { name: person.name },
+              },
+            });
+            continue;
+          }
+        }
+        if (updatedProperties.length > 0) {
+          this.save(movie.movieId);
+          this.emit({
+            type: "updated",
+            id: String(movie.movieId),
+            instance: movie,
+            updatedProperties,
+          });
+        }
       }
-    }
-  }
-
-  /**
-   * stores all `Movie`s from this Repo to the `localStorage`
-   */
-  persist() {
-    let serialized = "";
-    let error = false;
-    const nmrOfMovies = Object.keys(this._instances).length;
-    try {
-      serialized = JSON.stringify(this._instances);
-      localStorage.setItem(MOVIES_STORAGE_KEY, serialized);
-    } catch (e) {
-      alert(
-        "Error when writing to Local Storage in MovieStorage.persist()\n" + e
-      );
-    }
-
-    !error && console.info(`${nmrOfMovies} movies saved.`);
-  }
-
-  /**
-   * checks if a `Movie` with the given `movieId` exists in the storage.
-   * @param {number | string} movieId the identifier of the movie to check
-   * @returns true if the movie exists in the storage
-   */
-  contains(movieId) {
-    return Object.keys(this._instances).includes(movieId.toString());
-  }
-
-  /*****************************************************************************
-   *** ID creation *************************************************************
-   *****************************************************************************/
-
-  /**
-   * calculates the next possible id and stores it internally to `this._nextId`
-   */
-  calculateNextId() {
-    let currentId = -1;
-    for (let key of Object.keys(this._instances)) {
-      const movie = this._instances[key];
-      currentId = Math.max(movie.movieId, currentId);
-    }
-    this.setNextId(currentId + 1);
-  }
-
-  /**
-   * looks up the current highest identifier and returns the following identifier to use for
-   * a possible `Movie` to add next.
-   * @returns the next identifier to use
-   */
-  nextId() {
-    // calculate the missing id if not already done
-    if (this._nextId === 0) {
-      this.calculateNextId();
-    }
-
-    return this._nextId;
-  }
-
-  /** @private @param {number} id */
-  setNextId(id) {
-    this._nextId = id;
+    });
   }
 
   /**
-   * clears all `Movie`s from the `this.instances`
+   * adds a restored person to the casts it was removed from when it was
+   * deleted (used by the `RecycleBin`)
+   * @param {Person} person the restored person
+   * @param {string[]} movieIds the movies the person played in. The ones
+   * deleted in the meantime are skipped.
    */
-  clear() {
-    // if (confirm("Do you really want to delete all movies?")) {
-    try {
-      this._instances = {};
-      localStorage[MOVIES_STORAGE_KEY] = "{}";
-      this.setNextId(1);
-      console.info("All movie records cleared.");
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
+  restorePersonRefs(person, movieIds) {
+    for (const movieId of movieIds) {
+      const movie = this._instances[movieId];
+      if (!movie || movie.actors[person.personId]) continue;
+      movie.addActor(person);
+      this.save(movieId);
+      this.emit({
+        type: "updated",
+        id: String(movieId),
+        instance: movie,
+        updatedProperties: ["actors(added)"],
+      });
     }
-    // }
   }
 }
 
 /**
  * a singleton instance of the `MovieStorage`.
- * - provides functions to create, retrieve, update and destroy `Movie`s at the `localStorage`
+ * - provides functions to create, retrieve, update and destroy `Movie`s at the storage backend
  * - additionally provides auxiliary methods for testing
  */
 export const MovieStorage = new MovieStorageClass();
@@ -1,21 +1,20 @@
 import { Enumeration } from "../../lib/Enumeration.js";
 import {
-  ConstraintViolation,
-  IntervalConstraintViolation,
-  MandatoryValueConstraintViolation,
   NoConstraintViolation,
   RangeConstraintViolation,
-  ReferentialIntegrityConstraintViolation,
-  UniquenessConstraintViolation,
 } from "../../lib/errorTypes.js";
-import {
-  isIntegerOrIntegerString,
-  isStringInRange,
-  parseStringInteger,
-} from "../../lib/util.js";
+import { t } from "../../lib/i18n.js";
+import { Model } from "../../lib/Model.js";
+import { isIntegerOrIntegerString } from "../../lib/util.js";
+import "./messages.js";
 import { PersonStorage } from "./PersonStorage.js";
 
-export const PersonTypeEL = new Enumeration(["Director", "Actor", "Agent"]);
+/** @typedef {import("../../lib/Model.js").PropertyCheck} PropertyCheck */
+
+export const PersonTypeEL = new Enumeration(
+  ["Director", "Actor", "Agent"],
+  "personType"
+);
 
 /**
  * The primitive slots of the movie.
@@ -25,15 +24,20 @@ export const PersonTypeEL = new Enumeration(["Director", "Actor", "Agent"]);
  * @prop {Person | number | string} [agent]
  */
 
-export class Person {
+export class Person extends Model {
+  /** @type {{[property: string]: import("../../lib/Model.js").PropertyDeclaration}} */
+  static properties = {
+    personId: { type: "Integer", id: true, min: 0 },
+    name: { type: "String", min: 1, max: 120 },
+    agent: { reference: "Person", optional: true, inverse: "Client" },
+  };
+
   /** the unique identifier of the person
-   * - unique required PositiveInteger {id}
    * @private
    * @type {number}
    */
   _personId;
   /** the name of the person
-   * - required NonEmptyString(120)
    * @private
    * @type {string}
    */
@@ -45,144 +49,45 @@ export class Person {
   _categories;
   /** the Person that is the agent of this person
    * @private
-   * @type {Person | undefined} id as Ref to Person
+   * @type {Person | undefined}
    */
   _agent;
-
-  /**
-   * CONSTRUCTOR
-   * @param {PersonSlots} slots - The Object creation slots
-   */
-  constructor({ personId, name, agent }) {
-    if (arguments.length > 0) {
-      this.personId = personId;
-      this.name = name;
-      this.categories = [];
-      if (agent) {
-        this.agent = agent;
-      }
-    }
-  }
-
-  // *** personId ***********************************************************
-
-  /**
-   * @returns {number} the unique identifier of the person
+  /** the movies the person directed (maintained by the `Movie`s)
+   * @private
+   * @type {{[movieId: string]: import("./Movie.js").Movie}}
    */
-  get personId() {
-    return this._personId;
-  }
-
-  /**
-   * sets a new personId
-   * - @private this is just used internally though the id is frozen
-   * @param {number | string} personId
+  _directedMovies = {};
+  /** the movies the person played in (maintained by the `Movie`s)
+   * @private
+   * @type {{[movieId: string]: import("./Movie.js").Movie}}
    */
-  set personId(personId) {
-    const validationResult = Person.checkPersonId(personId);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._personId = parseStringInteger(personId);
-    } else {
-      throw validationResult;
-    }
-  }
-
-  /**
-   * checks if the given personId is present, >0 and unique
-   * @param {number | string} personId
-   * @returns a ConstraintViolation
+  _playedMovies = {};
+  /** the biographies about the person (maintained by the `Movie`s)
+   * @private
+   * @type {{[movieId: string]: import("./Movie.js").Movie}}
    */
-  static checkPersonId(personId) {
-    if (!personId && personId !== 0) {
-      return new MandatoryValueConstraintViolation(
-        "The person's personId is required!"
-      );
-    } else if (!isIntegerOrIntegerString(personId)) {
-      return new RangeConstraintViolation(
-        `The person's personId  must be an Integer, but is (${personId}: ${typeof Person})!`
-      );
-    } else if (parseStringInteger(personId) < 0) {
-      return new IntervalConstraintViolation(
-        `The person's personId must be larger than 0, but is ${personId}!`
-      );
-    } else {
-      return new NoConstraintViolation();
-    }
-  }
-
-  /**
-   * @param {number | string} personId
-   * @returns a ConstraintViolation
+  _biographies = {};
+  /** the persons the person is the agent of (maintained by their `agent`)
+   * @private
+   * @type {{[personId: string]: Person}}
    */
-  static checkPersonIdAsId(personId) {
-    let validationResult = Person.checkPersonId(personId);
-    if (validationResult instanceof NoConstraintViolation) {
-      if (PersonStorage.contains(personId)) {
-        return new UniquenessConstraintViolation(
-          `The person's personId (${personId}) is already taken by another person!`
-        );
-      } else {
-        return new NoConstraintViolation();
-      }
-    }
-    return validationResult;
-  }
+  _clients = {};
 
   /**
-   * @param {number | string} personId
-   * @returns a ConstraintViolation
+   * CONSTRUCTOR
+   * @param {PersonSlots} slots - The Object creation slots
    */
-  static checkPersonIdAsIdRef(personId) {
-    let validationResult = Person.checkPersonId(personId);
-    if (validationResult instanceof NoConstraintViolation) {
-      if (!PersonStorage.contains(personId)) {
-        return new ReferentialIntegrityConstraintViolation(
-          `The person with personId (${personId}) cannot be found!`
-        );
-      }
-    }
-    return validationResult;
-  }
-
-  // *** name ****************************************************************
-
-  /** @returns {string} the official name of the person */
-  get name() {
-    return this._name;
-  }
-
-  /** @param {string} name - the new name to set */
-  set name(name) {
-    const validationResult = Person.checkName(name);
-    if (validationResult instanceof NoConstraintViolation) {
-      this._name = name.trim();
-    } else {
-      throw validationResult;
+  constructor(slots) {
+    super();
+    if (arguments.length > 0) {
+      this.categories = [];
+      this.initialize(slots);
     }
   }
 
-  /**
-   * checks if the given name is present and between [1,120] letters
-   * @param {string} name
-   * @returns a ConstraintViolation
-   * @public
-   */
-  static checkName(name) {
-    if (!name) {
-      return new MandatoryValueConstraintViolation(
-        "The person's name is required!"
-      );
-    } else if (typeof name !== "string") {
-      return new RangeConstraintViolation(
-        `The person's name (${name}) must be of type "string", but is ${typeof name}!`
-      );
-    } else if (!isStringInRange(name.trim(), 1)) {
-      return new IntervalConstraintViolation(
-        `The person's name must have at least one letter, but the length is ${name.length}!`
-      );
-    } else {
-      return new NoConstraintViolation();
-    }
+  /** @returns {typeof PersonStorage} the storage of the persons */
+  static get storage() {
+    return PersonStorage;
   }
 
   // *** category *************************************************************
@@ -194,8 +99,9 @@ export class Person {
 
   /** @param {number[]} categories - the new category to set */
   set categories(categories) {
+    this.willChange();
     this._categories = [];
-    for (let cat in categories) {
+    for (const cat of categories) {
       this.addCategory(cat);
     }
   }
@@ -212,11 +118,12 @@ export class Person {
       if (valRes instanceof NoConstraintViolation) {
         // set the agents person type as agent if not already set
         if (!this._categories.includes(cat)) {
+          this.willChange();
           this._categories.push(cat);
         }
       }
     } else {
-      return new RangeConstraintViolation("Invalid value for category!");
+      return new RangeConstraintViolation(t("person.invalidCategory"));
     }
   }
 
@@ -230,11 +137,11 @@ export class Person {
     if (category) {
       if (typeof category === "string") {
         if (parseInt(category) < 1 || parseInt(category) > PersonTypeEL.MAX) {
-          return new RangeConstraintViolation("Invalid value for category!");
+          return new RangeConstraintViolation(t("person.invalidCategory"));
         }
       } else {
         if (category < 1 || category > PersonTypeEL.MAX) {
-          return new RangeConstraintViolation("Invalid value for category!");
+          return new RangeConstraintViolation(t("person.invalidCategory"));
         }
       }
       return new NoConstraintViolation();
@@ -243,116 +150,160 @@ export class Person {
     }
   }
 
-  // *** agent ****************************************************************
+  /**
+   * derives the categories from the inverse references, so a person is a
+   * director, an actor or an agent exactly as long as a movie or a client
+   * references it as such
+   * @private
+   */
+  _deriveCategories() {
+    /** @type {[number, object][]} */
+    const references = [
+      [PersonTypeEL["DIRECTOR"], this._directedMovies],
+      [PersonTypeEL["ACTOR"], this._playedMovies],
+      [PersonTypeEL["AGENT"], this._clients],
+    ];
+    this._categories = references
+      .filter(([, referencing]) => Object.keys(referencing).length > 0)
+      .map(([category]) => category);
+  }
+
+  // *** inverse references ***************************************************
 
-  /** @returns {Person | undefined} personId of the person that is agent of this person */
-  get agent() {
-    return this._agent;
+  /** @returns {{[movieId: string]: import("./Movie.js").Movie}} the movies directed by this `Person` */
+  get directedMovies() {
+    return this._directedMovies;
   }
 
-  /** @param {Person | number | string} [agent] as person to set as id as ref to person */
-  set agent(agent) {
-    if (agent) {
-      const agent_id = typeof agent !== "object" ? agent : agent.personId;
-      const validationResult = Person.checkAgent(agent_id);
-      if (validationResult instanceof NoConstraintViolation) {
-        this._agent = PersonStorage.instances[agent_id];
-        PersonStorage.instances[agent_id].addCategory(PersonTypeEL["AGENT"]);
-      } else {
-        throw validationResult;
-      }
-    } else {
-      delete this._agent;
+  /** @param {import("./Movie.js").Movie} movie this `Person` directs (which makes it a director) */
+  addDirectedMovie(movie) {
+    this.willChange();
+    this._directedMovies[movie.movieId] = movie;
+    this._deriveCategories();
+  }
+
+  /** @param {import("./Movie.js").Movie} movie this `Person` does not direct anymore */
+  removeDirectedMovie(movie) {
+    // another instance of the movie could have replaced it already
+    if (this._directedMovies[movie.movieId] === movie) {
+      this.willChange();
+      delete this._directedMovies[movie.movieId];
+      this._deriveCategories();
     }
   }
 
-  /**
-   * checks if the given agent is legit
-   * @param {string | number} agent as personID to check
-   * @returns a ConstraintViolation
-   * @public
-   */
-  static checkAgent(agent) {
-    if (agent) {
-      return Person.checkPersonIdAsIdRef(agent);
-    } else {
-      return new NoConstraintViolation();
+  /** @returns {{[movieId: string]: import("./Movie.js").Movie}} the movies this `Person` acts in */
+  get playedMovies() {
+    return this._playedMovies;
+  }
+
+  /** @param {import("./Movie.js").Movie} movie this `Person` acts in (which makes it an actor) */
+  addPlayedMovie(movie) {
+    this.willChange();
+    this._playedMovies[movie.movieId] = movie;
+    this._deriveCategories();
+  }
+
+  /** @param {import("./Movie.js").Movie} movie this `Person` does not act in anymore */
+  removePlayedMovie(movie) {
+    if (this._playedMovies[movie.movieId] === movie) {
+      this.willChange();
+      delete this._playedMovies[movie.movieId];
+      this._deriveCategories();
     }
   }
 
-  // *** serialization ********************************************************
+  /** @returns {{[movieId: string]: import("./Movie.js").Movie}} the biographies about this `Person` */
+  get biographies() {
+    return this._biographies;
+  }
 
-  /**
-   * a static function that creates a `new Person` from a serialized one.
-   * @param {PersonSlots} slots - Object creation slots
-   * @returns {Person | null} a new `Person` with the corresponding slots if they pass their constraints. `null` otherwise.
-   */
-  static deserialize(slots) {
-    let person = null;
-    try {
-      person = new Person({
-        personId: slots.personId,
-        name: slots.name,
-        // the reference must be set later
-        agent: undefined,
-      });
-    } catch (e) {
-      console.warn(
-        `${e.constructor.name} while deserializing a person: ${e.message}`
-      );
-      person = null;
+  /** @param {import("./Movie.js").Movie} movie a biography about this `Person` */
+  addBiography(movie) {
+    this.willChange();
+    this._biographies[movie.movieId] = movie;
+  }
+
+  /** @param {import("./Movie.js").Movie} movie no biography about this `Person` anymore */
+  removeBiography(movie) {
+    if (this._biographies[movie.movieId] === movie) {
+      this.willChange();
+      delete this._biographies[movie.movieId];
+    }
+  }
+
+  /** @returns {{[personId: string]: Person}} the persons this `Person` is the agent of */
+  get clients() {
+    return this._clients;
+  }
+
+  /** @param {Person} client a person this `Person` is the agent of (which makes it an agent) */
+  addClient(client) {
+    this.willChange();
+    this._clients[client.personId] = client;
+    this._deriveCategories();
+  }
+
+  /** @param {Person} client a person this `Person` is not the agent of anymore */
+  removeClient(client) {
+    if (this._clients[client.personId] === client) {
+      this.willChange();
+      delete this._clients[client.personId];
+      this._deriveCategories();
     }
-    return person;
   }
 
   /**
-   * this function is invoked by `JSON.stringify()` and converts the inner `"_propertyKey"` to `"propertyKey"`
-   * @returns {{}} the JSON object of the person
+   * takes over the inverse references of another instance of this `Person`
+   * and the categories they give (e.g. before its slots replace the ones of
+   * the other instance)
+   * @param {Person} person
    */
-  toJSON() {
-    const rec = {};
-    for (let p of Object.keys(this)) {
-      // copy only property slots with underscore prefix
-      if (p.charAt(0) !== "_") continue;
-      switch (p) {
-        case "_categories":
-          // will not be persisted and restored after loading
-          break;
-        case "_agent":
-          // convert object reference to ID reference
-          if (this._agent) {
-            rec.agent = this._agent.personId;
-          }
-          break;
-        default:
-          // remove underscore prefix
-          rec[p.substr(1)] = this[p];
-      }
-    }
-    return rec;
+  takeOverReferences(person) {
+    this.willChange();
+    // copies, since the slots of each instance are captured on their own
+    this._directedMovies = { ...person.directedMovies };
+    this._playedMovies = { ...person.playedMovies };
+    this._biographies = { ...person.biographies };
+    this._clients = { ...person.clients };
+    this._deriveCategories();
   }
 
-  /** @returns the stringified Person */
-  toString() {
-    var addString = "";
-    if (this._categories) {
-      var catString = "categories: [";
-      for (let cat in this.categories) {
-        catString = catString + `, ${PersonTypeEL.labels[cat]}`;
-      }
-      catString = catString + "]";
-      if (catString !== "categories: []") {
-        addString = addString + catString;
-      }
-    }
-    if (this._agent) {
-      addString = addString + `, agent: ${this._agent.toString()} `;
-    }
+  // *** serialization ********************************************************
 
-    return (
-      `Person{ personId: ${this.personId}, name: ${this.name}` +
-      addString +
-      ` }`
+  /**
+   * a static function that creates a `new Person` from a serialized one.
+   * @param {PersonSlots} slots - Object creation slots
+   * @param {(error: any) => void} [onReject] [optional] invoked with the
+   * violation if the slots are rejected
+   * @returns {Person | null} a new `Person` with the corresponding slots if they pass their constraints. `null` otherwise.
+   */
+  static deserialize(slots, onReject) {
+    // the reference must be set later
+    return /** @type {Person | null} */ (
+      super.deserialize({ ...slots, agent: undefined }, onReject)
     );
   }
 }
+
+// *** GENERATED MEMBERS (declared for the type check) ************************
+
+/** @type {number} */
+Person.prototype.personId;
+/** @type {string} */
+Person.prototype.name;
+/** @type {Person | undefined} */
+Person.prototype.agent;
+
+/** @type {PropertyCheck} */
+Person.checkPersonId;
+/** @type {PropertyCheck} */
+Person.checkPersonIdAsId;
+/** @type {PropertyCheck} */
+Person.checkPersonIdAsIdRef;
+/** @type {PropertyCheck} */
+Person.checkName;
+/** @type {PropertyCheck} */
+Person.checkAgent;
+
+Model.setup(Person);
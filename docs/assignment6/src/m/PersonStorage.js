@@ -1,280 +1,399 @@
-import { cloneObject } from "../../lib/util.js";
+import {
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { DEFAULT_DELETE_POLICIES, DeletePolicyEL } from "./DeletePolicy.js";
+import { EntityStorage } from "./EntityStorage.js";
 import { MovieStorage } from "./MovieStorage.js";
 import { Person, PersonTypeEL } from "./Person.js";
+import { RecycleBin } from "./RecycleBin.js";
+import { Transaction } from "./Transaction.js";
 
-/** key for the `localStorage[key]` for the `this.instances` */
-const PERSON_STORAGE_KEY = "person";
+/** the role of a referenced person per referencing property */
+const REFERENCE_ROLES = {
+  director: "director",
+  actors: "actor",
+  about: "subject",
+  agent: "agent",
+};
 
 /**
  * internal
+ * @extends {EntityStorage<Person>}
  */
-class _PersonStorage {
-  /** the current instances of `Person`s used as a collection map
+class _PersonStorage extends EntityStorage {
+  /** the policies applied to the references of a deleted `Person`
    * @private
-   * @type {{[key: string]: Person}}
+   * @type {Readonly<import("./DeletePolicy.js").DeletePolicies>}
    */
-  _instances = {};
+  _deletePolicies = DEFAULT_DELETE_POLICIES;
 
-  /** the internally used "counter" of the Persons identifiers
-   * @private
-   * @type {number}
-   */
-  _nextId = 0;
+  constructor() {
+    super({
+      entity: "Person",
+      storageKey: "person",
+      idProperty: "personId",
+      labelProperty: "name",
+    });
+  }
 
-  get instances() {
-    return this._instances;
+  /**
+   * @returns {Readonly<import("./DeletePolicy.js").DeletePolicies>} the
+   * policies applied to the references of a deleted `Person`
+   */
+  get deletePolicies() {
+    return this._deletePolicies;
   }
 
   /**
-   * adds a new Person created from the given `slots` to the collection of `Person`s
-   * if the slots fulfill their constraints. Does nothing otherwise
-   * @param {import("./Person.js").PersonSlots} slots - Object creation slots
+   * sets the policy applied to a reference of a deleted `Person`
+   * @param {keyof import("./DeletePolicy.js").DeletePolicies} reference
+   * @param {number} policy a `DeletePolicyEL` literal
    */
-  add(slots) {
-    let person = null;
-    try {
-      person = new Person(slots);
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
-      person = null;
+  setDeletePolicy(reference, policy) {
+    if (!(reference in this._deletePolicies)) {
+      throw new RangeError(`There is no reference "${reference}" to a person!`);
     }
-    if (person) {
-      this._instances[person.personId] = person;
-      if (typeof person.personId === "string") {
-        this.setNextId(parseInt(person.personId) + 1);
-      } else {
-        this.setNextId(person.personId + 1);
-      }
-      console.info(`${person.toString()} created`, person);
+    if (
+      !Number.isInteger(policy) ||
+      policy < 1 ||
+      policy > DeletePolicyEL.MAX
+    ) {
+      throw new RangeError(`Invalid delete policy: ${policy}`);
     }
+    this._deletePolicies = { ...this._deletePolicies, [reference]: policy };
   }
 
   /**
-   * updates the `Person` with the corresponding `slots.personId` and overwrites it's `name`.
-   * @param {{personId: number | string | undefined, name: string | undefined, agent: Person | number | string | undefined}} slots - Object creation slots
+   * finds the movies and persons referencing a `Person` (by its inverse
+   * references, so no records are scanned)
+   * @param {number | string} personId
+   * @returns {{director: import("./Movie.js").Movie[], actors: import("./Movie.js").Movie[], about: import("./Movie.js").Movie[], agent: Person[]}}
+   * the referencing records by the referencing property (none if there is no
+   * such person)
    */
-  update(slots) {
-    const { personId, name, agent } = slots;
-    var noConstraintViolated = true;
-    var updatedProperties = [];
+  findReferences(personId) {
     const person = this._instances[personId];
-    const objectBeforeUpdate = cloneObject(person);
+    return {
+      director: Object.values(person?.directedMovies ?? {}),
+      actors: Object.values(person?.playedMovies ?? {}),
+      about: Object.values(person?.biographies ?? {}),
+      agent: Object.values(person?.clients ?? {}),
+    };
+  }
 
-    try {
-      // update name
-      if (person.name !== name) {
-        person.name = name;
-        updatedProperties.push("name");
+  /**
+   * checks if the `Person` with the given `personId` can be deleted with the
+   * given policies: no `RESTRICT`ed reference may exist and a `REPLACE`d one
+   * needs a replacement other than the person
+   * @param {number | string} personId
+   * @param {import("./DeletePolicy.js").DeleteOptions} [options] [optional]
+   * @returns {import("../../lib/errorTypes.js").ConstraintViolation} a
+   * `NoConstraintViolation` or the violation
+   * listing all dependent records
+   */
+  checkDestroy(personId, { policies = {}, replacement } = {}) {
+    const person = this._instances[personId];
+    if (!person) {
+      return new ReferentialIntegrityConstraintViolation(
+        t("person.noneToDelete", { id: personId }),
+        { entity: "Person", property: "personId", value: personId }
+      );
+    }
+    const effectivePolicies = { ...this._deletePolicies, ...policies };
+    const references = this.findReferences(personId);
+    /** @type {string[]} */
+    const restricted = [];
+    /** @type {string[]} the restricted referencing properties */
+    const restrictedBy = [];
+    let needsReplacement = false;
+    for (const [property, referencing] of Object.entries(references)) {
+      if (referencing.length === 0) continue;
+      if (effectivePolicies[property] === DeletePolicyEL.RESTRICT) {
+        const records = referencing.map((record) =>
+          record instanceof Person
+            ? t("record.Person", { label: record.name, id: record.personId })
+            : t("record.Movie", { label: record.title, id: record.movieId })
+        );
+        restrictedBy.push(property);
+        restricted.push(
+          t("person.restrictedReference", {
+            role: t(`role.${REFERENCE_ROLES[property]}`),
+            records: records.join(", "),
+          })
+        );
+      } else if (effectivePolicies[property] === DeletePolicyEL.REPLACE) {
+        needsReplacement = true;
       }
-      // update agent
-      if (person.agent && agent === undefined) {
-        // delete old agent
-        person.agent = undefined;
-        updatedProperties.push("agent");
-      } else if (!person.agent && agent !== undefined) {
-        // add new agent
-        person.agent = agent;
-        updatedProperties.push("agent");
-      } else if (agent !== undefined) {
-        // change the agent if different
-        if (
-          typeof agent !== "object"
-            ? agent !== person.agent.personId
-            : agent.personId !== person.agent.personId
-        ) {
-          person.agent = agent;
-          updatedProperties.push("agent");
+    }
+    if (restricted.length > 0) {
+      return new ReferentialIntegrityConstraintViolation(
+        t("person.restricted", { name: person.name, references: restricted }),
+        {
+          entity: "Person",
+          property: "personId",
+          value: person.personId,
+          params: { restrictedBy },
         }
-      }
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
-      noConstraintViolated = false;
-      // restore object to its state before updating
-      this._instances[personId] = objectBeforeUpdate;
+      );
     }
-    if (noConstraintViolated) {
-      if (updatedProperties.length > 0) {
-        console.info(
-          `Properties ${updatedProperties.toString()} modified for person ${personId}`,
-          person
+    if (needsReplacement) {
+      const replacementId =
+        typeof replacement === "object" ? replacement.personId : replacement;
+      if (String(replacementId) === String(personId)) {
+        return new ReferentialIntegrityConstraintViolation(
+          t("person.replacesItself", { name: person.name }),
+          {
+            entity: "Person",
+            property: "personId",
+            value: person.personId,
+            params: { id: replacementId },
+          }
         );
-      } else {
-        console.info(`No property value changed for person ${personId}!`);
       }
+      return Person.checkPersonIdAsIdRef(replacementId);
     }
+    return new NoConstraintViolation();
   }
 
   /**
-   * Deletes the `Person` with the corresponding `personId` from the Storage.
-   *
-   * @param {string} personId to delete
+   * computes what `destroy()` would change without changing anything
+   * @param {number | string} personId
+   * @param {import("./DeletePolicy.js").DeleteOptions} [options] [optional]
+   * @returns {import("./DeletePolicy.js").DeletionImpact}
    */
-  destroy(personId) {
-    const person = this._instances[personId];
-    if (person) {
-      // if person is agent remove the agent ref for other persons
-      this.destroyAgentRef(person);
-      // destroy references in movies
-      MovieStorage.destroyPersonRefs(person);
-      // delete the Person
-      console.info(`${person.toString()} deleted`);
-      delete this._instances[personId];
-      // calculate nextId when last id is destroyed
-      personId === this._nextId.toString() && this.calculateNextId();
-    } else {
-      console.info(`There is no person with this id to delete f`);
+  previewDestroy(personId, options = {}) {
+    const violation = this.checkDestroy(personId, options);
+    if (!(violation instanceof NoConstraintViolation)) {
+      return { violation, effects: [] };
     }
+    return {
+      violation,
+      effects: Transaction.dryRun(() =>
+        this.destroy(String(personId), options)
+      ).effects.filter(({ storage }) => storage !== RecycleBin),
+    };
   }
 
   /**
-   * checks if the person is an agent and deletes its id as references from all
-   * of its agents
-   * @param {Person} person to delete
+   * @param {number | string} personId
+   * @returns {number[]} the categories of a person as they follow from the
+   * movies and clients referencing it (sorted)
    */
-  destroyAgentRef(person) {
-    if (person.categories.includes(PersonTypeEL["AGENT"])) {
-      // iterate thru all persons to search for this persons as agent
-      for (const client of Object.values(this._instances)) {
-        if (client.agent && client.agent.personId === person.personId) {
-          delete client.agent;
-        }
-      }
-    }
+  deriveCategories(personId) {
+    const references = this.findReferences(personId);
+    /** @type {number[]} */
+    const categories = [];
+    references.director.length > 0 && categories.push(PersonTypeEL["DIRECTOR"]);
+    references.actors.length > 0 && categories.push(PersonTypeEL["ACTOR"]);
+    references.agent.length > 0 && categories.push(PersonTypeEL["AGENT"]);
+    return categories;
   }
 
   /**
-   * loads all stored Persons from the `localStorage`, parses them and stores them
-   * to this Repo
+   * derives the categories of persons from the movies and clients referencing
+   * them again, so they lose the categories they have no references for
+   * anymore
+   * @param {...(number | string)} personIds
    */
-  retrieveAll() {
-    let serialized = "";
-    try {
-      if (localStorage[PERSON_STORAGE_KEY]) {
-        serialized = localStorage[PERSON_STORAGE_KEY];
+  recalculateCategories(...personIds) {
+    for (const personId of personIds) {
+      const person = this._instances[personId];
+      if (!person) continue;
+      const categories = this.deriveCategories(personId);
+      const current = [...person.categories].sort();
+      if (current.join() !== categories.join()) {
+        person.categories = categories;
+        this.emit({
+          type: "updated",
+          id: String(personId),
+          instance: person,
+          updatedProperties: ["categories"],
+        });
       }
-    } catch (e) {
-      alert("Error when reading from Local Storage\n" + e);
     }
-    if (serialized && serialized.length > 0) {
-      const parsons = JSON.parse(serialized);
-      const keys = Object.keys(parsons);
-      console.info(`${keys.length} persons loaded`, parsons);
-
-      // create persons without agents
-      for (const key of keys) {
-        const person = Person.deserialize(parsons[key]);
-        this._instances[key] = person;
-
-        // store the current highest id (for receiving the next id later)
-        this.setNextId(Math.max(person.personId + 1, this._nextId));
-      }
+  }
 
-      // set the agents references / categories
-      for (const key of keys) {
-        /** @type {string} */
-        const agentKey = parsons[key].agent;
-        if (agentKey) {
-          const client = this._instances[key];
-          const agent = this._instances[agentKey];
-          if (agent) {
-            // agent could have been deleted
-            client.agent = agent;
-            agent.addCategory(PersonTypeEL["AGENT"]);
+  /**
+   * Deletes the `Person` with the corresponding `personId` from the Storage.
+   * The movies and persons referencing it are changed according to the
+   * `deletePolicies` (see `checkDestroy()`). Nothing is deleted if a
+   * constraint is violated. The person and the movies deleted by a cascade
+   * are kept in the `RecycleBin`.
+   *
+   * @param {string} personId to delete
+   * @param {import("./DeletePolicy.js").DeleteOptions} [options] [optional]
+   * the policies overriding the `deletePolicies`, the replacement person and
+   * the cause of the deletion
+   */
+  destroy(personId, options = {}) {
+    const person = this._instances[personId];
+    if (person) {
+      const policies = { ...this._deletePolicies, ...options.policies };
+      try {
+        // either all references are destroyed or none
+        Transaction.run(() => {
+          const validationResult = this.checkDestroy(personId, options);
+          if (!(validationResult instanceof NoConstraintViolation)) {
+            throw validationResult;
           }
-        }
+          // the removed casts and clients are set again if it is restored
+          const references = this.findReferences(personId);
+          const cascaded = (/** @type {string} */ property) =>
+            policies[property] === DeletePolicyEL.CASCADE;
+          const entryId = RecycleBin.trash("Person", person, options, {
+            actors: cascaded("actors")
+              ? references.actors.map((movie) => String(movie.movieId))
+              : [],
+            clients: cascaded("agent")
+              ? references.agent.map((client) => String(client.personId))
+              : [],
+          });
+          // if person is agent remove the agent ref for other persons
+          this.destroyAgentRef(person, policies.agent, options.replacement);
+          // destroy references in movies
+          MovieStorage.destroyPersonRefs(
+            person,
+            policies,
+            options.replacement,
+            { causedBy: entryId, permanent: options.permanent }
+          );
+          // delete the Person
+          this._delete(personId);
+          // the agent could have lost its last client
+          person.agent && this.recalculateCategories(person.agent.personId);
+        }, `Delete person "${person.name}"`);
+        console.info(`${person.toString()} deleted`);
+      } catch (e) {
+        console.warn(`${e.constructor.name}: ${e.message}`);
       }
+    } else {
+      console.info(`There is no person with this id to delete f`);
     }
   }
 
   /**
-   * stores all `Person`s from this Repo to the `localStorage`
+   * checks if the person is an agent and removes it from all of its clients
+   * (`CASCADE`) or sets the replacement as their agent (`REPLACE`)
+   * @param {Person} person to delete
+   * @param {number} [policy] [optional] the `DeletePolicyEL` literal of the
+   * agent reference, `CASCADE` by default
+   * @param {Person | number | string} [replacement] [optional] the new agent
+   * of the clients (required by `REPLACE`)
+   * @throws {ReferentialIntegrityConstraintViolation} if the agent is
+   * `RESTRICT`ed and has clients
    */
-  persist() {
-    var serialized = "";
-    var error = false;
-    const nmrOfPersons = Object.keys(this._instances).length;
-    try {
-      serialized = JSON.stringify(this._instances);
-      localStorage.setItem(PERSON_STORAGE_KEY, serialized);
-    } catch (e) {
-      alert(
-        "Error when writing to Local Storage in PersonStorage.persist()\n" + e
+  destroyAgentRef(person, policy = DeletePolicyEL.CASCADE, replacement) {
+    // the setter removes the client from the clients of the person
+    for (const client of Object.values(person.clients)) {
+      if (policy === DeletePolicyEL.RESTRICT) {
+        throw new ReferentialIntegrityConstraintViolation(
+          t("person.restrictedAgent", {
+            name: person.name,
+            client: client.name,
+          }),
+          {
+            entity: "Person",
+            property: "personId",
+            value: person.personId,
+            params: { role: "agent", personId: client.personId },
+          }
+        );
+      }
+      // the setter deletes the agent reference (and resolves the id of the
+      // replacement)
+      client.agent = /** @type {Person | undefined} */ (
+        policy === DeletePolicyEL.REPLACE ? replacement : undefined
       );
+      this.save(client.personId);
+      this.emit({
+        type: "updated",
+        id: String(client.personId),
+        instance: client,
+        updatedProperties: ["agent"],
+      });
     }
-
-    !error && console.info(`${nmrOfPersons} person saved.`);
-  }
-
-  /**
-   * checks if a `Person` with the given `personId` exists in the storage.
-   * @param {number | string} personId the identifier of the person to check
-   * @returns true if the person exists in the storage
-   */
-  contains(personId) {
-    return Object.keys(this._instances).includes(personId.toString());
   }
 
-  /*****************************************************************************
-   *** ID creation *************************************************************
-   *****************************************************************************/
-
   /**
-   * calculates the next possible id and stores it internally to `this._nextId`
+   * sets a restored agent as the agent of the clients it was removed from when
+   * it was deleted (used by the `RecycleBin`)
+   * @param {Person} agent the restored person
+   * @param {string[]} clientIds the former clients. The ones deleted or
+   * represented by another agent in the meantime are skipped.
    */
-  calculateNextId() {
-    let currentId = -1;
-    for (let key of Object.keys(this._instances)) {
-      const person = this._instances[key];
-      if (typeof person.personId === "string") {
-        currentId = Math.max(parseInt(person.personId), currentId);
-      } else {
-        currentId = Math.max(person.personId, currentId);
-      }
+  restoreAgentRef(agent, clientIds) {
+    for (const clientId of clientIds) {
+      const client = this._instances[clientId];
+      if (!client || client.agent) continue;
+      client.agent = agent;
+      this.save(clientId);
+      this.emit({
+        type: "updated",
+        id: clientId,
+        instance: client,
+        updatedProperties: ["agent"],
+      });
     }
-    this.setNextId(currentId + 1);
   }
 
   /**
-   * looks up the current highest identifier and returns the following identifier to use for
-   * a possible `Person` to add next.
-   * @returns the next identifier to use
+   * sets the agents of the loaded persons. A client whose agent is not loaded
+   * is quarantined (like a movie whose director is missing), which can reject
+   * its own clients in turn. Otherwise, the missing agent is skipped.
+   * @protected
+   * @param {{[key: string]: {agent?: number | string}}} records
+   * @param {boolean} quarantine
    */
-  nextId() {
-    // calculate the missing id if not already done
-    if (this._nextId === 0) {
-      this.calculateNextId();
+  _resolveReferences(records, quarantine) {
+    /** @type {string[]} */
+    let rejected;
+    do {
+      rejected = Object.keys(records).filter((key) => {
+        const agentId = records[key].agent;
+        return (
+          quarantine &&
+          this._instances[key] &&
+          agentId !== undefined &&
+          agentId !== null &&
+          !this._instances[agentId]
+        );
+      });
+      for (const key of rejected) {
+        this._quarantine.add(
+          key,
+          records[key],
+          Person.checkAgent(records[key].agent)
+        );
+        delete this._instances[key];
+      }
+    } while (rejected.length > 0);
+    for (const key of Object.keys(records)) {
+      const client = this._instances[key];
+      const agent = client && this._instances[records[key].agent];
+      if (agent) {
+        client.agent = agent;
+      }
     }
-
-    return this._nextId;
   }
 
-  /** @private @param {number} id */
-  setNextId(id) {
-    this._nextId = id;
-  }
-
-  /*****************************************************************************
-   *** Auxiliary methods for testing *******************************************
-   *****************************************************************************/
-
   /**
-   * clears all `Person`s from the `this.instances`
+   * keeps the inverse references and the categories of a changed person,
+   * since they are derived from the other records
+   * @protected
+   * @param {Person} person
+   * @param {Person} changedPerson
    */
-  clear() {
-    try {
-      this._instances = {};
-      localStorage[PERSON_STORAGE_KEY] = "{}";
-      this.setNextId(1);
-      console.info("All person records cleared.");
-    } catch (e) {
-      console.warn(`${e.constructor.name}: ${e.message}`);
-    }
+  _replaceSlots(person, changedPerson) {
+    changedPerson.takeOverReferences(person);
+    super._replaceSlots(person, changedPerson);
   }
 }
 
 /**
  * a singleton instance of the `PersonStorage`.
- * - provides functions to create, retrieve, update and destroy `Person`s at the `localStorage`
+ * - provides functions to create, retrieve, update and destroy `Person`s at the storage backend
  * - additionally provides auxiliary methods for testing
  */
 export const PersonStorage = new _PersonStorage();
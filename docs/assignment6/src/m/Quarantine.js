@@ -0,0 +1,79 @@
+import { ConstraintViolation } from "../../lib/errorTypes.js";
+
+/**
+ * A stored record that could not be loaded.
+ * @typedef {object} QuarantinedRecord
+ * @prop {string} id the key of the record in the storage backend
+ * @prop {{[property: string]: any}} record the record as it is stored
+ * @prop {ConstraintViolation} violation the reason it was rejected (of the
+ * last attempt to admit it)
+ */
+
+/**
+ * The records of a storage that were rejected when they were loaded, since
+ * they violate a constraint. They are kept in the storage backend (so their
+ * ids must not be reused) until they are fixed and admitted again.
+ */
+export class Quarantine {
+  /** the rejected records by their id
+   * @private
+   * @type {{[key: string]: QuarantinedRecord}}
+   */
+  _records = {};
+
+  get records() {
+    return this._records;
+  }
+
+  /** the ids of the rejected records */
+  get ids() {
+    return Object.keys(this._records);
+  }
+
+  /**
+   * keeps a rejected record
+   * @param {string} id
+   * @param {{[property: string]: any}} record
+   * @param {any} error the violation (or any other error) that was thrown
+   */
+  add(id, record, error) {
+    const violation =
+      error instanceof ConstraintViolation
+        ? error
+        : new ConstraintViolation(String(error?.message ?? error));
+    this._records[id] = { id, record, violation };
+  }
+
+  /**
+   * @param {number | string} id
+   * @returns {boolean} `true` if a record with the id was rejected
+   */
+  contains(id) {
+    return this.ids.includes(String(id));
+  }
+
+  /**
+   * replaces the violation of a record after another attempt to admit it
+   * @param {number | string} id
+   * @param {any} error
+   */
+  reject(id, error) {
+    const { record } = this._records[id];
+    this.add(String(id), record, error);
+  }
+
+  /**
+   * drops a record that was admitted or deleted
+   * @param {number | string} id
+   */
+  remove(id) {
+    delete this._records[id];
+  }
+
+  /**
+   * drops all records
+   */
+  clear() {
+    this._records = {};
+  }
+}
@@ -0,0 +1,555 @@
+import {
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+  UniquenessConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { runQuery } from "../../lib/query.js";
+import { MovieStorage } from "./MovieStorage.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { StorageEvents } from "./StorageEvents.js";
+import { storageBackend } from "./storageBackend.js";
+import { Synchronization } from "./Synchronization.js";
+import { Transaction } from "./Transaction.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** the name of the store holding the deleted records */
+const RECYCLE_BIN_STORAGE_KEY = "recycleBin";
+
+/**
+ * Why a record was deleted: the key of a message (see `messages.js`) and its
+ * parameters. The entries of older versions hold the cause as a text.
+ * @typedef {object} TrashCause
+ * @prop {string} key e.g. `"recycleBin.deletedWithDirector"`
+ * @prop {{[name: string]: string | number}} [params] [optional] e.g. the
+ * name of the director
+ */
+
+/**
+ * How a deleted record is kept in the recycle bin.
+ * @typedef {object} TrashOptions
+ * @prop {TrashCause} [cause] [optional] why the record was deleted,
+ * `"recycleBin.deleted"` by default
+ * @prop {number} [causedBy] [optional] the entry of the record whose deletion
+ * cascaded to this one (e.g. the director of a movie)
+ * @prop {boolean} [permanent] [optional] `true` deletes the record without
+ * keeping it in the recycle bin
+ */
+
+/**
+ * The references to a deleted person its deletion removed from records that
+ * still exist. They are set again when the person is restored.
+ * @typedef {object} TrashLinks
+ * @prop {string[]} actors the ids of the movies the person played in
+ * @prop {string[]} clients the ids of the persons the person was the agent of
+ */
+
+/**
+ * The entities whose deleted records are kept in the recycle bin.
+ * @typedef {"Movie" | "Person" | "TvSeries"} TrashEntity
+ */
+
+/**
+ * A deleted movie, person or TV series.
+ * @typedef {object} TrashEntry
+ * @prop {number} entryId the identifier of the entry
+ * @prop {TrashEntity} entity
+ * @prop {string} id the `movieId`, `personId` or `tvSeriesId` of the
+ * deleted record
+ * @prop {string} label the title or name of the deleted record
+ * @prop {{[key: string]: any}} record the deleted record as it was stored
+ * @prop {string} deletedAt the time of the deletion as an ISO string
+ * @prop {TrashCause | string} cause why the record was deleted
+ * @prop {number} [causedBy] the entry of the record whose deletion cascaded
+ * to this one
+ * @prop {TrashLinks} [links] the removed references to a deleted person
+ */
+
+/**
+ * converts a serialized person to its `personId`
+ * @param {any} ref a `personId` or a person record
+ * @returns {number | string | undefined}
+ */
+function toIdRef(ref) {
+  return ref && typeof ref === "object" ? ref.personId : ref;
+}
+
+/**
+ * @param {TrashEntity} entity
+ * @returns {import("./EntityStorage.js").EntityStorage<any>} the storage of
+ * the entity
+ */
+function storageOf(entity) {
+  return {
+    Movie: MovieStorage,
+    Person: PersonStorage,
+    TvSeries: TvSeriesStorage,
+  }[entity];
+}
+
+/**
+ * internal
+ */
+class RecycleBinClass {
+  /** the deleted records by their `entryId`
+   * @private
+   * @type {{[key: string]: TrashEntry}}
+   */
+  _entries = {};
+
+  /** the internally used "counter" of the entry identifiers
+   * @private
+   * @type {number}
+   */
+  _nextId = 1;
+
+  /** the backend the entries are loaded from and saved to
+   * @private
+   * @type {import("../../lib/storageAdapters.js").StorageAdapter}
+   */
+  _adapter = storageBackend;
+
+  /** the subscribers of the changes of the entries
+   * @private
+   * @type {StorageEvents}
+   */
+  _events = new StorageEvents(this);
+
+  constructor() {
+    // a restore or a purge is undone with the records it changed
+    Transaction.addStorage(this);
+    Synchronization.addStorage("RecycleBin", this);
+  }
+
+  get entries() {
+    return this._entries;
+  }
+
+  /**
+   * finds the entries matching a query
+   * @param {import("../../lib/query.js").Query<TrashEntry>} [query]
+   * [optional] the conditions, the sort keys and the page. All entries by
+   * default.
+   * @returns {TrashEntry[]}
+   * @example
+   * // the deleted movies, the most recently deleted one first
+   * RecycleBin.query({ where: { entity: "Movie" }, orderBy: "-deletedAt" });
+   */
+  query(query = {}) {
+    return runQuery(Object.values(this._entries), query);
+  }
+
+  /**
+   * describes why the record of an entry was deleted in the current locale
+   * @param {TrashEntry} entry
+   * @returns {string} the translated cause, or the cause of an entry of an
+   * older version as it was stored
+   */
+  describeCause({ cause }) {
+    return typeof cause === "string" ? cause : t(cause.key, cause.params);
+  }
+
+  /**
+   * registers a function that is invoked whenever an entry is created or
+   * destroyed (restored or purged) and whenever the entries are cleared or
+   * loaded
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   * @returns {() => void} a function unsubscribing the listener
+   */
+  subscribe(listener) {
+    return this._events.subscribe(listener);
+  }
+
+  /**
+   * removes a function registered by `subscribe()`
+   * @param {(event: import("./StorageEvents.js").StorageEvent) => void} listener
+   */
+  unsubscribe(listener) {
+    this._events.unsubscribe(listener);
+  }
+
+  /**
+   * tells the subscribers about a change (used by the `Transaction` to report
+   * undone and redone changes)
+   * @param {import("./StorageEvents.js").StorageEvent} event
+   */
+  emit(event) {
+    this._events.emit(event);
+  }
+
+  /**
+   * replaces the storage backend. The entries have to be retrieved again
+   * afterwards.
+   * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+   */
+  setAdapter(adapter) {
+    this._adapter = adapter;
+  }
+
+  /**
+   * keeps a deleted movie, person or TV series in the recycle bin (used by
+   * `destroy()` of the storages)
+   * @param {TrashEntity} entity
+   * @param {import("../../lib/Model.js").Model} instance the deleted instance
+   * @param {TrashOptions} [options] [optional] the cause of the deletion
+   * @param {TrashLinks} [links] [optional] the references the deletion of a
+   * person removed
+   * @returns {number | undefined} the `entryId` of the new entry or
+   * `undefined` if the record is deleted permanently
+   */
+  trash(
+    entity,
+    instance,
+    { cause = { key: "recycleBin.deleted" }, causedBy, permanent } = {},
+    links
+  ) {
+    if (permanent) return undefined;
+    const record = JSON.parse(JSON.stringify(instance));
+    const storage = storageOf(entity);
+    /** @type {TrashEntry} */
+    const entry = {
+      entryId: this._nextId,
+      entity,
+      id: String(record[storage.entityClass.idProperty]),
+      label: record[storage.labelProperty],
+      record,
+      deletedAt: new Date().toISOString(),
+      cause,
+    };
+    if (causedBy !== undefined) entry.causedBy = causedBy;
+    if (links) entry.links = links;
+    this._entries[entry.entryId] = entry;
+    this._nextId++;
+    this.save(entry.entryId);
+    this.emit({
+      type: "created",
+      id: String(entry.entryId),
+      instance: entry,
+    });
+    return entry.entryId;
+  }
+
+  /**
+   * checks if the record of an entry can be restored: its id must be free and
+   * the director, the subject and the TV series of a movie must still exist
+   * and an episode must not take the number of another one. Actors and agents
+   * that were deleted in the meantime are left out.
+   * @param {number | string} entryId
+   * @returns {import("../../lib/errorTypes.js").ConstraintViolation} a
+   * `NoConstraintViolation` or the reason the record can't be restored
+   */
+  checkRestore(entryId) {
+    const entry = this._entries[entryId];
+    if (!entry) {
+      return new ReferentialIntegrityConstraintViolation(
+        t("recycleBin.noEntry", { entryId }),
+        { entity: "RecycleBin", property: "entryId", value: entryId }
+      );
+    }
+    const { entity, id, label, record } = entry;
+    const storage = storageOf(entity);
+    if (storage.contains(id)) {
+      return new UniquenessConstraintViolation(
+        t("recycleBin.idTaken", {
+          entity: storage.entityClass.entityLabel,
+          label,
+          id,
+        }),
+        { entity, property: storage.entityClass.idProperty, value: id }
+      );
+    }
+    if (entity === "Movie") {
+      if (!PersonStorage.contains(record.director)) {
+        return new ReferentialIntegrityConstraintViolation(
+          t("recycleBin.directorDeleted", { label, id: record.director }),
+          { entity, property: "director", value: record.director }
+        );
+      }
+      const aboutId = toIdRef(record.about);
+      if (aboutId !== undefined && !PersonStorage.contains(aboutId)) {
+        return new ReferentialIntegrityConstraintViolation(
+          t("recycleBin.subjectDeleted", { label, id: aboutId }),
+          { entity, property: "about", value: aboutId }
+        );
+      }
+      if (
+        record.tvSeries !== undefined &&
+        !TvSeriesStorage.contains(record.tvSeries)
+      ) {
+        return new ReferentialIntegrityConstraintViolation(
+          t("recycleBin.tvSeriesDeleted", { label, id: record.tvSeries }),
+          { entity, property: "tvSeries", value: record.tvSeries }
+        );
+      }
+    }
+    // e.g. another episode has taken the number of an episode
+    const [violation] = Object.values(storage.entityClass.checkRecord(record));
+    return violation ?? new NoConstraintViolation();
+  }
+
+  /**
+   * moves the record of an entry back into its storage and links it to the
+   * persons that still exist. Restoring a person restores the records that
+   * were deleted along with it as well (if they can be restored) and adds it
+   * to the casts and clients it was removed from again.
+   * @param {number | string} entryId
+   * @returns {import("../../lib/Model.js").Model} the restored instance
+   * @throws {import("../../lib/errorTypes.js").ConstraintViolation} if the
+   * record can't be restored (see `checkRestore()`)
+   */
+  restoreEntry(entryId) {
+    const validationResult = this.checkRestore(entryId);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      throw validationResult;
+    }
+    const entry = this._entries[entryId];
+    return Transaction.run(
+      () => this._restoreEntry(entry),
+      `Restore ${entry.entity.toLowerCase()} "${entry.label}"`
+    );
+  }
+
+  /**
+   * @private
+   * @param {TrashEntry} entry an entry that can be restored
+   * @returns {import("../../lib/Model.js").Model}
+   */
+  _restoreEntry({ entryId, entity, record, links }) {
+    let instance;
+    if (entity === "Movie") {
+      // the movies deleted by former versions had a single category
+      const { category, ...movie } = record;
+      instance = MovieStorage.create({
+        ...movie,
+        categories: movie.categories ?? (category ? [category] : []),
+        actors: record.actors.filter((/** @type {number} */ actorId) =>
+          PersonStorage.contains(actorId)
+        ),
+      });
+      // the restored id could be lower than the current ones
+      MovieStorage.calculateNextId();
+    } else if (entity === "TvSeries") {
+      instance = TvSeriesStorage.create(record);
+      TvSeriesStorage.calculateNextId();
+    } else {
+      const hasAgent =
+        record.agent !== undefined && PersonStorage.contains(record.agent);
+      instance = PersonStorage.create({
+        personId: record.personId,
+        name: record.name,
+        agent: hasAgent ? record.agent : undefined,
+      });
+      PersonStorage.calculateNextId();
+      MovieStorage.restorePersonRefs(instance, links?.actors ?? []);
+      PersonStorage.restoreAgentRef(instance, links?.clients ?? []);
+    }
+    this._delete(entryId);
+    // e.g. the movies deleted with their director
+    for (const dependent of this.query({ where: { causedBy: entryId } })) {
+      if (
+        this.checkRestore(dependent.entryId) instanceof NoConstraintViolation
+      ) {
+        this._restoreEntry(dependent);
+      }
+    }
+    console.info(`${instance.toString()} restored`);
+    return instance;
+  }
+
+  /**
+   * deletes an entry permanently
+   * @param {number | string} entryId
+   */
+  purge(entryId) {
+    const entry = this._entries[entryId];
+    if (entry) {
+      Transaction.run(
+        () => this._delete(entryId),
+        `Purge ${entry.entity.toLowerCase()} "${entry.label}"`
+      );
+      console.info(`Entry ${entryId} purged from the recycle bin`);
+    } else {
+      console.info(`There is no entry ${entryId} in the recycle bin to purge`);
+    }
+  }
+
+  /**
+   * deletes all entries permanently
+   */
+  empty() {
+    const entryIds = Object.keys(this._entries);
+    if (entryIds.length === 0) return;
+    Transaction.run(() => {
+      for (const entryId of entryIds) {
+        this._delete(entryId);
+      }
+    }, "Empty the recycle bin");
+    console.info(`${entryIds.length} entries purged from the recycle bin`);
+  }
+
+  /**
+   * @private
+   * @param {number | string} entryId
+   */
+  _delete(entryId) {
+    const entry = this._entries[entryId];
+    delete this._entries[entryId];
+    this.remove(entryId);
+    this.emit({ type: "destroyed", id: String(entryId), instance: entry });
+  }
+
+  /**
+   * loads all entries from the storage backend
+   */
+  async retrieveAll() {
+    /** @type {{[key: string]: TrashEntry}} */
+    let entries = {};
+    try {
+      entries = await this._adapter.load(RECYCLE_BIN_STORAGE_KEY);
+    } catch (e) {
+      alert(t("storage.readError", { error: e }));
+    }
+    this._entries = entries;
+    this.calculateNextId();
+    console.info(`${Object.keys(entries).length} deleted records loaded`);
+    this.emit({ type: "loaded" });
+  }
+
+  /**
+   * stores the entries with the given `entryId`s to the storage backend
+   * @param {...(number | string)} entryIds
+   */
+  async save(...entryIds) {
+    if (Transaction.isActive) {
+      // saved when the transaction is committed
+      Transaction.recordChanges(this, entryIds);
+      return;
+    }
+    /** @type {{[key: string]: TrashEntry}} */
+    const entries = {};
+    for (const entryId of entryIds) {
+      // the entry could have been deleted in the meantime
+      if (this._entries[entryId]) entries[entryId] = this._entries[entryId];
+    }
+    try {
+      await this._adapter.save(RECYCLE_BIN_STORAGE_KEY, entries);
+      Synchronization.publish("RecycleBin", entries, []);
+    } catch (e) {
+      alert(
+        t("storage.writeError", { operation: "RecycleBin.save()", error: e })
+      );
+    }
+  }
+
+  /**
+   * deletes the entries with the given `entryId`s from the storage backend
+   * @param {...(number | string)} entryIds
+   */
+  async remove(...entryIds) {
+    if (Transaction.isActive) {
+      // deleted when the transaction is committed
+      Transaction.recordChanges(this, entryIds);
+      return;
+    }
+    try {
+      await this._adapter.delete(RECYCLE_BIN_STORAGE_KEY, entryIds);
+      Synchronization.publish("RecycleBin", {}, entryIds);
+    } catch (e) {
+      alert(
+        t("storage.writeError", { operation: "RecycleBin.remove()", error: e })
+      );
+    }
+  }
+
+  /**
+   * checks if an entry with the given `entryId` exists
+   * @param {number | string} entryId
+   * @returns true if the entry exists
+   */
+  contains(entryId) {
+    return Object.keys(this._entries).includes(entryId.toString());
+  }
+
+  /**
+   * creates a snapshot of the current entries (used by the `Transaction`)
+   * @returns {import("./Transaction.js").StorageSnapshot}
+   */
+  snapshot() {
+    return { instances: { ...this._entries }, nextId: this._nextId };
+  }
+
+  /**
+   * resets the entries to a snapshot (used by the `Transaction`)
+   * @param {import("./Transaction.js").StorageSnapshot} snapshot
+   */
+  restore({ instances, nextId }) {
+    this._entries = /** @type {{[key: string]: TrashEntry}} */ ({
+      ...instances,
+    });
+    this._nextId = nextId;
+  }
+
+  /**
+   * applies the changes another tab has written to the storage backend (used
+   * by the `Synchronization`). Entries are never changed, only added and
+   * deleted.
+   * @param {{[key: string]: object}} records the saved entries by their id
+   * @param {string[]} entryIds the ids of the deleted entries
+   */
+  applyRemoteChanges(records, entryIds) {
+    /** @type {import("./StorageEvents.js").StorageEvent[]} emitted when all changes are applied */
+    const events = [];
+    for (const entryId of entryIds) {
+      const entry = this._entries[entryId];
+      delete this._entries[entryId];
+      entry && events.push({ type: "destroyed", id: entryId, instance: entry });
+    }
+    for (const key of Object.keys(records)) {
+      const entry = /** @type {TrashEntry} */ (records[key]);
+      !this._entries[key] &&
+        events.push({ type: "created", id: key, instance: entry });
+      this._entries[key] = entry;
+    }
+    this.calculateNextId();
+    events.forEach((event) => this.emit(event));
+  }
+
+  /**
+   * calculates the next possible `entryId`
+   */
+  calculateNextId() {
+    let currentId = 0;
+    for (const entry of Object.values(this._entries)) {
+      currentId = Math.max(entry.entryId, currentId);
+    }
+    this._nextId = currentId + 1;
+  }
+
+  /**
+   * clears all entries
+   */
+  async clear() {
+    try {
+      const entryIds = Object.keys(this._entries);
+      this._entries = {};
+      await this._adapter.clear(RECYCLE_BIN_STORAGE_KEY);
+      Synchronization.publish("RecycleBin", {}, entryIds);
+      this._nextId = 1;
+      this.emit({ type: "cleared" });
+      console.info("Recycle bin cleared.");
+    } catch (e) {
+      console.warn(`${e.constructor.name}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * a singleton instance of the `RecycleBin`.
+ * - keeps the movies and persons deleted by the storages (including the ones
+ * deleted by a cascade) with the time and the cause of their deletion
+ * - restores them (linking them to the persons that still exist) and purges
+ * them
+ * - takes part in every `Transaction`, so rolled back and undone deletions
+ * leave no entries behind
+ */
+export const RecycleBin = new RecycleBinClass();
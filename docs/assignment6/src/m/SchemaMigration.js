@@ -0,0 +1,345 @@
+/** the version of the records written by this app
+ * - 1: assignment4 and assignment5 (movies with genres and ratings, persons
+ * with their directed and played movies)
+ * - 2: assignment6 (movies with categories, persons with agents)
+ * - 3: TV series as records of their own, referenced by their episodes
+ * - 4: movies with a set of categories
+ */
+export const CURRENT_SCHEMA_VERSION = 4;
+
+/** the store holding the schema version of every other store */
+export const METADATA_STORE = "metadata";
+
+/**
+ * The stored information about the records of a store.
+ * @typedef {object} StoreMetadata
+ * @prop {number} schemaVersion the version of the records
+ * @prop {string} [migratedAt] the time of the last migration as an ISO string
+ */
+
+/**
+ * Upgrades the records of one schema version to the next one.
+ * @typedef {object} Migration
+ * @prop {number} from the version of the records it upgrades
+ * @prop {string} description
+ * @prop {{[storeName: string]: (record: any, records: {[key: string]: any}) => any}} stores
+ * a function upgrading a single record per store (with all records of the
+ * store at hand)
+ * @prop {{[storeName: string]: DerivedStore}} [derived] the stores introduced
+ * by the version, whose records are derived from the ones of another store
+ * @prop {{[storeName: string]: (record: any) => boolean}} [recognize]
+ * recognizes a record of the version `from` by its shape, e.g. one an older
+ * app wrote after the store was migrated
+ */
+
+/**
+ * A store whose records are derived from the records of another store when it
+ * is introduced. It has to be loaded before its source, whose records are
+ * changed by the same migration.
+ * @typedef {object} DerivedStore
+ * @prop {string} source the name of the store the records are derived from
+ * @prop {(sourceRecords: {[key: string]: any}) => {[key: string]: object}} derive
+ */
+
+/**
+ * converts a serialized person to its `personId`
+ * @param {any} ref a `personId` or a person record
+ * @returns {number | string}
+ */
+function toIdRef(ref) {
+  return ref && typeof ref === "object" ? ref.personId : ref;
+}
+
+/** @type {WeakMap<object, Map<string, {tvSeriesId: number, title: string, startYear?: number}>>} */
+const derivedTvSeries = new WeakMap();
+
+/**
+ * derives the TV series from the names of the series of the episodes: one
+ * series per name, numbered in the order of the movies, which started in the
+ * year of its first episode
+ * @param {{[key: string]: any}} movies the movie records of version 2
+ * @returns {Map<string, {tvSeriesId: number, title: string, startYear?: number}>}
+ * the series by their name
+ */
+function deriveTvSeries(movies) {
+  let series = derivedTvSeries.get(movies);
+  if (series) return series;
+  series = new Map();
+  for (const movie of Object.values(movies)) {
+    if (!movie || typeof movie !== "object" || !movie.tvSeriesName) continue;
+    const name = String(movie.tvSeriesName);
+    if (!series.has(name)) {
+      series.set(name, { tvSeriesId: series.size + 1, title: name });
+    }
+    const year = new Date(movie.releaseDate).getFullYear();
+    const tvSeries = series.get(name);
+    if (Number.isInteger(year) && !(tvSeries.startYear <= year)) {
+      tvSeries.startYear = year;
+    }
+  }
+  derivedTvSeries.set(movies, series);
+  return series;
+}
+
+/** @type {Migration[]} */
+const MIGRATIONS = [
+  {
+    from: 1,
+    description: "movies and persons of assignment4 and assignment5",
+    stores: {
+      // genres and ratings have no counterpart in this app
+      movies: ({ genres, genre, rating, ...movie }) => ({
+        ...movie,
+        director: toIdRef(movie.director),
+        actors: Object.values(movie.actors ?? []).map(toIdRef),
+      }),
+      // the movies of a person are derived from the movies
+      person: ({ directedMovies, playedMovies, categories, ...person }) =>
+        person.agent ? { ...person, agent: toIdRef(person.agent) } : person,
+    },
+    recognize: {
+      movies: (movie) =>
+        "genres" in movie ||
+        "genre" in movie ||
+        "rating" in movie ||
+        typeof movie.director === "object" ||
+        (movie.actors !== undefined && !Array.isArray(movie.actors)),
+      person: (person) =>
+        "directedMovies" in person ||
+        "playedMovies" in person ||
+        "categories" in person ||
+        typeof person.agent === "object",
+    },
+  },
+  {
+    from: 2,
+    description: "episodes with the name of their TV series",
+    stores: {
+      // the episodes of the former versions had no seasons
+      movies: ({ tvSeriesName, ...movie }, movies) =>
+        tvSeriesName
+          ? {
+              ...movie,
+              tvSeries: deriveTvSeries(movies).get(String(tvSeriesName))
+                .tvSeriesId,
+              seasonNo: 1,
+            }
+          : movie,
+    },
+    derived: {
+      tvSeries: {
+        source: "movies",
+        derive: (movies) =>
+          Object.fromEntries(
+            [...deriveTvSeries(movies).values()].map((tvSeries) => [
+              String(tvSeries.tvSeriesId),
+              tvSeries,
+            ])
+          ),
+      },
+    },
+  },
+  {
+    from: 3,
+    description: "movies with a single category",
+    stores: {
+      movies: ({ category, ...movie }) =>
+        category ? { ...movie, categories: [category] } : movie,
+    },
+    recognize: {
+      movies: (movie) => "category" in movie && !("categories" in movie),
+    },
+  },
+];
+
+/**
+ * @param {string} storeName
+ * @param {number} version
+ * @returns {string} the name of the store holding the backup of `storeName`
+ * before it was migrated from `version`
+ */
+export function backupStoreName(storeName, version) {
+  return `${storeName}@v${version}`;
+}
+
+/**
+ * upgrades the records of a store from one schema version to another
+ * @param {{[key: string]: any}} records
+ * @param {string} storeName
+ * @param {number} from the version of the records
+ * @param {number} to the version to upgrade them to
+ * @returns {{[key: string]: any}} the upgraded records
+ */
+function upgradeRecords(records, storeName, from, to) {
+  for (const migration of MIGRATIONS) {
+    const upgrade = migration.stores[storeName];
+    if (migration.from < from || migration.from >= to || !upgrade) continue;
+    /** @type {{[key: string]: any}} */
+    const upgraded = {};
+    for (const [key, record] of Object.entries(records)) {
+      // broken entries are kept as they are
+      upgraded[key] =
+        record && typeof record === "object"
+          ? upgrade(record, records)
+          : record;
+    }
+    records = upgraded;
+    console.info(
+      `"${storeName}" upgraded from version ${migration.from}: ${migration.description}`
+    );
+  }
+  return records;
+}
+
+/**
+ * @param {string} storeName
+ * @param {any} record
+ * @returns {number | undefined} the version of a record recognized as one of
+ * an older version (the oldest one it matches), `undefined` for a record of
+ * the version of the store
+ */
+function recognizedVersion(storeName, record) {
+  if (!record || typeof record !== "object") return undefined;
+  return MIGRATIONS.find(({ recognize }) => recognize?.[storeName]?.(record))
+    ?.from;
+}
+
+/**
+ * upgrades the records of a store that are recognized as records of an older
+ * version (see `Migration.recognize`), e.g. the ones an app of assignment4 or
+ * assignment5 wrote after the store was migrated. The original records are
+ * added to the backup store of their version and the upgraded ones are
+ * written back.
+ * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+ * @param {string} storeName
+ * @param {{[key: string]: object}} records the records of the store
+ * @returns {Promise<{[key: string]: object}>} the records with the upgraded
+ * ones
+ */
+async function upgradeRecognizedRecords(adapter, storeName, records) {
+  /** @type {Map<number, {[key: string]: object}>} */
+  const byVersion = new Map();
+  for (const [key, record] of Object.entries(records)) {
+    const version = recognizedVersion(storeName, record);
+    if (version === undefined) continue;
+    byVersion.set(version, { ...byVersion.get(version), [key]: record });
+  }
+  for (const [version, outdated] of byVersion) {
+    await adapter.save(backupStoreName(storeName, version), outdated);
+    const upgraded = upgradeRecords(
+      outdated,
+      storeName,
+      version,
+      CURRENT_SCHEMA_VERSION
+    );
+    await adapter.save(storeName, upgraded);
+    records = { ...records, ...upgraded };
+    console.info(
+      `${
+        Object.keys(upgraded).length
+      } records of "${storeName}" upgraded from schema version ${version}, since they were written by an older app`
+    );
+  }
+  return records;
+}
+
+/**
+ * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+ * @param {{[storeName: string]: StoreMetadata}} metadata
+ * @param {string} storeName
+ * @param {{[key: string]: object}} records the stored records of the store
+ * @returns {Promise<number>} the schema version of the records of a store. A
+ * derived store without records is as old as its source.
+ */
+async function storedVersion(adapter, metadata, storeName, records) {
+  if (metadata[storeName]) return metadata[storeName].schemaVersion;
+  if (Object.keys(records).length > 0) return 1;
+  const derivation = MIGRATIONS.find(({ derived }) => derived?.[storeName]);
+  if (derivation) {
+    const { source } = derivation.derived[storeName];
+    const sourceRecords = await adapter.load(source);
+    const version = await storedVersion(
+      adapter,
+      metadata,
+      source,
+      sourceRecords
+    );
+    // the store exists since the version introducing it
+    if (version <= derivation.from) return version;
+  }
+  return CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * loads all records of a store and upgrades them to the
+ * `CURRENT_SCHEMA_VERSION` if they are older. The original records are kept in
+ * a backup store (see `backupStoreName()`) and the upgraded ones are written
+ * back. Records without a stored version are treated as version 1. The
+ * records of a store introduced by a newer version are derived from its source
+ * store (see `DerivedStore`). Single records of an older version are
+ * recognized by their shape and upgraded as well, since an older app can
+ * write them after the store was migrated.
+ * @param {import("../../lib/storageAdapters.js").StorageAdapter} adapter
+ * @param {string} storeName
+ * @returns {Promise<{[key: string]: object}>} the (upgraded) records
+ */
+export async function loadMigrated(adapter, storeName) {
+  let records = await adapter.load(storeName);
+  /** @type {{[storeName: string]: StoreMetadata}} */
+  const metadata = await adapter.load(METADATA_STORE);
+  const version = await storedVersion(adapter, metadata, storeName, records);
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    console.warn(
+      `The records of "${storeName}" have the schema version ${version}, which is newer than ${CURRENT_SCHEMA_VERSION}!`
+    );
+    return records;
+  }
+  if (version < CURRENT_SCHEMA_VERSION) {
+    const backup = backupStoreName(storeName, version);
+    await adapter.clear(backup);
+    await adapter.save(backup, records);
+    const derivation = MIGRATIONS.find(
+      ({ from, derived }) => from >= version && derived?.[storeName]
+    );
+    if (derivation) {
+      const { source, derive } = derivation.derived[storeName];
+      const sourceRecords = await adapter.load(source);
+      const sourceVersion = await storedVersion(
+        adapter,
+        metadata,
+        source,
+        sourceRecords
+      );
+      records = derive(
+        upgradeRecords(sourceRecords, source, sourceVersion, derivation.from)
+      );
+      console.info(
+        `"${storeName}" derived from "${source}": ${derivation.description}`
+      );
+    }
+    records = upgradeRecords(
+      records,
+      storeName,
+      derivation ? derivation.from + 1 : version,
+      CURRENT_SCHEMA_VERSION
+    );
+    await adapter.clear(storeName);
+    await adapter.save(storeName, records);
+    console.info(
+      `${
+        Object.keys(records).length
+      } records of "${storeName}" migrated from schema version ${version} to ${CURRENT_SCHEMA_VERSION} (backup: "${backup}")`
+    );
+  }
+  records = await upgradeRecognizedRecords(adapter, storeName, records);
+  if (metadata[storeName]?.schemaVersion !== CURRENT_SCHEMA_VERSION) {
+    /** @type {StoreMetadata} */
+    const storeMetadata = { schemaVersion: CURRENT_SCHEMA_VERSION };
+    if (version < CURRENT_SCHEMA_VERSION) {
+      storeMetadata.migratedAt = new Date().toISOString();
+    }
+    await adapter.save(METADATA_STORE, { [storeName]: storeMetadata });
+  }
+  return records;
+}
@@ -0,0 +1,271 @@
+import { matchScore, tokenize } from "../../lib/textSearch.js";
+import { MovieStorage } from "./MovieStorage.js";
+import { PersonStorage } from "./PersonStorage.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** the weights of the indexed texts: own names count more than linked ones */
+const TITLE_WEIGHT = 3;
+const SERIES_WEIGHT = 2;
+const LINKED_PERSON_WEIGHT = 1;
+
+/** the maximum number of results of a search */
+const MAX_RESULTS = 10;
+
+/**
+ * An indexed movie or person.
+ * @typedef {object} IndexedDocument
+ * @prop {"Movie" | "Person"} entity
+ * @prop {string} id the `movieId` or `personId`
+ * @prop {string} label the title or name to display
+ * @prop {Map<string, number>} terms the weight of each indexed word
+ */
+
+/**
+ * A movie or person matching a search.
+ * @typedef {object} SearchResult
+ * @prop {"Movie" | "Person"} entity
+ * @prop {string} id the `movieId` or `personId`
+ * @prop {string} label the title or name to display
+ * @prop {number} score the rank of the result (higher is better)
+ */
+
+/**
+ * @param {"Movie" | "Person"} entity
+ * @param {number | string} id
+ * @returns {string} the key of a document in the index
+ */
+function toKey(entity, id) {
+  return `${entity}:${id}`;
+}
+
+/**
+ * adds the words of a text to the terms of a document. A word in several texts
+ * keeps its highest weight.
+ * @param {Map<string, number>} terms
+ * @param {string} text
+ * @param {number} weight
+ */
+function addTerms(terms, text, weight) {
+  for (const term of tokenize(text)) {
+    terms.set(term, Math.max(weight, terms.get(term) || 0));
+  }
+}
+
+/**
+ * internal
+ */
+class SearchIndexClass {
+  /** the indexed movies and persons by their key (see `toKey()`)
+   * @private
+   * @type {Map<string, IndexedDocument>}
+   */
+  _documents = new Map();
+
+  /** the keys of the documents containing a word (an inverted index)
+   * @private
+   * @type {Map<string, Set<string>>}
+   */
+  _postings = new Map();
+
+  constructor() {
+    /** @param {import("./StorageEvents.js").StorageEvent} event */
+    const handleChange = ({ type, storage, id }) => {
+      if (type === "loaded" || type === "cleared") {
+        this.rebuild();
+      } else {
+        this._reindex(storage, [id]);
+      }
+    };
+    MovieStorage.subscribe(handleChange);
+    PersonStorage.subscribe(handleChange);
+    TvSeriesStorage.subscribe(handleChange);
+  }
+
+  /** @returns {number} the number of indexed movies and persons */
+  get size() {
+    return this._documents.size;
+  }
+
+  /**
+   * indexes all movies and persons of the storages again (done whenever a
+   * storage was loaded or cleared)
+   */
+  rebuild() {
+    this._documents.clear();
+    this._postings.clear();
+    for (const movie of Object.values(MovieStorage.instances)) {
+      this._indexMovie(movie);
+    }
+    for (const person of Object.values(PersonStorage.instances)) {
+      this._indexPerson(person);
+    }
+    console.info(`${this._documents.size} movies and persons indexed`);
+  }
+
+  /**
+   * finds the movies and persons whose texts contain all words of a search
+   * text. The words match as prefixes, regardless of diacritics and with a
+   * few typos (the longer the word, the more typos).
+   * @param {string} text the search text
+   * @param {{entity?: "Movie" | "Person", limit?: number}} [options] [optional]
+   * only results of one entity, the maximum number of results
+   * @returns {SearchResult[]} the results, the best one first
+   */
+  search(text, { entity, limit = MAX_RESULTS } = {}) {
+    const tokens = tokenize(text);
+    if (tokens.length === 0) return [];
+    /** @type {Map<string, number>} */
+    let scores = null;
+    for (const token of tokens) {
+      /** @type {Map<string, number>} the best score of each document */
+      const tokenScores = new Map();
+      for (const [term, keys] of this._postings) {
+        const termScore = matchScore(token, term);
+        if (termScore === 0) continue;
+        for (const key of keys) {
+          const score = termScore * this._documents.get(key).terms.get(term);
+          tokenScores.set(key, Math.max(score, tokenScores.get(key) || 0));
+        }
+      }
+      // every word has to match
+      const matching = new Map();
+      for (const [key, score] of tokenScores) {
+        if (!scores || scores.has(key)) {
+          matching.set(key, score + (scores ? scores.get(key) : 0));
+        }
+      }
+      scores = matching;
+    }
+    /** @type {SearchResult[]} */
+    const results = [];
+    for (const [key, score] of scores) {
+      const document = this._documents.get(key);
+      if (entity && document.entity !== entity) continue;
+      const { id, label } = document;
+      results.push({ entity: document.entity, id, label, score });
+    }
+    return results
+      .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+      .slice(0, limit);
+  }
+
+  /**
+   * indexes the changed records of a storage again. The movies linked to a
+   * changed person or series are indexed again as well, since they contain its
+   * name or title.
+   * @private
+   * @param {object} storage `MovieStorage`, `PersonStorage` or
+   * `TvSeriesStorage`
+   * @param {string[]} ids the ids of the changed (or deleted) records
+   */
+  _reindex(storage, ids) {
+    if (storage === MovieStorage) {
+      for (const id of ids) {
+        this._remove(toKey("Movie", id));
+        const movie = MovieStorage.instances[id];
+        if (movie) this._indexMovie(movie);
+      }
+    } else if (storage === PersonStorage) {
+      for (const id of ids) {
+        this._remove(toKey("Person", id));
+        const person = PersonStorage.instances[id];
+        if (person) this._indexPerson(person);
+      }
+      const personIds = ids.map(Number);
+      const linkedMovies = MovieStorage.query({
+        where: (movie) =>
+          personIds.includes(movie.director?.personId) ||
+          personIds.includes(movie.about?.personId) ||
+          Object.keys(movie.actors).some((key) => ids.includes(key)),
+      });
+      this._reindex(
+        MovieStorage,
+        linkedMovies.map((movie) => String(movie.movieId))
+      );
+    } else if (storage === TvSeriesStorage) {
+      // the series themselves aren't indexed, only their titles in the episodes
+      const episodeIds = ids.flatMap((id) =>
+        Object.keys(TvSeriesStorage.instances[id]?.episodes ?? {})
+      );
+      this._reindex(MovieStorage, episodeIds);
+    }
+  }
+
+  /**
+   * @private
+   * @param {import("./Movie.js").Movie} movie
+   */
+  _indexMovie(movie) {
+    /** @type {Map<string, number>} */
+    const terms = new Map();
+    addTerms(terms, movie.title, TITLE_WEIGHT);
+    addTerms(terms, movie.tvSeries?.title, SERIES_WEIGHT);
+    addTerms(terms, movie.director?.name, LINKED_PERSON_WEIGHT);
+    for (const actor of Object.values(movie.actors)) {
+      addTerms(terms, actor.name, LINKED_PERSON_WEIGHT);
+    }
+    addTerms(terms, movie.about?.name, LINKED_PERSON_WEIGHT);
+    this._add({
+      entity: "Movie",
+      id: String(movie.movieId),
+      label: movie.title,
+      terms,
+    });
+  }
+
+  /**
+   * @private
+   * @param {import("./Person.js").Person} person
+   */
+  _indexPerson(person) {
+    /** @type {Map<string, number>} */
+    const terms = new Map();
+    addTerms(terms, person.name, TITLE_WEIGHT);
+    this._add({
+      entity: "Person",
+      id: String(person.personId),
+      label: person.name,
+      terms,
+    });
+  }
+
+  /**
+   * @private
+   * @param {IndexedDocument} document
+   */
+  _add(document) {
+    const key = toKey(document.entity, document.id);
+    this._documents.set(key, document);
+    for (const term of document.terms.keys()) {
+      if (!this._postings.has(term)) {
+        this._postings.set(term, new Set());
+      }
+      this._postings.get(term).add(key);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} key
+   */
+  _remove(key) {
+    const document = this._documents.get(key);
+    if (!document) return;
+    for (const term of document.terms.keys()) {
+      const keys = this._postings.get(term);
+      keys.delete(key);
+      if (keys.size === 0) this._postings.delete(term);
+    }
+    this._documents.delete(key);
+  }
+}
+
+/**
+ * a singleton instance of the `SearchIndex`.
+ * - indexes the titles and TV series names of the movies, the names of their
+ * directors, actors and biography subjects and the names of the persons
+ * - is kept up to date by the events of the movie, person and TV series
+ * storages
+ * - supports prefix, diacritics-insensitive and typo-tolerant matching
+ */
+export const SearchIndex = new SearchIndexClass();
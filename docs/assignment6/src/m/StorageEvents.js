@@ -0,0 +1,78 @@
+import { Transaction } from "./Transaction.js";
+
+/**
+ * A change of a storage.
+ * - `created`, `updated`, `destroyed`: a single instance (including cascaded
+ * changes, undo, redo and the changes of other tabs)
+ * - `cleared`: all instances were deleted
+ * - `loaded`: the instances were retrieved from the storage backend
+ * @typedef {object} StorageEvent
+ * @prop {"created" | "updated" | "destroyed" | "cleared" | "loaded"} type
+ * @prop {object} [storage] the storage that emitted the event (set by `emit()`)
+ * @prop {string} [id] the id of the created, updated or destroyed instance
+ * @prop {object} [instance] the created, updated or destroyed instance
+ * @prop {string[]} [updatedProperties] the changed properties of an updated
+ * instance
+ * @prop {{[property: string]: {before: any, after: any}}} [changes] the former
+ * and the new values of the updated properties (only reported by a
+ * `ChangeSet`)
+ */
+
+/**
+ * The subscribers of a storage. Events emitted within a transaction are
+ * delivered after it was committed and dropped if it is rolled back, so the
+ * subscribers only see changes that took effect.
+ */
+export class StorageEvents {
+  /** the storage emitting the events
+   * @private
+   * @type {object}
+   */
+  _storage;
+
+  /** the subscribed functions
+   * @private
+   * @type {((event: StorageEvent) => void)[]}
+   */
+  _listeners = [];
+
+  /**
+   * @param {object} storage the storage emitting the events
+   */
+  constructor(storage) {
+    this._storage = storage;
+  }
+
+  /**
+   * registers a function that is invoked with every event
+   * @param {(event: StorageEvent) => void} listener
+   * @returns {() => void} a function unsubscribing the listener
+   */
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => this.unsubscribe(listener);
+  }
+
+  /**
+   * removes a function registered by `subscribe()`
+   * @param {(event: StorageEvent) => void} listener
+   */
+  unsubscribe(listener) {
+    this._listeners = this._listeners.filter((l) => l !== listener);
+  }
+
+  /**
+   * delivers an event to all subscribers once the current transaction is
+   * committed
+   * @param {StorageEvent} event
+   */
+  emit(event) {
+    const storageEvent = { ...event, storage: this._storage };
+    Transaction.afterCommit(() => {
+      // a listener may unsubscribe while the event is delivered
+      for (const listener of this._listeners.slice(0)) {
+        listener(storageEvent);
+      }
+    });
+  }
+}
@@ -0,0 +1,143 @@
+/** the name of the `BroadcastChannel` all pages of the app share */
+const CHANNEL_NAME = "movieDatabase";
+
+/** the `localStorage` key used to send messages if there is no `BroadcastChannel` */
+const MESSAGE_KEY = "movieDatabase-sync";
+
+/**
+ * The records a tab has written to the storage backend.
+ * @typedef {object} SyncMessage
+ * @prop {string} entity the type of the records (see `storages`)
+ * @prop {{[key: string]: object}} saved the saved records by their id
+ * @prop {string[]} deleted the ids of the deleted records
+ */
+
+/**
+ * The changes of another tab applied to a storage.
+ * @typedef {object} RemoteChange
+ * @prop {object} storage the changed storage (e.g. the `MovieStorage`)
+ * @prop {string[]} savedIds the ids of the created or updated records
+ * @prop {string[]} deletedIds the ids of the deleted records
+ */
+
+/**
+ * internal
+ */
+class SynchronizationClass {
+  /** the channel the messages are sent and received with
+   * @private
+   * @type {BroadcastChannel | null}
+   */
+  _channel = null;
+
+  /** the functions invoked with every applied remote change
+   * @private
+   * @type {((change: RemoteChange) => void)[]}
+   */
+  _changeListeners = [];
+
+  /** the storages added by `addStorage()` by their entity name
+   * @private
+   * @type {{[entity: string]: object}}
+   */
+  _addedStorages = {};
+
+  constructor() {
+    if (typeof BroadcastChannel !== "undefined") {
+      this._channel = new BroadcastChannel(CHANNEL_NAME);
+      this._channel.onmessage = (e) => this._receive(e.data);
+    } else if (typeof window !== "undefined") {
+      // storage events are only fired in the other tabs
+      window.addEventListener("storage", (e) => {
+        if (e.key === MESSAGE_KEY && e.newValue) {
+          this._receive(JSON.parse(e.newValue));
+        }
+      });
+    }
+  }
+
+  /** @returns {{[entity: string]: object}} the synchronized storages */
+  get storages() {
+    return this._addedStorages;
+  }
+
+  /**
+   * synchronizes a storage, which publishes its writes under `entity` and
+   * implements `applyRemoteChanges()`. The storages add themselves, since
+   * importing them here would be circular.
+   * @param {string} entity
+   * @param {object} storage
+   */
+  addStorage(entity, storage) {
+    this._addedStorages[entity] = storage;
+  }
+
+  /**
+   * tells the other tabs which records this tab has written to the storage
+   * backend
+   * @param {string} entity the name of an added storage (see `addStorage()`),
+   * e.g. `"Movie"`
+   * @param {{[key: string]: object}} saved the saved instances by their id
+   * @param {(number | string)[]} deleted the ids of the deleted records
+   */
+  publish(entity, saved, deleted) {
+    /** @type {SyncMessage} */
+    const message = {
+      entity,
+      saved: JSON.parse(JSON.stringify(saved)),
+      deleted: deleted.map(String),
+    };
+    if (this._channel) {
+      this._channel.postMessage(message);
+    } else if (typeof localStorage !== "undefined") {
+      // the time makes equal messages fire a storage event as well
+      localStorage.setItem(
+        MESSAGE_KEY,
+        JSON.stringify({ ...message, sentAt: Date.now() })
+      );
+    }
+  }
+
+  /**
+   * registers a function that is invoked whenever the changes of another tab
+   * were applied
+   * @param {(change: RemoteChange) => void} listener
+   */
+  addChangeListener(listener) {
+    this._changeListeners.push(listener);
+  }
+
+  /**
+   * applies the records another tab has written
+   * @private
+   * @param {SyncMessage} message
+   */
+  _receive({ entity, saved, deleted }) {
+    const storage = this.storages[entity];
+    if (!storage) return;
+    storage.applyRemoteChanges(saved, deleted);
+    console.info(
+      `${entity} records changed in another tab`,
+      Object.keys(saved),
+      deleted
+    );
+    /** @type {RemoteChange} */
+    const change = {
+      storage,
+      savedIds: Object.keys(saved),
+      deletedIds: deleted,
+    };
+    for (const listener of this._changeListeners) {
+      listener(change);
+    }
+  }
+}
+
+/**
+ * a singleton instance of the `Synchronization`.
+ * - keeps the added storages (see `addStorage()`) of all open pages and tabs
+ * in sync: every record written to the storage backend is
+ * sent to the other tabs, which apply it to their instances
+ * - uses a `BroadcastChannel` or `storage` events as a fallback
+ */
+export const Synchronization = new SynchronizationClass();
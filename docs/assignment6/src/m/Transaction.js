@@ -0,0 +1,540 @@
+import { Model } from "../../lib/Model.js";
+
+/**
+ * The state of a storage at the time a savepoint was created.
+ * @typedef {object} StorageSnapshot
+ * @prop {{[key: string]: object}} instances a copy of the instances map
+ * @prop {number} nextId the "counter" of the identifiers
+ */
+
+/**
+ * A savepoint of all storages and the property slots of the instances changed
+ * since.
+ * @typedef {object} Savepoint
+ * @prop {Map<object, StorageSnapshot>} storages the snapshot of each storage
+ * @prop {Map<object, {[key: string]: any}>} slots the property slots of each
+ * changed instance before its first change (taken by `Transaction.capture()`)
+ * @prop {(() => void)[]} afterCommit the functions to invoke when the outermost
+ * transaction is committed
+ */
+
+/**
+ * copies the own property slots of an object. Arrays and maps (like `_actors`
+ * or `_categories`) are copied as well, so they can't be changed in place.
+ * @param {object} obj
+ * @returns {{[key: string]: any}}
+ */
+function copySlots(obj) {
+  const slots = {};
+  for (const p of Object.keys(obj)) {
+    const val = obj[p];
+    if (Array.isArray(val)) {
+      slots[p] = val.slice(0);
+    } else if (val && Object.getPrototypeOf(val) === Object.prototype) {
+      slots[p] = { ...val };
+    } else {
+      slots[p] = val;
+    }
+  }
+  return slots;
+}
+
+/**
+ * resets the own property slots of an object to copies of the given ones
+ * @param {object} obj
+ * @param {{[key: string]: any}} slots
+ */
+function restoreSlots(obj, slots) {
+  for (const p of Object.keys(obj)) {
+    delete obj[p];
+  }
+  Object.assign(obj, copySlots(slots));
+}
+
+/**
+ * compares two values of a property slot
+ * @param {any} x
+ * @param {any} y
+ * @returns {boolean} `true` if both are the same value
+ */
+function equalValues(x, y) {
+  if (Array.isArray(x) && Array.isArray(y)) {
+    return x.length === y.length && x.every((el, i) => el === y[i]);
+  } else if (x instanceof Date && y instanceof Date) {
+    return x.getTime() === y.getTime();
+  } else if (x && y && typeof x === "object" && typeof y === "object") {
+    return x.constructor === Object && y.constructor === Object
+      ? equalSlots(x, y)
+      : x === y;
+  }
+  return x === y;
+}
+
+/**
+ * compares two sets of property slots created by `copySlots()`
+ * @param {{[key: string]: any}} a
+ * @param {{[key: string]: any}} b
+ * @returns {boolean} `true` if all slots hold the same values
+ */
+function equalSlots(a, b) {
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((p) => equalValues(a[p], b[p]));
+}
+
+/**
+ * lists the properties whose slots differ, e.g. `"title"` for a changed
+ * `_title`
+ * @param {{[key: string]: any}} before the slots of an instance
+ * @param {{[key: string]: any}} after other slots of the same instance
+ * @returns {string[]} the names of the changed properties
+ */
+export function changedProperties(before, after) {
+  const slots = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...slots]
+    .filter((p) => !equalValues(before[p], after[p]))
+    .map((p) => p.replace(/^_/, ""));
+}
+
+/**
+ * The changes of a storage within a committed transaction.
+ * @typedef {object} StorageChange
+ * @prop {Set<string>} ids the ids of all added, removed or changed records
+ * @prop {{[key: string]: object}} before the instances of `ids` before the transaction
+ * @prop {{[key: string]: object}} after the instances of `ids` after the transaction
+ * @prop {{before: number, after: number}} nextId
+ */
+
+/**
+ * All effects of a committed transaction (including cascaded ones). A change
+ * set can be reverted and re-applied, so it serves as an inverse command.
+ */
+export class ChangeSet {
+  /**
+   * computes the changes since a savepoint
+   * @param {Savepoint} savepoint
+   * @param {string} [label] [optional] a description of the operation
+   */
+  constructor(savepoint, label) {
+    /** @type {string} */
+    this.label = label || "";
+    /** @private @type {Map<object, StorageChange>} */
+    this._storages = new Map();
+    /** @private @type {Map<object, {before: {[key: string]: any} | undefined, after: {[key: string]: any}}>} */
+    this._slots = new Map();
+    /** @type {Set<object>} the instances stored at the savepoint */
+    const stored = new Set();
+    for (const snapshot of savepoint.storages.values()) {
+      Object.values(snapshot.instances).forEach((instance) =>
+        stored.add(instance)
+      );
+    }
+
+    for (const [storage, snapshot] of savepoint.storages) {
+      const current = storage.snapshot();
+      /** @type {StorageChange} */
+      const change = {
+        ids: new Set(),
+        before: {},
+        after: {},
+        nextId: { before: snapshot.nextId, after: current.nextId },
+      };
+      const ids = new Set([
+        ...Object.keys(snapshot.instances),
+        ...Object.keys(current.instances),
+      ]);
+      for (const id of ids) {
+        const instanceBefore = snapshot.instances[id];
+        const instanceAfter = current.instances[id];
+        let changed = instanceBefore !== instanceAfter;
+        for (const instance of [instanceBefore, instanceAfter]) {
+          if (instance && this._diffSlots(instance, savepoint, stored)) {
+            changed = true;
+          }
+        }
+        if (changed) {
+          change.ids.add(id);
+          change.before[id] = instanceBefore;
+          change.after[id] = instanceAfter;
+        }
+      }
+      if (change.ids.size > 0) {
+        this._storages.set(storage, change);
+      }
+    }
+  }
+
+  /**
+   * remembers the slots of an instance before and after the transaction if
+   * they differ
+   * @private
+   * @param {object} instance
+   * @param {Savepoint} savepoint
+   * @param {Set<object>} stored the instances stored at the savepoint
+   * @returns {boolean} `true` if the slots differ
+   */
+  _diffSlots(instance, savepoint, stored) {
+    if (this._slots.has(instance)) return true;
+    const isStored = stored.has(instance);
+    // a stored instance that wasn't captured is unchanged
+    if (isStored && !savepoint.slots.has(instance)) return false;
+    // a created instance has no former slots
+    const before = isStored ? savepoint.slots.get(instance) : undefined;
+    const after = copySlots(instance);
+    if (before && equalSlots(before, after)) return false;
+    this._slots.set(instance, { before, after });
+    return true;
+  }
+
+  /** @returns {boolean} `true` if the transaction didn't change anything */
+  get isEmpty() {
+    return this._storages.size === 0;
+  }
+
+  /** @returns {{storage: object, ids: string[]}[]} the changed records per storage */
+  get changes() {
+    return [...this._storages].map(([storage, change]) => ({
+      storage,
+      ids: [...change.ids],
+    }));
+  }
+
+  /** restores the state before the transaction (undo) */
+  revert() {
+    this._apply("before");
+  }
+
+  /** restores the state after the transaction (redo) */
+  apply() {
+    this._apply("after");
+  }
+
+  /**
+   * @private
+   * @param {"before" | "after"} state
+   */
+  _apply(state) {
+    for (const [instance, slots] of this._slots) {
+      // instances created by the transaction have no former slots
+      if (!slots[state]) continue;
+      Transaction.capture(instance);
+      restoreSlots(instance, slots[state]);
+    }
+    for (const [storage, change] of this._storages) {
+      const { instances } = storage.snapshot();
+      for (const id of change.ids) {
+        if (change[state][id]) {
+          instances[id] = change[state][id];
+        } else {
+          delete instances[id];
+        }
+      }
+      storage.restore({ instances, nextId: change.nextId[state] });
+      Transaction.recordChanges(storage, [...change.ids]);
+      // tell the subscribers what was re-created, destroyed or updated
+      for (const event of this._describe(storage, change, state)) {
+        storage.emit(event);
+      }
+    }
+  }
+
+  /**
+   * @returns {import("./StorageEvents.js").StorageEvent[]} the instances the
+   * transaction created, updated or destroyed
+   */
+  get effects() {
+    return [...this._storages].flatMap(([storage, change]) =>
+      this._describe(storage, change, "after").map((event) => ({
+        ...event,
+        storage,
+      }))
+    );
+  }
+
+  /**
+   * describes the changes of a storage that lead to a state
+   * @private
+   * @param {object} storage
+   * @param {StorageChange} change
+   * @param {"before" | "after"} state the resulting state
+   * @returns {import("./StorageEvents.js").StorageEvent[]}
+   */
+  _describe(storage, change, state) {
+    const other = state === "before" ? "after" : "before";
+    /** @type {import("./StorageEvents.js").StorageEvent[]} */
+    const events = [];
+    for (const id of change.ids) {
+      const instance = change[state][id];
+      if (!instance) {
+        events.push({ type: "destroyed", id, instance: change[other][id] });
+      } else if (!change[other][id]) {
+        events.push({ type: "created", id, instance });
+      } else if (this._slots.has(instance)) {
+        const slots = this._slots.get(instance);
+        const before = slots[other] || {};
+        const after = slots[state];
+        const updatedProperties = changedProperties(before, after);
+        /** @type {{[property: string]: {before: any, after: any}}} */
+        const changes = {};
+        for (const p of updatedProperties) {
+          changes[p] = { before: before[`_${p}`], after: after[`_${p}`] };
+        }
+        events.push({
+          type: "updated",
+          id,
+          instance,
+          updatedProperties,
+          changes,
+        });
+      }
+    }
+    return events;
+  }
+}
+
+/**
+ * internal
+ */
+class TransactionManager {
+  /** the stack of open (nested) transactions
+   * @private
+   * @type {Savepoint[]}
+   */
+  _savepoints = [];
+
+  /** the ids of the records changed since the outermost `begin()` per storage
+   * @private
+   * @type {Map<object, Set<string>>}
+   */
+  _changes = new Map();
+
+  /** the description of the outermost transaction
+   * @private
+   * @type {string}
+   */
+  _label = "";
+
+  /** the functions invoked with the `ChangeSet` of every committed transaction
+   * @private
+   * @type {((changeSet: ChangeSet) => void)[]}
+   */
+  _commitListeners = [];
+
+  /** the storages added by `addStorage()`
+   * @private
+   * @type {object[]}
+   */
+  _storages = [];
+
+  constructor() {
+    // the slots of an instance are captured when it is changed first
+    Model.addChangeListener((instance) => this.capture(instance));
+  }
+
+  /** @returns {object[]} the storages a transaction spans */
+  get storages() {
+    return this._storages;
+  }
+
+  /**
+   * lets transactions span a storage, which implements `snapshot()`,
+   * `restore()`, `contains()`, `save()`, `remove()` and `emit()`. The
+   * storages add themselves, since importing them here would be circular.
+   * @param {object} storage
+   */
+  addStorage(storage) {
+    this._storages.includes(storage) || this._storages.push(storage);
+  }
+
+  /** @returns {boolean} `true` if a transaction is open */
+  get isActive() {
+    return this._savepoints.length > 0;
+  }
+
+  /**
+   * opens a (nested) transaction by creating a savepoint of all storages. The
+   * slots of their instances are only captured when they are changed (see
+   * `capture()`).
+   * @param {string} [label] [optional] a description of the operation. Only the
+   * label of the outermost transaction is used.
+   */
+  begin(label) {
+    if (!this.isActive) {
+      this._label = label || "";
+    }
+    /** @type {Savepoint} */
+    const savepoint = {
+      storages: new Map(),
+      slots: new Map(),
+      afterCommit: [],
+    };
+    for (const storage of this.storages) {
+      savepoint.storages.set(storage, storage.snapshot());
+    }
+    this._savepoints.push(savepoint);
+  }
+
+  /**
+   * remembers the slots of an instance in each open transaction it wasn't
+   * changed in yet, so they can be restored. Invoked before the slots change
+   * (see `Model.willChange()`).
+   * @param {object} instance
+   */
+  capture(instance) {
+    /** @type {{[key: string]: any}} */
+    let slots;
+    for (const savepoint of this._savepoints) {
+      if (savepoint.slots.has(instance)) continue;
+      slots ??= copySlots(instance);
+      savepoint.slots.set(instance, slots);
+    }
+  }
+
+  /**
+   * closes the innermost transaction and keeps its changes. Closing the
+   * outermost transaction writes all changed records to the storage backend.
+   */
+  commit() {
+    if (!this.isActive) {
+      throw new Error("There is no open transaction to commit!");
+    }
+    const savepoint = this._savepoints.pop();
+    if (this.isActive) {
+      // invoked when the enclosing transaction is committed
+      this._savepoints[this._savepoints.length - 1].afterCommit.push(
+        ...savepoint.afterCommit
+      );
+    } else {
+      const changeSet = new ChangeSet(savepoint, this._label);
+      if (!changeSet.isEmpty) {
+        for (const listener of this._commitListeners) {
+          listener(changeSet);
+        }
+      }
+      this._flush();
+      for (const callback of savepoint.afterCommit) {
+        callback();
+      }
+    }
+  }
+
+  /**
+   * closes the innermost transaction and restores all storages and instances
+   * to their state at the corresponding `begin()`.
+   */
+  rollback() {
+    if (!this.isActive) {
+      throw new Error("There is no open transaction to roll back!");
+    }
+    const savepoint = this._savepoints.pop();
+    for (const [instance, slots] of savepoint.slots) {
+      restoreSlots(instance, slots);
+    }
+    for (const [storage, snapshot] of savepoint.storages) {
+      storage.restore(snapshot);
+    }
+    if (!this.isActive) {
+      // the restored records are still the stored ones
+      this._changes.clear();
+    }
+  }
+
+  /**
+   * runs `operation` inside a transaction. The transaction is committed if
+   * `operation` returns and rolled back (re-throwing the error) if it throws.
+   * @template T
+   * @param {() => T} operation
+   * @param {string} [label] [optional] a description of the operation
+   * @returns {T} the result of `operation`
+   */
+  run(operation, label) {
+    this.begin(label);
+    let result;
+    try {
+      result = operation();
+    } catch (e) {
+      this.rollback();
+      throw e;
+    }
+    this.commit();
+    return result;
+  }
+
+  /**
+   * runs `operation` inside a transaction that is always rolled back, so
+   * nothing is changed (a dry run). Errors of `operation` are re-thrown.
+   * @param {() => void} operation
+   * @returns {ChangeSet} the effects the operation would have
+   */
+  dryRun(operation) {
+    this.begin();
+    try {
+      operation();
+      return new ChangeSet(this._savepoints[this._savepoints.length - 1]);
+    } finally {
+      this.rollback();
+    }
+  }
+
+  /**
+   * registers a function that is invoked with the `ChangeSet` of every
+   * committed (outermost) transaction that changed anything
+   * @param {(changeSet: ChangeSet) => void} listener
+   */
+  addCommitListener(listener) {
+    this._commitListeners.push(listener);
+  }
+
+  /**
+   * invokes `callback` when the outermost transaction is committed, or
+   * immediately if there is no open transaction. The callback is dropped if
+   * the current transaction is rolled back.
+   * @param {() => void} callback
+   */
+  afterCommit(callback) {
+    if (this.isActive) {
+      this._savepoints[this._savepoints.length - 1].afterCommit.push(callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * remembers that the records with the given ids of `storage` have changed,
+   * so they are written to the backend when the outermost transaction commits.
+   * @param {object} storage
+   * @param {(number | string)[]} ids
+   */
+  recordChanges(storage, ids) {
+    if (!this._changes.has(storage)) {
+      this._changes.set(storage, new Set());
+    }
+    for (const id of ids) {
+      this._changes.get(storage).add(String(id));
+    }
+  }
+
+  /**
+   * saves the changed records that still exist and deletes the others
+   * @private
+   */
+  _flush() {
+    for (const [storage, ids] of this._changes) {
+      const existing = [...ids].filter((id) => storage.contains(id));
+      const deleted = [...ids].filter((id) => !storage.contains(id));
+      existing.length > 0 && storage.save(...existing);
+      deleted.length > 0 && storage.remove(...deleted);
+    }
+    this._changes.clear();
+  }
+}
+
+/**
+ * a singleton instance of the `TransactionManager`.
+ * - spans the entity storages and the `RecycleBin` (see `addStorage()`), so
+ * multi-step operations either fully apply or leave all storages (including
+ * all person categories) exactly as before
+ * - supports nesting: an inner `rollback()` only restores the state of the
+ * inner `begin()`
+ */
+export const Transaction = new TransactionManager();
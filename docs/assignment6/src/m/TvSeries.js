@@ -0,0 +1,178 @@
+import { IntervalConstraintViolation } from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { Model } from "../../lib/Model.js";
+import {
+  isIntegerOrIntegerString,
+  parseStringInteger,
+} from "../../lib/util.js";
+import "./messages.js";
+import { TvSeriesStorage } from "./TvSeriesStorage.js";
+
+/** @typedef {import("./Movie.js").Movie} Movie */
+/** @typedef {import("../../lib/Model.js").PropertyCheck} PropertyCheck */
+
+/**
+ * The creation slots of the TV series.
+ * @typedef {object} TvSeriesSlots
+ * @prop {number | string} tvSeriesId
+ * @prop {string} title
+ * @prop {number | string} startYear
+ * @prop {number | string} [endYear]
+ */
+
+/**
+ * The entity of a TV series, which the movies of the category
+ * `TvSeriesEpisode` reference as their series
+ */
+export class TvSeries extends Model {
+  /** @type {{[property: string]: import("../../lib/Model.js").PropertyDeclaration}} */
+  static properties = {
+    tvSeriesId: { type: "Integer", id: true, min: 0 },
+    title: { type: "String", min: 1, max: 120 },
+    startYear: { type: "Integer", min: 1928 },
+    endYear: { type: "Integer", min: 1928, optional: true },
+  };
+
+  /** the unique identifier of the series
+   * @private
+   * @type {number}
+   */
+  _tvSeriesId;
+
+  /** the official title of the series
+   * @private
+   * @type {string}
+   */
+  _title;
+
+  /** the year the first episode was aired
+   * @private
+   * @type {number}
+   */
+  _startYear;
+
+  /** the year the last episode was aired (unset while the series is running)
+   * @private
+   * @type {number | undefined}
+   */
+  _endYear;
+
+  /** the episodes of the series (maintained by the `Movie`s)
+   * @private
+   * @type {{[movieId: string]: Movie}}
+   */
+  _episodes = {};
+
+  /**
+   * CONSTRUCTOR
+   * @param {TvSeriesSlots} slots - Object creation slots
+   */
+  constructor(slots) {
+    super();
+    if (arguments.length > 0) {
+      this.initialize(slots);
+    }
+  }
+
+  /** @returns {typeof TvSeriesStorage} the storage of the series */
+  static get storage() {
+    return TvSeriesStorage;
+  }
+
+  /**
+   * checks the `uniqueKeys` and that a series doesn't end before it starts
+   * @param {{[property: string]: any}} slots the record, or an instance
+   * @param {Model} [instance] [optional] the instance that is updated
+   * @returns {{[property: string]: import("../../lib/errorTypes.js").ConstraintViolation}}
+   */
+  static checkRecord(slots, instance) {
+    const violations = super.checkRecord(slots, instance);
+    // invalid years are reported by their own checks
+    if (
+      !isIntegerOrIntegerString(slots.startYear) ||
+      !isIntegerOrIntegerString(slots.endYear)
+    ) {
+      return violations;
+    }
+    const startYear = parseStringInteger(slots.startYear);
+    const endYear = parseStringInteger(slots.endYear);
+    if (endYear < startYear) {
+      violations.endYear = new IntervalConstraintViolation(
+        t("tvSeries.endBeforeStart", { startYear, endYear }),
+        {
+          entity: "TvSeries",
+          property: "endYear",
+          value: endYear,
+          params: { min: startYear },
+        }
+      );
+    }
+    return violations;
+  }
+
+  // *** inverse references ***************************************************
+
+  /** @returns {{[movieId: string]: Movie}} the episodes of this `TvSeries` */
+  get episodes() {
+    return this._episodes;
+  }
+
+  /** @returns {Movie[]} the episodes ordered by their season and number */
+  get orderedEpisodes() {
+    return Object.values(this._episodes).sort(
+      (a, b) => a.seasonNo - b.seasonNo || a.episodeNo - b.episodeNo
+    );
+  }
+
+  /** @param {Movie} movie an episode of this `TvSeries` */
+  addEpisode(movie) {
+    this.willChange();
+    this._episodes[movie.movieId] = movie;
+  }
+
+  /** @param {Movie} movie no episode of this `TvSeries` anymore */
+  removeEpisode(movie) {
+    // another instance of the movie could have replaced it already
+    if (this._episodes[movie.movieId] === movie) {
+      this.willChange();
+      delete this._episodes[movie.movieId];
+    }
+  }
+
+  /**
+   * takes over the inverse references of another instance of this `TvSeries`
+   * (e.g. before its slots replace the ones of the other instance)
+   * @param {TvSeries} tvSeries
+   */
+  takeOverReferences(tvSeries) {
+    this.willChange();
+    // a copy, since the slots of each instance are captured on their own
+    this._episodes = { ...tvSeries.episodes };
+  }
+}
+
+// *** GENERATED MEMBERS (declared for the type check) ************************
+
+/** @type {number} */
+TvSeries.prototype.tvSeriesId;
+/** @type {string} */
+TvSeries.prototype.title;
+/** @type {number} */
+TvSeries.prototype.startYear;
+/** @type {number | undefined} */
+TvSeries.prototype.endYear;
+
+/** @type {PropertyCheck} */
+TvSeries.checkTvSeriesId;
+/** @type {PropertyCheck} */
+TvSeries.checkTvSeriesIdAsId;
+/** @type {PropertyCheck} */
+TvSeries.checkTvSeriesIdAsIdRef;
+/** @type {PropertyCheck} */
+TvSeries.checkTitle;
+/** @type {PropertyCheck} */
+TvSeries.checkStartYear;
+/** @type {PropertyCheck} */
+TvSeries.checkEndYear;
+
+Model.setup(TvSeries);
@@ -0,0 +1,122 @@
+import {
+  NoConstraintViolation,
+  ReferentialIntegrityConstraintViolation,
+} from "../../lib/errorTypes.js";
+import { t } from "../../lib/i18n.js";
+import { EntityStorage } from "./EntityStorage.js";
+import { RecycleBin } from "./RecycleBin.js";
+import { TvSeries } from "./TvSeries.js";
+import { Transaction } from "./Transaction.js";
+
+/**
+ * internal
+ * @extends {EntityStorage<TvSeries>}
+ */
+class TvSeriesStorageClass extends EntityStorage {
+  constructor() {
+    super({
+      entity: "TvSeries",
+      storageKey: "tvSeries",
+      idProperty: "tvSeriesId",
+      labelProperty: "title",
+    });
+  }
+
+  /**
+   * checks if the `TvSeries` with the given `tvSeriesId` can be deleted: the
+   * episodes reference it, so a series with episodes can't be deleted
+   * (`RESTRICT`)
+   * @param {number | string} tvSeriesId
+   * @returns {import("../../lib/errorTypes.js").ConstraintViolation} a
+   * `NoConstraintViolation` or the violation listing the episodes
+   */
+  checkDestroy(tvSeriesId) {
+    const tvSeries = this._instances[tvSeriesId];
+    if (!tvSeries) {
+      return new ReferentialIntegrityConstraintViolation(
+        t("tvSeries.noneToDelete", { id: tvSeriesId }),
+        { entity: "TvSeries", property: "tvSeriesId", value: tvSeriesId }
+      );
+    }
+    const episodes = tvSeries.orderedEpisodes;
+    if (episodes.length > 0) {
+      return new ReferentialIntegrityConstraintViolation(
+        t("tvSeries.restricted", {
+          title: tvSeries.title,
+          episodes: episodes
+            .map((movie) =>
+              t("record.Movie", { label: movie.title, id: movie.movieId })
+            )
+            .join(", "),
+        }),
+        {
+          entity: "TvSeries",
+          property: "tvSeriesId",
+          value: tvSeries.tvSeriesId,
+          params: { movieIds: episodes.map((movie) => movie.movieId) },
+        }
+      );
+    }
+    return new NoConstraintViolation();
+  }
+
+  /**
+   * computes what `destroy()` would change without changing anything
+   * @param {number | string} tvSeriesId
+   * @returns {import("./DeletePolicy.js").DeletionImpact}
+   */
+  previewDestroy(tvSeriesId) {
+    const violation = this.checkDestroy(tvSeriesId);
+    if (!(violation instanceof NoConstraintViolation)) {
+      return { violation, effects: [] };
+    }
+    return {
+      violation,
+      effects: Transaction.dryRun(() =>
+        this.destroy(tvSeriesId)
+      ).effects.filter(({ storage }) => storage !== RecycleBin),
+    };
+  }
+
+  /**
+   * deletes the `TvSeries` with the corresponding `tvSeriesId` from the
+   * Storage and keeps it in the `RecycleBin`. Nothing is deleted if it still
+   * has episodes (see `checkDestroy()`).
+   * @param {number | string} tvSeriesId
+   * @param {import("./RecycleBin.js").TrashOptions} [options] [optional] the
+   * cause of the deletion
+   */
+  destroy(tvSeriesId, options = {}) {
+    const validationResult = this.checkDestroy(tvSeriesId);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      console.warn(
+        `${validationResult.constructor.name}: ${validationResult.message}`
+      );
+      return;
+    }
+    const tvSeries = this._instances[tvSeriesId];
+    Transaction.run(() => {
+      RecycleBin.trash("TvSeries", tvSeries, options);
+      this._delete(tvSeriesId);
+    }, `Delete TV series "${tvSeries.title}"`);
+    console.info(`${tvSeries.toString()} deleted`);
+  }
+
+  /**
+   * keeps the episodes of a changed series, since they are derived from the
+   * movies
+   * @protected
+   * @param {TvSeries} tvSeries
+   * @param {TvSeries} changedTvSeries
+   */
+  _replaceSlots(tvSeries, changedTvSeries) {
+    changedTvSeries.takeOverReferences(tvSeries);
+    super._replaceSlots(tvSeries, changedTvSeries);
+  }
+}
+
+/**
+ * a singleton instance of the `TvSeriesStorage`.
+ * - provides functions to create, retrieve, update and destroy `TvSeries` at the storage backend
+ */
+export const TvSeriesStorage = new TvSeriesStorageClass();
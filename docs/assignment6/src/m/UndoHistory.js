@@ -0,0 +1,151 @@
+import { Synchronization } from "./Synchronization.js";
+import { Transaction } from "./Transaction.js";
+
+/** the maximum number of operations that can be undone */
+const MAX_HISTORY_SIZE = 100;
+
+/**
+ * internal
+ */
+class UndoHistoryClass {
+  /** the committed operations, the most recent one last
+   * @private
+   * @type {import("./Transaction.js").ChangeSet[]}
+   */
+  _undoStack = [];
+
+  /** the undone operations, the most recently undone one last
+   * @private
+   * @type {import("./Transaction.js").ChangeSet[]}
+   */
+  _redoStack = [];
+
+  /** `true` while an operation is undone or redone, so it isn't recorded again
+   * @private
+   * @type {boolean}
+   */
+  _replaying = false;
+
+  /** the functions invoked whenever the history changes
+   * @private
+   * @type {(() => void)[]}
+   */
+  _changeListeners = [];
+
+  constructor() {
+    // every committed transaction is one operation (including its cascades)
+    Transaction.addCommitListener((changeSet) => this._record(changeSet));
+    // the recorded operations could undo the changes of another tab
+    Synchronization.addChangeListener(() => this.clear());
+  }
+
+  /** @returns {boolean} `true` if there is an operation to undo */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /** @returns {boolean} `true` if there is an operation to redo */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /** @returns {string | undefined} the label of the operation to undo next */
+  get undoLabel() {
+    return this._undoStack[this._undoStack.length - 1]?.label;
+  }
+
+  /** @returns {string | undefined} the label of the operation to redo next */
+  get redoLabel() {
+    return this._redoStack[this._redoStack.length - 1]?.label;
+  }
+
+  /**
+   * reverts the most recent operation and all of its cascaded effects
+   * @returns {boolean} `true` if an operation was undone
+   */
+  undo() {
+    const changeSet = this._undoStack.pop();
+    if (!changeSet) return false;
+    this._replay(() => changeSet.revert(), `Undo: ${changeSet.label}`);
+    this._redoStack.push(changeSet);
+    console.info(`Undone: ${changeSet.label}`);
+    this._notify();
+    return true;
+  }
+
+  /**
+   * re-applies the most recently undone operation
+   * @returns {boolean} `true` if an operation was redone
+   */
+  redo() {
+    const changeSet = this._redoStack.pop();
+    if (!changeSet) return false;
+    this._replay(() => changeSet.apply(), `Redo: ${changeSet.label}`);
+    this._undoStack.push(changeSet);
+    console.info(`Redone: ${changeSet.label}`);
+    this._notify();
+    return true;
+  }
+
+  /** forgets all recorded operations */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._notify();
+  }
+
+  /**
+   * registers a function that is invoked whenever an operation is recorded,
+   * undone or redone
+   * @param {() => void} listener
+   */
+  addChangeListener(listener) {
+    this._changeListeners.push(listener);
+  }
+
+  /**
+   * @private
+   * @param {import("./Transaction.js").ChangeSet} changeSet
+   */
+  _record(changeSet) {
+    if (this._replaying) return;
+    this._undoStack.push(changeSet);
+    if (this._undoStack.length > MAX_HISTORY_SIZE) {
+      this._undoStack.shift();
+    }
+    // a new operation invalidates the undone ones
+    this._redoStack = [];
+    this._notify();
+  }
+
+  /**
+   * runs an undo or redo as one transaction (so the storage backend is updated)
+   * @private
+   * @param {() => void} operation
+   * @param {string} label a description of the replay
+   */
+  _replay(operation, label) {
+    this._replaying = true;
+    try {
+      Transaction.run(operation, label);
+    } finally {
+      this._replaying = false;
+    }
+  }
+
+  /** @private */
+  _notify() {
+    for (const listener of this._changeListeners) {
+      listener();
+    }
+  }
+}
+
+/**
+ * a singleton instance of the `UndoHistory`.
+ * - records every create, update and destroy of the `MovieStorage` and the
+ * `PersonStorage` (including cascaded effects) as an inverse command
+ * - the history lives as long as the page, it is not persisted
+ * - the history is cleared when another tab changes the storages
+ */
+export const UndoHistory = new UndoHistoryClass();
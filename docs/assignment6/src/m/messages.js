@@ -0,0 +1,739 @@
+/**
+ * @fileOverview The messages of the app in each of the `LOCALES` (the
+ * constraint violations of the `Model` are defined in `i18n.js`). The
+ * English names of the entities and the properties are their identifiers.
+ * @author Christian Prinz
+ */
+import { addMessages } from "../../lib/i18n.js";
+
+addMessages("en", {
+  // *** locales ***
+  "locale.en": "English",
+  "locale.de": "Deutsch",
+
+  // *** entities ***
+  "entity.TvSeries": "TV series",
+
+  // *** constraint violations ***
+  "person.invalidCategory": "Invalid value for category!",
+  "person.noneToDelete": "There is no person with the personId {id} to delete!",
+  "person.restricted": ({ name, references }) =>
+    `The person "${name}" can't be deleted, because it is the ${references.join(
+      "; the "
+    )}!`,
+  "person.restrictedReference": "{role} of {records}",
+  "person.replacesItself": 'The person "{name}" can\'t replace itself!',
+  "person.restrictedAgent":
+    "{name} can't be deleted, because it is the agent of {client}!",
+  "movie.noneToDelete": "There is no movie with the movieId {id} to delete!",
+  "movie.restricted":
+    '{name} can\'t be deleted, because it is the {role} of the movie "{title}"!',
+  "tvSeries.endBeforeStart":
+    "The TV series can't end ({endYear}) before it starts ({startYear})!",
+  "tvSeries.noneToDelete":
+    "There is no TV series with the tvSeriesId {id} to delete!",
+  "tvSeries.restricted":
+    'The TV series "{title}" can\'t be deleted, because it has the episodes {episodes}!',
+  "role.director": "director",
+  "role.actor": "actor",
+  "role.subject": "subject",
+  "role.agent": "agent",
+  "record.Movie": 'movie "{label}" ({id})',
+  "record.Person": 'person "{label}" ({id})',
+  "record.TvSeries": 'TV series "{label}" ({id})',
+  "quarantine.noEntry": "There is no quarantined {entity} with the ID {id}!",
+  "recycleBin.noEntry": "There is no entry {entryId} in the recycle bin!",
+  "recycleBin.idTaken":
+    'The {entity} "{label}" can\'t be restored, because its ID ({id}) is taken by another {entity}!',
+  "recycleBin.directorDeleted":
+    'The movie "{label}" can\'t be restored, because its director (ID {id}) was deleted!',
+  "recycleBin.subjectDeleted":
+    'The movie "{label}" can\'t be restored, because the subject of the biography (ID {id}) was deleted!',
+  "recycleBin.tvSeriesDeleted":
+    'The movie "{label}" can\'t be restored, because its TV series (ID {id}) was deleted!',
+  "recycleBin.deleted": "Deleted",
+  "recycleBin.deletedWithDirector": 'Deleted with its director "{name}"',
+  "recycleBin.deletedWithSubject":
+    'Deleted with the subject of the biography "{name}"',
+  "recycleBin.repaired": "Removed by the integrity repair",
+  "recycleBin.replacedByImport": "Replaced by an import",
+  "recycleBin.overwrittenByImport": "Overwritten by an import",
+
+  // *** alerts and confirmations ***
+  "storage.readError": "Error when reading from the storage\n{error}",
+  "storage.writeError":
+    "Error when writing to the storage in {operation}\n{error}",
+  "confirm.clearDatabase": "Do you really want to delete the entire database?",
+  "confirm.replaceDatabase":
+    "Do you really want to replace the entire database?",
+  "confirm.purge": 'Do you really want to purge "{label}" for good?',
+  "confirm.emptyTrash":
+    "Do you really want to purge all deleted records for good?",
+  "confirm.discard": "Do you really want to delete the {entity} {id} for good?",
+  "confirm.overwrite":
+    "{description} was changed in another tab since you started editing it. Do you want to overwrite these changes?",
+  "movie.description": 'The movie "{title}"',
+  "movie.deletedInOtherTab":
+    "The movie you are editing was deleted in another tab!",
+  "movie.notFound": "There is no movie with the ID {id}!",
+  "person.description": 'The person "{name}"',
+  "person.deletedInOtherTab":
+    "The person you are editing was deleted in another tab!",
+  "person.notFound": "There is no person with the ID {id}!",
+  "tvSeries.description": 'The TV series "{title}"',
+  "tvSeries.deletedInOtherTab":
+    "The TV series you are editing was deleted in another tab!",
+
+  // *** impacts of a deletion ***
+  "impact.destroyed": "The {record} is moved to the trash.",
+  "impact.created": "The {record} is created.",
+  "impact.updated": "The {record} {changes}.",
+  "impact.director": "gets the director {name}",
+  "impact.about": "is about {name} instead",
+  "impact.actors": "has the actors: {names}",
+  "impact.agent": "gets the agent {name}",
+  "impact.noAgent": "loses its agent",
+  "impact.directedMovies": "has directed: {titles}",
+  "impact.playedMovies": "has played in: {titles}",
+  "impact.biographies": "is the subject of: {titles}",
+  "impact.clients": "represents: {names}",
+  "impact.categories": "has the categories: {categories}",
+  "impact.noCategories": "has no category anymore",
+  "impact.changed": "changes its {property}",
+  "impact.none": "none",
+
+  // *** integrity problems ***
+  "integrity.record": "{entity} with the ID {id}",
+  "integrity.storedAs": "The {record} is stored as {key}",
+  "integrity.storeAs": "Store it as {id}",
+  "integrity.storedTwice": "The {record} is stored as {id} and {key}",
+  "integrity.dropCopy": "Drop the copy {key}",
+  "integrity.duplicate":
+    "The {record} stored as {key} is a duplicate of another one",
+  "integrity.trashDuplicate": "Move the duplicate to the trash",
+  "integrity.role.director": "The director",
+  "integrity.role.actors": "An actor",
+  "integrity.role.about": "The subject",
+  "integrity.role.agent": "The agent",
+  "integrity.role.tvSeries": "The series",
+  "integrity.outdatedCopy":
+    "{role} of the {record} is an outdated copy of the {entity} {refId}",
+  "integrity.missingReference":
+    "{role} of the {record} is the missing {entity} {refId}",
+  "integrity.linkStored": "Link the stored {entity} {refId}",
+  "integrity.trashMovie": "Move the movie to the trash",
+  "integrity.removeActor": "Remove the actor",
+  "integrity.removeAgent": "Remove the agent",
+  "integrity.noCategory": "no category",
+  "integrity.categoryFields": "The {record} ({categories}) {problems}",
+  "integrity.lacks": "lacks {fields}",
+  "integrity.has": "has {fields}",
+  "integrity.and": " and ",
+  "integrity.removeIncomplete":
+    "Remove the incomplete categories and their fields",
+  "integrity.removeFields": "Remove {fields}",
+  "integrity.inverseReferences":
+    "The {properties} of the {record} don't match the records referencing it",
+  "integrity.recompute": "Recompute them",
+  "integrity.personCategories":
+    "The categories of the {record} are {current}, but should be {derived}",
+  "integrity.noCategories": "none",
+  "integrity.recomputeCategories": "Recompute the categories",
+  "integrity.orphan": "No movie and no client references the {record}",
+  "integrity.trashPerson": "Move the person to the trash",
+  "integrity.repaired": "{count} problems repaired, ",
+  "integrity.found": "{count} problems found.",
+  "integrity.noProblems": "no problems found.",
+  "severity.error": "error",
+  "severity.warning": "warning",
+
+  // *** reports ***
+  "entityType.Movie": "Movie",
+  "entityType.Person": "Person",
+  "entityType.TvSeries": "TV series",
+  "loadReport.summary":
+    "{movies} movies, {persons} persons and {tvSeries} TV series could not be loaded, since they violate a constraint. ",
+  "loadReport.fix": "Fix them",
+  "csv.column": "Column {number}",
+  "csv.line": "Line",
+  "csv.result": "Result",
+  "csv.valid": "OK",
+  "csv.validRows": "{valid} of {total} rows are valid.",
+  "csv.imported": "{imported} rows imported, {skipped} invalid rows skipped.",
+  "csv.failed": "Line {line} could not be imported: {message}",
+  "csv.unknownName": 'There is no {entity} named "{name}"!',
+  "csv.ambiguousName": 'The name "{name}" is ambiguous ({property}: {ids})!',
+  "csv.duplicateId":
+    "The {entity}'s {property} ({value}) occurs more than once in the file!",
+  "csv.duplicateEpisode":
+    'The episode {episodeNo} of season {seasonNo} of the TV series "{tvSeries}" occurs more than once in the file!',
+  "import.selectFile": "Please select a file to import!",
+  "import.failed": "The file can't be imported: {error}",
+  "import.summary":
+    "{persons} persons, {tvSeries} TV series and {movies} movies imported, {skipped} skipped, {renumbered} renumbered, {rejected} rejected.",
+  "import.renumbered": "{entity} {from} was imported with the ID {to}",
+  "import.skipped": "{entity} {id} was skipped (the ID is taken)",
+  "import.rejected": "{entity} {id} was rejected ({violation}): {message}",
+  "history.created": "created",
+  "history.deleted": "deleted",
+  "history.change": "Change",
+  "history.noChanges": "No changes were journaled yet.",
+  "history.beforeCutOff":
+    "The changes before {cutOff} are no longer journaled, so the database can't be shown before then!",
+  "history.summary":
+    "{movies} movies and {persons} persons on {time} ({laterChanges} later changes reverted).",
+
+  // *** list tables ***
+  "table.unknown": "unknown",
+  "table.noActors": "no actors",
+  "table.noCategories": "no categories",
+  "table.biography": "Biography about {name}",
+  "table.tvSeriesEpisode":
+    'Episode {episodeNo} of season {seasonNo} of TV series "{tvSeries}"',
+  "table.running": "running",
+  "table.noEpisodes": "no episodes",
+
+  // *** labels of the pages ***
+  "ui.movieDatabase": "Movie Database",
+  "ui.manageMovieInformation": "Manage information about movies",
+  "ui.home": "Home",
+  "ui.movie": "Movie",
+  "ui.person": "Person",
+  "ui.tvSeries": "TV series",
+  "ui.trash": "Trash",
+  "ui.history": "History",
+  "ui.undo": "Undo",
+  "ui.redo": "Redo",
+  "ui.manageMovieData": "Manage Movie Data",
+  "ui.movieOptions": "This app supports the following movie managing options:",
+  "ui.listMovies": "List all Movies",
+  "ui.createMovie": "Create a Movie",
+  "ui.updateMovies": "Update Movies",
+  "ui.deleteMovies": "Delete Movies",
+  "ui.importMovies": "Import Movies (CSV)",
+  "ui.movieListTitle": "Retrieve and list all movie records",
+  "ui.movieId": "Movie ID",
+  "ui.title": "Title",
+  "ui.releaseDate": "ReleaseDate",
+  "ui.director": "Director",
+  "ui.actors": "Actors",
+  "ui.categories": "Categories",
+  "ui.exportCsv": "Export as CSV",
+  "ui.backToMovieMenu": "Back to movie menu",
+  "ui.createMovieTitle": "Create a new movie record",
+  "ui.idField": "ID:",
+  "ui.titleField": "Title:",
+  "ui.releaseDateField": "Release date:",
+  "ui.categoriesField": "Categories:",
+  "ui.aboutField": "About:",
+  "ui.tvSeriesField": "TV series:",
+  "ui.seasonNoField": "Season no.:",
+  "ui.episodeNoField": "Episode no.:",
+  "ui.directorField": "Director:",
+  "ui.actorsField": "Actors:",
+  "ui.create": "Create",
+  "ui.updateMovieTitle": "Update a movie record",
+  "ui.selectMovieField": "Select movie:",
+  "ui.movieIdField": "Movie ID:",
+  "ui.update": "Update",
+  "ui.changeHistory": "Change history",
+  "ui.deleteMovieTitle": "Delete a movie record",
+  "ui.deleteEffects": "Deleting the record has these effects:",
+  "ui.delete": "Delete",
+  "ui.importMoviesTitle": "Import movies from a CSV file",
+  "ui.fileField": "File:",
+  "ui.preview": "Preview",
+  "ui.importValidRows": "Import valid rows",
+  "ui.personDatabase": "Person Database",
+  "ui.managePersonInformation": "Manage information about persons",
+  "ui.personOptions":
+    "This app supports the following person managing options:",
+  "ui.listPersons": "List all persons",
+  "ui.viewPerson": "View a person",
+  "ui.createPerson": "Create a person",
+  "ui.updatePersons": "Update person",
+  "ui.deletePersons": "Delete person",
+  "ui.importPersons": "Import persons (CSV)",
+  "ui.personListTitle": "Retrieve and list all person records",
+  "ui.personId": "Person ID",
+  "ui.name": "Name",
+  "ui.types": "Types",
+  "ui.agent": "Agent",
+  "ui.directedMovies": "Directed movies",
+  "ui.playedMovies": "Played movies",
+  "ui.backToPersonMenu": "Back to person menu",
+  "ui.viewPersonTitle": "View a person record",
+  "ui.selectPersonField": "Select person:",
+  "ui.clients": "Clients",
+  "ui.biographies": "Biographies about the person",
+  "ui.createPersonTitle": "Create a new person record",
+  "ui.nameField": "Name:",
+  "ui.selectAgentField": "Select Agent:",
+  "ui.updatePersonTitle": "Update a person record",
+  "ui.personIdField": "Person ID:",
+  "ui.deletePersonTitle": "Delete a person record",
+  "ui.reassignDirectedMovies": "Reassign the directed movies to:",
+  "ui.importPersonsTitle": "Import persons from a CSV file",
+  "ui.tvSeriesDatabase": "TV Series Database",
+  "ui.manageTvSeriesInformation": "Manage information about TV series",
+  "ui.tvSeriesOptions":
+    "This app supports the following TV series managing options:",
+  "ui.listTvSeries": "List all TV series",
+  "ui.viewTvSeries": "View a TV series",
+  "ui.createTvSeries": "Create a TV series",
+  "ui.updateTvSeries": "Update TV series",
+  "ui.deleteTvSeries": "Delete TV series",
+  "ui.tvSeriesListTitle": "Retrieve and list all TV series records",
+  "ui.tvSeriesId": "TV series ID",
+  "ui.startYear": "Start year",
+  "ui.endYear": "End year",
+  "ui.episodes": "Episodes",
+  "ui.season": "Season",
+  "ui.episode": "Episode",
+  "ui.backToTvSeriesMenu": "Back to TV series menu",
+  "ui.viewTvSeriesTitle": "View a TV series record",
+  "ui.selectTvSeriesField": "Select TV series:",
+  "ui.createTvSeriesTitle": "Create a new TV series record",
+  "ui.startYearField": "Start year:",
+  "ui.endYearField": "End year:",
+  "ui.updateTvSeriesTitle": "Update a TV series record",
+  "ui.tvSeriesIdField": "TV series ID:",
+  "ui.deleteTvSeriesTitle": "Delete a TV series record",
+  "ui.search": "Search movies and persons",
+  "ui.confirmDeletion": "Confirm deletion",
+  "ui.manageInformation": "Manage information about movies and persons",
+  "ui.managingOptions": "This app supports the following managing options:",
+  "ui.manageMovieDataLink": "Manage movie data",
+  "ui.managePersonDataLink": "Manage person data",
+  "ui.manageTvSeriesDataLink": "Manage TV series data",
+  "ui.restoreDeletedRecords": "Restore deleted records",
+  "ui.browseHistory": "Browse the history",
+  "ui.clearDatabase": "Clear database",
+  "ui.generateTestData": "Generate test data",
+  "ui.exportDatabase": "Export database",
+  "ui.importDatabaseTitle": "Import a database export",
+  "ui.modeField": "Mode:",
+  "ui.mergeMode": "Merge with the existing data",
+  "ui.replaceMode": "Replace the existing data",
+  "ui.onConflictField": "On ID conflict:",
+  "ui.keepExisting": "Keep the existing record",
+  "ui.overwriteExisting": "Overwrite the existing record",
+  "ui.renumber": "Import with a new ID",
+  "ui.import": "Import",
+  "ui.integrityTitle": "Check the integrity of the database",
+  "ui.check": "Check",
+  "ui.repairAllErrors": "Repair all errors",
+  "ui.severity": "Severity",
+  "ui.record": "Record",
+  "ui.problem": "Problem",
+  "ui.trashInformation": "Restore or purge deleted movies and persons",
+  "ui.trashTitle": "Deleted movie and person records",
+  "ui.showField": "Show:",
+  "ui.allRecords": "All records",
+  "ui.movies": "Movies",
+  "ui.persons": "Persons",
+  "ui.type": "Type",
+  "ui.id": "ID",
+  "ui.titleOrName": "Title / Name",
+  "ui.deletedAt": "Deleted at",
+  "ui.cause": "Cause",
+  "ui.trashEmpty": "The trash is empty.",
+  "ui.emptyTrash": "Empty the trash",
+  "ui.restore": "Restore",
+  "ui.purge": "Purge",
+  "ui.historyInformation": "Show the database as it was at a past time",
+  "ui.historyTitle": "The movie and person records at a point in time",
+  "ui.timeField": "Time:",
+  "ui.show": "Show",
+  "ui.quarantine": "Quarantine",
+  "ui.quarantineInformation": "Fix the stored records that could not be loaded",
+  "ui.quarantineTitle": "Quarantined movie and person records",
+  "ui.quarantineHint":
+    "These records violate a constraint, so they were not loaded. Fix them and admit them again (the persons before their movies).",
+  "ui.quarantineEmpty": "All stored records were loaded.",
+  "ui.admit": "Admit",
+  "ui.discard": "Discard",
+});
+
+addMessages("de", {
+  // *** entities, properties and enumerations ***
+  "entity.Movie": "Film",
+  "entity.Person": "Person",
+  "entity.TvSeries": "Serie",
+  "property.movieId": "Film-ID",
+  "property.title": "Titel",
+  "property.releaseDate": "Erscheinungsdatum",
+  "property.director": "Regie",
+  "property.actors": "Schauspieler",
+  "property.actor": "Schauspieler",
+  "property.categories": "Kategorien",
+  "property.about": "Über",
+  "property.tvSeries": "Serie",
+  "property.seasonNo": "Staffel Nr.",
+  "property.episodeNo": "Episode Nr.",
+  "property.personId": "Personen-ID",
+  "property.name": "Name",
+  "property.agent": "Agent",
+  "property.tvSeriesId": "Serien-ID",
+  "property.startYear": "Startjahr",
+  "property.endYear": "Endjahr",
+  "property.directedMovies": "Regie bei",
+  "property.playedMovies": "Mitgespielt in",
+  "property.biographies": "Biografien",
+  "property.clients": "Klienten",
+  "property.episodes": "Episoden",
+  "movieCategory.Biography": "Biografie",
+  "movieCategory.TvSeriesEpisode": "Serienepisode",
+  "personType.Director": "Regisseur",
+  "personType.Actor": "Schauspieler",
+  "personType.Agent": "Agent",
+
+  // *** constraint violations ***
+  "person.invalidCategory": "Ungültiger Wert für die Tätigkeit!",
+  "person.noneToDelete":
+    "Es gibt keine Person mit der Personen-ID {id}, die gelöscht werden könnte!",
+  "person.restricted": ({ name, references }) =>
+    `Die Person „${name}“ kann nicht gelöscht werden, denn sie ist ${references.join(
+      "; "
+    )}!`,
+  "person.restrictedReference": "{role} von {records}",
+  "person.replacesItself":
+    "Die Person „{name}“ kann sich nicht selbst ersetzen!",
+  "person.restrictedAgent":
+    "{name} kann nicht gelöscht werden, denn die Person ist Agent von {client}!",
+  "movie.noneToDelete":
+    "Es gibt keinen Film mit der Film-ID {id}, der gelöscht werden könnte!",
+  "movie.restricted":
+    "{name} kann nicht gelöscht werden, denn die Person ist {role} des Films „{title}“!",
+  "tvSeries.endBeforeStart":
+    "Die Serie kann nicht enden ({endYear}), bevor sie beginnt ({startYear})!",
+  "tvSeries.noneToDelete":
+    "Es gibt keine Serie mit der Serien-ID {id}, die gelöscht werden könnte!",
+  "tvSeries.restricted":
+    "Die Serie „{title}“ kann nicht gelöscht werden, denn sie hat die Episoden {episodes}!",
+  "role.director": "Regisseur",
+  "role.actor": "Schauspieler",
+  "role.subject": "Gegenstand der Biografie",
+  "role.agent": "Agent",
+  "record.Movie": "Film „{label}“ ({id})",
+  "record.Person": "Person „{label}“ ({id})",
+  "record.TvSeries": "Serie „{label}“ ({id})",
+  "quarantine.noEntry": "{Entity} mit der ID {id} ist nicht in Quarantäne!",
+  "recycleBin.noEntry": "Der Eintrag {entryId} ist nicht im Papierkorb!",
+  "recycleBin.idTaken":
+    "{Entity} „{label}“ kann nicht wiederhergestellt werden, denn die ID ({id}) ist bereits vergeben!",
+  "recycleBin.directorDeleted":
+    "Der Film „{label}“ kann nicht wiederhergestellt werden, denn die Regie (ID {id}) wurde gelöscht!",
+  "recycleBin.subjectDeleted":
+    "Der Film „{label}“ kann nicht wiederhergestellt werden, denn der Gegenstand der Biografie (ID {id}) wurde gelöscht!",
+  "recycleBin.tvSeriesDeleted":
+    "Der Film „{label}“ kann nicht wiederhergestellt werden, denn seine Serie (ID {id}) wurde gelöscht!",
+  "recycleBin.deleted": "Gelöscht",
+  "recycleBin.deletedWithDirector": "Gelöscht mit der Regie „{name}“",
+  "recycleBin.deletedWithSubject":
+    "Gelöscht mit dem Gegenstand der Biografie „{name}“",
+  "recycleBin.repaired": "Von der Integritätsreparatur entfernt",
+  "recycleBin.replacedByImport": "Durch einen Import ersetzt",
+  "recycleBin.overwrittenByImport": "Durch einen Import überschrieben",
+
+  // *** alerts and confirmations ***
+  "storage.readError": "Fehler beim Lesen aus dem Speicher\n{error}",
+  "storage.writeError":
+    "Fehler beim Schreiben in den Speicher in {operation}\n{error}",
+  "confirm.clearDatabase": "Wollen Sie wirklich die gesamte Datenbank löschen?",
+  "confirm.replaceDatabase":
+    "Wollen Sie wirklich die gesamte Datenbank ersetzen?",
+  "confirm.purge": "Wollen Sie „{label}“ wirklich endgültig löschen?",
+  "confirm.emptyTrash":
+    "Wollen Sie wirklich alle gelöschten Datensätze endgültig löschen?",
+  "confirm.discard": "Wollen Sie {entity} {id} wirklich endgültig löschen?",
+  "confirm.overwrite":
+    "{description} wurde in einem anderen Tab geändert, seit Sie mit der Bearbeitung begonnen haben. Wollen Sie diese Änderungen überschreiben?",
+  "movie.description": "Der Film „{title}“",
+  "movie.deletedInOtherTab":
+    "Der Film, den Sie bearbeiten, wurde in einem anderen Tab gelöscht!",
+  "movie.notFound": "Es gibt keinen Film mit der ID {id}!",
+  "person.description": "Die Person „{name}“",
+  "person.deletedInOtherTab":
+    "Die Person, die Sie bearbeiten, wurde in einem anderen Tab gelöscht!",
+  "person.notFound": "Es gibt keine Person mit der ID {id}!",
+  "tvSeries.description": "Die Serie „{title}“",
+  "tvSeries.deletedInOtherTab":
+    "Die Serie, die Sie bearbeiten, wurde in einem anderen Tab gelöscht!",
+
+  // *** impacts of a deletion ***
+  "impact.destroyed": "{Record} wird in den Papierkorb verschoben.",
+  "impact.created": "{Record} wird angelegt.",
+  "impact.updated": "{Record} {changes}.",
+  "impact.director": "bekommt {name} als Regie",
+  "impact.about": "handelt stattdessen von {name}",
+  "impact.actors": "hat die Schauspieler: {names}",
+  "impact.agent": "bekommt {name} als Agent",
+  "impact.noAgent": "verliert den Agenten",
+  "impact.directedMovies": "führte Regie bei: {titles}",
+  "impact.playedMovies": "spielte mit in: {titles}",
+  "impact.biographies": "ist Gegenstand von: {titles}",
+  "impact.clients": "vertritt: {names}",
+  "impact.categories": "hat die Tätigkeiten: {categories}",
+  "impact.noCategories": "hat keine Tätigkeit mehr",
+  "impact.changed": "ändert „{property}“",
+  "impact.none": "keine",
+
+  // *** integrity problems ***
+  "integrity.record": "{entity} mit der ID {id}",
+  "integrity.storedAs": "{Record} ist unter {key} gespeichert",
+  "integrity.storeAs": "Unter {id} speichern",
+  "integrity.storedTwice": "{Record} ist unter {id} und {key} gespeichert",
+  "integrity.dropCopy": "Die Kopie {key} entfernen",
+  "integrity.duplicate":
+    "{Record}, gespeichert unter {key}, ist ein Duplikat eines anderen Datensatzes",
+  "integrity.trashDuplicate": "Das Duplikat in den Papierkorb verschieben",
+  "integrity.role.director": "Die Regie",
+  "integrity.role.actors": "Ein Schauspieler",
+  "integrity.role.about": "Der Gegenstand der Biografie",
+  "integrity.role.agent": "Der Agent",
+  "integrity.role.tvSeries": "Die Serie",
+  "integrity.outdatedCopy":
+    "{role} von {record} ist eine veraltete Kopie der {entity} {refId}",
+  "integrity.missingReference":
+    "{role} von {record} ist die fehlende {entity} {refId}",
+  "integrity.linkStored": "Die gespeicherte {entity} {refId} verknüpfen",
+  "integrity.trashMovie": "Den Film in den Papierkorb verschieben",
+  "integrity.removeActor": "Den Schauspieler entfernen",
+  "integrity.removeAgent": "Den Agenten entfernen",
+  "integrity.noCategory": "keine Kategorie",
+  "integrity.categoryFields": "{Record} ({categories}): {problems}",
+  "integrity.lacks": "{fields} fehlt",
+  "integrity.has": "{fields} ist überflüssig",
+  "integrity.and": " und ",
+  "integrity.removeIncomplete":
+    "Die unvollständigen Kategorien und ihre Felder entfernen",
+  "integrity.removeFields": "{fields} entfernen",
+  "integrity.inverseReferences":
+    "{properties} von {record} passen nicht zu den Datensätzen, die darauf verweisen",
+  "integrity.recompute": "Neu berechnen",
+  "integrity.personCategories":
+    "Die Tätigkeiten von {record} sind {current}, sollten aber {derived} sein",
+  "integrity.noCategories": "keine",
+  "integrity.recomputeCategories": "Die Tätigkeiten neu berechnen",
+  "integrity.orphan": "Kein Film und kein Klient verweist auf {record}",
+  "integrity.trashPerson": "Die Person in den Papierkorb verschieben",
+  "integrity.repaired": "{count} Probleme behoben, ",
+  "integrity.found": "{count} Probleme gefunden.",
+  "integrity.noProblems": "keine Probleme gefunden.",
+  "severity.error": "Fehler",
+  "severity.warning": "Warnung",
+
+  // *** reports ***
+  "entityType.Movie": "Film",
+  "entityType.Person": "Person",
+  "entityType.TvSeries": "Serie",
+  "loadReport.summary":
+    "{movies} Filme, {persons} Personen und {tvSeries} Serien konnten nicht geladen werden, da sie eine Bedingung verletzen. ",
+  "loadReport.fix": "Beheben",
+  "csv.column": "Spalte {number}",
+  "csv.line": "Zeile",
+  "csv.result": "Ergebnis",
+  "csv.valid": "OK",
+  "csv.validRows": "{valid} von {total} Zeilen sind gültig.",
+  "csv.imported":
+    "{imported} Zeilen importiert, {skipped} ungültige Zeilen übersprungen.",
+  "csv.failed": "Zeile {line} konnte nicht importiert werden: {message}",
+  "csv.unknownName": "{Entity} „{name}“ wurde nicht gefunden!",
+  "csv.ambiguousName": "Der Name „{name}“ ist mehrdeutig ({property}: {ids})!",
+  "csv.duplicateId":
+    "{Entity}: „{property}“ ({value}) kommt mehrfach in der Datei vor!",
+  "csv.duplicateEpisode":
+    "Die Folge {episodeNo} der Staffel {seasonNo} der Serie „{tvSeries}“ kommt mehrfach in der Datei vor!",
+  "import.selectFile": "Bitte wählen Sie eine Datei für den Import aus!",
+  "import.failed": "Die Datei kann nicht importiert werden: {error}",
+  "import.summary":
+    "{persons} Personen, {tvSeries} Serien und {movies} Filme importiert, {skipped} übersprungen, {renumbered} neu nummeriert, {rejected} abgelehnt.",
+  "import.renumbered": "{entity} {from} wurde mit der ID {to} importiert",
+  "import.skipped": "{entity} {id} wurde übersprungen (die ID ist vergeben)",
+  "import.rejected": "{entity} {id} wurde abgelehnt ({violation}): {message}",
+  "history.created": "angelegt",
+  "history.deleted": "gelöscht",
+  "history.change": "Änderung",
+  "history.noChanges": "Es wurden noch keine Änderungen aufgezeichnet.",
+  "history.beforeCutOff":
+    "Die Änderungen vor {cutOff} sind nicht mehr aufgezeichnet, daher kann die Datenbank nicht für einen früheren Zeitpunkt gezeigt werden!",
+  "history.summary":
+    "{movies} Filme und {persons} Personen am {time} ({laterChanges} spätere Änderungen zurückgenommen).",
+
+  // *** list tables ***
+  "table.unknown": "unbekannt",
+  "table.noActors": "keine Schauspieler",
+  "table.noCategories": "keine Tätigkeiten",
+  "table.biography": "Biografie über {name}",
+  "table.tvSeriesEpisode":
+    "Episode {episodeNo} der Staffel {seasonNo} der Serie „{tvSeries}“",
+  "table.running": "läuft noch",
+  "table.noEpisodes": "keine Episoden",
+
+  // *** labels of the pages ***
+  "ui.movieDatabase": "Filmdatenbank",
+  "ui.manageMovieInformation": "Informationen über Filme verwalten",
+  "ui.home": "Start",
+  "ui.movie": "Film",
+  "ui.person": "Person",
+  "ui.tvSeries": "Serien",
+  "ui.trash": "Papierkorb",
+  "ui.history": "Verlauf",
+  "ui.undo": "Rückgängig",
+  "ui.redo": "Wiederholen",
+  "ui.manageMovieData": "Filmdaten verwalten",
+  "ui.movieOptions":
+    "Diese App bietet die folgenden Funktionen zur Verwaltung von Filmen:",
+  "ui.listMovies": "Alle Filme auflisten",
+  "ui.createMovie": "Einen Film anlegen",
+  "ui.updateMovies": "Filme bearbeiten",
+  "ui.deleteMovies": "Filme löschen",
+  "ui.importMovies": "Filme importieren (CSV)",
+  "ui.movieListTitle": "Alle Filme",
+  "ui.movieId": "Film-ID",
+  "ui.title": "Titel",
+  "ui.releaseDate": "Erscheinungsdatum",
+  "ui.director": "Regie",
+  "ui.actors": "Schauspieler",
+  "ui.categories": "Kategorien",
+  "ui.exportCsv": "Als CSV exportieren",
+  "ui.backToMovieMenu": "Zurück zum Filmmenü",
+  "ui.createMovieTitle": "Einen neuen Film anlegen",
+  "ui.idField": "ID:",
+  "ui.titleField": "Titel:",
+  "ui.releaseDateField": "Erscheinungsdatum:",
+  "ui.categoriesField": "Kategorien:",
+  "ui.aboutField": "Über:",
+  "ui.tvSeriesField": "Serie:",
+  "ui.seasonNoField": "Staffel Nr.:",
+  "ui.episodeNoField": "Episode Nr.:",
+  "ui.directorField": "Regie:",
+  "ui.actorsField": "Schauspieler:",
+  "ui.create": "Anlegen",
+  "ui.updateMovieTitle": "Einen Film bearbeiten",
+  "ui.selectMovieField": "Film auswählen:",
+  "ui.movieIdField": "Film-ID:",
+  "ui.update": "Speichern",
+  "ui.changeHistory": "Änderungsverlauf",
+  "ui.deleteMovieTitle": "Einen Film löschen",
+  "ui.deleteEffects": "Das Löschen hat diese Auswirkungen:",
+  "ui.delete": "Löschen",
+  "ui.importMoviesTitle": "Filme aus einer CSV-Datei importieren",
+  "ui.fileField": "Datei:",
+  "ui.preview": "Vorschau",
+  "ui.importValidRows": "Gültige Zeilen importieren",
+  "ui.personDatabase": "Personendatenbank",
+  "ui.managePersonInformation": "Informationen über Personen verwalten",
+  "ui.personOptions":
+    "Diese App bietet die folgenden Funktionen zur Verwaltung von Personen:",
+  "ui.listPersons": "Alle Personen auflisten",
+  "ui.viewPerson": "Eine Person ansehen",
+  "ui.createPerson": "Eine Person anlegen",
+  "ui.updatePersons": "Personen bearbeiten",
+  "ui.deletePersons": "Personen löschen",
+  "ui.importPersons": "Personen importieren (CSV)",
+  "ui.personListTitle": "Alle Personen",
+  "ui.personId": "Personen-ID",
+  "ui.name": "Name",
+  "ui.types": "Tätigkeiten",
+  "ui.agent": "Agent",
+  "ui.directedMovies": "Regie bei",
+  "ui.playedMovies": "Mitgespielt in",
+  "ui.backToPersonMenu": "Zurück zum Personenmenü",
+  "ui.viewPersonTitle": "Eine Person ansehen",
+  "ui.selectPersonField": "Person auswählen:",
+  "ui.clients": "Klienten",
+  "ui.biographies": "Biografien über die Person",
+  "ui.createPersonTitle": "Eine neue Person anlegen",
+  "ui.nameField": "Name:",
+  "ui.selectAgentField": "Agent auswählen:",
+  "ui.updatePersonTitle": "Eine Person bearbeiten",
+  "ui.personIdField": "Personen-ID:",
+  "ui.deletePersonTitle": "Eine Person löschen",
+  "ui.reassignDirectedMovies":
+    "Die Filme unter der Regie der Person übertragen an:",
+  "ui.importPersonsTitle": "Personen aus einer CSV-Datei importieren",
+  "ui.tvSeriesDatabase": "Seriendatenbank",
+  "ui.manageTvSeriesInformation": "Informationen über Serien verwalten",
+  "ui.tvSeriesOptions":
+    "Diese App bietet die folgenden Funktionen zur Verwaltung von Serien:",
+  "ui.listTvSeries": "Alle Serien auflisten",
+  "ui.viewTvSeries": "Eine Serie ansehen",
+  "ui.createTvSeries": "Eine Serie anlegen",
+  "ui.updateTvSeries": "Serien bearbeiten",
+  "ui.deleteTvSeries": "Serien löschen",
+  "ui.tvSeriesListTitle": "Alle Serien",
+  "ui.tvSeriesId": "Serien-ID",
+  "ui.startYear": "Startjahr",
+  "ui.endYear": "Endjahr",
+  "ui.episodes": "Episoden",
+  "ui.season": "Staffel",
+  "ui.episode": "Episode",
+  "ui.backToTvSeriesMenu": "Zurück zum Serienmenü",
+  "ui.viewTvSeriesTitle": "Eine Serie ansehen",
+  "ui.selectTvSeriesField": "Serie auswählen:",
+  "ui.createTvSeriesTitle": "Eine neue Serie anlegen",
+  "ui.startYearField": "Startjahr:",
+  "ui.endYearField": "Endjahr:",
+  "ui.updateTvSeriesTitle": "Eine Serie bearbeiten",
+  "ui.tvSeriesIdField": "Serien-ID:",
+  "ui.deleteTvSeriesTitle": "Eine Serie löschen",
+  "ui.search": "Filme und Personen suchen",
+  "ui.confirmDeletion": "Löschen bestätigen",
+  "ui.manageInformation": "Informationen über Filme und Personen verwalten",
+  "ui.managingOptions": "Diese App bietet die folgenden Funktionen:",
+  "ui.manageMovieDataLink": "Filmdaten verwalten",
+  "ui.managePersonDataLink": "Personendaten verwalten",
+  "ui.manageTvSeriesDataLink": "Seriendaten verwalten",
+  "ui.restoreDeletedRecords": "Gelöschte Datensätze wiederherstellen",
+  "ui.browseHistory": "Den Verlauf durchsuchen",
+  "ui.clearDatabase": "Datenbank leeren",
+  "ui.generateTestData": "Testdaten erzeugen",
+  "ui.exportDatabase": "Datenbank exportieren",
+  "ui.importDatabaseTitle": "Einen Datenbankexport importieren",
+  "ui.modeField": "Modus:",
+  "ui.mergeMode": "Mit den vorhandenen Daten zusammenführen",
+  "ui.replaceMode": "Die vorhandenen Daten ersetzen",
+  "ui.onConflictField": "Bei vergebener ID:",
+  "ui.keepExisting": "Den vorhandenen Datensatz behalten",
+  "ui.overwriteExisting": "Den vorhandenen Datensatz überschreiben",
+  "ui.renumber": "Mit einer neuen ID importieren",
+  "ui.import": "Importieren",
+  "ui.integrityTitle": "Die Integrität der Datenbank prüfen",
+  "ui.check": "Prüfen",
+  "ui.repairAllErrors": "Alle Fehler beheben",
+  "ui.severity": "Schwere",
+  "ui.record": "Datensatz",
+  "ui.problem": "Problem",
+  "ui.trashInformation":
+    "Gelöschte Filme und Personen wiederherstellen oder endgültig löschen",
+  "ui.trashTitle": "Gelöschte Filme und Personen",
+  "ui.showField": "Anzeigen:",
+  "ui.allRecords": "Alle Datensätze",
+  "ui.movies": "Filme",
+  "ui.persons": "Personen",
+  "ui.type": "Typ",
+  "ui.id": "ID",
+  "ui.titleOrName": "Titel / Name",
+  "ui.deletedAt": "Gelöscht am",
+  "ui.cause": "Grund",
+  "ui.trashEmpty": "Der Papierkorb ist leer.",
+  "ui.emptyTrash": "Papierkorb leeren",
+  "ui.restore": "Wiederherstellen",
+  "ui.purge": "Endgültig löschen",
+  "ui.historyInformation":
+    "Die Datenbank so anzeigen, wie sie zu einem früheren Zeitpunkt war",
+  "ui.historyTitle": "Die Filme und Personen zu einem Zeitpunkt",
+  "ui.timeField": "Zeitpunkt:",
+  "ui.show": "Anzeigen",
+  "ui.quarantine": "Quarantäne",
+  "ui.quarantineInformation":
+    "Die gespeicherten Datensätze beheben, die nicht geladen werden konnten",
+  "ui.quarantineTitle": "Filme und Personen in Quarantäne",
+  "ui.quarantineHint":
+    "Diese Datensätze verletzen eine Bedingung und wurden daher nicht geladen. Beheben Sie sie und lassen Sie sie wieder zu (die Personen vor ihren Filmen).",
+  "ui.quarantineEmpty": "Alle gespeicherten Datensätze wurden geladen.",
+  "ui.admit": "Zulassen",
+  "ui.discard": "Verwerfen",
+});
@@ -0,0 +1,24 @@
+import {
+  IndexedDBAdapter,
+  LocalStorageAdapter,
+} from "../../lib/storageAdapters.js";
+import { METADATA_STORE } from "./SchemaMigration.js";
+
+/** the name of the IndexedDB database holding all entity stores */
+const DATABASE_NAME = "movieDatabase";
+
+/**
+ * the storage adapter shared by all entity storages.
+ * - uses IndexedDB if the browser supports it and moves the data of former
+ * versions from the `localStorage` into it once (kept in the metadata store)
+ * - falls back to the `localStorage` otherwise
+ * @type {import("../../lib/storageAdapters.js").StorageAdapter}
+ */
+export const storageBackend =
+  typeof indexedDB !== "undefined"
+    ? new IndexedDBAdapter(
+        DATABASE_NAME,
+        new LocalStorageAdapter(),
+        METADATA_STORE
+      )
+    : new LocalStorageAdapter();
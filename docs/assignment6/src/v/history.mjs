@@ -0,0 +1,105 @@
+import { formatDateTime, t, translatePage } from "../../lib/i18n.js";
+import { AuditLog } from "../m/AuditLog.js";
+import { MovieStorage } from "../m/MovieStorage.js";
+import { PersonStorage } from "../m/PersonStorage.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { setupLocaleSwitch } from "../c/app.js";
+import { formatValue } from "../c/history.js";
+
+/******************************************************************************
+ *** HISTORY UI ***************************************************************
+ *****************************************************************************/
+
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
+// loading the data (the past state is reconstructed from the current one)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+await AuditLog.retrieveAll();
+
+/******************************************************************************
+ *** POINT IN TIME ************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const historyForm = document.querySelector("section#History-R > form");
+
+/** ### TIME --------------------------------------------------------
+ * @type {HTMLInputElement} */
+const timeInput = historyForm["time"];
+timeInput.addEventListener("input", () => {
+  timeInput.setCustomValidity(
+    timeInput.value ? AuditLog.checkTime(new Date(timeInput.value)).message : ""
+  );
+});
+
+historyForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  if (!historyForm.checkValidity()) return;
+  renderState(new Date(timeInput.value));
+});
+
+/**
+ * fills the tables with the movies and persons as they were at a point in
+ * time
+ * @param {Date} time
+ */
+function renderState(time) {
+  const { movies, persons } = AuditLog.stateAt(time);
+  const laterChanges = AuditLog.query({
+    where: { timestamp: { gt: time.toISOString() } },
+  }).length;
+  /** @type {HTMLParagraphElement} */
+  const summaryEl = document.querySelector("section#History-R > p.summary");
+  summaryEl.textContent = t("history.summary", {
+    movies: Object.keys(movies).length,
+    persons: Object.keys(persons).length,
+    time: formatDateTime(time),
+    laterChanges,
+  });
+
+  /** @type {HTMLTableSectionElement} */
+  const movieTableBody = document.querySelector(
+    "section#History-R > table.movies > tbody"
+  );
+  movieTableBody.innerHTML = ""; // drop old content
+  const byId = (/** @type {string} */ a, /** @type {string} */ b) =>
+    Number(a) - Number(b);
+  for (const key of Object.keys(movies).sort(byId)) {
+    // a movie of a former version had a single category
+    const movie = { categories: movies[key].category, ...movies[key] };
+    const row = movieTableBody.insertRow();
+    row.insertCell().textContent = key;
+    for (const property of [
+      "title",
+      "releaseDate",
+      "director",
+      "actors",
+      "categories",
+    ]) {
+      // the names of the persons at that time
+      row.insertCell().textContent = formatValue(
+        property,
+        movie[property],
+        persons
+      );
+    }
+  }
+
+  /** @type {HTMLTableSectionElement} */
+  const personTableBody = document.querySelector(
+    "section#History-R > table.persons > tbody"
+  );
+  personTableBody.innerHTML = ""; // drop old content
+  for (const key of Object.keys(persons).sort(byId)) {
+    const person = persons[key];
+    const row = personTableBody.insertRow();
+    row.insertCell().textContent = key;
+    row.insertCell().textContent = person.name;
+    row.insertCell().textContent = formatValue("agent", person.agent, persons);
+  }
+}
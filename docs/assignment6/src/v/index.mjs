@@ -0,0 +1,210 @@
+import { t, translatePage } from "../../lib/i18n.js";
+import { checkIntegrity, repairIntegrity } from "../m/IntegrityCheck.js";
+import {
+  clearData,
+  exportData,
+  generateTestData,
+  importData,
+  loadData,
+  setupLoadReport,
+  setupLocaleSwitch,
+} from "../c/app.js";
+
+/******************************************************************************
+ *** START PAGE ***************************************************************
+ *****************************************************************************/
+
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
+// loading the data
+await loadData();
+// the invalid records are quarantined
+setupLoadReport(document.querySelector("main p.load-report"));
+
+// Set event handlers for the buttons "clearData", "generateTestData" and "exportData"
+document.getElementById("clearData").addEventListener("click", clearData);
+for (const btn of document.querySelectorAll("button.generateTestData")) {
+  btn.addEventListener("click", generateTestData);
+}
+document.getElementById("exportData").addEventListener("click", exportData);
+
+/******************************************************************************
+ *** IMPORT *******************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const importForm = document.querySelector("section#Import > form");
+
+/** # REPORT
+ * @type {HTMLDivElement} */
+const importReportEl = document.querySelector("section#Import > div.report");
+
+/** ### FILE --------------------------------------------------------
+ * @type {HTMLInputElement} */
+const importFileInput = importForm["file"];
+importFileInput.addEventListener("change", () => {
+  importFileInput.setCustomValidity(
+    importFileInput.files.length > 0 ? "" : t("import.selectFile")
+  );
+});
+
+/** ### MODE --------------------------------------------------------
+ * @type {HTMLSelectElement} */
+const importModeSelection = importForm["mode"];
+
+/** ### ON_CONFLICT -------------------------------------------------
+ * @type {HTMLSelectElement} */
+const importConflictSelection = importForm["onConflict"];
+
+importForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const file = importFileInput.files[0];
+  importFileInput.setCustomValidity(file ? "" : t("import.selectFile"));
+  if (!importForm.checkValidity()) return;
+  if (
+    importModeSelection.value === "replace" &&
+    !confirm(t("confirm.replaceDatabase"))
+  ) {
+    return;
+  }
+  importReportEl.innerHTML = "";
+  try {
+    const report = await importData(file, {
+      // @ts-ignore the values of the options
+      mode: importModeSelection.value,
+      // @ts-ignore the values of the options
+      onConflict: importConflictSelection.value,
+    });
+    renderImportReport(report);
+    importForm.reset();
+  } catch (err) {
+    const errorEl = document.createElement("p");
+    errorEl.textContent = t("import.failed", { error: err.message });
+    importReportEl.appendChild(errorEl);
+  }
+});
+
+/**
+ * shows the result of an import below the import form
+ * @param {import("../m/ImportExport.js").ImportReport} report
+ */
+function renderImportReport(report) {
+  const summaryEl = document.createElement("p");
+  summaryEl.textContent = t("import.summary", {
+    persons: report.persons,
+    tvSeries: report.tvSeries,
+    movies: report.movies,
+    skipped: report.skipped.length,
+    renumbered: report.renumbered.length,
+    rejected: report.rejected.length,
+  });
+  importReportEl.appendChild(summaryEl);
+
+  const listEl = document.createElement("ul");
+  for (const { entity, from, to } of report.renumbered) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = t("import.renumbered", {
+      entity: t(`entityType.${entity}`),
+      from,
+      to,
+    });
+    listEl.appendChild(itemEl);
+  }
+  for (const { entity, id } of report.skipped) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = t("import.skipped", {
+      entity: t(`entityType.${entity}`),
+      id,
+    });
+    listEl.appendChild(itemEl);
+  }
+  importReportEl.appendChild(listEl);
+
+  const rejectedListEl = document.createElement("ul");
+  rejectedListEl.className = "rejected";
+  for (const { entity, id, violation, message } of report.rejected) {
+    const itemEl = document.createElement("li");
+    itemEl.textContent = t("import.rejected", {
+      entity: t(`entityType.${entity}`),
+      id,
+      violation,
+      message,
+    });
+    rejectedListEl.appendChild(itemEl);
+  }
+  importReportEl.appendChild(rejectedListEl);
+}
+
+/******************************************************************************
+ *** INTEGRITY ****************************************************************
+ *****************************************************************************/
+
+/** # REPORT
+ * @type {HTMLDivElement} */
+const integrityReportEl = document.querySelector(
+  "section#Integrity > div.report"
+);
+
+/** # REPAIR_ALL_BUTTON
+ * @type {HTMLButtonElement} */
+const repairAllButton = document.querySelector("button#repairAll");
+
+/** the problems of the last check
+ * @type {import("../m/IntegrityCheck.js").IntegrityProblem[]} */
+let problems = [];
+
+document.getElementById("checkIntegrity").addEventListener("click", () => {
+  renderIntegrityReport(checkIntegrity());
+});
+
+repairAllButton.addEventListener("click", () => {
+  const errors = problems.filter(({ severity }) => severity === "error");
+  const { repaired, remaining } = repairIntegrity(errors);
+  renderIntegrityReport(remaining, repaired);
+});
+
+/**
+ * shows the problems found by a check (and the ones repaired before)
+ * @param {import("../m/IntegrityCheck.js").IntegrityProblem[]} found
+ * @param {import("../m/IntegrityCheck.js").IntegrityProblem[]} [repaired]
+ * [optional] the problems repaired right before the check
+ */
+function renderIntegrityReport(found, repaired = []) {
+  problems = found;
+  /** @type {HTMLParagraphElement} */
+  const summaryEl = integrityReportEl.querySelector("p.summary");
+  summaryEl.textContent =
+    (repaired.length > 0
+      ? t("integrity.repaired", { count: repaired.length })
+      : "") +
+    (found.length > 0
+      ? t("integrity.found", { count: found.length })
+      : t("integrity.noProblems"));
+  /** @type {HTMLTableSectionElement} */
+  const tableBodyEl = integrityReportEl.querySelector("tbody");
+  tableBodyEl.innerHTML = ""; // drop old content
+  for (const problem of found) {
+    const row = tableBodyEl.insertRow();
+    row.className = problem.severity;
+    row.insertCell().textContent = t(`severity.${problem.severity}`);
+    row.insertCell().textContent = `${t(`entityType.${problem.entity}`)} ${
+      problem.id
+    }`;
+    row.insertCell().textContent = problem.message;
+    const repairButton = document.createElement("button");
+    repairButton.type = "button";
+    repairButton.textContent = problem.repair;
+    repairButton.addEventListener("click", () => {
+      const { repaired, remaining } = repairIntegrity([problem]);
+      renderIntegrityReport(remaining, repaired);
+    });
+    row.insertCell().appendChild(repairButton);
+  }
+  integrityReportEl.style.display = "block";
+  repairAllButton.disabled = !found.some(
+    ({ severity }) => severity === "error"
+  );
+}
@@ -1,17 +1,40 @@
+import { formatDate, t, translatePage } from "../../lib/i18n.js";
 import {
   createListFromMap,
   createMultipleChoiceWidget,
   fillSelectWithOptions,
 } from "../../lib/util.js";
+import { AuditLog } from "../m/AuditLog.js";
 import { Movie, MovieCategoryEL } from "../m/Movie.js";
+import { exportMoviesCsv } from "../m/CsvExchange.js";
 import { MovieStorage } from "../m/MovieStorage.js";
 import { PersonStorage } from "../m/PersonStorage.js";
-import { displaySegmentFields, undisplayAllSegmentFields } from "../c/app.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { Synchronization } from "../m/Synchronization.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import {
+  confirmOverwrite,
+  displaySegmentFields,
+  isDisplayed,
+  setupLoadReport,
+  setupLocaleSwitch,
+  setupUndoRedo,
+  undisplayAllSegmentFields,
+} from "../c/app.js";
+import { downloadCsv, setupCsvImport } from "../c/csv.js";
+import { setupDeleteConfirmation } from "../c/deletion.js";
+import { setupRecordHistory } from "../c/history.js";
+import { setupSearch } from "../c/search.js";
+import { showValidationSummary } from "../c/validation.js";
 
 /******************************************************************************
  *** MOVIE UI *****************************************************************
  *****************************************************************************/
 
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
 // set up back-to-menu buttons for all CRUD UIs
 for (const btn of document.querySelectorAll("button.back-to-menu")) {
   btn.addEventListener("click", () => {
@@ -31,12 +54,6 @@ for (const frm of document.querySelector("section").querySelectorAll("form")) {
   });
 }
 
-// save data when leaving the page
-window.addEventListener("beforeunload", () => {
-  MovieStorage.persist();
-  PersonStorage.persist();
-});
-
 function refreshManageDataUI() {
   // show the manage book UI and hide the other UIs
   document.getElementById("Movie-M").style.display = "block";
@@ -44,36 +61,89 @@ function refreshManageDataUI() {
   document.getElementById("Movie-C").style.display = "none";
   document.getElementById("Movie-U").style.display = "none";
   document.getElementById("Movie-D").style.display = "none";
+  document.getElementById("Movie-I").style.display = "none";
+}
+
+/**
+ * @param {HTMLSelectElement} selectEl the (multiple) category selection
+ * @returns {number[]} the selected categories
+ */
+function selectedCategories(selectEl) {
+  return Array.from(selectEl.selectedOptions, (opt) => parseInt(opt.value));
 }
 
 /**
- * event handler for book category selection events
- * used both in create and update
+ * event handler for movie category selection events
+ * used both in create and update: the fields of every selected category are
+ * shown
  *
  * @param {Event} e
  */
 function handleCategorySelectChangeEvent(e) {
   /** @ts-ignore @type {HTMLFormElement} */
   const formEl = e.currentTarget.form;
-  /** @type {string} the array index of MovieCategoryEL.labels */
-  const categoryIndexStr = formEl.selectCategory.value;
-  if (categoryIndexStr) {
-    displaySegmentFields(
-      formEl,
-      MovieCategoryEL.labels,
-      parseInt(categoryIndexStr)
-    );
-  } else {
-    undisplayAllSegmentFields(formEl, MovieCategoryEL.labels);
-  }
+  displaySegmentFields(
+    formEl,
+    MovieCategoryEL.labels,
+    selectedCategories(formEl.selectCategories)
+  );
 }
 
 // Set up Manage Book UI
 refreshManageDataUI();
 
-// loading the data
-PersonStorage.retrieveAll();
-MovieStorage.retrieveAll();
+// loading the data (every change is saved immediately by the storages)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+// the deleted records are kept in the recycle bin
+await RecycleBin.retrieveAll();
+// every change is journaled
+await AuditLog.retrieveAll();
+// the invalid records are quarantined
+setupLoadReport(document.querySelector("main p.load-report"));
+
+// undone or redone changes make the open forms outdated
+setupUndoRedo(() => {
+  refreshManageDataUI();
+  updateActorsSelection.innerHTML = "";
+  createMovieIdInput.value = MovieStorage.nextId().toString();
+});
+
+// every change of the movies (or their persons and series) makes the list
+// outdated
+const refreshMovieTable = () => isDisplayed("Movie-R") && renderMovieTable();
+MovieStorage.subscribe(refreshMovieTable);
+PersonStorage.subscribe(refreshMovieTable);
+TvSeriesStorage.subscribe(refreshMovieTable);
+
+// changes of other tabs (or the person page) make the open forms outdated
+Synchronization.addChangeListener(({ storage, deletedIds }) => {
+  createMovieIdInput.value = MovieStorage.nextId().toString();
+  // the shown impact of a deletion could be outdated
+  isDisplayed("Movie-D") && resetDeleteConfirmation();
+  if (storage === TvSeriesStorage) {
+    // keep the selected series of the forms
+    for (const selectEl of [createTvSeriesSelection, updateTvSeriesSelection]) {
+      const tvSeriesId = selectEl.value;
+      fillSelectWithOptions(selectEl, TvSeriesStorage.instances, "title");
+      selectEl.value = TvSeriesStorage.contains(tvSeriesId) ? tvSeriesId : "";
+    }
+  }
+  if (storage !== MovieStorage) return;
+  const editedMovieId = updateMovieSelection.value;
+  if (isDisplayed("Movie-U") && deletedIds.includes(editedMovieId)) {
+    alert(t("movie.deletedInOtherTab"));
+    refreshManageDataUI();
+    updateActorsSelection.innerHTML = "";
+  }
+  // keep the selected movie of the update and the delete form
+  for (const selectEl of [updateMovieSelection, deleteMovieSelection]) {
+    const movieId = selectEl.value;
+    fillSelectWithOptions(selectEl, MovieStorage.instances, "title");
+    selectEl.value = MovieStorage.contains(movieId) ? movieId : "";
+  }
+});
 
 /******************************************************************************
  *** RETRIEVE AND LIST ********************************************************
@@ -82,20 +152,24 @@ MovieStorage.retrieveAll();
 document.getElementById("retrieveAndListAll").addEventListener("click", () => {
   document.getElementById("Movie-M").style.display = "none";
   document.getElementById("Movie-R").style.display = "block";
+  renderMovieTable();
+});
 
+/**
+ * fills the table of the list view with all movies
+ */
+function renderMovieTable() {
   /** @type {HTMLTableSectionElement} */
   const movieTable = document.querySelector("section#Movie-R > table > tbody");
   movieTable.innerHTML = ""; // drop old content
-  for (const key of Object.keys(MovieStorage.instances)) {
-    /** @type {Movie} */
-    const movie = MovieStorage.instances[key];
+  for (const movie of MovieStorage.query({ orderBy: "movieId" })) {
     const row = movieTable.insertRow();
     row.insertCell().textContent = movie.movieId.toString();
     row.insertCell().textContent = movie.title;
     if (movie.releaseDate) {
-      row.insertCell().textContent = movie.releaseDate.toDateString();
+      row.insertCell().textContent = formatDate(movie.releaseDate);
     } else {
-      row.insertCell().textContent = "unknown";
+      row.insertCell().textContent = t("table.unknown");
     }
     row.insertCell().textContent =
       movie.director.name + " (ID:" + movie.director.personId + ")";
@@ -103,22 +177,39 @@ document.getElementById("retrieveAndListAll").addEventListener("click", () => {
     if (actorsList.childElementCount > 0) {
       row.insertCell().appendChild(actorsList);
     } else {
-      row.insertCell().textContent = "no actors";
+      row.insertCell().textContent = t("table.noActors");
     }
-    if (movie.category) {
-      switch (movie.category) {
-        case MovieCategoryEL["BIOGRAPHY"]:
-          row.insertCell().textContent = `Biography about ${movie.about.name}`;
-          break;
-        case MovieCategoryEL["TVSERIESEPISODE"]:
-          row.insertCell().textContent = `Episode ${movie.episodeNo} of TV series "${movie.tvSeriesName}"`;
-          break;
+    if (movie.categories.length > 0) {
+      const categoryList = document.createElement("ul");
+      for (const category of movie.categories) {
+        categoryList.appendChild(document.createElement("li")).textContent =
+          describeCategory(movie, category);
       }
+      row.insertCell().appendChild(categoryList);
     } else {
       row.insertCell().textContent = "";
     }
   }
-});
+}
+
+/**
+ * @param {Movie} movie
+ * @param {number} category one of the categories of the movie
+ * @returns {string} the category with its fields, e.g. `Biography about John
+ * Forbes Nash`
+ */
+function describeCategory(movie, category) {
+  switch (category) {
+    case MovieCategoryEL["BIOGRAPHY"]:
+      return t("table.biography", { name: movie.about.name });
+    case MovieCategoryEL["TVSERIESEPISODE"]:
+      return t("table.tvSeriesEpisode", {
+        episodeNo: movie.episodeNo,
+        seasonNo: movie.seasonNo,
+        tvSeries: movie.tvSeries.title,
+      });
+  }
+}
 
 /******************************************************************************
  *** CREATE *******************************************************************
@@ -140,6 +231,12 @@ document.getElementById("create").addEventListener("click", () => {
   );
   fillSelectWithOptions(createActorsSelection, PersonStorage.instances, "name");
   fillSelectWithOptions(createAboutSelection, PersonStorage.instances, "name");
+  fillSelectWithOptions(
+    createTvSeriesSelection,
+    TvSeriesStorage.instances,
+    "title"
+  );
+  showValidationSummary(createMovieForm, createFields, {});
 });
 
 /** ### MOVIE_ID ----------------------------------------------------
@@ -183,10 +280,10 @@ createDirectorSelection.addEventListener("change", () => {
  * @type {HTMLSelectElement} */
 const createActorsSelection = createMovieForm["selectActors"];
 
-/** ### CATEGORY ----------------------------------------------------
+/** ### CATEGORIES --------------------------------------------------
  * @type {HTMLSelectElement} */
-const createCategorySelection = createMovieForm["selectCategory"];
-fillSelectWithOptions(createCategorySelection, MovieCategoryEL.labels);
+const createCategorySelection = createMovieForm["selectCategories"];
+fillSelectWithOptions(createCategorySelection, MovieCategoryEL.localizedLabels);
 createCategorySelection.addEventListener(
   "change",
   handleCategorySelectChangeEvent
@@ -196,9 +293,13 @@ createCategorySelection.addEventListener(
  * @type {HTMLSelectElement} */
 const createAboutSelection = createMovieForm["selectAbout"];
 
-/** ### TV_SERIES_NAME ----------------------------------------------
+/** ### TV_SERIES ---------------------------------------------------
+ * @type {HTMLSelectElement} */
+const createTvSeriesSelection = createMovieForm["selectTvSeries"];
+
+/** ### SEASON_NO ---------------------------------------------------
  * @type {HTMLInputElement} */
-const createTvSeriesNameInput = createMovieForm["tvSeriesName"];
+const createSeasonNoInput = createMovieForm["seasonNo"];
 
 /** ### EPISODE_NO ----------------------------------------------------
  * @type {HTMLInputElement} */
@@ -217,59 +318,46 @@ createButton.addEventListener("click", () => {
     actors: [],
   };
 
-  // check all input fields and show error messages
-  createMovieIdInput.setCustomValidity(
-    Movie.checkMovieId(slots.movieId).message
-  );
-  createTitleInput.setCustomValidity(
-    Movie.checkTitle(createTitleInput.value).message
-  );
-  createReleaseDateInput.setCustomValidity(
-    Movie.checkReleaseDate(createReleaseDateInput.value).message
-  );
-  createDirectorSelection.setCustomValidity(
-    Movie.checkDirector(createDirectorSelection.value).message
-  );
-
-  // category
-  if (createCategorySelection.value) {
-    slots.category = parseInt(createCategorySelection.value);
-    switch (slots.category) {
-      case MovieCategoryEL["BIOGRAPHY"]:
-        slots.about = createAboutSelection.value;
-        createAboutSelection.setCustomValidity(
-          Movie.checkAbout(createAboutSelection.value, slots.category).message
-        );
-        break;
-      case MovieCategoryEL["TVSERIESEPISODE"]:
-        slots.episodeNo = createEpisodeNoInput.value;
-        slots.tvSeriesName = createTvSeriesNameInput.value;
-        createEpisodeNoInput.setCustomValidity(
-          Movie.checkEpisodeNo(createEpisodeNoInput.value, slots.category)
-            .message
-        );
-        createTvSeriesNameInput.setCustomValidity(
-          Movie.checkTvSeriesName(createTvSeriesNameInput.value, slots.category)
-            .message
-        );
-        break;
-    }
+  // categories (with the fields of each of them)
+  slots.categories = selectedCategories(createCategorySelection);
+  if (slots.categories.includes(MovieCategoryEL["BIOGRAPHY"])) {
+    slots.about = createAboutSelection.value;
+  }
+  if (slots.categories.includes(MovieCategoryEL["TVSERIESEPISODE"])) {
+    slots.tvSeries = createTvSeriesSelection.value;
+    slots.seasonNo = createSeasonNoInput.value;
+    slots.episodeNo = createEpisodeNoInput.value;
   }
 
-  // actors + creation
-  const selActOptions = createActorsSelection.selectedOptions;
+  // construct a list of actor ID references
+  for (const opt of createActorsSelection.selectedOptions) {
+    // @ts-ignore this is an array for sure !
+    slots.actors.push(opt.value);
+  }
 
-  // save the input data only if all form fields are valid
-  if (createMovieForm.checkValidity()) {
-    // construct a list of author ID references
-    for (const opt of selActOptions) {
-      // @ts-ignore this is an array for sure !
-      slots.actors.push(opt.value);
-    }
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  if (
+    showValidationSummary(createMovieForm, createFields, Movie.validate(slots))
+  ) {
     MovieStorage.add(slots);
   }
 });
 
+/** the fields of the create form by the property they set */
+const createFields = {
+  movieId: createMovieIdInput,
+  title: createTitleInput,
+  releaseDate: createReleaseDateInput,
+  director: createDirectorSelection,
+  actors: createActorsSelection,
+  categories: createCategorySelection,
+  about: createAboutSelection,
+  tvSeries: createTvSeriesSelection,
+  seasonNo: createSeasonNoInput,
+  episodeNo: createEpisodeNoInput,
+};
+
 /******************************************************************************
  *** UPDATE *******************************************************************
  *****************************************************************************/
@@ -284,8 +372,14 @@ document.getElementById("update").addEventListener("click", () => {
 
   fillSelectWithOptions(updateMovieSelection, MovieStorage.instances, "title");
   updateMovieForm.reset();
+  showValidationSummary(updateMovieForm, updateFields, {});
+  renderMovieHistory();
 });
 
+/** the selected movie as it was when the form was filled (to detect changes
+ * of other tabs) */
+let editedMovieState = "";
+
 /** ### MOVIE_SELECTION ---------------------------------------------
  * @type {HTMLSelectElement} */
 const updateMovieSelection = updateMovieForm["selectMovie"];
@@ -294,6 +388,7 @@ updateMovieSelection.addEventListener("change", () => {
 
   if (movieId) {
     const movie = MovieStorage.instances[movieId];
+    editedMovieState = JSON.stringify(movie);
     updateMovieIdOutput.value = movie.movieId.toString();
     updateTitleInput.value = movie.title;
     updateReleaseDateInput.valueAsDate = movie.releaseDate;
@@ -320,38 +415,30 @@ updateMovieSelection.addEventListener("change", () => {
       PersonStorage.instances,
       "name"
     );
+    fillSelectWithOptions(
+      updateTvSeriesSelection,
+      TvSeriesStorage.instances,
+      "title"
+    );
 
     updateDirectorSelection.selectedIndex = movie.director.personId;
 
-    if (movie.category) {
-      updateCategorySelection.selectedIndex = movie.category;
-      updateCategorySelection.disabled = true;
-      displaySegmentFields(
-        updateMovieForm,
-        MovieCategoryEL.labels,
-        movie.category
-      );
-
-      switch (movie.category) {
-        case MovieCategoryEL["BIOGRAPHY"]:
-          updateAboutSelection.selectedIndex = movie.about.personId;
-          updateTvSeriesNameInput.value = "";
-          updateEpisodeNoInput.value = "";
-          break;
-        case MovieCategoryEL["TVSERIESEPISODE"]:
-          updateAboutSelection.selectedIndex = 0;
-          updateTvSeriesNameInput.value = movie.tvSeriesName;
-          updateEpisodeNoInput.value = movie.episodeNo.toString();
-          break;
-      }
-    } else {
-      updateCategorySelection.selectedIndex = 0;
-      updateCategorySelection.disabled = false;
-      updateAboutSelection.selectedIndex = 0;
-      updateTvSeriesNameInput.value = "";
-      updateEpisodeNoInput.value = "";
-      undisplayAllSegmentFields(updateMovieForm, MovieCategoryEL.labels);
+    // the categories can only be chosen as long as the movie has none
+    for (const opt of updateCategorySelection.options) {
+      opt.selected = movie.categories.includes(parseInt(opt.value));
     }
+    updateCategorySelection.disabled = movie.categories.length > 0;
+    displaySegmentFields(
+      updateMovieForm,
+      MovieCategoryEL.labels,
+      movie.categories
+    );
+    updateAboutSelection.selectedIndex = movie.about?.personId ?? 0;
+    updateTvSeriesSelection.value = movie.tvSeries
+      ? String(movie.tvSeries.tvSeriesId)
+      : "";
+    updateSeasonNoInput.value = movie.seasonNo?.toString() ?? "";
+    updateEpisodeNoInput.value = movie.episodeNo?.toString() ?? "";
 
     updateButton.disabled = false;
   } else {
@@ -360,6 +447,14 @@ updateMovieSelection.addEventListener("change", () => {
   }
 });
 
+/** ### HISTORY -----------------------------------------------------
+ * the journaled changes of the selected movie */
+const renderMovieHistory = setupRecordHistory(
+  document.querySelector("section#Movie-U > details.record-history"),
+  "Movie",
+  updateMovieSelection
+);
+
 /** ### MOVIE_ID ----------------------------------------------------
  * @type {HTMLOutputElement} */
 const updateMovieIdOutput = updateMovieForm["movieId"];
@@ -396,10 +491,10 @@ updateDirectorSelection.addEventListener("change", () => {
 const updateActorsSelection =
   updateMovieForm.querySelector(".MultiChoiceWidget");
 
-/** ### CATEGORY ----------------------------------------------------
+/** ### CATEGORIES --------------------------------------------------
  * @type {HTMLSelectElement} */
-const updateCategorySelection = updateMovieForm["selectCategory"];
-fillSelectWithOptions(updateCategorySelection, MovieCategoryEL.labels);
+const updateCategorySelection = updateMovieForm["selectCategories"];
+fillSelectWithOptions(updateCategorySelection, MovieCategoryEL.localizedLabels);
 updateCategorySelection.addEventListener(
   "change",
   handleCategorySelectChangeEvent
@@ -412,19 +507,31 @@ updateAboutSelection.addEventListener("input", function () {
   updateAboutSelection.setCustomValidity(
     Movie.checkAbout(
       updateAboutSelection.value,
-      parseInt(updateCategorySelection.value)
+      selectedCategories(updateCategorySelection)
     ).message
   );
 });
 
-/** ### TV_SERIES_NAME ----------------------------------------------
+/** ### TV_SERIES ---------------------------------------------------
+ * @type {HTMLSelectElement} */
+const updateTvSeriesSelection = updateMovieForm["selectTvSeries"];
+updateTvSeriesSelection.addEventListener("input", function () {
+  updateTvSeriesSelection.setCustomValidity(
+    Movie.checkTvSeries(
+      updateTvSeriesSelection.value,
+      selectedCategories(updateCategorySelection)
+    ).message
+  );
+});
+
+/** ### SEASON_NO ---------------------------------------------------
  * @type {HTMLInputElement} */
-const updateTvSeriesNameInput = updateMovieForm["tvSeriesName"];
-updateTvSeriesNameInput.addEventListener("input", function () {
-  updateTvSeriesNameInput.setCustomValidity(
-    Movie.checkTvSeriesName(
-      updateTvSeriesNameInput.value,
-      parseInt(updateCategorySelection.value)
+const updateSeasonNoInput = updateMovieForm["seasonNo"];
+updateSeasonNoInput.addEventListener("input", function () {
+  updateSeasonNoInput.setCustomValidity(
+    Movie.checkSeasonNo(
+      updateSeasonNoInput.value,
+      selectedCategories(updateCategorySelection)
     ).message
   );
 });
@@ -436,7 +543,7 @@ updateEpisodeNoInput.addEventListener("input", function () {
   updateEpisodeNoInput.setCustomValidity(
     Movie.checkEpisodeNo(
       updateEpisodeNoInput.value,
-      parseInt(updateCategorySelection.value)
+      selectedCategories(updateCategorySelection)
     ).message
   );
 });
@@ -456,66 +563,62 @@ updateButton.addEventListener("click", () => {
     actorsToRemove: [],
   };
 
-  // check all input fields and show error messages
-  updateTitleInput.setCustomValidity(
-    Movie.checkTitle(updateTitleInput.value).message
-  );
-  updateReleaseDateInput.setCustomValidity(
-    Movie.checkReleaseDate(updateReleaseDateInput.value).message
-  );
-  updateDirectorSelection.setCustomValidity(
-    Movie.checkDirector(updateDirectorSelection.value).message
-  );
+  // categories (with the fields of each of them)
+  slots.categories = selectedCategories(updateCategorySelection);
+  if (slots.categories.includes(MovieCategoryEL["BIOGRAPHY"])) {
+    slots.about = updateAboutSelection.value;
+  }
+  if (slots.categories.includes(MovieCategoryEL["TVSERIESEPISODE"])) {
+    slots.tvSeries = updateTvSeriesSelection.value;
+    slots.seasonNo = updateSeasonNoInput.value;
+    slots.episodeNo = updateEpisodeNoInput.value;
+  }
 
-  // category
-  if (updateCategorySelection.value) {
-    slots.category = parseInt(updateCategorySelection.value);
-    switch (slots.category) {
-      case MovieCategoryEL["BIOGRAPHY"]:
-        slots.about = updateAboutSelection.value;
-        updateAboutSelection.setCustomValidity(
-          Movie.checkAbout(updateAboutSelection.value, slots.category).message
-        );
-        break;
-      case MovieCategoryEL["TVSERIESEPISODE"]:
-        slots.episodeNo = updateEpisodeNoInput.value;
-        slots.tvSeriesName = updateTvSeriesNameInput.value;
-        updateEpisodeNoInput.setCustomValidity(
-          Movie.checkEpisodeNo(updateEpisodeNoInput.value, slots.category)
-            .message
-        );
-        updateTvSeriesNameInput.setCustomValidity(
-          Movie.checkTvSeriesName(updateTvSeriesNameInput.value, slots.category)
-            .message
-        );
-        break;
+  // construct actorIdRefs-ToAdd/ToRemove lists from the association list
+  /** @type {string[]} */
+  const actorsToAdd = [];
+  /** @type {string[]} */
+  const actorsToRemove = [];
+  for (const mcListItemEl of multiChoiceListEl.children) {
+    if (mcListItemEl.classList.contains("removed")) {
+      actorsToRemove.push(mcListItemEl.getAttribute("data-value"));
+    }
+    if (mcListItemEl.classList.contains("added")) {
+      actorsToAdd.push(mcListItemEl.getAttribute("data-value"));
     }
   }
 
-  // save the input data only if all form fields are valid
-  if (updateMovieForm.checkValidity()) {
-    // construct authorIdRefs-ToAdd/ToRemove lists from the association list
-    /** @type {string[]} */
-    const actorsToAdd = [];
-    /** @type {string[]} */
-    const actorsToRemove = [];
-    for (const mcListItemEl of multiChoiceListEl.children) {
-      if (mcListItemEl.classList.contains("removed")) {
-        actorsToRemove.push(mcListItemEl.getAttribute("data-value"));
-      }
-      if (mcListItemEl.classList.contains("added")) {
-        actorsToAdd.push(mcListItemEl.getAttribute("data-value"));
-      }
-    }
+  // if the add/remove list is non-empty create a corresponding slot
+  if (actorsToRemove.length > 0) {
+    slots.actorsToRemove = actorsToRemove;
+  }
+  if (actorsToAdd.length > 0) {
+    slots.actorsToAdd = actorsToAdd;
+  }
 
-    // if the add/remove list is non-empty create a corresponding slot
-    if (actorsToRemove.length > 0) {
-      slots.actorsToRemove = actorsToRemove;
-    }
-    if (actorsToAdd.length > 0) {
-      slots.actorsToAdd = actorsToAdd;
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  const movie = MovieStorage.instances[slots.movieId];
+  if (
+    showValidationSummary(
+      updateMovieForm,
+      updateFields,
+      Movie.validate(slots, movie)
+    )
+  ) {
+    if (
+      !confirmOverwrite(
+        editedMovieState,
+        movie,
+        t("movie.description", { title: movie.title })
+      )
+    ) {
+      // show the changes of the other tab
+      updateMovieSelection.dispatchEvent(new Event("change"));
+      return;
     }
     MovieStorage.update(slots);
+    editedMovieState = JSON.stringify(movie);
 
     // update the book selection list's option element
     updateMovieSelection.options[updateMovieSelection.selectedIndex].text =
@@ -524,6 +627,18 @@ updateButton.addEventListener("click", () => {
   }
 });
 
+/** the fields of the update form by the property they set */
+const updateFields = {
+  title: updateTitleInput,
+  releaseDate: updateReleaseDateInput,
+  director: updateDirectorSelection,
+  categories: updateCategorySelection,
+  about: updateAboutSelection,
+  tvSeries: updateTvSeriesSelection,
+  seasonNo: updateSeasonNoInput,
+  episodeNo: updateEpisodeNoInput,
+};
+
 /******************************************************************************
  *** DELETE *******************************************************************
  *****************************************************************************/
@@ -537,22 +652,63 @@ document.getElementById("destroy").addEventListener("click", () => {
 
   fillSelectWithOptions(deleteMovieSelection, MovieStorage.instances, "title");
   deleteMovieForm.reset();
+  resetDeleteConfirmation();
 });
 
 /** # MOVIE_SELECTION
  * @type {HTMLSelectElement} */
 const deleteMovieSelection = deleteMovieForm["selectMovie"];
 
-/** ### SAVE_BUTTON -------------------------------------------------
- * @type {HTMLButtonElement} */
-const deleteButton = deleteMovieForm["delete"];
-deleteButton.addEventListener("click", () => {
-  const movieId = deleteMovieSelection.value;
-  if (!movieId) return;
-  if (confirm("Do you really want to delete this Movie?")) {
+/** ### DELETE_BUTTON -----------------------------------------------
+ * the first submit shows the impact of the deletion, the second one deletes */
+const resetDeleteConfirmation = setupDeleteConfirmation(
+  deleteMovieForm,
+  deleteMovieSelection,
+  (movieId) => MovieStorage.previewDestroy(movieId),
+  (movieId) => {
     MovieStorage.destroy(movieId);
 
     // remove deleted book from select options
     deleteMovieSelection.remove(deleteMovieSelection.selectedIndex);
   }
+);
+
+/******************************************************************************
+ *** CSV IMPORT AND EXPORT ****************************************************
+ *****************************************************************************/
+
+document.getElementById("exportCsv").addEventListener("click", () => {
+  downloadCsv(
+    `movies-${new Date().toISOString().slice(0, 10)}.csv`,
+    exportMoviesCsv()
+  );
+});
+
+const resetCsvImport = setupCsvImport(
+  document.getElementById("Movie-I"),
+  "Movie",
+  () => {
+    createMovieIdInput.value = MovieStorage.nextId().toString();
+  }
+);
+document.getElementById("importCsv").addEventListener("click", () => {
+  document.getElementById("Movie-M").style.display = "none";
+  document.getElementById("Movie-I").style.display = "block";
+  resetCsvImport();
+});
+
+/******************************************************************************
+ *** SEARCH *******************************************************************
+ *****************************************************************************/
+
+setupSearch("Movie", (movieId) => {
+  if (!MovieStorage.contains(movieId)) {
+    alert(t("movie.notFound", { id: movieId }));
+    return;
+  }
+  // show the movie in the update form
+  refreshManageDataUI();
+  document.getElementById("update").click();
+  updateMovieSelection.value = movieId;
+  updateMovieSelection.dispatchEvent(new Event("change"));
 });
@@ -1,12 +1,35 @@
+import { AuditLog } from "../m/AuditLog.js";
+import { DeletePolicyEL } from "../m/DeletePolicy.js";
 import { Person, PersonTypeEL } from "../m/Person.js";
 import { MovieStorage } from "../m/MovieStorage.js";
+import { exportPersonsCsv } from "../m/CsvExchange.js";
 import { PersonStorage } from "../m/PersonStorage.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { Synchronization } from "../m/Synchronization.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { t, translatePage } from "../../lib/i18n.js";
 import { createListFromMap, fillSelectWithOptions } from "../../lib/util.js";
+import {
+  confirmOverwrite,
+  isDisplayed,
+  setupLoadReport,
+  setupLocaleSwitch,
+  setupUndoRedo,
+} from "../c/app.js";
+import { downloadCsv, setupCsvImport } from "../c/csv.js";
+import { setupDeleteConfirmation } from "../c/deletion.js";
+import { setupRecordHistory } from "../c/history.js";
+import { setupSearch } from "../c/search.js";
+import { showValidationSummary } from "../c/validation.js";
 
 /******************************************************************************
  *** PERSON UI ****************************************************************
  *****************************************************************************/
 
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
 // set up back-to-menu buttons for all CRUD UIs
 for (const btn of document.querySelectorAll("button.back-to-menu")) {
   btn.addEventListener("click", refreshManageDataUI);
@@ -20,26 +43,74 @@ for (const frm of document.querySelector("section").querySelectorAll("form")) {
   });
 }
 
-// save data when leaving the page
-window.addEventListener("beforeunload", () => {
-  PersonStorage.persist();
-  MovieStorage.persist();
-});
-
 function refreshManageDataUI() {
   // show the manage book UI and hide the other UIs
   document.getElementById("Person-M").style.display = "block";
   document.getElementById("Person-R").style.display = "none";
+  document.getElementById("Person-V").style.display = "none";
   document.getElementById("Person-C").style.display = "none";
   document.getElementById("Person-U").style.display = "none";
   document.getElementById("Person-D").style.display = "none";
+  document.getElementById("Person-I").style.display = "none";
 }
 // Set up Manage Book UI
 refreshManageDataUI();
 
-// loading the data
-PersonStorage.retrieveAll();
-MovieStorage.retrieveAll();
+// loading the data (every change is saved immediately by the storages)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+// the deleted records are kept in the recycle bin
+await RecycleBin.retrieveAll();
+// every change is journaled
+await AuditLog.retrieveAll();
+// the invalid records are quarantined
+setupLoadReport(document.querySelector("main p.load-report"));
+
+// undone or redone changes make the open forms outdated
+setupUndoRedo(() => {
+  refreshManageDataUI();
+  createPersonIdInput.value = PersonStorage.nextId().toString();
+});
+
+// every change of the persons (or their movies) makes the list outdated
+const refreshPersonTable = () => isDisplayed("Person-R") && renderPersonTable();
+PersonStorage.subscribe(refreshPersonTable);
+MovieStorage.subscribe(refreshPersonTable);
+// as does the shown person
+const refreshPersonView = () => isDisplayed("Person-V") && renderPersonView();
+PersonStorage.subscribe(refreshPersonView);
+MovieStorage.subscribe(refreshPersonView);
+
+// changes of other tabs (or the movie page) make the open forms outdated
+Synchronization.addChangeListener(({ storage, deletedIds }) => {
+  createPersonIdInput.value = PersonStorage.nextId().toString();
+  if (storage !== PersonStorage) return;
+  const editedPersonId = updatePersonSelection.value;
+  if (isDisplayed("Person-U") && deletedIds.includes(editedPersonId)) {
+    alert(t("person.deletedInOtherTab"));
+    refreshManageDataUI();
+  }
+  // keep the selected persons of the forms
+  for (const selectEl of [
+    viewPersonSelection,
+    createPersonAgentSelect,
+    updatePersonSelection,
+    updateAgentSelection,
+    deletePersonSelection,
+  ]) {
+    const personId = selectEl.value;
+    fillSelectWithOptions(selectEl, PersonStorage.instances, "name");
+    selectEl.value = PersonStorage.contains(personId) ? personId : "";
+  }
+});
+// the movies of the person to delete could have changed as well
+Synchronization.addChangeListener(() => {
+  if (isDisplayed("Person-D")) {
+    refreshReplacementSelection();
+    resetDeleteConfirmation();
+  }
+});
 
 /******************************************************************************
  *** RETRIEVE AND LIST ********************************************************
@@ -48,14 +119,19 @@ MovieStorage.retrieveAll();
 document.getElementById("retrieveAndListAll").addEventListener("click", () => {
   document.getElementById("Person-M").style.display = "none";
   document.getElementById("Person-R").style.display = "block";
+  renderPersonTable();
+});
 
+/**
+ * fills the table of the list view with all persons
+ */
+function renderPersonTable() {
   /** @type {HTMLTableSectionElement} */
   const tableBodySelection = document.querySelector(
     "section#Person-R > table > tbody"
   );
   tableBodySelection.innerHTML = ""; // drop old content
-  for (const key of Object.keys(PersonStorage.instances)) {
-    const person = PersonStorage.instances[key];
+  for (const person of PersonStorage.query({ orderBy: "personId" })) {
     const row = tableBodySelection.insertRow();
     row.insertCell().textContent = person.personId.toString();
     row.insertCell().textContent = person.name;
@@ -68,7 +144,7 @@ document.getElementById("retrieveAndListAll").addEventListener("click", () => {
     if (categoryList.childElementCount > 0) {
       row.insertCell().appendChild(categoryList);
     } else {
-      row.insertCell().textContent = "no categories";
+      row.insertCell().textContent = t("table.noCategories");
     }
 
     if (person.agent) {
@@ -76,9 +152,71 @@ document.getElementById("retrieveAndListAll").addEventListener("click", () => {
     } else {
       row.insertCell().textContent = "---";
     }
+
+    for (const movies of [person.directedMovies, person.playedMovies]) {
+      const movieList = createListFromMap(movies, "title");
+      if (movieList.childElementCount > 0) {
+        row.insertCell().appendChild(movieList);
+      } else {
+        row.insertCell().textContent = "---";
+      }
+    }
   }
+}
+
+/******************************************************************************
+ *** VIEW *********************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const viewPersonForm = document.querySelector("section#Person-V > form");
+document.getElementById("view").addEventListener("click", () => {
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-V").style.display = "block";
+  fillSelectWithOptions(viewPersonSelection, PersonStorage.instances, "name");
+  viewPersonForm.reset();
+  renderPersonView();
 });
 
+/** ### PERSON_SELECTION ---------------------------------------------
+ * @type {HTMLSelectElement} */
+const viewPersonSelection = viewPersonForm["selectPerson"];
+viewPersonSelection.addEventListener("change", renderPersonView);
+
+/**
+ * shows the selected person with the movies and persons referencing it
+ */
+function renderPersonView() {
+  /** @type {HTMLDListElement} */
+  const detailsEl = document.querySelector("section#Person-V > dl");
+  const person = PersonStorage.instances[viewPersonSelection.value];
+  detailsEl.style.display = person ? "block" : "none";
+  if (!person) return;
+
+  /**
+   * @param {string} className the class of the `dd` element
+   * @param {string | HTMLUListElement} content
+   */
+  const setDetail = (className, content) => {
+    /** @type {HTMLElement} */
+    const ddEl = detailsEl.querySelector(`dd.${className}`);
+    const isEmpty = typeof content !== "string" && !content.firstChild;
+    ddEl.replaceChildren(isEmpty ? "---" : content);
+  };
+  setDetail("personId", person.personId.toString());
+  setDetail("name", person.name);
+  setDetail("types", createListFromMap(person.categories, null, PersonTypeEL));
+  setDetail("agent", person.agent ? person.agent.name : "---");
+  setDetail("clients", createListFromMap(person.clients, "name"));
+  setDetail(
+    "directedMovies",
+    createListFromMap(person.directedMovies, "title")
+  );
+  setDetail("playedMovies", createListFromMap(person.playedMovies, "title"));
+  setDetail("biographies", createListFromMap(person.biographies, "title"));
+}
+
 /******************************************************************************
  *** CREATE *******************************************************************
  *****************************************************************************/
@@ -93,6 +231,7 @@ document.getElementById("create").addEventListener("click", () => {
     PersonStorage.instances,
     "name"
   );
+  showValidationSummary(createPersonForm, createFields, {});
 });
 
 /** ### PERSON_ID ---------------------------------------------------
@@ -136,21 +275,26 @@ createButton.addEventListener("click", () => {
     agent: createPersonAgentSelect.value,
   };
 
-  createPersonIdInput.setCustomValidity(
-    Person.checkPersonIdAsId(createPersonIdInput.value).message
-  );
-  createPersonNameInput.setCustomValidity(
-    Person.checkName(createPersonNameInput.value).message
-  );
-  createPersonAgentSelect.setCustomValidity(
-    Person.checkAgent(createPersonAgentSelect.value).message
-  );
-
-  if (createPersonForm.checkValidity()) {
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  if (
+    showValidationSummary(
+      createPersonForm,
+      createFields,
+      Person.validate(slots)
+    )
+  ) {
     PersonStorage.add(slots);
   }
 });
 
+/** the fields of the create form by the property they set */
+const createFields = {
+  personId: createPersonIdInput,
+  name: createPersonNameInput,
+  agent: createPersonAgentSelect,
+};
+
 /******************************************************************************
  *** UPDATE *******************************************************************
  *****************************************************************************/
@@ -164,8 +308,14 @@ document.getElementById("update").addEventListener("click", () => {
   document.getElementById("Person-U").style.display = "block";
   fillSelectWithOptions(updatePersonSelection, PersonStorage.instances, "name");
   updatePersonForm.reset();
+  showValidationSummary(updatePersonForm, updateFields, {});
+  renderPersonHistory();
 });
 
+/** the selected person as it was when the form was filled (to detect changes
+ * of other tabs) */
+let editedPersonState = "";
+
 /** ### PERSON_SELECTION ---------------------------------------------
  * @type {HTMLSelectElement} */
 const updatePersonSelection = updatePersonForm["selectPerson"];
@@ -175,6 +325,7 @@ updatePersonSelection.addEventListener("change", () => {
 
   if (personId) {
     const person = PersonStorage.instances[personId];
+    editedPersonState = JSON.stringify(person);
     updatePersonIdOutput.value = person.personId.toString();
     updateNameInput.value = person.name;
 
@@ -197,6 +348,14 @@ updatePersonSelection.addEventListener("change", () => {
   }
 });
 
+/** ### HISTORY -----------------------------------------------------
+ * the journaled changes of the selected person */
+const renderPersonHistory = setupRecordHistory(
+  document.querySelector("section#Person-U > details.record-history"),
+  "Person",
+  updatePersonSelection
+);
+
 /** ### PERSON_ID ----------------------------------------------------
  * @type {HTMLOutputElement} */
 const updatePersonIdOutput = updatePersonForm["personId"];
@@ -235,18 +394,40 @@ updateButton.addEventListener("click", () => {
     agent: updateAgentSelection.value,
   };
 
-  updateNameInput.setCustomValidity(Person.checkName(slots.name).message);
-  updateAgentSelection.setCustomValidity(
-    Person.checkAgent(slots.agent).message
-  );
-
-  if (updatePersonForm.checkValidity()) {
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  const person = PersonStorage.instances[slots.personId];
+  if (
+    showValidationSummary(
+      updatePersonForm,
+      updateFields,
+      Person.validate(slots, person)
+    )
+  ) {
+    if (
+      !confirmOverwrite(
+        editedPersonState,
+        person,
+        t("person.description", { name: person.name })
+      )
+    ) {
+      // show the changes of the other tab
+      updatePersonSelection.dispatchEvent(new Event("change"));
+      return;
+    }
     PersonStorage.update(slots);
+    editedPersonState = JSON.stringify(person);
     updatePersonSelection.options[updatePersonSelection.selectedIndex].text =
       slots.name;
   }
 });
 
+/** the fields of the update form by the property they set */
+const updateFields = {
+  name: updateNameInput,
+  agent: updateAgentSelection,
+};
+
 /******************************************************************************
  *** DELETE *******************************************************************
  *****************************************************************************/
@@ -260,23 +441,108 @@ document.getElementById("destroy").addEventListener("click", () => {
 
   fillSelectWithOptions(deletePersonSelection, PersonStorage.instances, "name");
   deletePersonForm.reset();
+  refreshReplacementSelection();
+  resetDeleteConfirmation();
 });
 
 /** # PERSON_SELECTION
  * @type {HTMLSelectElement} */
 const deletePersonSelection = deletePersonForm["selectPerson"];
+deletePersonSelection.addEventListener("change", refreshReplacementSelection);
 
-/** ### SAVE_BUTTON -------------------------------------------------
- * @type {HTMLButtonElement} */
-const deleteButton = deletePersonForm["delete"];
-deleteButton.addEventListener("click", () => {
-  const personIdRef = deletePersonSelection.value;
-  if (!personIdRef) return;
-  if (confirm("Do you really want to delete this Person?")) {
-    PersonStorage.destroy(personIdRef);
+/** ### REPLACEMENT_SELECTION ---------------------------------------
+ * @type {HTMLSelectElement} */
+const deleteReplacementSelection = deletePersonForm["selectReplacement"];
+deleteReplacementSelection.addEventListener("change", () => {
+  // the impact depends on the replacement
+  resetDeleteConfirmation();
+});
+
+/**
+ * offers the other persons as the new director of the movies directed by the
+ * selected person (the movies are handled by the delete policy otherwise)
+ */
+function refreshReplacementSelection() {
+  const personId = deletePersonSelection.value;
+  const directedMovies = personId
+    ? PersonStorage.findReferences(personId).director
+    : [];
+  /** @type {HTMLDivElement} */
+  const replacementField = deletePersonForm.querySelector("div.replacement");
+  replacementField.style.display = directedMovies.length > 0 ? "" : "none";
+  const otherPersons = { ...PersonStorage.instances };
+  delete otherPersons[personId];
+  // keep the chosen replacement if it is still offered
+  const replacementId = deleteReplacementSelection.value;
+  fillSelectWithOptions(deleteReplacementSelection, otherPersons, "name");
+  deleteReplacementSelection.value = otherPersons[replacementId]
+    ? replacementId
+    : "";
+}
+
+/**
+ * @returns {import("../m/DeletePolicy.js").DeleteOptions} the options of the
+ * deletion chosen in the form
+ */
+function getDeleteOptions() {
+  const replacement = deleteReplacementSelection.value;
+  return replacement
+    ? { policies: { director: DeletePolicyEL.REPLACE }, replacement }
+    : {};
+}
+
+/** ### DELETE_BUTTON -----------------------------------------------
+ * the first submit shows the impact of the deletion, the second one deletes */
+const resetDeleteConfirmation = setupDeleteConfirmation(
+  deletePersonForm,
+  deletePersonSelection,
+  (personId) => PersonStorage.previewDestroy(personId, getDeleteOptions()),
+  (personId) => {
+    PersonStorage.destroy(personId, getDeleteOptions());
     // remove deleted book from select options
     deletePersonForm.selectPerson.remove(
       deletePersonForm.selectPerson.selectedIndex
     );
+    refreshReplacementSelection();
+  }
+);
+
+/******************************************************************************
+ *** CSV IMPORT AND EXPORT ****************************************************
+ *****************************************************************************/
+
+document.getElementById("exportCsv").addEventListener("click", () => {
+  downloadCsv(
+    `persons-${new Date().toISOString().slice(0, 10)}.csv`,
+    exportPersonsCsv()
+  );
+});
+
+const resetCsvImport = setupCsvImport(
+  document.getElementById("Person-I"),
+  "Person",
+  () => {
+    createPersonIdInput.value = PersonStorage.nextId().toString();
+  }
+);
+document.getElementById("importCsv").addEventListener("click", () => {
+  document.getElementById("Person-M").style.display = "none";
+  document.getElementById("Person-I").style.display = "block";
+  resetCsvImport();
+});
+
+/******************************************************************************
+ *** SEARCH *******************************************************************
+ *****************************************************************************/
+
+setupSearch("Person", (personId) => {
+  if (!PersonStorage.contains(personId)) {
+    alert(t("person.notFound", { id: personId }));
+    return;
   }
+  // show the person in the update form
+  refreshManageDataUI();
+  document.getElementById("update").click();
+  updatePersonSelection.value = personId;
+  updatePersonSelection.dispatchEvent(new Event("change"));
 });
@@ -0,0 +1,169 @@
+import { t, translatePage } from "../../lib/i18n.js";
+import { AuditLog } from "../m/AuditLog.js";
+import { MovieStorage } from "../m/MovieStorage.js";
+import { PersonStorage } from "../m/PersonStorage.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { Synchronization } from "../m/Synchronization.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { setupLocaleSwitch, setupUndoRedo } from "../c/app.js";
+
+/******************************************************************************
+ *** QUARANTINE UI ************************************************************
+ *****************************************************************************/
+
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
+// loading the data (the invalid records are quarantined)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+await RecycleBin.retrieveAll();
+// an admission is journaled
+await AuditLog.retrieveAll();
+
+// undone or redone changes (e.g. an admission) change the records
+setupUndoRedo(renderQuarantine);
+
+// an admitted person or series can make its movies admissible
+PersonStorage.subscribe(renderQuarantine);
+TvSeriesStorage.subscribe(renderQuarantine);
+MovieStorage.subscribe(renderQuarantine);
+// another tab could have fixed or discarded a record
+Synchronization.addChangeListener(renderQuarantine);
+
+/** the editable properties of the records */
+const FIELDS = {
+  Movie: [
+    "title",
+    "releaseDate",
+    "director",
+    "actors",
+    "categories",
+    "about",
+    "tvSeries",
+    "seasonNo",
+    "episodeNo",
+  ],
+  Person: ["name", "agent"],
+  TvSeries: ["title", "startYear", "endYear"],
+};
+
+/** the storages of the records by their entity */
+const STORAGES = {
+  Movie: MovieStorage,
+  Person: PersonStorage,
+  TvSeries: TvSeriesStorage,
+};
+
+/******************************************************************************
+ *** RETRIEVE AND FIX *********************************************************
+ *****************************************************************************/
+
+/**
+ * fills the page with a form for each quarantined record, the persons and
+ * series first
+ */
+function renderQuarantine() {
+  /** @type {HTMLDivElement} */
+  const recordsEl = document.querySelector(
+    "section#Quarantine-R > div.records"
+  );
+  recordsEl.innerHTML = ""; // drop old content
+  const quarantined = [
+    ...Object.values(PersonStorage.quarantine).map(
+      (q) => /** @type {const} */ (["Person", q])
+    ),
+    ...Object.values(TvSeriesStorage.quarantine).map(
+      (q) => /** @type {const} */ (["TvSeries", q])
+    ),
+    ...Object.values(MovieStorage.quarantine).map(
+      (q) => /** @type {const} */ (["Movie", q])
+    ),
+  ];
+  for (const [entity, { id, record, violation }] of quarantined) {
+    recordsEl.appendChild(createRecordForm(entity, id, record, violation));
+  }
+  /** @type {HTMLParagraphElement} */
+  const emptyNoteEl = document.querySelector(
+    "section#Quarantine-R > p.empty-note"
+  );
+  emptyNoteEl.style.display = quarantined.length === 0 ? "block" : "none";
+}
+
+/**
+ * @param {"Movie" | "Person" | "TvSeries"} entity
+ * @param {string} id
+ * @param {{[property: string]: any}} record the stored record
+ * @param {import("../../lib/errorTypes.js").ConstraintViolation} violation
+ * @returns {HTMLFormElement} a form for fixing and admitting the record
+ */
+function createRecordForm(entity, id, record, violation) {
+  const storage = STORAGES[entity];
+  const formEl = document.createElement("form");
+  formEl.className = "quarantined";
+  formEl.appendChild(document.createElement("h3")).textContent = `${t(
+    `entityType.${entity}`
+  )} ${id}`;
+  const violationEl = document.createElement("p");
+  violationEl.className = "violation";
+  violationEl.textContent = `${violation.constructor.name}: ${violation.message}`;
+  formEl.appendChild(violationEl);
+
+  for (const field of FIELDS[entity]) {
+    const value = record[field];
+    const fieldEl = document.createElement("div");
+    fieldEl.className = "field";
+    const labelEl = document.createElement("label");
+    const inputEl = document.createElement("input");
+    inputEl.name = field;
+    // the actors are listed by their ids, the categories by their names
+    inputEl.value = Array.isArray(value) ? value.join(", ") : value ?? "";
+    labelEl.append(`${storage.entityClass.propertyLabel(field)}: `, inputEl);
+    fieldEl.appendChild(labelEl);
+    formEl.appendChild(fieldEl);
+  }
+
+  const buttonGroupEl = document.createElement("div");
+  buttonGroupEl.className = "button-group";
+  const admitButton = document.createElement("button");
+  admitButton.type = "submit";
+  admitButton.textContent = t("ui.admit");
+  const discardButton = document.createElement("button");
+  discardButton.type = "button";
+  discardButton.textContent = t("ui.discard");
+  buttonGroupEl.append(admitButton, discardButton);
+  formEl.appendChild(buttonGroupEl);
+
+  formEl.addEventListener("submit", (e) => {
+    e.preventDefault();
+    /** @type {{[property: string]: any}} */
+    const slots = {};
+    for (const field of FIELDS[entity]) {
+      const value = formEl[field].value.trim();
+      if (field === "actors" || field === "categories") {
+        slots[field] = value ? value.split(",").map((v) => v.trim()) : [];
+      } else {
+        slots[field] = value || undefined;
+      }
+    }
+    try {
+      storage.readmit(id, slots);
+    } catch (e) {
+      // the record stays quarantined
+      violationEl.textContent = `${e.constructor.name}: ${e.message}`;
+    }
+  });
+  discardButton.addEventListener("click", () => {
+    if (
+      confirm(t("confirm.discard", { entity: t(`entityType.${entity}`), id }))
+    ) {
+      storage.discard(id);
+      renderQuarantine();
+    }
+  });
+  return formEl;
+}
+
+renderQuarantine();
@@ -0,0 +1,117 @@
+import { NoConstraintViolation } from "../../lib/errorTypes.js";
+import { formatDateTime, t, translatePage } from "../../lib/i18n.js";
+import { AuditLog } from "../m/AuditLog.js";
+import { MovieStorage } from "../m/MovieStorage.js";
+import { PersonStorage } from "../m/PersonStorage.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { setupLocaleSwitch, setupUndoRedo } from "../c/app.js";
+
+/******************************************************************************
+ *** TRASH UI *****************************************************************
+ *****************************************************************************/
+
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
+// loading the data (the restored records are linked to the persons)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+await RecycleBin.retrieveAll();
+await AuditLog.retrieveAll();
+
+// undone or redone changes (e.g. a restore) change the entries
+setupUndoRedo(renderTrashTable);
+
+// every change of the entries makes the list outdated, as does every change
+// of the persons (an entry could become restorable or not)
+RecycleBin.subscribe(renderTrashTable);
+PersonStorage.subscribe(renderTrashTable);
+MovieStorage.subscribe(renderTrashTable);
+
+/******************************************************************************
+ *** RETRIEVE AND LIST ********************************************************
+ *****************************************************************************/
+
+/** # FILTER
+ * @type {HTMLFormElement} */
+const filterForm = document.querySelector("section#Trash-R > form.filter");
+
+/** ### ENTITY ------------------------------------------------------
+ * @type {HTMLSelectElement} */
+const entitySelection = filterForm["entity"];
+entitySelection.addEventListener("change", renderTrashTable);
+
+/**
+ * fills the table with the entries of the recycle bin, the most recently
+ * deleted one first
+ */
+function renderTrashTable() {
+  /** @type {HTMLTableSectionElement} */
+  const tableBodySelection = document.querySelector(
+    "section#Trash-R > table > tbody"
+  );
+  tableBodySelection.innerHTML = ""; // drop old content
+  const entity = entitySelection.value;
+  const entries = RecycleBin.query({
+    where: entity ? { entity } : {},
+    orderBy: ["-deletedAt", "-entryId"],
+  });
+  for (const entry of entries) {
+    const row = tableBodySelection.insertRow();
+    row.insertCell().textContent = t(`entityType.${entry.entity}`);
+    row.insertCell().textContent = entry.id;
+    row.insertCell().textContent = entry.label;
+    row.insertCell().textContent = formatDateTime(new Date(entry.deletedAt));
+    row.insertCell().textContent = RecycleBin.describeCause(entry);
+
+    const actionsCell = row.insertCell();
+    const restoreButton = document.createElement("button");
+    restoreButton.type = "button";
+    restoreButton.textContent = t("ui.restore");
+    // a record whose director was deleted as well can't be restored
+    const validationResult = RecycleBin.checkRestore(entry.entryId);
+    if (!(validationResult instanceof NoConstraintViolation)) {
+      restoreButton.disabled = true;
+      restoreButton.title = validationResult.message;
+    }
+    restoreButton.addEventListener("click", () => {
+      try {
+        RecycleBin.restoreEntry(entry.entryId);
+      } catch (e) {
+        alert(e.message);
+      }
+    });
+    const purgeButton = document.createElement("button");
+    purgeButton.type = "button";
+    purgeButton.textContent = t("ui.purge");
+    purgeButton.addEventListener("click", () => {
+      if (confirm(t("confirm.purge", { label: entry.label }))) {
+        RecycleBin.purge(entry.entryId);
+      }
+    });
+    actionsCell.append(restoreButton, purgeButton);
+  }
+  const isEmpty = Object.keys(RecycleBin.entries).length === 0;
+  /** @type {HTMLParagraphElement} */
+  const emptyNoteEl = document.querySelector("section#Trash-R > p.empty-note");
+  emptyNoteEl.style.display = isEmpty ? "block" : "none";
+  emptyTrashButton.disabled = isEmpty;
+}
+
+/******************************************************************************
+ *** EMPTY ********************************************************************
+ *****************************************************************************/
+
+/** # EMPTY_BUTTON
+ * @type {HTMLButtonElement} */
+const emptyTrashButton = document.querySelector("button#emptyTrash");
+emptyTrashButton.addEventListener("click", () => {
+  if (confirm(t("confirm.emptyTrash"))) {
+    RecycleBin.empty();
+  }
+});
+
+renderTrashTable();
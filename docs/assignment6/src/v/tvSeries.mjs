@@ -0,0 +1,468 @@
+import { AuditLog } from "../m/AuditLog.js";
+import { MovieStorage } from "../m/MovieStorage.js";
+import { PersonStorage } from "../m/PersonStorage.js";
+import { RecycleBin } from "../m/RecycleBin.js";
+import { Synchronization } from "../m/Synchronization.js";
+import { TvSeries } from "../m/TvSeries.js";
+import { TvSeriesStorage } from "../m/TvSeriesStorage.js";
+import { formatDate, t, translatePage } from "../../lib/i18n.js";
+import { fillSelectWithOptions } from "../../lib/util.js";
+import {
+  confirmOverwrite,
+  isDisplayed,
+  setupLoadReport,
+  setupLocaleSwitch,
+  setupUndoRedo,
+} from "../c/app.js";
+import { setupDeleteConfirmation } from "../c/deletion.js";
+import { setupRecordHistory } from "../c/history.js";
+import { showValidationSummary } from "../c/validation.js";
+
+/******************************************************************************
+ *** TV SERIES UI *************************************************************
+ *****************************************************************************/
+
+// show the labels in the chosen locale
+translatePage();
+setupLocaleSwitch(document.querySelector("select.locale-switch"));
+
+// set up back-to-menu buttons for all CRUD UIs
+for (const btn of document.querySelectorAll("button.back-to-menu")) {
+  btn.addEventListener("click", refreshManageDataUI);
+}
+// neutralize the submit event for all CRUD UIs
+for (const frm of document.querySelector("section").querySelectorAll("form")) {
+  frm.addEventListener("submit", function (e) {
+    e.preventDefault();
+    frm.reset();
+    createTvSeriesIdInput.value = TvSeriesStorage.nextId().toString();
+  });
+}
+
+function refreshManageDataUI() {
+  // show the manage series UI and hide the other UIs
+  document.getElementById("TvSeries-M").style.display = "block";
+  document.getElementById("TvSeries-R").style.display = "none";
+  document.getElementById("TvSeries-V").style.display = "none";
+  document.getElementById("TvSeries-C").style.display = "none";
+  document.getElementById("TvSeries-U").style.display = "none";
+  document.getElementById("TvSeries-D").style.display = "none";
+}
+// Set up Manage TV Series UI
+refreshManageDataUI();
+
+// loading the data (every change is saved immediately by the storages)
+await PersonStorage.retrieveAll();
+await TvSeriesStorage.retrieveAll();
+await MovieStorage.retrieveAll();
+// the deleted records are kept in the recycle bin
+await RecycleBin.retrieveAll();
+// every change is journaled
+await AuditLog.retrieveAll();
+// the invalid records are quarantined
+setupLoadReport(document.querySelector("main p.load-report"));
+
+// undone or redone changes make the open forms outdated
+setupUndoRedo(() => {
+  refreshManageDataUI();
+  createTvSeriesIdInput.value = TvSeriesStorage.nextId().toString();
+});
+
+// every change of the series (or their episodes) makes the list outdated
+const refreshTvSeriesTable = () =>
+  isDisplayed("TvSeries-R") && renderTvSeriesTable();
+TvSeriesStorage.subscribe(refreshTvSeriesTable);
+MovieStorage.subscribe(refreshTvSeriesTable);
+// as does the shown series
+const refreshTvSeriesView = () =>
+  isDisplayed("TvSeries-V") && renderTvSeriesView();
+TvSeriesStorage.subscribe(refreshTvSeriesView);
+MovieStorage.subscribe(refreshTvSeriesView);
+
+// changes of other tabs (or the movie page) make the open forms outdated
+Synchronization.addChangeListener(({ storage, deletedIds }) => {
+  createTvSeriesIdInput.value = TvSeriesStorage.nextId().toString();
+  if (storage !== TvSeriesStorage) return;
+  const editedTvSeriesId = updateTvSeriesSelection.value;
+  if (isDisplayed("TvSeries-U") && deletedIds.includes(editedTvSeriesId)) {
+    alert(t("tvSeries.deletedInOtherTab"));
+    refreshManageDataUI();
+  }
+  // keep the selected series of the forms
+  for (const selectEl of [
+    viewTvSeriesSelection,
+    updateTvSeriesSelection,
+    deleteTvSeriesSelection,
+  ]) {
+    const tvSeriesId = selectEl.value;
+    fillSelectWithOptions(selectEl, TvSeriesStorage.instances, "title");
+    selectEl.value = TvSeriesStorage.contains(tvSeriesId) ? tvSeriesId : "";
+  }
+});
+// the episodes of the series to delete could have changed as well
+Synchronization.addChangeListener(() => {
+  if (isDisplayed("TvSeries-D")) {
+    resetDeleteConfirmation();
+  }
+});
+
+/******************************************************************************
+ *** RETRIEVE AND LIST ********************************************************
+ *****************************************************************************/
+
+document.getElementById("retrieveAndListAll").addEventListener("click", () => {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-R").style.display = "block";
+  renderTvSeriesTable();
+});
+
+/**
+ * fills the table of the list view with all series
+ */
+function renderTvSeriesTable() {
+  /** @type {HTMLTableSectionElement} */
+  const tableBodySelection = document.querySelector(
+    "section#TvSeries-R > table > tbody"
+  );
+  tableBodySelection.innerHTML = ""; // drop old content
+  for (const tvSeries of TvSeriesStorage.query({ orderBy: "tvSeriesId" })) {
+    const row = tableBodySelection.insertRow();
+    row.insertCell().textContent = tvSeries.tvSeriesId.toString();
+    row.insertCell().textContent = tvSeries.title;
+    row.insertCell().textContent = tvSeries.startYear.toString();
+    row.insertCell().textContent =
+      tvSeries.endYear?.toString() ?? t("table.running");
+
+    const episodes = tvSeries.orderedEpisodes;
+    if (episodes.length > 0) {
+      const episodeList = document.createElement("ul");
+      for (const episode of episodes) {
+        episodeList.appendChild(document.createElement("li")).textContent =
+          episode.title;
+      }
+      row.insertCell().appendChild(episodeList);
+    } else {
+      row.insertCell().textContent = "---";
+    }
+  }
+}
+
+/******************************************************************************
+ *** VIEW *********************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const viewTvSeriesForm = document.querySelector("section#TvSeries-V > form");
+document.getElementById("view").addEventListener("click", () => {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-V").style.display = "block";
+  fillSelectWithOptions(
+    viewTvSeriesSelection,
+    TvSeriesStorage.instances,
+    "title"
+  );
+  viewTvSeriesForm.reset();
+  renderTvSeriesView();
+});
+
+/** ### TV_SERIES_SELECTION -----------------------------------------
+ * @type {HTMLSelectElement} */
+const viewTvSeriesSelection = viewTvSeriesForm["selectTvSeries"];
+viewTvSeriesSelection.addEventListener("change", renderTvSeriesView);
+
+/**
+ * shows the selected series with its episodes in the order of their seasons
+ * and numbers
+ */
+function renderTvSeriesView() {
+  /** @type {HTMLDListElement} */
+  const detailsEl = document.querySelector("section#TvSeries-V > dl");
+  const tvSeries = TvSeriesStorage.instances[viewTvSeriesSelection.value];
+  detailsEl.style.display = tvSeries ? "block" : "none";
+  if (!tvSeries) return;
+
+  /**
+   * @param {string} className the class of the `dd` element
+   * @param {string} content
+   */
+  const setDetail = (className, content) => {
+    detailsEl.querySelector(`dd.${className}`).textContent = content;
+  };
+  setDetail("tvSeriesId", tvSeries.tvSeriesId.toString());
+  setDetail("title", tvSeries.title);
+  setDetail("startYear", tvSeries.startYear.toString());
+  setDetail("endYear", tvSeries.endYear?.toString() ?? t("table.running"));
+
+  /** @type {HTMLTableSectionElement} */
+  const episodeTable = detailsEl.querySelector("dd.episodes tbody");
+  episodeTable.innerHTML = ""; // drop old content
+  for (const episode of tvSeries.orderedEpisodes) {
+    const row = episodeTable.insertRow();
+    row.insertCell().textContent = episode.seasonNo.toString();
+    row.insertCell().textContent = episode.episodeNo.toString();
+    row.insertCell().textContent = episode.title;
+    row.insertCell().textContent = formatDate(episode.releaseDate);
+  }
+  if (episodeTable.rows.length === 0) {
+    const cell = episodeTable.insertRow().insertCell();
+    cell.colSpan = 4;
+    cell.textContent = t("table.noEpisodes");
+  }
+}
+
+/******************************************************************************
+ *** CREATE *******************************************************************
+ *****************************************************************************/
+/** # FORM
+ * @type {HTMLFormElement} */
+const createTvSeriesForm = document.querySelector("section#TvSeries-C > form");
+document.getElementById("create").addEventListener("click", () => {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-C").style.display = "block";
+  showValidationSummary(createTvSeriesForm, createFields, {});
+});
+
+/** ### TV_SERIES_ID ------------------------------------------------
+ * @type {HTMLInputElement} */
+const createTvSeriesIdInput = createTvSeriesForm["tvSeriesId"];
+createTvSeriesIdInput.addEventListener("input", () => {
+  createTvSeriesIdInput.setCustomValidity(
+    TvSeries.checkTvSeriesIdAsId(createTvSeriesIdInput.value).message
+  );
+});
+createTvSeriesIdInput.value = TvSeriesStorage.nextId().toString(); // initially the next free id
+
+/** ### TITLE -------------------------------------------------------
+ * @type {HTMLInputElement} */
+const createTitleInput = createTvSeriesForm["tvSeriesTitle"];
+createTitleInput.addEventListener("input", () => {
+  createTitleInput.setCustomValidity(
+    TvSeries.checkTitle(createTitleInput.value).message
+  );
+});
+
+/** ### START_YEAR --------------------------------------------------
+ * @type {HTMLInputElement} */
+const createStartYearInput = createTvSeriesForm["startYear"];
+createStartYearInput.addEventListener("input", () => {
+  createStartYearInput.setCustomValidity(
+    TvSeries.checkStartYear(createStartYearInput.value).message
+  );
+});
+
+/** ### END_YEAR ----------------------------------------------------
+ * @type {HTMLInputElement} */
+const createEndYearInput = createTvSeriesForm["endYear"];
+createEndYearInput.addEventListener("input", () => {
+  createEndYearInput.setCustomValidity(
+    TvSeries.checkEndYear(createEndYearInput.value).message
+  );
+});
+
+/** ### SAVE_BUTTON -------------------------------------------------
+ * @type {HTMLButtonElement} */
+const createButton = createTvSeriesForm["create"];
+createButton.addEventListener("click", () => {
+  /** @type {import("../m/TvSeries.js").TvSeriesSlots} */
+  const slots = {
+    tvSeriesId: createTvSeriesIdInput.value,
+    title: createTitleInput.value,
+    startYear: createStartYearInput.value,
+  };
+  if (createEndYearInput.value) {
+    slots.endYear = createEndYearInput.value;
+  }
+
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  if (
+    showValidationSummary(
+      createTvSeriesForm,
+      createFields,
+      TvSeries.validate(slots)
+    )
+  ) {
+    TvSeriesStorage.add(slots);
+  }
+});
+
+/** the fields of the create form by the property they set */
+const createFields = {
+  tvSeriesId: createTvSeriesIdInput,
+  title: createTitleInput,
+  startYear: createStartYearInput,
+  endYear: createEndYearInput,
+};
+
+/******************************************************************************
+ *** UPDATE *******************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const updateTvSeriesForm = document.querySelector("section#TvSeries-U > form");
+document.getElementById("update").addEventListener("click", () => {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-U").style.display = "block";
+  fillSelectWithOptions(
+    updateTvSeriesSelection,
+    TvSeriesStorage.instances,
+    "title"
+  );
+  updateTvSeriesForm.reset();
+  showValidationSummary(updateTvSeriesForm, updateFields, {});
+  renderTvSeriesHistory();
+});
+
+/** the selected series as it was when the form was filled (to detect changes
+ * of other tabs) */
+let editedTvSeriesState = "";
+
+/** ### TV_SERIES_SELECTION -----------------------------------------
+ * @type {HTMLSelectElement} */
+const updateTvSeriesSelection = updateTvSeriesForm["selectTvSeries"];
+updateTvSeriesSelection.addEventListener("change", () => {
+  const tvSeriesId = updateTvSeriesSelection.value;
+
+  if (tvSeriesId) {
+    const tvSeries = TvSeriesStorage.instances[tvSeriesId];
+    editedTvSeriesState = JSON.stringify(tvSeries);
+    updateTvSeriesIdOutput.value = tvSeries.tvSeriesId.toString();
+    updateTitleInput.value = tvSeries.title;
+    updateStartYearInput.value = tvSeries.startYear.toString();
+    updateEndYearInput.value = tvSeries.endYear?.toString() ?? "";
+    updateButton.disabled = false;
+  } else {
+    updateTvSeriesForm.reset();
+    updateButton.disabled = true;
+  }
+});
+
+/** ### HISTORY -----------------------------------------------------
+ * the journaled changes of the selected series */
+const renderTvSeriesHistory = setupRecordHistory(
+  document.querySelector("section#TvSeries-U > details.record-history"),
+  "TvSeries",
+  updateTvSeriesSelection
+);
+
+/** ### TV_SERIES_ID ------------------------------------------------
+ * @type {HTMLOutputElement} */
+const updateTvSeriesIdOutput = updateTvSeriesForm["tvSeriesId"];
+
+/** ### TITLE -------------------------------------------------------
+ * @type {HTMLInputElement} */
+const updateTitleInput = updateTvSeriesForm["tvSeriesTitle"];
+updateTitleInput.addEventListener("input", () => {
+  updateTitleInput.setCustomValidity(
+    TvSeries.checkTitle(updateTitleInput.value).message
+  );
+});
+
+/** ### START_YEAR --------------------------------------------------
+ * @type {HTMLInputElement} */
+const updateStartYearInput = updateTvSeriesForm["startYear"];
+updateStartYearInput.addEventListener("input", () => {
+  updateStartYearInput.setCustomValidity(
+    TvSeries.checkStartYear(updateStartYearInput.value).message
+  );
+});
+
+/** ### END_YEAR ----------------------------------------------------
+ * @type {HTMLInputElement} */
+const updateEndYearInput = updateTvSeriesForm["endYear"];
+updateEndYearInput.addEventListener("input", () => {
+  updateEndYearInput.setCustomValidity(
+    TvSeries.checkEndYear(updateEndYearInput.value).message
+  );
+});
+
+/** ### SAVE_BUTTON -------------------------------------------------
+ * @type {HTMLButtonElement} */
+const updateButton = updateTvSeriesForm["update"];
+updateButton.addEventListener("click", () => {
+  /** @type {import("../m/TvSeries.js").TvSeriesSlots} */
+  const slots = {
+    tvSeriesId: updateTvSeriesIdOutput.value,
+    title: updateTitleInput.value,
+    startYear: updateStartYearInput.value,
+  };
+  // an empty end year unsets it (the series is running again)
+  if (updateEndYearInput.value) {
+    slots.endYear = updateEndYearInput.value;
+  }
+
+  // check all input fields at once, show all error messages and save the
+  // input data only if all form fields are valid
+  const tvSeries = TvSeriesStorage.instances[slots.tvSeriesId];
+  if (
+    showValidationSummary(
+      updateTvSeriesForm,
+      updateFields,
+      TvSeries.validate(slots, tvSeries)
+    )
+  ) {
+    if (
+      !confirmOverwrite(
+        editedTvSeriesState,
+        tvSeries,
+        t("tvSeries.description", { title: tvSeries.title })
+      )
+    ) {
+      // show the changes of the other tab
+      updateTvSeriesSelection.dispatchEvent(new Event("change"));
+      return;
+    }
+    TvSeriesStorage.update(slots);
+    editedTvSeriesState = JSON.stringify(tvSeries);
+    updateTvSeriesSelection.options[
+      updateTvSeriesSelection.selectedIndex
+    ].text = slots.title;
+  }
+});
+
+/** the fields of the update form by the property they set */
+const updateFields = {
+  title: updateTitleInput,
+  startYear: updateStartYearInput,
+  endYear: updateEndYearInput,
+};
+
+/******************************************************************************
+ *** DELETE *******************************************************************
+ *****************************************************************************/
+
+/** # FORM
+ * @type {HTMLFormElement} */
+const deleteTvSeriesForm = document.querySelector("section#TvSeries-D > form");
+document.getElementById("destroy").addEventListener("click", () => {
+  document.getElementById("TvSeries-M").style.display = "none";
+  document.getElementById("TvSeries-D").style.display = "block";
+
+  fillSelectWithOptions(
+    deleteTvSeriesSelection,
+    TvSeriesStorage.instances,
+    "title"
+  );
+  deleteTvSeriesForm.reset();
+  resetDeleteConfirmation();
+});
+
+/** # TV_SERIES_SELECTION
+ * @type {HTMLSelectElement} */
+const deleteTvSeriesSelection = deleteTvSeriesForm["selectTvSeries"];
+
+/** ### DELETE_BUTTON -----------------------------------------------
+ * the first submit shows the impact of the deletion (a series with episodes
+ * can't be deleted), the second one deletes */
+const resetDeleteConfirmation = setupDeleteConfirmation(
+  deleteTvSeriesForm,
+  deleteTvSeriesSelection,
+  (tvSeriesId) => TvSeriesStorage.previewDestroy(tvSeriesId),
+  (tvSeriesId) => {
+    TvSeriesStorage.destroy(tvSeriesId);
+    // remove the deleted series from the select options
+    deleteTvSeriesSelection.remove(deleteTvSeriesSelection.selectedIndex);
+  }
+);